@@ -14,10 +14,13 @@ import companyRoutes from "./src/routes/companyRoutes.js";
 import rulesRoutes from "./src/routes/rulesRoute.js";
 import reportRoutes from "./src/routes/reportRoutes.js";
 import wageTierRoutes from "./src/routes/wageTierRoutes.js";
+import priceListRoutes from "./src/routes/priceListRoutes.js";
+import payrollRoutes from "./src/routes/payrollRoutes.js";
 import authRoutes from "./src/routes/authRoutes.js";
 import { requireAuth } from "./src/middleware/auth.js";
 import managementRoutes from "./src/routes/managementRoutes.js";
 import companyContextRoutes from "./src/routes/companyContextRoutes.js";
+import { scheduleTierProgression } from "./src/services/tierProgressionService.js";
 
 dotenv.config();
 
@@ -28,7 +31,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+app.use(express.json({ limit: "5mb" })); // day sheet imports post many rows
 
 
 // ✅ session FIRST
@@ -72,6 +75,10 @@ app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 
 app.use(express.static(path.join(__dirname, "public")));
+// SheetJS (records import) is served from node_modules, not a CDN
+app.get("/js/vendor/xlsx.full.min.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "node_modules/xlsx/dist/xlsx.full.min.js"));
+});
 
 // routes that render views
 app.use(authRoutes);
@@ -128,6 +135,10 @@ app.get("/records", requireAuth, requirePermission("PAGE_RECORDS"), (req, res) =
   res.render("records", { title: "Work Entries Records", active: "records" })
 );
 
+app.get("/payroll", requireAuth, requirePermission("PAGE_PAYROLL"), (req, res) =>
+  res.render("payroll", { title: "Payroll Runs", active: "payroll" })
+);
+
 app.get("/reports", requireAuth, requirePermission("PAGE_Reports"), async (req, res) => {
   const user = req.session?.user;
   const userId = Number(user?.id);
@@ -137,9 +148,21 @@ app.get("/reports", requireAuth, requirePermission("PAGE_Reports"), async (req,
       ? true
       : await hasPermission(userId, "REPORT_FILTER_PAYTYPE");
 
+  const canBillAudit =
+    Number(user?.is_admin) === 1
+      ? true
+      : await hasPermission(userId, "REPORT_BILL_AUDIT");
+
+  const canWageSimulation =
+    Number(user?.is_admin) === 1
+      ? true
+      : await hasPermission(userId, "REPORT_WAGE_SIMULATION");
+
   res.render("reports", {
     title: "Reports",
     canFilterPayType, // ✅ now defined in reports.ejs
+    canBillAudit,
+    canWageSimulation,
   });
 });
 
@@ -163,7 +186,10 @@ app.use("/api/companies", companyRoutes);
 app.use("/api", rulesRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/wage-tiers", wageTierRoutes);
+app.use("/api/price-lists", priceListRoutes);
+app.use("/api/payroll-runs", payrollRoutes);
 
 app.listen(PORT, () => {
   console.log(`🚀 Server running at http://localhost:${PORT}`);
+  scheduleTierProgression();
 });
@@ -144,6 +144,36 @@ function renderCompanyPaginationSingle(id, totalPages) {
 }
 
 // =================== MODAL FUNCTIONS ===================
+function renderRuleParamInput(rule, def) {
+  const id = `ruleParam_${rule.code}_${def.key}`;
+  const value = rule.params?.[def.key] ?? def.default ?? "";
+  const attrs = `id="${id}" class="form-control form-control-sm company-rule-param"
+                 data-rule="${rule.code}" data-key="${def.key}"`;
+
+  let input;
+  if (def.type === "choice") {
+    const options = (def.options || []).map(o =>
+      `<option value="${o.value}" ${String(o.value) === String(value) ? "selected" : ""}>${o.label}</option>`
+    ).join("");
+    input = `<select ${attrs.replace("form-control", "form-select")}>${options}</select>`;
+  } else {
+    const max = def.max ?? (def.type === "percent" ? 100 : "");
+    input = `
+      <div class="input-group input-group-sm">
+        <input type="number" ${attrs} min="${def.min ?? 0}" ${max !== "" ? `max="${max}"` : ""}
+               step="any" value="${value}">
+        ${def.type === "percent" ? `<span class="input-group-text">%</span>` : ""}
+      </div>`;
+  }
+
+  return `
+    <div class="col-md-4">
+      <label class="form-label small mb-1" for="${id}">${def.label || def.key}</label>
+      ${input}
+    </div>
+  `;
+}
+
 async function loadCompanyRulesIntoModal(companyId) {
   const box = document.getElementById("companyRulesBox");
   if (!box) return;
@@ -178,6 +208,10 @@ async function loadCompanyRulesIntoModal(companyId) {
             <div class="fw-medium">${r.name}</div>
             ${r.description ? `<div class="text-muted small">${r.description}</div>` : ""}
           </label>
+          ${(r.params_schema || []).length ? `
+            <div class="row g-2 mt-1">
+              ${r.params_schema.map(def => renderRuleParamInput(r, def)).join("")}
+            </div>` : ""}
         </div>
       `;
     }).join("");
@@ -259,7 +293,12 @@ window.saveCompany = async function () {
       return;
     }
 
-    await saveCompanyRules(companyId);
+    const rulesError = await saveCompanyRules(companyId);
+    if (rulesError) {
+      alert(`Company saved, but rules were not: ${rulesError}`);
+      loadCompanies();
+      return;
+    }
 
     companyModal.hide();
     loadCompanies();
@@ -282,11 +321,23 @@ async function saveCompanyRules(companyId) {
   // base rule always on (safety)
   if (!selected.includes("BASE_NATIONALITY")) selected.push("BASE_NATIONALITY");
 
-  await fetch(`/api/companies/${companyId}/rules`, {
+  // rule parameters, e.g. { OVER_20K_5050: { threshold: "25000", ... } }
+  const params = {};
+  document.querySelectorAll(".company-rule-param").forEach(el => {
+    const code = el.dataset.rule;
+    params[code] = params[code] || {};
+    params[code][el.dataset.key] = el.value.trim();
+  });
+
+  const res = await fetch(`/api/companies/${companyId}/rules`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ rules: selected })
+    body: JSON.stringify({ rules: selected, params })
   });
+
+  if (res.ok) return null;
+  const data = await res.json().catch(() => ({}));
+  return data?.error || `HTTP ${res.status}`;
 }
 
 window.deleteCompany = function (id) {
@@ -5,11 +5,13 @@
 
 let allJobs = [];
 let allWorkers = [];
+let allPriceLists = [];
 let pendingEntries = [];
 let hotBatch = null;
 let enabledCompanyRules = [];
 let rulesReady = null;
 let isSavingEntries = false;
+let billNumberingEnabled = false;
 
 const $ = (id) => document.getElementById(id);
 const qsa = (sel, root = document) => Array.from(root.querySelectorAll(sel));
@@ -168,6 +170,64 @@ async function loadWorkers() {
     opt.textContent = `${w.worker_code} – ${w.worker_name}`;
     select.appendChild(opt);
   });
+
+  const splitSelect = $("splitWorkerSelect");
+  if (!splitSelect) return;
+
+  splitSelect.innerHTML = `<option value="" selected>Not split</option>`;
+  allWorkers.forEach((w) => {
+    const opt = document.createElement("option");
+    opt.value = w.id;
+    opt.textContent = `${w.worker_code} – ${w.worker_name}`;
+    splitSelect.appendChild(opt);
+  });
+}
+
+async function loadPriceLists() {
+  const companyId = getCompanyId();
+  if (!companyId) {
+    allPriceLists = [];
+    return;
+  }
+
+  const lists = await fetch(`/api/price-lists?companyId=${companyId}`)
+    .then((r) => (r.ok ? r.json() : []))
+    .catch(() => []);
+  allPriceLists = Array.isArray(lists) ? lists : [];
+
+  const select = $("priceListSelect");
+  if (!select) return;
+
+  // the company default list comes first and is preselected
+  select.innerHTML = allPriceLists.length ? "" : `<option value="" selected>Normal price</option>`;
+  allPriceLists.forEach((l) => {
+    const opt = document.createElement("option");
+    opt.value = l.id;
+    opt.textContent = `${l.code} – ${l.name}`;
+    if (Number(l.is_default) === 1) opt.selected = true;
+    select.appendChild(opt);
+  });
+}
+
+const defaultPriceListId = () => allPriceLists.find((l) => Number(l.is_default) === 1)?.id ?? "";
+
+// batch grid cell -> price list (code or name; blank = default list)
+function findPriceList(input) {
+  const v = norm(input).toLowerCase();
+  if (!v) return allPriceLists.find((l) => Number(l.is_default) === 1) || null;
+  return (
+    allPriceLists.find((l) => String(l.code).toLowerCase() === v) ||
+    allPriceLists.find((l) => String(l.name).toLowerCase() === v) ||
+    null
+  );
+}
+
+// "VIP" or "VIP (normal price)" when the list has no price for the job that day,
+// followed by the holiday when its multipliers applied ("VIP · Chinese New Year")
+function priceListLabel(calc) {
+  const holiday = calc.holiday && calc.applied_rules?.includes("HOLIDAY_MULTIPLIER") ? ` · ${calc.holiday.name}` : "";
+  if (!calc.price_list_name) return (calc.customCustomerRate ? "Custom" : "") + holiday;
+  return (calc.price_list_fallback ? `${calc.price_list_name} (normal price)` : calc.price_list_name) + holiday;
 }
 
 // ---------- DOMContentLoaded ----------
@@ -180,11 +240,15 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // ✅ load rules/jobs/workers AFTER companyReady
   rulesReady = loadEnabledCompanyRules();
-  await Promise.all([loadJobs(), loadWorkers()]);
+  await Promise.all([loadJobs(), loadWorkers(), loadPriceLists()]);
 
   const dateInput = $("workDate");
   if (dateInput && !dateInput.value) dateInput.value = todayISO();
 
+  // automatic bill numbers: preview follows the date (daily/monthly reset)
+  refreshBillNumberPreview();
+  dateInput?.addEventListener("change", refreshBillNumberPreview);
+
   // custom override toggle
   const useCustomOverride = $("useCustomOverride");
   const customOverrideOptions = $("customOverrideOptions");
@@ -194,14 +258,18 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
-  // bank card UI
-  const isBank = $("isBank");
-  const isBankCard = $("isBankCard");
-  if (isBank && isBankCard) {
-    const sync = () => isBankCard.classList.toggle("is-selected", !!isBank.checked);
-    isBank.addEventListener("change", sync);
+  // bank / requested card UI
+  [
+    ["isBank", "isBankCard"],
+    ["isRequested", "isRequestedCard"],
+  ].forEach(([boxId, cardId]) => {
+    const box = $(boxId);
+    const card = $(cardId);
+    if (!box || !card) return;
+    const sync = () => card.classList.toggle("is-selected", !!box.checked);
+    box.addEventListener("change", sync);
     sync();
-  }
+  });
 
   // batch switch
   const batchSwitch = $("batchModeSwitch");
@@ -247,7 +315,7 @@ window.applyBatchRowCount = function () {
   if (rowInput) rowInput.value = newRows;
 
   const oldData = hotBatch.getData();
-  const cols = oldData[0]?.length || hotBatch.countCols() || 11;
+  const cols = oldData[0]?.length || hotBatch.countCols() || 12;
   const newData = Handsontable.helper.createEmptySpreadsheetData(newRows, cols);
 
   for (let r = 0; r < Math.min(oldData.length, newRows); r++) {
@@ -286,7 +354,9 @@ window.addEntryToTable = async function () {
   const customWageRateInput = $("customWageRate");
 
   const worker_id = workerSelect?.value;
+  const split_worker_id = $("splitWorkerSelect")?.value || "";
   const job_code = jobSelect?.value;
+  const price_list_id = $("priceListSelect")?.value || "";
   const amount = parseFloat(amountInput?.value);
   const job_no1 = norm(jobNo1Input?.value);
   const job_no2 = norm(jobNo2Input?.value);
@@ -299,7 +369,7 @@ window.addEntryToTable = async function () {
     alert("Please select worker, job, enter amount, and choose a date.");
     return;
   }
-  if (!job_no1) {
+  if (!job_no1 && !billNumberingEnabled) {
     alert("Job No1 is required.");
     return;
   }
@@ -311,75 +381,141 @@ window.addEntryToTable = async function () {
     return;
   }
 
-  // customer rate
-  let customerRate = job.normal_price != null ? Number(job.normal_price) : 0;
-  if (useCustomOverride?.checked) {
-    const customCustomer = parseFloat(customCustomerRateInput?.value);
-    if (!isNaN(customCustomer) && customCustomer > 0) customerRate = customCustomer;
-  }
-  if (!customerRate || customerRate <= 0) {
-    alert("No valid customer price (normal price missing and no custom entered).");
+  // split bill: both workers work the full job hours
+  const splitWorker = split_worker_id ? allWorkers.find((w) => String(w.id) === String(split_worker_id)) : null;
+  if (splitWorker && splitWorker.id === worker.id) {
+    alert("Split With must be a different worker.");
     return;
   }
-  const customerTotal = customerRate * amount;
+  const workers = splitWorker
+    ? [
+        { worker_id: worker.id, hours: amount },
+        { worker_id: splitWorker.id, hours: amount },
+      ]
+    : null;
 
-  // wage rate
-  if (!worker?.wage_tier_id) {
-    alert("This worker has no wage tier assigned yet. Please edit the worker and set a wage tier.");
-    return;
-  }
+  // ✅ rates are calculated on the server (job price, tier wage, company rules)
+  const customCustomerRate = useCustomOverride?.checked ? parseFloat(customCustomerRateInput?.value) : NaN;
+  const customWageRate = useCustomOverride?.checked ? parseFloat(customWageRateInput?.value) : NaN;
 
-  let wageRate = getBaseWageRate(job, worker);
-  const monthKey = work_date.slice(0, 7);
+  const is_requested = $("isRequested")?.checked ? 1 : 0;
 
-  if (enabledCompanyRules.includes("OVER_20K_5050")) {
-    const mtdCustomer = await getMonthToDateCustomerTotal(getCompanyId(), worker.id, monthKey);
-    if (mtdCustomer + customerTotal >= 20000) wageRate = customerRate * 0.5;
+  let calc;
+  try {
+    calc = await calculateEntryRates({
+      worker_id: worker.id,
+      job_code: job.job_code,
+      amount,
+      work_date,
+      price_list_id,
+      is_requested,
+      customCustomerRate,
+      customWageRate,
+      workers,
+    });
+  } catch (err) {
+    alert(err.message || "Failed to calculate rates.");
+    return;
   }
 
-  if (useCustomOverride?.checked) {
-    const customWage = parseFloat(customWageRateInput?.value);
-    if (!isNaN(customWage) && customWage > 0) wageRate = customWage;
-  }
+  const is_bank = $("isBank")?.checked ? 1 : 0;
 
-  if (!wageRate || wageRate <= 0) {
-    alert("No valid wage rate (base wage missing and no custom entered).");
-    return;
+  // blank Job No1 + auto numbering: reserve the next bill number now
+  let finalJobNo1 = job_no1;
+  if (!finalJobNo1) {
+    try {
+      finalJobNo1 = await reserveBillNumber(work_date);
+    } catch (err) {
+      alert(err.message || "Failed to reserve a bill number.");
+      return;
+    }
   }
 
-  const is_bank = $("isBank")?.checked ? 1 : 0;
+  const workerLabel = workerSelect?.options?.[workerSelect.selectedIndex]?.text || "";
 
   pendingEntries.push({
     worker_id: worker.id,
-    worker_label: workerSelect?.options?.[workerSelect.selectedIndex]?.text || "",
+    worker_label: splitWorker ? `${worker.worker_code} + ${splitWorker.worker_code} (split)` : workerLabel,
+    workers,
+    lines: calc.lines || null,
     job_code: job.job_code,
     job_label: jobSelect?.options?.[jobSelect.selectedIndex]?.text || "",
+    price_list_id: calc.price_list_id,
+    price_list_label: priceListLabel(calc),
     amount,
     is_bank,
+    is_requested,
+    requestFee: calc.request_fee,
+    requestBonus: calc.request_bonus,
     note,
     fees_collected,
-    customerRate,
-    customerTotal,
-    rate: wageRate,
-    pay: wageRate * amount,
-    job_no1,
+    customCustomerRate: calc.customCustomerRate,
+    customWageRate: calc.customWageRate,
+    customerRate: calc.customer_rate,
+    customerTotal: calc.customer_total,
+    rate: calc.wage_rate,
+    pay: calc.wage_total,
+    job_no1: finalJobNo1,
     job_no2,
     work_date,
   });
 
   renderPendingEntriesTable();
   clearSingleEntryForm();
+  refreshBillNumberPreview();
 };
 
+/* =========================
+   AUTOMATIC BILL NUMBERS
+   ========================= */
+
+async function refreshBillNumberPreview() {
+  const input = $("jobNo1");
+  const hint = $("jobNo1AutoHint");
+  const work_date = norm($("workDate")?.value) || todayISO();
+
+  try {
+    const res = await fetch(
+      `/api/work-entries/bill-numbering?companyId=${getCompanyId()}&work_date=${encodeURIComponent(work_date)}`
+    );
+    const data = await res.json().catch(() => ({}));
+    billNumberingEnabled = res.ok && data.enabled === true;
+
+    if (input) input.placeholder = billNumberingEnabled ? `Auto: ${data.next}` : "Enter Job No1";
+    if (hint) hint.classList.toggle("d-none", !billNumberingEnabled);
+    $("batchJobNo1AutoHint")?.classList.toggle("d-none", !billNumberingEnabled);
+  } catch (err) {
+    console.warn("Bill numbering unavailable:", err);
+    billNumberingEnabled = false;
+  }
+}
+
+async function reserveBillNumber(work_date) {
+  const res = await fetch(`/api/work-entries/bill-numbering/reserve?companyId=${getCompanyId()}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ work_date }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+  return data.job_no1;
+}
+
 /* =========================
    BATCH MODE (Handsontable)
    ========================= */
 
+// IsBank / Requested columns: blank, y or n
+function yesNoValidator(value, cb) {
+  const v = norm(value).toUpperCase();
+  cb(v === "" || v === "Y" || v === "N");
+}
+
 function initHotBatch(rowCount = 10) {
   const container = $("hotBatch");
   if (!container) return;
 
-  const cols = 11;
+  const cols = 13;
   const data = Handsontable.helper.createEmptySpreadsheetData(rowCount, cols);
   const t = todayISO();
   for (let r = 0; r < rowCount; r++) data[r][0] = t;
@@ -395,10 +531,12 @@ function initHotBatch(rowCount = 10) {
       "Job No2",
       "Worker Code",
       "Job Type",
+      "Price List",
       "Hours",
       "CustomCustomerRate",
       "CustomWage",
       "IsBank(y/n)",
+      "Requested(y/n)",
       "Fees Collected",
       "Note",
     ],
@@ -414,32 +552,34 @@ function initHotBatch(rowCount = 10) {
         allowInvalid: true,
         source: (q, cb) => cb((allJobs || []).map((j) => j.job_type)),
       },
-      { data: 5, type: "numeric", numericFormat: { pattern: "0.0" } },
-      { data: 6, type: "numeric", numericFormat: { pattern: "0.00" } },
-      { data: 7, type: "numeric", numericFormat: { pattern: "0.00" } },
       {
-        data: 8,
-        type: "text",
-        validator: (value, cb) => {
-          const v = norm(value).toUpperCase();
-          cb(v === "" || v === "Y" || v === "N");
-        },
+        data: 5,
+        type: "dropdown",
+        strict: false,
+        allowInvalid: true,
+        source: (q, cb) => cb((allPriceLists || []).map((l) => l.code)),
       },
-      { data: 9, type: "numeric", numericFormat: { pattern: "0.00" } },
-      { data: 10, type: "text" },
+      { data: 6, type: "numeric", numericFormat: { pattern: "0.0" } },
+      { data: 7, type: "numeric", numericFormat: { pattern: "0.00" } },
+      { data: 8, type: "numeric", numericFormat: { pattern: "0.00" } },
+      { data: 9, type: "text", validator: yesNoValidator },
+      { data: 10, type: "text", validator: yesNoValidator },
+      { data: 11, type: "numeric", numericFormat: { pattern: "0.00" } },
+      { data: 12, type: "text" },
     ],
     afterChange: (changes, source) => {
       if (!changes || source === "bankUpper") return;
       for (const [row, prop, , newVal] of changes) {
-        if (prop === 8 || prop === "8") {
+        const col = Number(prop);
+        if (col === 9 || col === 10) {
           const v = norm(newVal).toUpperCase();
-          if (v !== newVal) hotBatch.setDataAtCell(row, 8, v, "bankUpper");
+          if (v !== newVal) hotBatch.setDataAtCell(row, col, v, "bankUpper");
         }
       }
     },
     stretchH: "all",
     width: "100%",
-    hiddenColumns: { columns: showRates ? [] : [6, 7], indicators: true },
+    hiddenColumns: { columns: showRates ? [] : [7, 8], indicators: true },
     licenseKey: "non-commercial-and-evaluation",
   });
 
@@ -480,22 +620,24 @@ window.addBatchRowsToPending = async function () {
     const job_no2 = norm(row[2]);
     const worker_code = norm(row[3]);
     const job_input = norm(row[4]);
-    const amount = parseFloat(row[5]);
+    const price_list_input = norm(row[5]);
+    const amount = parseFloat(row[6]);
 
-    const customCustomerRate = parseFloat(row[6]);
-    const customWageRate = parseFloat(row[7]);
+    const customCustomerRate = parseFloat(row[7]);
+    const customWageRate = parseFloat(row[8]);
 
-    const bankRaw = norm(row[8]).toLowerCase();
+    const bankRaw = norm(row[9]).toLowerCase();
     const is_bank = bankRaw === "y" ? 1 : 0;
+    const is_requested = norm(row[10]).toLowerCase() === "y" ? 1 : 0;
 
-    const fees_collected = toMoney0(row[9]);
-    const note = norm(row[10]);
+    const fees_collected = toMoney0(row[11]);
+    const note = norm(row[12]);
 
     if (!work_date || !/^\d{4}-\d{2}-\d{2}$/.test(work_date)) {
       failures.push({ rowIndex: i, reason: "Invalid Date (must be YYYY-MM-DD)" });
       continue;
     }
-    if (!job_no1) {
+    if (!job_no1 && !billNumberingEnabled) {
       failures.push({ rowIndex: i, reason: "Missing Job No1" });
       continue;
     }
@@ -529,33 +671,39 @@ window.addBatchRowsToPending = async function () {
       continue;
     }
 
-    let customerRate =
-      !isNaN(customCustomerRate) && customCustomerRate > 0
-        ? customCustomerRate
-        : job.normal_price != null && Number(job.normal_price) > 0
-        ? Number(job.normal_price)
-        : null;
-
-    if (customerRate == null) {
-      failures.push({ rowIndex: i, reason: "Missing customer price (no normal_price and no custom)" });
+    const priceList = findPriceList(price_list_input);
+    if (price_list_input && !priceList) {
+      failures.push({ rowIndex: i, reason: `Price list not found: "${price_list_input}"` });
       continue;
     }
 
-    const customerTotal = customerRate * amount;
-
-    let wageRate = getBaseWageRate(job, worker);
-    const monthKey = work_date.slice(0, 7);
-
-    if (enabledCompanyRules.includes("OVER_20K_5050")) {
-      const mtdCustomer = await getMonthToDateCustomerTotal(getCompanyId(), worker.id, monthKey);
-      if (mtdCustomer + customerTotal >= 20000) wageRate = customerRate * 0.5;
+    let calc;
+    try {
+      calc = await calculateEntryRates({
+        worker_id: worker.id,
+        job_code: job.job_code,
+        amount,
+        work_date,
+        price_list_id: priceList?.id ?? "",
+        is_requested,
+        customCustomerRate,
+        customWageRate,
+      });
+    } catch (err) {
+      failures.push({ rowIndex: i, reason: err.message || "Failed to calculate rates" });
+      continue;
     }
 
-    if (!isNaN(customWageRate) && customWageRate > 0) wageRate = customWageRate;
-
-    if (!wageRate || wageRate <= 0) {
-      failures.push({ rowIndex: i, reason: "Missing wage (no base wage & no custom wage)" });
-      continue;
+    // blank Job No1 + auto numbering: reserve the next bill number now
+    // (typed numbers are kept, e.g. when back-filling old bills)
+    let finalJobNo1 = job_no1;
+    if (!finalJobNo1) {
+      try {
+        finalJobNo1 = await reserveBillNumber(work_date);
+      } catch (err) {
+        failures.push({ rowIndex: i, reason: err.message || "Failed to reserve a bill number" });
+        continue;
+      }
     }
 
     successes.push({
@@ -565,15 +713,22 @@ window.addBatchRowsToPending = async function () {
         worker_label: `${worker.worker_code} – ${worker.worker_name}`,
         job_code: job.job_code,
         job_label: `${job.job_code} – ${job.job_type}`,
+        price_list_id: calc.price_list_id,
+        price_list_label: priceListLabel(calc),
         amount,
         is_bank,
+        is_requested,
+        requestFee: calc.request_fee,
+        requestBonus: calc.request_bonus,
         note,
         fees_collected,
-        customerRate,
-        customerTotal,
-        rate: wageRate,
-        pay: wageRate * amount,
-        job_no1,
+        customCustomerRate: calc.customCustomerRate,
+        customWageRate: calc.customWageRate,
+        customerRate: calc.customer_rate,
+        customerTotal: calc.customer_total,
+        rate: calc.wage_rate,
+        pay: calc.wage_total,
+        job_no1: finalJobNo1,
         job_no2,
         work_date,
       },
@@ -587,6 +742,7 @@ window.addBatchRowsToPending = async function () {
     const okSet = new Set(successes.map((s) => s.rowIndex));
     const blank = () => new Array(hotBatch.countCols()).fill(null);
     hotBatch.loadData(data.map((row, idx) => (okSet.has(idx) ? blank() : row)));
+    refreshBillNumberPreview();
   }
 
   failures.forEach((f) => {
@@ -612,35 +768,67 @@ window.addBatchRowsToPending = async function () {
 };
 
 /* =========================
-   BASE WAGE HELPERS
+   RATE HELPERS (server-side calculation)
    ========================= */
 
-function getBaseWageRate(job, worker) {
-  const tierId = worker?.wage_tier_id;
-  if (!job || !tierId) return null;
-
-  const match = (job.wage_rates || []).find((x) => Number(x.tier_id) === Number(tierId));
-  const rate = Number(match?.wage_rate);
-
-  return Number.isFinite(rate) && rate > 0 ? rate : null;
-}
-
 const getMonthKey = (yyyy_mm_dd) => String(yyyy_mm_dd || "").slice(0, 7);
 
-async function getMonthToDateCustomerTotal(companyId, workerId, monthKey) {
-  if (!companyId) companyId = getCompanyId();
+// customer total already sitting in pending[] for the same worker + month
+// (split bills count only that worker's share)
+function getPendingCustomerTotal(workerId, monthKey) {
+  return pendingEntries
+    .filter((e) => getMonthKey(e.work_date) === monthKey)
+    .reduce((sum, e) => {
+      if (e.lines?.length) {
+        const line = e.lines.find((l) => String(l.worker_id) === String(workerId));
+        return sum + (Number(line?.customer_share) || 0);
+      }
+      return String(e.worker_id) === String(workerId) ? sum + (Number(e.customerTotal) || 0) : sum;
+    }, 0);
+}
 
-  const res = await fetch(
-    `/api/work-entries/worker-month-customer-total?companyId=${companyId}&workerId=${workerId}&month=${monthKey}`
-  );
-  const data = await res.json();
-  const dbTotal = Number(data.total || 0);
+// Ask the server for customer/wage rates. Custom rates are only sent (and only
+// honoured by the server) when the user can see/edit rates.
+// workers: [{ worker_id, hours }] splits the bill (custom wage rate does not apply).
+async function calculateEntryRates({
+  worker_id,
+  job_code,
+  amount,
+  work_date,
+  price_list_id = "",
+  is_requested = 0,
+  customCustomerRate,
+  customWageRate,
+  workers = null,
+}) {
+  const allowCustom = canSeeRates();
+  const custom_customer_rate = allowCustom && customCustomerRate > 0 ? customCustomerRate : null;
+  const custom_wage_rate = allowCustom && customWageRate > 0 ? customWageRate : null;
+
+  const res = await fetch(`/api/work-entries/calculate?companyId=${getCompanyId()}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      worker_id,
+      job_code,
+      amount,
+      work_date,
+      price_list_id: price_list_id || null,
+      is_requested: is_requested ? 1 : 0,
+      custom_customer_rate,
+      custom_wage_rate,
+      pending_customer_total: getPendingCustomerTotal(worker_id, getMonthKey(work_date)),
+      workers,
+      pending_customer_totals: workers
+        ? Object.fromEntries(workers.map((w) => [w.worker_id, getPendingCustomerTotal(w.worker_id, getMonthKey(work_date))]))
+        : null,
+    }),
+  });
 
-  const pendingTotal = pendingEntries
-    .filter((e) => String(e.worker_id) === String(workerId) && getMonthKey(e.work_date) === monthKey)
-    .reduce((sum, e) => sum + (Number(e.customerTotal) || 0), 0);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
 
-  return dbTotal + pendingTotal;
+  return { ...data, customCustomerRate: custom_customer_rate, customWageRate: custom_wage_rate };
 }
 
 /* =========================
@@ -675,13 +863,23 @@ function renderPendingEntriesTable() {
     const payTypeText = e.is_bank ? "Bank" : "Cash";
 
     const tr = document.createElement("tr");
+    if (e._error) {
+      tr.classList.add("table-danger");
+      tr.title = e._error;
+    }
     tr.innerHTML = `
       <td>${index + 1}</td>
       <td data-raw-date="${e.work_date}">${formatDateDMY(e.work_date)}</td>
       <td>${e.job_no1 || "-"}</td>
       <td>${e.job_no2 || "-"}</td>
-      <td>${e.worker_label}</td>
-      <td>${e.job_label}</td>
+      <td>
+        ${e.worker_label}
+        ${e.is_requested ? `<div><span class="badge text-bg-warning">Requested${e.requestFee ? ` +${Number(e.requestFee).toFixed(2)}` : ""}</span></div>` : ""}
+      </td>
+      <td>
+        ${e.job_label}
+        ${e.price_list_label ? `<div class="small text-muted">${e.price_list_label}</div>` : ""}
+      </td>
       <td>${e.amount}</td>
       <td>${payTypeText}</td>
       <td>${Number(e.fees_collected || 0).toFixed(2)}</td>
@@ -689,7 +887,10 @@ function renderPendingEntriesTable() {
       <td data-col="cust_total">${Number(e.customerTotal).toFixed(2)}</td>
       <td data-col="wage_rate">${Number(e.rate).toFixed(2)}</td>
       <td data-col="wage_total">${Number(e.pay).toFixed(2)}</td>
-      <td class="text-muted small">${e.note ? e.note : "-"}</td>
+      <td class="text-muted small">
+        ${e.note ? e.note : "-"}
+        ${e._error ? `<div class="text-danger fw-semibold">${e._error}</div>` : ""}
+      </td>
       <td>
         <button class="btn btn-sm btn-outline-danger"
           data-action="delete-pending"
@@ -757,65 +958,53 @@ window.confirmEntries = async function () {
       return;
     }
 
-    const results = await Promise.allSettled(
-      pendingEntries.map((e) =>
-        fetch("/api/work-entries", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            company_id: companyId,
-            worker_id: e.worker_id,
-            job_code: e.job_code,
-            amount: e.amount,
-            is_bank: e.is_bank ? 1 : 0,
-            note: e.note || null,
-            customer_rate: e.customerRate,
-            customer_total: e.customerTotal,
-            wage_rate: e.rate,
-            wage_total: e.pay,
-            rate: e.rate,
-            pay: e.pay,
-            job_no1: e.job_no1,
-            job_no2: e.job_no2,
-            work_date: e.work_date,
-            fees_collected: e.fees_collected || 0,
-          }),
-        }).then(async (r) => {
-          const data = await r.json().catch(() => ({}));
-          if (!r.ok) throw new Error(data?.error || `HTTP ${r.status}`);
-          if (data?.error) throw new Error(data.error);
-          return data;
-        })
-      )
-    );
-
-    const failed = [];
-    let succeededCount = 0;
-
-    results.forEach((r, idx) => {
-      if (r.status === "fulfilled") succeededCount++;
-      else {
-        failed.push({
-          row: idx + 1,
-          entry: pendingEntries[idx],
-          error: r.reason?.message || String(r.reason),
-        });
-      }
+    // one request, one transaction: either every row is saved or none is
+    pendingEntries.forEach((e) => delete e._error);
+
+    const r = await fetch("/api/work-entries/batch", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        company_id: companyId,
+        entries: pendingEntries.map((e) => ({
+          worker_id: e.worker_id,
+          job_code: e.job_code,
+          price_list_id: e.price_list_id ?? null,
+          amount: e.amount,
+          is_bank: e.is_bank ? 1 : 0,
+          is_requested: e.is_requested ? 1 : 0,
+          note: e.note || null,
+          // server recalculates rates; only custom overrides are sent
+          customer_rate: e.customCustomerRate ?? null,
+          wage_rate: e.customWageRate ?? null,
+          job_no1: e.job_no1,
+          job_no2: e.job_no2,
+          work_date: e.work_date,
+          fees_collected: e.fees_collected || 0,
+          workers: e.workers || null,
+        })),
+      }),
     });
+    const data = await r.json().catch(() => ({}));
 
-    if (!failed.length) {
-      alert(`Entries saved successfully. (${succeededCount})`);
+    if (r.ok) {
+      alert(`Entries saved successfully. (${data.count ?? pendingEntries.length})`);
       pendingEntries = [];
       renderPendingEntriesTable();
       return;
     }
 
-    pendingEntries = failed.map((x) => x.entry);
+    // nothing was saved: keep every row, mark the failing ones so they can be fixed and resubmitted
+    const rowErrors = Array.isArray(data?.errors) ? data.errors : [];
+    rowErrors.forEach((x) => {
+      const e = pendingEntries[x.index];
+      if (e) e._error = (x.errors || []).join(", ");
+    });
     renderPendingEntriesTable();
 
     alert(
-      `Saved ${succeededCount} row(s). ${failed.length} row(s) failed and were kept in Pending:\n\n` +
-        failed.map((x) => `Row ${x.row}: ${x.error}`).join("\n")
+      `${data?.error || `HTTP ${r.status}`}\n\n` +
+        rowErrors.map((x) => `Row ${x.index + 1}: ${(x.errors || []).join(", ")}`).join("\n")
     );
   } finally {
     setSavingUI(false);
@@ -831,7 +1020,9 @@ function clearSingleEntryForm() {
   const workerSelect = $("workerSelect");
   const jobSelect = $("jobCode");
   if (workerSelect) workerSelect.selectedIndex = 0;
+  if ($("splitWorkerSelect")) $("splitWorkerSelect").value = "";
   if (jobSelect) jobSelect.selectedIndex = 0;
+  if ($("priceListSelect")) $("priceListSelect").value = defaultPriceListId();
 
   const useCustomOverride = $("useCustomOverride");
   const customOverrideOptions = $("customOverrideOptions");
@@ -845,6 +1036,9 @@ function clearSingleEntryForm() {
   if (isBankCheckbox) isBankCheckbox.checked = false;
   if (isBankCard) isBankCard.classList.remove("is-selected");
 
+  if ($("isRequested")) $("isRequested").checked = false;
+  if ($("isRequestedCard")) $("isRequestedCard").classList.remove("is-selected");
+
   if ($("feesCollected")) $("feesCollected").value = "";
   if ($("note")) $("note").value = "";
 }
@@ -3,6 +3,7 @@ let wageTiers = [];
 let currentPage = 1;
 const pageSize = 10;
 let jobModal;
+let wageTimeline = []; // [{ tier_id, tier_name, rates: [{ id, wage_rate, valid_from, valid_to }] }] of the job being edited
 
 const companyId = getCurrentCompanyId() || 1;
 
@@ -12,6 +13,10 @@ let selectedJobIds = new Set();
 document.addEventListener("DOMContentLoaded", async () => {
   jobModal = new bootstrap.Modal(document.getElementById("jobModal"));
 
+  document.getElementById("wageEffectiveFrom")?.addEventListener("change", () => {
+    fillWageInputsForDate(document.getElementById("wageEffectiveFrom").value);
+  });
+
   const search = document.getElementById("searchJobCode");
   if (search) {
     search.addEventListener("input", () => {
@@ -109,6 +114,7 @@ function renderTable() {
 
   page.forEach(j => {
     const rates = new Map((j.wage_rates || []).map(r => [r.tier_id, r.wage_rate]));
+    const nextChanges = new Map((j.wage_rates || []).map(r => [r.tier_id, r.next_change]));
     const checked = selectedJobIds.has(Number(j.id)) ? "checked" : "";
 
     tbody.innerHTML += `
@@ -122,7 +128,7 @@ function renderTable() {
         <td>${escapeHtml(j.job_code)}</td>
         <td>${escapeHtml(j.job_type)}</td>
         <td>${Number(j.normal_price || 0).toFixed(2)}</td>
-        ${wageTiers.map(t => `<td>${(rates.get(t.id) != null) ? Number(rates.get(t.id)).toFixed(2) : "-"}</td>`).join("")}
+        ${wageTiers.map(t => renderRateCell(rates.get(t.id), nextChanges.get(t.id))).join("")}
         <td class="text-end">
           <button class="btn btn-sm btn-outline-primary me-2" onclick="editJob(${j.id})">Edit</button>
           <button class="btn btn-sm btn-outline-danger" onclick="deleteJob(${j.id})">Delete</button>
@@ -269,8 +275,91 @@ function updateBulkDeleteButton() {
     : `<i class="bi bi-trash me-1"></i> Delete Selected (${count})`;
 }
 
+function renderRateCell(rate, nextChange) {
+  const text = rate != null ? Number(rate).toFixed(2) : "-";
+  if (!nextChange) return `<td>${text}</td>`;
+
+  const hint = `${Number(nextChange.wage_rate).toFixed(2)} from ${nextChange.valid_from}`;
+  return `<td>${text} <i class="bi bi-clock-history text-primary" title="${escapeHtml(hint)}"></i></td>`;
+}
+
 // -------- modal --------
 
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function rateOnDate(rates, date) {
+  const r = (rates || []).find(x =>
+    (!x.valid_from || x.valid_from <= date) && (!x.valid_to || x.valid_to >= date)
+  );
+  return r ? r.wage_rate : null;
+}
+
+function fillWageInputsForDate(date) {
+  if (!date) return;
+  const byTier = new Map(wageTimeline.map(t => [t.tier_id, t.rates]));
+  document.querySelectorAll(".wage-input").forEach(i => {
+    const rate = rateOnDate(byTier.get(Number(i.dataset.tierId)), date);
+    i.value = rate ?? "";
+  });
+}
+
+function renderWageTimeline(jobId) {
+  const box = document.getElementById("wageTimelineContainer");
+  if (!box) return;
+
+  const dated = wageTimeline.filter(t => t.rates.length > 1);
+  if (!dated.length) {
+    box.innerHTML = `<div class="text-muted">One rate per tier, no changes scheduled.</div>`;
+    return;
+  }
+
+  const today = todayISO();
+  box.innerHTML = dated.map(t => `
+    <div class="mb-2">
+      <div class="fw-semibold">${escapeHtml(t.tier_name)}</div>
+      ${t.rates.map(r => {
+        const future = r.valid_from && r.valid_from > today;
+        const removeBtn = r.valid_from
+          ? `<button type="button" class="btn btn-link btn-sm text-danger p-0 ms-2"
+                     onclick="removeWageStep(${jobId}, ${r.id})">remove</button>`
+          : "";
+        return `
+          <div class="${future ? "text-primary" : ""}">
+            ${r.valid_from || "start"} → ${r.valid_to || "open"}:
+            <span class="fw-semibold">${Number(r.wage_rate).toFixed(2)}</span>
+            ${future ? `<span class="badge text-bg-primary ms-1">scheduled</span>` : ""}
+            ${removeBtn}
+          </div>
+        `;
+      }).join("")}
+    </div>
+  `).join("");
+}
+
+async function loadWageTimeline(jobId) {
+  const res = await fetch(`/api/jobs/${jobId}/wages?companyId=${companyId}`);
+  wageTimeline = res.ok ? await res.json() : [];
+  renderWageTimeline(jobId);
+}
+
+window.removeWageStep = async (jobId, wageId) => {
+  if (!confirm("Remove this rate change? The previous rate will run on until the next change.")) return;
+
+  const res = await fetch(`/api/jobs/${jobId}/wages/${wageId}?companyId=${companyId}`, { method: "DELETE" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data?.error || "Remove failed");
+    return;
+  }
+
+  await loadWageTimeline(jobId);
+  fillWageInputsForDate(document.getElementById("wageEffectiveFrom").value);
+  await loadJobs();
+};
+
 function buildWageInputs(job) {
   const box = document.getElementById("wageRatesContainer");
   const map = new Map(job?.wage_rates?.map(r => [r.tier_id, r.wage_rate]) || []);
@@ -289,7 +378,10 @@ function buildWageInputs(job) {
 window.openCreateJobModal = () => {
   document.getElementById("jobForm").reset();
   document.getElementById("jobId").value = "";
+  wageTimeline = [];
   buildWageInputs(null);
+  document.getElementById("wageEffectiveFromBox").classList.add("d-none");
+  document.getElementById("wageTimelineBox").classList.add("d-none");
   jobModal.show();
 };
 
@@ -303,7 +395,14 @@ window.editJob = id => {
   document.getElementById("normalPrice").value = j.normal_price;
   document.getElementById("isActive").value = j.is_active;
   buildWageInputs(j);
+
+  document.getElementById("wageEffectiveFrom").value = todayISO();
+  document.getElementById("wageEffectiveFromBox").classList.remove("d-none");
+  document.getElementById("wageTimelineBox").classList.remove("d-none");
+  document.getElementById("wageTimelineContainer").innerHTML = `<div class="text-muted">Loading...</div>`;
   jobModal.show();
+
+  loadWageTimeline(j.id);
 };
 
 window.saveJob = async () => {
@@ -322,6 +421,7 @@ window.saveJob = async () => {
     is_active: Number(isActive.value || 1),
     wage_rates,
   };
+  if (id) payload.effective_from = document.getElementById("wageEffectiveFrom").value || todayISO();
 
   const method = id ? "PUT" : "POST";
   const url = id ? `/api/jobs/${id}?companyId=${companyId}` : `/api/jobs`;
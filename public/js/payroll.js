@@ -0,0 +1,323 @@
+// public/js/payroll.js
+// Payroll runs: list, create, adjust, review and finalize (see payrollRunService.js)
+
+let selectedRunId = null;
+let workers = []; // for the adjustment worker picker
+
+const STATUS_BADGES = {
+  DRAFT: "bg-secondary",
+  REVIEWED: "bg-info text-dark",
+  FINALIZED: "bg-success",
+};
+
+function getCurrentCompanyIdSafe() {
+  return typeof getCurrentCompanyId === "function"
+    ? (getCurrentCompanyId() || 1)
+    : 1;
+}
+
+function fmt(n) {
+  return Number(n || 0).toFixed(2);
+}
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function showAlert(message, type = "danger") {
+  const box = document.getElementById("payrollAlert");
+  if (!box) return;
+  box.innerHTML = message
+    ? `<div class="alert alert-${type} alert-dismissible fade show" role="alert">
+        ${escapeHtml(message)}
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+      </div>`
+    : "";
+}
+
+async function api(path, options = {}) {
+  const sep = path.includes("?") ? "&" : "?";
+  const res = await fetch(`/api/payroll-runs${path}${sep}companyId=${getCurrentCompanyIdSafe()}`, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (window.companyReady) await window.companyReady;
+
+  const monthInput = document.getElementById("newRunMonth");
+  if (monthInput) {
+    // default: last month, the one usually being paid
+    const d = new Date();
+    d.setDate(1);
+    d.setMonth(d.getMonth() - 1);
+    monthInput.value = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  }
+
+  document.getElementById("createRunBtn")?.addEventListener("click", createRun);
+  document.getElementById("addAdjustmentBtn")?.addEventListener("click", addAdjustment);
+
+  loadWorkers();
+  loadRuns();
+});
+
+async function loadWorkers() {
+  try {
+    const res = await fetch(`/api/workers?companyId=${getCurrentCompanyIdSafe()}`);
+    const rows = await res.json();
+    workers = (Array.isArray(rows) ? rows : []).filter(w => Number(w.is_active) === 1);
+
+    const sel = document.getElementById("adjWorker");
+    if (sel) {
+      sel.innerHTML = workers
+        .map(w => `<option value="${w.id}">${escapeHtml(w.worker_code)} - ${escapeHtml(w.worker_name || w.worker_english_name || "")}</option>`)
+        .join("");
+    }
+  } catch (e) {
+    console.error("loadWorkers failed:", e);
+  }
+}
+
+/* -----------------------------
+   Runs list
+------------------------------ */
+async function loadRuns() {
+  const body = document.getElementById("runsBody");
+
+  try {
+    const runs = await api("");
+
+    if (!runs.length) {
+      body.innerHTML = `<tr><td colspan="9" class="text-center text-muted py-4">No payroll runs yet.</td></tr>`;
+      return;
+    }
+
+    body.innerHTML = runs.map(r => `
+      <tr class="${r.id === selectedRunId ? "table-active" : ""}">
+        <td class="fw-semibold">${escapeHtml(r.period_month)}</td>
+        <td><span class="badge ${STATUS_BADGES[r.status] || "bg-secondary"}">${r.status}</span></td>
+        <td class="text-end">${r.workers}</td>
+        <td class="text-end">${fmt(r.gross)}</td>
+        <td class="text-end">${fmt(r.adjustments)}</td>
+        <td class="text-end fw-semibold">${fmt(Number(r.gross) + Number(r.adjustments))}</td>
+        <td>${r.corrections ? `<span class="badge bg-warning text-dark">${r.corrections}</span>` : "-"}</td>
+        <td class="small">${escapeHtml(r.created_by_username || "-")}</td>
+        <td class="text-end">
+          <button class="btn btn-sm btn-outline-primary" onclick="openRun(${r.id})">Open</button>
+        </td>
+      </tr>`).join("");
+  } catch (e) {
+    body.innerHTML = `<tr><td colspan="9" class="text-center text-danger py-4">${escapeHtml(e.message)}</td></tr>`;
+  }
+}
+
+async function createRun() {
+  const month = document.getElementById("newRunMonth")?.value || "";
+  const note = document.getElementById("newRunNote")?.value || "";
+
+  try {
+    const { id } = await api("", { method: "POST", body: JSON.stringify({ month, note }) });
+    document.getElementById("newRunNote").value = "";
+    showAlert(`Draft run for ${month} created.`, "success");
+    await loadRuns();
+    openRun(id);
+  } catch (e) {
+    showAlert(e.message || "Failed to create the run.");
+  }
+}
+
+/* -----------------------------
+   Selected run
+------------------------------ */
+window.openRun = async function (id) {
+  selectedRunId = id;
+  const card = document.getElementById("runCard");
+
+  try {
+    const data = await api(`/${id}`);
+    renderRun(data);
+    card.classList.remove("d-none");
+    loadRuns();
+  } catch (e) {
+    showAlert(e.message || "Failed to load the run.");
+  }
+};
+
+function renderRun({ run, lines, adjustments, totals, corrections, drift }) {
+  const isDraft = run.status === "DRAFT";
+  const canManage = window.CAN_MANAGE_PAYROLL === true;
+
+  document.getElementById("runTitle").innerHTML =
+    `${escapeHtml(run.period_month)} <span class="badge ${STATUS_BADGES[run.status] || "bg-secondary"} ms-1">${run.status}</span>`;
+
+  const meta = [`Created by ${escapeHtml(run.created_by_username || "-")} on ${escapeHtml(run.created_at || "")}`];
+  if (run.pulled_at && isDraft) meta.push(`entries pulled ${escapeHtml(run.pulled_at)}`);
+  if (run.reviewed_at) meta.push(`reviewed by ${escapeHtml(run.reviewed_by_username || "-")} on ${escapeHtml(run.reviewed_at)}`);
+  if (run.finalized_at) meta.push(`finalized by ${escapeHtml(run.finalized_by_username || "-")} on ${escapeHtml(run.finalized_at)}`);
+  if (run.note) meta.push(escapeHtml(run.note));
+  document.getElementById("runMeta").innerHTML = meta.join(" · ");
+
+  // actions allowed in this state
+  const actions = [];
+  if (canManage && isDraft) {
+    actions.push(`<button class="btn btn-sm btn-outline-secondary" onclick="runAction('refresh')"><i class="bi bi-arrow-clockwise me-1"></i>Refresh</button>`);
+    actions.push(`<button class="btn btn-sm btn-primary" onclick="runAction('review')"><i class="bi bi-check2 me-1"></i>Mark Reviewed</button>`);
+    actions.push(`<button class="btn btn-sm btn-outline-danger" onclick="deleteRun()"><i class="bi bi-trash me-1"></i>Delete</button>`);
+  }
+  if (canManage && run.status === "REVIEWED") {
+    actions.push(`<button class="btn btn-sm btn-outline-secondary" onclick="runAction('reopen')"><i class="bi bi-arrow-counterclockwise me-1"></i>Back to Draft</button>`);
+  }
+  if (window.CAN_FINALIZE_PAYROLL === true && run.status === "REVIEWED") {
+    actions.push(`<button class="btn btn-sm btn-success" onclick="finalizeRun()"><i class="bi bi-lock me-1"></i>Finalize</button>`);
+  }
+  document.getElementById("runActions").innerHTML = actions.join("");
+
+  // live figures that moved away from the run's lines
+  document.getElementById("runDrift").innerHTML = drift.length
+    ? `<div class="alert alert-warning small">
+        <div class="fw-semibold mb-1">
+          ${run.status === "FINALIZED"
+            ? "Entries changed after this run was finalized. The run keeps what was paid; settle the difference in a later run."
+            : "Entries changed since the review. Send the run back to draft to pull them again."}
+        </div>
+        ${drift.map(d => `${escapeHtml(d.worker_code)}: paid ${fmt(d.paid)}, now ${fmt(d.owed)} (${d.difference > 0 ? "+" : ""}${fmt(d.difference)})`).join("<br>")}
+      </div>`
+    : "";
+
+  document.getElementById("runLinesBody").innerHTML = lines.length
+    ? lines.map(l => `
+      <tr>
+        <td>${escapeHtml(l.worker_code)} <span class="text-muted small">${escapeHtml(l.worker_name || "")}</span></td>
+        <td class="text-end">${l.entries}</td>
+        <td class="text-end">${fmt(l.hours)}</td>
+        <td class="text-end">${fmt(l.customer_total)}</td>
+        <td class="text-end">${fmt(l.commission)}</td>
+        <td class="text-end">${fmt(l.request_bonus)}</td>
+        <td class="text-end">${fmt(l.top_up)}</td>
+        <td class="text-end">${fmt(l.adjustments)}</td>
+        <td class="text-end fw-semibold">${fmt(l.net_pay)}</td>
+      </tr>`).join("")
+    : `<tr><td colspan="9" class="text-center text-muted py-3">No entries in this month.</td></tr>`;
+
+  document.getElementById("runLinesFoot").innerHTML = `
+    <tr>
+      <td>Total (${totals.workers})</td>
+      <td></td>
+      <td class="text-end">${fmt(totals.hours)}</td>
+      <td class="text-end">${fmt(totals.customer_total)}</td>
+      <td class="text-end">${fmt(totals.commission)}</td>
+      <td class="text-end">${fmt(totals.request_bonus)}</td>
+      <td class="text-end">${fmt(totals.top_up)}</td>
+      <td class="text-end">${fmt(totals.adjustments)}</td>
+      <td class="text-end">${fmt(totals.net_pay)}</td>
+    </tr>`;
+
+  document.getElementById("adjustmentForm").classList.toggle("d-none", !(canManage && isDraft));
+
+  document.getElementById("runAdjustments").innerHTML = adjustments.length
+    ? `<table class="table table-sm align-middle">
+        <thead class="table-light small text-uppercase">
+          <tr><th>Worker</th><th class="text-end">Amount</th><th>Reason</th><th>Added By</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${adjustments.map(a => `
+            <tr>
+              <td>${escapeHtml(a.worker_code || `#${a.worker_id}`)}</td>
+              <td class="text-end ${a.amount < 0 ? "text-danger" : "text-success"}">${fmt(a.amount)}</td>
+              <td>${escapeHtml(a.reason)}</td>
+              <td class="small">${escapeHtml(a.created_by_username || "-")}</td>
+              <td class="text-end">
+                ${canManage && isDraft
+                  ? `<button class="btn btn-sm btn-outline-danger" onclick="deleteAdjustment(${a.id})">Remove</button>`
+                  : ""}
+              </td>
+            </tr>`).join("")}
+        </tbody>
+      </table>`
+    : `<div class="text-muted fst-italic small">No adjustments.</div>`;
+
+  document.getElementById("runCorrections").innerHTML = corrections.length
+    ? `<table class="table table-sm align-middle">
+        <thead class="table-light small text-uppercase">
+          <tr><th>When</th><th>By</th><th>Action</th><th>Entry</th><th class="text-end">Wage Before</th><th class="text-end">Wage After</th></tr>
+        </thead>
+        <tbody>
+          ${corrections.map(c => `
+            <tr>
+              <td class="small">${escapeHtml(c.changed_at)}</td>
+              <td class="small">${escapeHtml(c.changed_by_username || "-")}</td>
+              <td><span class="badge bg-warning text-dark">${c.action}</span></td>
+              <td>${escapeHtml(c.job_no1 || `#${c.work_entry_id}`)} <span class="text-muted small">${escapeHtml(c.work_date || "")}</span></td>
+              <td class="text-end">${fmt(c.wage_before)}</td>
+              <td class="text-end">${fmt(c.wage_after)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>`
+    : `<div class="text-muted fst-italic small">${run.status === "FINALIZED" ? "No entries changed since this run was finalized." : "Entry changes are tracked once the run is finalized."}</div>`;
+}
+
+window.runAction = async function (action) {
+  try {
+    await api(`/${selectedRunId}/${action}`, { method: "POST" });
+    showAlert("");
+    openRun(selectedRunId);
+  } catch (e) {
+    showAlert(e.message || "Action failed.");
+  }
+};
+
+window.finalizeRun = async function () {
+  if (!confirm("Finalize this payroll run? Its figures are frozen and can no longer be changed.")) return;
+  await runAction("finalize");
+};
+
+window.deleteRun = async function () {
+  if (!confirm("Delete this draft run and its adjustments?")) return;
+
+  try {
+    await api(`/${selectedRunId}`, { method: "DELETE" });
+    selectedRunId = null;
+    document.getElementById("runCard").classList.add("d-none");
+    loadRuns();
+  } catch (e) {
+    showAlert(e.message || "Failed to delete the run.");
+  }
+};
+
+async function addAdjustment() {
+  const body = {
+    worker_id: document.getElementById("adjWorker")?.value,
+    amount: document.getElementById("adjAmount")?.value,
+    reason: document.getElementById("adjReason")?.value,
+  };
+
+  try {
+    await api(`/${selectedRunId}/adjustments`, { method: "POST", body: JSON.stringify(body) });
+    document.getElementById("adjAmount").value = "";
+    document.getElementById("adjReason").value = "";
+    showAlert("");
+    openRun(selectedRunId);
+  } catch (e) {
+    showAlert(e.message || "Failed to add the adjustment.");
+  }
+}
+
+window.deleteAdjustment = async function (adjustmentId) {
+  if (!confirm("Remove this adjustment?")) return;
+
+  try {
+    await api(`/${selectedRunId}/adjustments/${adjustmentId}`, { method: "DELETE" });
+    openRun(selectedRunId);
+  } catch (e) {
+    showAlert(e.message || "Failed to remove the adjustment.");
+  }
+};
@@ -0,0 +1,141 @@
+// public/js/records-import.js
+// CSV / XLSX day sheet import on the Records page.
+// The file is read in the browser (SheetJS) and the rows are posted as JSON;
+// the server validates, calculates and (after a clean dry run) inserts them.
+
+let importRows = null;       // rows of the last checked file
+let importCheckedOk = false; // last dry run had no failures
+
+async function readImportFile(file) {
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type: "array" });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  // raw: true keeps Excel dates as serial numbers; the server converts them
+  return XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true });
+}
+
+async function postImport(dryRun) {
+  const companyId = getCurrentCompanyIdSafe();
+  const res = await fetch(`/api/work-entries/import?companyId=${companyId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ dry_run: dryRun, rows: importRows }),
+  });
+  const data = await res.json().catch(() => ({}));
+  return { ok: res.ok, data };
+}
+
+function renderImportReport(data) {
+  const summaryEl = document.getElementById("importSummary");
+  const table = document.getElementById("importReportTable");
+  const tbody = document.getElementById("importReportBody");
+  const s = data.summary;
+
+  if (!s) {
+    summaryEl.innerHTML = `<div class="alert alert-danger mb-0">${escapeHtml(data.error || "Import failed.")}</div>`;
+    table.classList.add("d-none");
+    return;
+  }
+
+  const cls = s.failed ? "alert-warning" : "alert-success";
+  const title = data.error
+    ? escapeHtml(data.error)
+    : data.dry_run
+      ? (s.failed ? "Fix the failed rows and check the file again. Nothing has been saved." : "All rows are valid. Click Import to save them.")
+      : escapeHtml(data.message || "Imported.");
+
+  summaryEl.innerHTML = `
+    <div class="alert ${cls} mb-0">
+      <strong>${title}</strong>
+      <div class="small">Rows: ${s.total} • OK: ${s.ok} • Failed: ${s.failed}</div>
+    </div>`;
+
+  tbody.innerHTML = (data.report || []).map(r => `
+    <tr class="${r.status === "ok" ? "" : "table-danger"}">
+      <td>${r.row_no}</td>
+      <td>${r.status === "ok" ? `<span class="badge bg-success">OK</span>` : `<span class="badge bg-danger">Fail</span>`}</td>
+      <td>${escapeHtml(r.work_date || "-")}</td>
+      <td>${escapeHtml(r.job_no1 || "-")}</td>
+      <td>${escapeHtml(r.worker_code || "-")}</td>
+      <td>${escapeHtml(r.job_code || "-")}</td>
+      <td class="text-end">${escapeHtml(r.amount || "-")}</td>
+      <td class="text-end" data-col="cust_total">${r.customer_total != null ? fmt2(r.customer_total) : "-"}</td>
+      <td class="text-end" data-col="wage_total">${r.wage_total != null ? fmt2(r.wage_total) : "-"}</td>
+      <td class="small text-danger">${(r.errors || []).map(escapeHtml).join("<br>")}</td>
+    </tr>`).join("");
+
+  table.classList.remove("d-none");
+
+  // same rule as the records table: rate columns only for rate editors
+  const showRates = canSeeRates();
+  table.querySelectorAll('[data-col="cust_total"], [data-col="wage_total"]').forEach(el => {
+    el.style.display = showRates ? "" : "none";
+  });
+}
+
+async function checkImportFile() {
+  const file = document.getElementById("importFile")?.files?.[0];
+  const btn = document.getElementById("importDryRunBtn");
+  const commitBtn = document.getElementById("importCommitBtn");
+
+  importCheckedOk = false;
+  commitBtn.disabled = true;
+  if (!file) return alert("Choose a CSV or XLSX file first.");
+
+  btn.disabled = true;
+  try {
+    importRows = await readImportFile(file);
+    const { data } = await postImport(true);
+    renderImportReport(data);
+    importCheckedOk = !!data.summary && data.summary.failed === 0 && data.summary.ok > 0;
+    commitBtn.disabled = !importCheckedOk;
+    commitBtn.textContent = importCheckedOk ? `Import ${data.summary.ok} row(s)` : "Import";
+  } catch (e) {
+    console.error(e);
+    renderImportReport({ error: e.message || "Could not read the file." });
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function commitImport() {
+  if (!importCheckedOk || !importRows) return;
+  if (!confirm("Save all rows from this file?")) return;
+
+  const commitBtn = document.getElementById("importCommitBtn");
+  commitBtn.disabled = true;
+
+  try {
+    const { ok, data } = await postImport(false);
+    renderImportReport(data);
+    if (ok) {
+      importRows = null;
+      importCheckedOk = false;
+      commitBtn.textContent = "Import";
+      document.getElementById("importFile").value = "";
+      loadRecords();
+    } else {
+      commitBtn.disabled = false;
+    }
+  } catch (e) {
+    console.error(e);
+    alert(e.message || "Import failed.");
+    commitBtn.disabled = false;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("importDryRunBtn")?.addEventListener("click", checkImportFile);
+  document.getElementById("importCommitBtn")?.addEventListener("click", commitImport);
+
+  // a new file must be checked again before it can be imported
+  document.getElementById("importFile")?.addEventListener("change", () => {
+    importRows = null;
+    importCheckedOk = false;
+    const commitBtn = document.getElementById("importCommitBtn");
+    commitBtn.disabled = true;
+    commitBtn.textContent = "Import";
+    document.getElementById("importSummary").innerHTML = "";
+    document.getElementById("importReportTable").classList.add("d-none");
+  });
+});
@@ -1,12 +1,15 @@
-let recordsCache = [];
-let filteredRecords = [];
+let recordsCache = [];   // rows of the current page (server-side paging)
+let recordsTotal = 0;
+let recordsTotals = { fees_collected: 0, customer_total: 0, wage_total: 0 };
 let recordsPage = 1;
 let recordsPageSize = 10;
-let recordsFilterActive = false;
+let recordsSort = { sort: "date", dir: "desc" };
+let recordsFilterTimer = null;
 let jobsCache = [];      // [{id, job_code, job_type, customer_rate}]
 let tiersCache = [];     // [{id, tier_name, wage_rate}]
 
 let workersCache = [];
+let editSplitLines = [];  // [{worker_id, hours}] of the bill being edited ([] = not split)
 
 async function loadWorkersForCompany(companyId) {
   const res = await fetch(`/api/workers?companyId=${companyId}`);
@@ -127,22 +130,52 @@ function fmt2(v) {
   return Number.isFinite(n) ? n.toFixed(2) : "-";
 }
 
+function getRecordFilterParams() {
+  const val = (id) => (document.getElementById(id)?.value || "").trim();
+
+  const params = new URLSearchParams({
+    companyId: getCurrentCompanyIdSafe(),
+    page: recordsPage,
+    pageSize: recordsPageSize,
+    sort: recordsSort.sort,
+    dir: recordsSort.dir,
+  });
+
+  const filters = {
+    dateFrom: val("filterDateFrom"),
+    dateTo: val("filterDateTo"),
+    jobNo: val("filterJobNo"),
+    worker: val("filterWorker"),
+    job: val("filterJob"),
+    note: val("filterNote"),
+    payType: val("filterPayType"),
+    status: val("filterStatus"),
+  };
+  Object.entries(filters).forEach(([k, v]) => {
+    if (v) params.set(k, v);
+  });
+
+  return params;
+}
+
 function loadRecords() {
-  const companyId = getCurrentCompanyIdSafe();
   jobsCache = []; // so dropdown reloads jobs for the new company
   tiersCache = [];
   workersCache = [];
 
-  fetch(`/api/work-entries?companyId=${companyId}`)
-    .then(res => res.json())
-    .then(entries => {
-      recordsCache = entries || [];
-      filteredRecords = [];
-      recordsPage = 1;
+  fetch(`/api/work-entries?${getRecordFilterParams()}`)
+    .then(async res => {
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      return data;
+    })
+    .then(data => {
+      recordsCache = data.rows || [];
+      recordsTotal = Number(data.total || 0);
+      recordsTotals = data.totals || { fees_collected: 0, customer_total: 0, wage_total: 0 };
+      recordsPage = Number(data.page || 1);
 
-      // keep current filters if active, otherwise show all
-      if (recordsFilterActive) applyRecordFilters();
-      else renderRecordsTable();
+      renderRecordsTable();
 
       // rebind checkbox listeners
       document.querySelectorAll(".record-select").forEach(cb => {
@@ -195,7 +228,7 @@ function buildTierOptions(selectEl, tiers, selectedTierId) {
 
 
 function getVisibleRecords() {
-  return recordsFilterActive ? filteredRecords : recordsCache;
+  return recordsCache;
 }
 
 function renderRecordsTable() {
@@ -204,26 +237,18 @@ function renderRecordsTable() {
   const customerTotalCell = document.getElementById("recordsGrandTotalCustomer");
   const feesTotalCell = document.getElementById("recordsGrandTotalFees");
 
-  const data = getVisibleRecords();
-  const total = data.length;
-  let grandFees = 0;
+  // the server already filtered, sorted and paged; totals cover all matching rows
+  const pageItems = getVisibleRecords();
+  const total = recordsTotal;
 
   const totalPages = Math.max(1, Math.ceil(total / recordsPageSize));
-  if (recordsPage > totalPages) recordsPage = totalPages;
-
   const start = (recordsPage - 1) * recordsPageSize;
-  const pageItems = data.slice(start, start + recordsPageSize);
 
   tbody.innerHTML = "";
 
-  let grandWage = 0;
-  let grandCustomer = 0;
-
-  data.forEach(e => {
-    grandFees += Number(e.fees_collected ?? 0) || 0;
-    grandWage += Number(e.wage_total ?? e.pay ?? 0) || 0;
-    grandCustomer += Number(e.customer_total ?? 0) || 0;
-  });
+  const grandFees = Number(recordsTotals.fees_collected || 0);
+  const grandWage = Number(recordsTotals.wage_total || 0);
+  const grandCustomer = Number(recordsTotals.customer_total || 0);
 
   if (!pageItems.length) {
     tbody.innerHTML = `
@@ -246,16 +271,24 @@ function renderRecordsTable() {
   }
 
   pageItems.forEach((e, idx) => {
+    const isVoided = !!e.voided_at;
     const tr = document.createElement("tr");
+    if (isVoided) {
+      tr.classList.add("table-secondary", "text-muted");
+      tr.title = `Voided ${e.voided_at}${e.voided_by_username ? " by " + e.voided_by_username : ""}`;
+    }
     tr.innerHTML = `
       <td class="text-center">
-        <input type="checkbox" class="record-select" value="${e.id}" ${window.CAN_DELETE_ENTRY ? "" : "disabled"}>
+        <input type="checkbox" class="record-select" value="${e.id}" ${window.CAN_VOID_ENTRY && !isVoided ? "" : "disabled"}>
       </td>
       <td>${start + idx + 1}</td>
       <td>${formatDateDMY(e.work_date)}</td>
       <td>${e.job_no1 || "-"}</td>
       <td>${e.job_no2 || "-"}</td>
-      <td>${(e.worker_code || e.worker_name) ? `${e.worker_code || ""}${e.worker_name ? " - " + e.worker_name : ""}` : "-"}</td>
+      <td>${e.split_workers
+        ? `${escapeHtml(e.split_workers)} <span class="badge bg-info text-dark">Split</span>`
+        : (e.worker_code || e.worker_name) ? `${e.worker_code || ""}${e.worker_name ? " - " + e.worker_name : ""}` : "-"}
+        ${Number(e.is_requested) === 1 ? `<span class="badge bg-warning text-dark">Requested</span>` : ""}</td>
       <td>${e.job_code ? (e.job_type ? `${e.job_code} – ${e.job_type}` : e.job_code) : "-"}</td>
       <td class="text-end">${Number(e.amount || 0).toFixed(1)}</td>
       <td class="text-end">${Number(e.fees_collected || 0).toFixed(2)}</td>
@@ -266,10 +299,17 @@ function renderRecordsTable() {
       <td class="text-end" data-col="wage_rate">${Number(e.wage_rate || 0).toFixed(2)}</td>
       <td class="text-end" data-col="wage_total">${Number(e.wage_total || 0).toFixed(2)}</td>
 
-      <td>${(e.note || "").trim() ? escapeHtml(e.note.trim()) : "-"}</td>
+      <td>
+        ${(e.note || "").trim() ? escapeHtml(e.note.trim()) : "-"}
+        ${isVoided ? `<div class="small text-danger"><span class="badge bg-danger me-1">VOID</span>${escapeHtml(e.void_reason || "")}</div>` : ""}
+      </td>
       <td class="text-end">
-        ${(window.CAN_EDIT_ENTRY === true) ? `<button class="btn btn-sm btn-outline-primary me-2" onclick="openEditEntry(${e.id})">Edit</button>` : ""}
-        ${(window.CAN_DELETE_ENTRY === true) ? `<button class="btn btn-sm btn-outline-danger" onclick="deleteSingleRecord(${e.id})">Delete</button>` : ""}
+        ${isVoided
+          ? ((window.CAN_RESTORE_ENTRY === true) ? `<button class="btn btn-sm btn-outline-success" onclick="restoreSingleRecord(${e.id})">Restore</button>` : "")
+          : `
+            ${(window.CAN_EDIT_ENTRY === true) ? `<button class="btn btn-sm btn-outline-primary me-2" onclick="openEditEntry(${e.id})">Edit</button>` : ""}
+            ${(window.CAN_VOID_ENTRY === true) ? `<button class="btn btn-sm btn-outline-danger" onclick="voidSingleRecord(${e.id})">Void</button>` : ""}
+          `}
       </td>
     `;
     tbody.appendChild(tr);
@@ -328,7 +368,7 @@ function renderRecordsPaginationSingle(elementId, totalPages) {
   prevLi.addEventListener("click", () => {
     if (recordsPage > 1) {
       recordsPage--;
-      renderRecordsTable();
+      loadRecords();
     }
   });
   ul.appendChild(prevLi);
@@ -340,7 +380,7 @@ function renderRecordsPaginationSingle(elementId, totalPages) {
     li.innerHTML = `<button class="page-link">${i}</button>`;
     li.addEventListener("click", () => {
       recordsPage = i;
-      renderRecordsTable();
+      loadRecords();
     });
     ul.appendChild(li);
   }
@@ -352,7 +392,7 @@ function renderRecordsPaginationSingle(elementId, totalPages) {
   nextLi.addEventListener("click", () => {
     if (recordsPage < totalPages) {
       recordsPage++;
-      renderRecordsTable();
+      loadRecords();
     }
   });
   ul.appendChild(nextLi);
@@ -366,7 +406,7 @@ function getSelectedRecordIds() {
 
 function syncHeaderCheckbox() {
   const headerCb = document.getElementById("selectAllRecords");
-  const deleteBtn = document.getElementById("deleteSelectedBtn");
+  const deleteBtn = document.getElementById("voidSelectedBtn");
   const checkboxes = document.querySelectorAll(".record-select:not(:disabled)");
   const checked = document.querySelectorAll(".record-select:not(:disabled):checked");
 
@@ -394,112 +434,80 @@ function syncHeaderCheckbox() {
   deleteBtn.disabled = checked.length === 0;
 }
 
-async function deleteSelectedRecords() {
-  const ids = getSelectedRecordIds();
+function askVoidReason(label) {
+  const reason = prompt(`Reason for voiding ${label}:`);
+  if (reason == null) return null; // cancelled
+  if (!reason.trim()) {
+    alert("A reason is required to void an entry.");
+    return null;
+  }
+  return reason.trim();
+}
+
+async function postVoid(id, reason) {
   const companyId = getCurrentCompanyIdSafe();
+  const res = await fetch(`/api/work-entries/${id}/void?companyId=${companyId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ reason }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
 
-  if (window.CAN_DELETE_ENTRY !== true) {
-    alert("No permission to delete records.");
+async function voidSelectedRecords() {
+  const ids = getSelectedRecordIds();
+
+  if (window.CAN_VOID_ENTRY !== true) {
+    alert("No permission to void records.");
     return;
   }
 
-
   if (!ids.length) return;
 
-  if (!confirm(`Delete ${ids.length} selected entr${ids.length > 1 ? "ies" : "y"}?`)) return;
+  const reason = askVoidReason(`${ids.length} selected entr${ids.length > 1 ? "ies" : "y"}`);
+  if (!reason) return;
 
-  try {
-    await Promise.all(
-      ids.map(id =>
-        fetch(`/api/work-entries/${id}?companyId=${companyId}`, { method: "DELETE" })
-      )
+  const results = await Promise.allSettled(ids.map(id => postVoid(id, reason)));
+  const failed = results
+    .map((r, i) => ({ id: ids[i], r }))
+    .filter(x => x.r.status === "rejected");
+
+  loadRecords();
+
+  if (failed.length) {
+    alert(
+      `${failed.length} entr${failed.length > 1 ? "ies" : "y"} could not be voided:\n\n` +
+        failed.map(x => `#${x.id}: ${x.r.reason?.message || x.r.reason}`).join("\n")
     );
-    loadRecords();
-  } catch (err) {
-    console.error(err);
-    alert("Error deleting selected records.");
   }
 }
 
-function sortRecords(type) {
-  const data = getVisibleRecords();
-
-  data.sort((a, b) => {
-    const da = a.work_date || "";
-    const db = b.work_date || "";
-
-    const jobA = `${a.job_code || ""} ${a.job_type || ""}`.trim();
-    const jobB = `${b.job_code || ""} ${b.job_type || ""}`.trim();
-
-    const wageA = Number(a.wage_total ?? a.pay ?? 0) || 0;
-    const wageB = Number(b.wage_total ?? b.pay ?? 0) || 0;
-
-    const custA = Number(a.customer_total ?? 0) || 0;
-    const custB = Number(b.customer_total ?? 0) || 0;
-
-    switch (type) {
-      case "date_asc": return da.localeCompare(db);
-      case "date_desc": return db.localeCompare(da);
-
-      case "job_asc": return jobA.localeCompare(jobB);
-      case "job_desc": return jobB.localeCompare(jobA);
-
-      // updated keys to match dropdown
-      case "wage_asc": return wageA - wageB;
-      case "wage_desc": return wageB - wageA;
-
-      case "customer_asc": return custA - custB;
-      case "customer_desc": return custB - custA;
-
-      default: return 0;
-    }
-  });
-
-  if (recordsFilterActive) filteredRecords = data;
-  else recordsCache = data;
+const RECORD_SORTS = {
+  date_asc: { sort: "date", dir: "asc" },
+  date_desc: { sort: "date", dir: "desc" },
+  job_asc: { sort: "job", dir: "asc" },
+  job_desc: { sort: "job", dir: "desc" },
+  wage_asc: { sort: "wage_total", dir: "asc" },
+  wage_desc: { sort: "wage_total", dir: "desc" },
+  customer_asc: { sort: "customer_total", dir: "asc" },
+  customer_desc: { sort: "customer_total", dir: "desc" },
+};
 
-  renderRecordsTable();
+function sortRecords(type) {
+  recordsSort = RECORD_SORTS[type] || RECORD_SORTS.date_desc;
+  recordsPage = 1;
+  loadRecords();
 }
 
 function applyRecordFilters() {
-  const dateFrom = document.getElementById("filterDateFrom")?.value || "";
-  const dateTo = document.getElementById("filterDateTo")?.value || "";
-  const jobNoVal = (document.getElementById("filterJobNo")?.value || "").toLowerCase().trim();
-  const workerVal = (document.getElementById("filterWorker")?.value || "").toLowerCase().trim();
-  const jobVal = (document.getElementById("filterJob")?.value || "").toLowerCase().trim();
-  const noteVal = (document.getElementById("filterNote")?.value || "").toLowerCase().trim();
-
-  // active if any filter has value
-  recordsFilterActive = !!(dateFrom || dateTo || jobNoVal || workerVal || jobVal || noteVal);
-
-  filteredRecords = recordsCache.filter(e => {
-    const dateText = (e.work_date || "").trim();
-    const jobNo1Text = (e.job_no1 || "").toLowerCase();
-    const jobNo2Text = (e.job_no2 || "").toLowerCase();
-
-    const workerText = `${e.worker_code || ""} ${e.worker_name || ""}`.toLowerCase();
-    const jobText = `${e.job_code || ""} ${e.job_type || ""}`.toLowerCase();
-    const noteText = (e.note || "").toLowerCase();
-
-    if (dateFrom && dateText && dateText < dateFrom) return false;
-    if (dateTo && dateText && dateText > dateTo) return false;
-
-    if (jobNoVal && !(jobNo1Text.includes(jobNoVal) || jobNo2Text.includes(jobNoVal))) return false;
-
-    if (workerVal) {
-      const exact = workerVal.startsWith("=");
-      const needle = exact ? workerVal.slice(1) : workerVal;
-      if (exact ? workerText.trim() !== needle : !workerText.includes(needle)) return false;
-    }
-
-    if (jobVal && !jobText.includes(jobVal)) return false;
-    if (noteVal && !noteText.includes(noteVal)) return false;
-
-    return true;
-  });
-
-  recordsPage = 1;
-  renderRecordsTable();
+  // typing fires many input events; only hit the server once it settles
+  clearTimeout(recordsFilterTimer);
+  recordsFilterTimer = setTimeout(() => {
+    recordsPage = 1;
+    loadRecords();
+  }, 300);
 }
 
 // very small helper so note doesn't break HTML
@@ -518,17 +526,23 @@ document.addEventListener("DOMContentLoaded", () => {
   applyRatesFieldsVisibility();
 
   document.getElementById("saveEditEntryBtn")?.addEventListener("click", saveEditEntry);
+  document.getElementById("editAddSplitWorkerBtn")?.addEventListener("click", addSplitWorkerLine);
+  bindSplitWorkerInputs();
+  document.getElementById("editEntryHistoryTab")?.addEventListener("shown.bs.tab", () => {
+    const id = document.getElementById("editEntryId")?.value;
+    if (id) loadEntryHistory(id);
+  });
   const pageSizeEl = document.getElementById("recordsPageSize");
   if (pageSizeEl) {
     recordsPageSize = parseInt(pageSizeEl.value, 10) || 10;
     pageSizeEl.addEventListener("change", () => {
       recordsPageSize = parseInt(pageSizeEl.value, 10) || 10;
       recordsPage = 1;
-      renderRecordsTable();
+      loadRecords();
     });
   }
 
-  ["filterDateFrom", "filterDateTo", "filterJobNo", "filterWorker", "filterJob", "filterNote"]
+  ["filterDateFrom", "filterDateTo", "filterJobNo", "filterWorker", "filterJob", "filterNote", "filterPayType", "filterStatus"]
     .forEach(id => {
       const el = document.getElementById(id);
       if (el) el.addEventListener("input", applyRecordFilters);
@@ -537,15 +551,15 @@ document.addEventListener("DOMContentLoaded", () => {
   // Select all
   document.getElementById("selectAllRecords")?.addEventListener("change", function () {
     const checked = this.checked;
-    document.querySelectorAll(".record-select").forEach(cb => {
+    document.querySelectorAll(".record-select:not(:disabled)").forEach(cb => {
       cb.checked = checked;
     });
     syncHeaderCheckbox();
   });
 
-  // If no delete permission, lock delete UI
-  if (window.CAN_DELETE_ENTRY !== true) {
-    const delBtn = document.getElementById("deleteSelectedBtn");
+  // If no void permission, lock void UI
+  if (window.CAN_VOID_ENTRY !== true) {
+    const delBtn = document.getElementById("voidSelectedBtn");
     if (delBtn) delBtn.disabled = true;
 
     const headerCb = document.getElementById("selectAllRecords");
@@ -553,8 +567,8 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
 
-  // Mass delete
-  document.getElementById("deleteSelectedBtn")?.addEventListener("click", deleteSelectedRecords);
+  // Mass void
+  document.getElementById("voidSelectedBtn")?.addEventListener("click", voidSelectedRecords);
 
   // Sort menu
   document.querySelectorAll(".sort-option").forEach(item => {
@@ -597,6 +611,7 @@ window.openEditEntry = async function (id) {
   document.getElementById("editJobNo2").value = rec.job_no2 || "";
   document.getElementById("editAmount").value = rec.amount ?? "";
   document.getElementById("editIsBank").value = Number(rec.is_bank) === 1 ? "1" : "0";
+  document.getElementById("editIsRequested").value = Number(rec.is_requested) === 1 ? "1" : "0";
   document.getElementById("editNote").value = rec.note || "";
 
   try {
@@ -662,30 +677,225 @@ window.openEditEntry = async function (id) {
     return alert("Failed to load jobs / wage tiers.");
   }
 
+  try {
+    await loadSplitWorkers(rec.id);
+  } catch (e) {
+    return alert(e.message || "Failed to load split workers.");
+  }
+
   const hint = document.getElementById("editEntryHint");
-  if (hint) hint.textContent = `Editing #${rec.id} (${rec.job_code || ""}) • ${rec.worker_code || ""}`;
+  if (hint) hint.textContent = `Editing #${rec.id} (${rec.job_code || ""}) • ${rec.split_workers || rec.worker_code || ""}`;
+
+  // always open on Details; History loads when its tab is shown
+  const detailsTab = document.getElementById("editEntryDetailsTab");
+  if (detailsTab) bootstrap.Tab.getOrCreateInstance(detailsTab).show();
+  const historyBox = document.getElementById("editEntryHistory");
+  if (historyBox) historyBox.innerHTML = "";
 
   editModal.show();
 };
 
+/* -----------------------------
+   Split workers (work_entry_workers)
+------------------------------ */
+async function loadSplitWorkers(id) {
+  const companyId = getCurrentCompanyIdSafe();
+  const res = await fetch(`/api/work-entries/${id}/workers?companyId=${companyId}`);
+  const data = await res.json().catch(() => []);
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+  editSplitLines = data.map(l => ({ worker_id: l.worker_id, hours: l.hours }));
+  renderSplitWorkers();
+}
+
+function renderSplitWorkers() {
+  const box = document.getElementById("editSplitWorkers");
+  const workerSel = document.getElementById("editWorkerId");
+  const wageRate = document.getElementById("editWageRate");
+  if (!box) return;
+
+  // a split bill's lead worker is its first line; wages come from the server per line
+  const isSplit = editSplitLines.length > 1;
+  if (workerSel) workerSel.disabled = isSplit;
+  if (wageRate) wageRate.disabled = isSplit;
+
+  if (!editSplitLines.length) {
+    box.innerHTML = `<div class="small text-muted fst-italic">Not split.</div>`;
+    return;
+  }
+
+  box.innerHTML = editSplitLines.map((l, idx) => `
+    <div class="row g-2 align-items-center mb-1" data-split-index="${idx}">
+      <div class="col-7">
+        <select class="form-select form-select-sm" data-split-field="worker_id"></select>
+      </div>
+      <div class="col-3">
+        <input type="number" class="form-control form-control-sm" data-split-field="hours"
+               min="0" step="0.5" value="${l.hours ?? ""}" placeholder="Hours">
+      </div>
+      <div class="col-2 text-end">
+        <button type="button" class="btn btn-sm btn-outline-danger" data-split-remove="${idx}">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </div>
+    </div>`).join("");
+
+  box.querySelectorAll("[data-split-index]").forEach(row => {
+    const idx = Number(row.dataset.splitIndex);
+    const sel = row.querySelector('[data-split-field="worker_id"]');
+    buildWorkerOptions(sel, workersCache, editSplitLines[idx].worker_id);
+    if (!editSplitLines[idx].worker_id) {
+      sel.insertAdjacentHTML("afterbegin", `<option value="" selected>Select worker</option>`);
+    }
+  });
+}
+
+function bindSplitWorkerInputs() {
+  const box = document.getElementById("editSplitWorkers");
+  if (!box) return;
+
+  box.addEventListener("change", (ev) => {
+    const row = ev.target.closest("[data-split-index]");
+    const field = ev.target.dataset.splitField;
+    if (!row || !field) return;
+    const line = editSplitLines[Number(row.dataset.splitIndex)];
+    if (line) line[field] = field === "worker_id" ? (Number(ev.target.value) || null) : numOrNull(ev.target.value);
+  });
+
+  box.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-split-remove]");
+    if (!btn) return;
+    editSplitLines.splice(Number(btn.dataset.splitRemove), 1);
+
+    // one line left = not split any more; it becomes the bill's worker
+    if (editSplitLines.length === 1) {
+      const workerSel = document.getElementById("editWorkerId");
+      if (workerSel && editSplitLines[0].worker_id) workerSel.value = String(editSplitLines[0].worker_id);
+      editSplitLines = [];
+    }
+    renderSplitWorkers();
+  });
+}
+
+function addSplitWorkerLine() {
+  const hours = numOrNull(document.getElementById("editAmount")?.value);
+
+  // first split: the current worker becomes the lead line
+  if (!editSplitLines.length) {
+    const workerId = Number(document.getElementById("editWorkerId")?.value) || null;
+    editSplitLines.push({ worker_id: workerId, hours });
+  }
+  editSplitLines.push({ worker_id: null, hours });
+  renderSplitWorkers();
+}
+
+/* -----------------------------
+   History tab (work_entry_revisions)
+------------------------------ */
+const REVISION_ACTION_BADGES = {
+  UPDATE: "bg-primary",
+  DELETE: "bg-danger",
+  VOID: "bg-danger",
+  RESTORE: "bg-success",
+};
+
+function formatRevisionValue(field, v) {
+  if (v == null || v === "") return "-";
+  if (field === "is_bank") return Number(v) === 1 ? "Bank" : "Cash";
+  if (field === "is_requested") return Number(v) === 1 ? "Yes" : "No";
+  if (field === "work_date") return formatDateDMY(v);
+  return escapeHtml(v);
+}
+
+async function loadEntryHistory(id) {
+  const box = document.getElementById("editEntryHistory");
+  if (!box) return;
 
-window.deleteSingleRecord = async function (id) {
   const companyId = getCurrentCompanyIdSafe();
+  box.innerHTML = `<div class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Loading history...</div>`;
+
+  try {
+    const res = await fetch(`/api/work-entries/${id}/revisions?companyId=${companyId}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    if (!data.length) {
+      box.innerHTML = `<div class="text-muted fst-italic">No changes recorded yet.</div>`;
+      return;
+    }
+
+    // rate columns are hidden for users who can't see rates
+    const hiddenFields = canSeeRates() ? [] : ["customer_rate", "customer_total", "wage_rate", "wage_total", "wage_tier_name"];
+
+    box.innerHTML = data.map(rev => {
+      const changes = rev.changes.filter(c => !hiddenFields.includes(c.field));
+      return `
+        <div class="border rounded-3 p-2 mb-2">
+          <div class="d-flex justify-content-between mb-1">
+            <div>
+              <span class="badge ${REVISION_ACTION_BADGES[rev.action] || "bg-secondary"} me-1">${rev.action}</span>
+              ${rev.payroll_run_id
+                ? `<span class="badge bg-warning text-dark me-1" title="Made after the ${escapeHtml(rev.payroll_month || "")} payroll run was finalized">Post-payroll correction</span>`
+                : ""}
+              <strong>${escapeHtml(rev.changed_by_username || "unknown")}</strong>
+            </div>
+            <small class="text-muted">${escapeHtml(rev.changed_at || "")}</small>
+          </div>
+          ${changes.length
+            ? `<table class="table table-sm mb-0">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                  ${changes.map(c => `
+                    <tr>
+                      <td>${escapeHtml(c.label)}</td>
+                      <td class="text-danger">${formatRevisionValue(c.field, c.before)}</td>
+                      <td class="text-success">${formatRevisionValue(c.field, c.after)}</td>
+                    </tr>`).join("")}
+                </tbody>
+              </table>`
+            : `<div class="text-muted fst-italic">No visible field changes.</div>`}
+        </div>`;
+    }).join("");
+  } catch (e) {
+    box.innerHTML = `<div class="text-danger">${escapeHtml(e.message || "Failed to load history.")}</div>`;
+  }
+}
+
 
-  if (window.CAN_DELETE_ENTRY !== true) {
-    alert("No permission to delete records.");
+window.voidSingleRecord = async function (id) {
+  if (window.CAN_VOID_ENTRY !== true) {
+    alert("No permission to void records.");
     return;
   }
 
-  if (!confirm(`Delete record #${id}?`)) return;
+  const reason = askVoidReason(`record #${id}`);
+  if (!reason) return;
 
   try {
-    const res = await fetch(`/api/work-entries/${id}?companyId=${companyId}`, { method: "DELETE" });
+    await postVoid(id, reason);
+    loadRecords();
+  } catch (e) {
+    alert(e.message || "Failed to void.");
+  }
+};
+
+window.restoreSingleRecord = async function (id) {
+  const companyId = getCurrentCompanyIdSafe();
+
+  if (window.CAN_RESTORE_ENTRY !== true) {
+    alert("No permission to restore records.");
+    return;
+  }
+
+  if (!confirm(`Restore record #${id}? It will count in totals and reports again.`)) return;
+
+  try {
+    const res = await fetch(`/api/work-entries/${id}/restore?companyId=${companyId}`, { method: "POST" });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
     loadRecords();
   } catch (e) {
-    alert(e.message || "Failed to delete.");
+    alert(e.message || "Failed to restore.");
   }
 };
 
@@ -698,12 +908,21 @@ async function saveEditEntry() {
   const job_no2 = document.getElementById("editJobNo2").value.trim();
   const amount = Number(document.getElementById("editAmount").value);
   const is_bank = Number(document.getElementById("editIsBank").value) === 1 ? 1 : 0;
+  const is_requested = Number(document.getElementById("editIsRequested").value) === 1 ? 1 : 0;
   const note = document.getElementById("editNote").value.trim();
 
   // job code: allow change, but default to existing
   const job_code = document.getElementById("editJobCode").value.trim();
   const wage_tier_id = Number(document.getElementById("editWageTierId")?.value) || null;
-  const worker_id = Number(document.getElementById("editWorkerId")?.value) || null;
+  const workers = editSplitLines.length > 1 ? editSplitLines : [];
+  const worker_id = workers.length
+    ? workers[0].worker_id
+    : Number(document.getElementById("editWorkerId")?.value) || null;
+
+  if (workers.some(l => !l.worker_id || !(Number(l.hours) > 0))) {
+    alert("Each split worker needs a worker and hours.");
+    return;
+  }
 
 
   if (!id || !work_date || !job_no1 || !Number.isFinite(amount) || amount <= 0 || !job_code) {
@@ -752,6 +971,7 @@ async function saveEditEntry() {
         job_code,
         amount,
         is_bank,
+        is_requested,
         customer_rate,
         customer_total,
         wage_tier_id,
@@ -760,7 +980,8 @@ async function saveEditEntry() {
         job_no1,
         job_no2,
         work_date,
-        note
+        note,
+        workers
       })
     });
 
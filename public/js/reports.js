@@ -7,8 +7,11 @@ window.CAN_FILTER_PAYTYPE = document.body?.dataset?.canFilterPaytype === "1";
 // Which reports support pay type filter?
 const PAY_FILTER_REPORTS = new Set([
   "worker-monthly-pays",
+  "wage-simulation",
   "sales-listing",
+  "holiday-uplift",
   "account-worker-job-listing",
+  "payslips",
 ]);
 
 /* -----------------------------
@@ -111,6 +114,14 @@ function selectReport(key, label) {
 
   setDefaultDates();
 
+  // the simulation has its own proposal form and no PDF
+  const simulation = key === "wage-simulation";
+  const proposalEl = document.getElementById("simulationProposal");
+  if (proposalEl) proposalEl.style.display = simulation ? "" : "none";
+  const pdfBtn = document.getElementById("btnPdf");
+  if (pdfBtn) pdfBtn.disabled = simulation;
+  if (simulation) loadSimulationOptions();
+
   if (contentEl) {
     contentEl.innerHTML =
       `<div class="text-muted small">Click <strong>Preview</strong> to generate the report.</div>`;
@@ -131,11 +142,21 @@ function renderWorkerMonthlyPaysTable(rows, meta) {
   const totalHours = rows.reduce((s, r) => s + Number(r.total_hours || 0), 0);
   const totalCustomer = rows.reduce((s, r) => s + Number(r.total_customer || 0), 0);
   const totalWage = rows.reduce((s, r) => s + Number(r.total_wage || 0), 0);
+  const totalRequested = rows.reduce((s, r) => s + Number(r.requested_count || 0), 0);
+  const totalBonus = rows.reduce((s, r) => s + Number(r.request_bonus || 0), 0);
+  const totalTopUp = rows.reduce((s, r) => s + Number(r.top_up || 0), 0);
+  const totalFinal = rows.reduce((s, r) => s + Number(r.final_pay || 0), 0);
 
   const title = `
     <div class="mb-3">
       <div class="fw-bold">Worker Monthly Pays 技师的提成</div>
       <div class="text-muted small">${meta.startDate} to ${meta.endDate}</div>
+      ${meta.showBracket
+        ? `<div class="text-muted small">Bracket: worker's sales for the month of ${meta.endDate}, up to that date</div>`
+        : ""}
+      ${meta.showTopUp
+        ? `<div class="text-muted small">Top-up: guaranteed minimum monthly wage less the worker's wages and bonuses for the whole month (all pay types)</div>`
+        : `<div class="text-muted small">Pick one whole calendar month to see minimum wage top-ups.</div>`}
     </div>
   `;
 
@@ -151,6 +172,10 @@ function renderWorkerMonthlyPaysTable(rows, meta) {
             <th class="text-end">Customer Total</th>
             <th class="text-end">%</th>
             <th class="text-end">Wage Total</th>
+            <th class="text-end">Requested</th>
+            <th class="text-end">Request Bonus</th>
+            ${meta.showTopUp ? `<th class="text-end">Top-up</th><th class="text-end">Final Payable</th>` : ""}
+            ${meta.showBracket ? `<th>Bracket</th>` : ""}
           </tr>
         </thead>
         <tbody>
@@ -167,6 +192,15 @@ function renderWorkerMonthlyPaysTable(rows, meta) {
                 <td class="text-end">${fmt(r.total_customer)}</td>
                 <td class="text-end">${pct.toFixed(0)}%</td>
                 <td class="text-end fw-semibold">${fmt(r.total_wage)}</td>
+                <td class="text-end">${Number(r.requested_count || 0)}</td>
+                <td class="text-end">${fmt(r.request_bonus)}</td>
+                ${meta.showTopUp
+                  ? `<td class="text-end" title="${r.min_wage != null ? `Minimum ${fmt(r.min_wage)}` : "No minimum"}">
+                       ${Number(r.top_up) > 0 ? fmt(r.top_up) : "-"}
+                     </td>
+                     <td class="text-end fw-semibold">${fmt(r.final_pay)}</td>`
+                  : ""}
+                ${meta.showBracket ? `<td class="small">${r.commission_bracket || "-"}</td>` : ""}
               </tr>
             `;
           }).join("")}
@@ -178,6 +212,10 @@ function renderWorkerMonthlyPaysTable(rows, meta) {
             <td class="text-end">${fmt(totalCustomer)}</td>
             <td class="text-end">100%</td>
             <td class="text-end">${fmt(totalWage)}</td>
+            <td class="text-end">${totalRequested}</td>
+            <td class="text-end">${fmt(totalBonus)}</td>
+            ${meta.showTopUp ? `<td class="text-end">${fmt(totalTopUp)}</td><td class="text-end">${fmt(totalFinal)}</td>` : ""}
+            ${meta.showBracket ? `<td></td>` : ""}
           </tr>
         </tfoot>
       </table>
@@ -222,6 +260,7 @@ function renderSalesListingHtml(data, meta) {
             <tr>
               <th style="width:110px;">Bill No</th>
               <th>Job</th>
+              <th style="width:110px;">Price List</th>
               <th class="text-end" style="width:90px;">Hour</th>
               <th class="text-end" style="width:110px;">Fee</th>
             </tr>
@@ -231,6 +270,7 @@ function renderSalesListingHtml(data, meta) {
               <tr>
                 <td>${r.bill_no || "-"}</td>
                 <td>${r.job_desc || "-"}</td>
+                <td>${r.price_list || "-"}</td>
                 <td class="text-end">${fmt(r.hours)}</td>
                 <td class="text-end">${fmt(r.fee)}</td>
               </tr>
@@ -243,9 +283,42 @@ function renderSalesListingHtml(data, meta) {
 
   const grand = days.reduce((s, x) => s + Number(x.daily_sales || 0), 0);
   html += `<div class="text-end fw-bold mt-3">Grand Total: ${fmt(grand)}</div>`;
+  html += renderSalesByPriceListHtml(data?.price_lists || [], grand);
   return html;
 }
 
+function renderSalesByPriceListHtml(lists, grand) {
+  if (!lists.length) return "";
+
+  return `
+    <div class="fw-semibold mt-4 mb-1">Sales by Price List</div>
+    <div class="table-responsive">
+      <table class="table table-sm align-middle">
+        <thead class="table-primary small text-uppercase">
+          <tr>
+            <th>Price List</th>
+            <th class="text-end" style="width:90px;">Bills</th>
+            <th class="text-end" style="width:90px;">Hour</th>
+            <th class="text-end" style="width:110px;">Sales</th>
+            <th class="text-end" style="width:90px;">Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${lists.map((p) => `
+            <tr>
+              <td>${p.code ? `<span class="fw-semibold">${p.code}</span> – ` : ""}${p.name}</td>
+              <td class="text-end">${p.bills}</td>
+              <td class="text-end">${fmt(p.hours)}</td>
+              <td class="text-end">${fmt(p.sales)}</td>
+              <td class="text-end">${grand > 0 ? fmt((p.sales / grand) * 100) + "%" : "-"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
 function renderWorkerJobListingHtml(data, meta) {
   const workers = data?.workers || [];
   if (!workers.length) return `<div class="text-muted">No data found for selected date range.</div>`;
@@ -276,6 +349,7 @@ function renderWorkerJobListingHtml(data, meta) {
               <th class="text-end" style="width:90px;">Hours</th>
               <th class="text-end" style="width:110px;">Fee</th>
               <th class="text-end" style="width:110px;">Wage</th>
+              <th class="text-end" style="width:110px;">Bonus</th>
             </tr>
           </thead>
           <tbody>
@@ -283,20 +357,40 @@ function renderWorkerJobListingHtml(data, meta) {
               <tr>
                 <td>${r.work_date || "-"}</td>
                 <td>${r.bill_no || "-"}</td>
-                <td>${r.job_desc || "-"}</td>
+                <td>
+                  ${r.job_desc || "-"}
+                  ${r.requested ? `<span class="badge text-bg-warning ms-1">Requested</span>` : ""}
+                </td>
                 <td class="text-end">${fmt(r.hours)}</td>
                 <td class="text-end">${fmt(r.fee)}</td>
                 <td class="text-end">${fmt(r.wage)}</td>
+                <td class="text-end">${r.bonus ? fmt(r.bonus) : "-"}</td>
               </tr>
             `).join("")}
           </tbody>
           <tfoot>
             <tr class="fw-bold">
-              <td colspan="3" class="text-end">TOTAL</td>
+              <td colspan="3" class="text-end">
+                TOTAL${w.requested_count ? ` <span class="fw-normal small text-muted">(${w.requested_count} requested)</span>` : ""}
+              </td>
               <td class="text-end">${fmt(w.total_hours)}</td>
               <td class="text-end">${fmt(w.total_fee)}</td>
               <td class="text-end">${fmt(w.total_wage)}</td>
+              <td class="text-end">${fmt(w.total_bonus)}</td>
             </tr>
+            ${data.showTopUp ? `
+              ${w.min_wage != null ? `
+                <tr>
+                  <td colspan="6" class="text-end">
+                    Minimum wage top-up 保底补贴
+                    <span class="small text-muted">(minimum ${fmt(w.min_wage)})</span>
+                  </td>
+                  <td class="text-end">${fmt(w.top_up)}</td>
+                </tr>` : ""}
+              <tr class="fw-bold">
+                <td colspan="6" class="text-end">Final payable 应付</td>
+                <td class="text-end">${fmt(w.final_pay)}</td>
+              </tr>` : ""}
           </tfoot>
         </table>
       </div>
@@ -326,7 +420,12 @@ async function previewWorkerMonthlyPays() {
   if (!res.ok) return alert(data?.error || "Failed to generate report.");
 
   document.getElementById("reportContent").innerHTML =
-    renderWorkerMonthlyPaysTable(data.rows || [], { startDate, endDate });
+    renderWorkerMonthlyPaysTable(data.rows || [], {
+      startDate,
+      endDate,
+      showBracket: !!data.showBracket,
+      showTopUp: !!data.showTopUp,
+    });
 }
 
 function exportWorkerMonthlyPaysPdf() {
@@ -342,6 +441,240 @@ function exportWorkerMonthlyPaysPdf() {
   );
 }
 
+/* -----------------------------
+   Payroll What-If Simulation
+   Proposal = rule set + wage rate table; the server changes no data.
+------------------------------ */
+function renderSimulationParamInput(rule, def) {
+  const id = `simParam_${rule.code}_${def.key}`;
+  const value = rule.params?.[def.key] ?? def.default ?? "";
+  const attrs = `id="${id}" class="form-control form-control-sm sim-rule-param"
+                 data-rule="${rule.code}" data-key="${def.key}"`;
+
+  let input;
+  if (def.type === "choice") {
+    const options = (def.options || []).map(o =>
+      `<option value="${o.value}" ${String(o.value) === String(value) ? "selected" : ""}>${o.label}</option>`
+    ).join("");
+    input = `<select ${attrs.replace("form-control", "form-select")}>${options}</select>`;
+  } else {
+    const max = def.max ?? (def.type === "percent" ? 100 : "");
+    input = `
+      <div class="input-group input-group-sm">
+        <input type="number" ${attrs} min="${def.min ?? 0}" ${max !== "" ? `max="${max}"` : ""}
+               step="any" value="${value}">
+        ${def.type === "percent" ? `<span class="input-group-text">%</span>` : ""}
+      </div>`;
+  }
+
+  return `
+    <div class="col-md-6">
+      <label class="form-label small mb-1" for="${id}">${def.label || def.key}</label>
+      ${input}
+    </div>
+  `;
+}
+
+function renderSimulationRules(rules) {
+  if (!rules.length) return `<div class="text-muted small">No rules.</div>`;
+
+  return rules.map(r => `
+    <div class="form-check mb-2">
+      <input class="form-check-input sim-rule" type="checkbox" data-rule="${r.code}" id="simRule_${r.code}"
+             ${(r.enabled || r.is_default) ? "checked" : ""} ${r.is_default ? "disabled" : ""}>
+      <label class="form-check-label small" for="simRule_${r.code}">
+        <div class="fw-medium">${escapeHtml(r.name)}</div>
+      </label>
+      ${(r.params_schema || []).length ? `
+        <div class="row g-2 mt-1">
+          ${r.params_schema.map(def => renderSimulationParamInput(r, def)).join("")}
+        </div>` : ""}
+    </div>
+  `).join("");
+}
+
+function renderSimulationRates(data) {
+  const jobs = data.jobs || [];
+  const tiers = data.tiers || [];
+  if (!jobs.length || !tiers.length) return `<div class="text-muted small">No active jobs or tiers.</div>`;
+
+  const current = new Map((data.rates || []).map(r => [`${r.job_id}:${r.tier_id}`, r.wage_rate]));
+
+  return `
+    <table class="table table-sm align-middle mb-0">
+      <thead class="table-light small text-uppercase">
+        <tr>
+          <th>Job</th>
+          ${tiers.map(t => `<th class="text-end" title="${escapeHtml(t.tier_name)}">${escapeHtml(t.tier_code)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${jobs.map(j => `
+          <tr>
+            <td class="small">${escapeHtml(j.job_code)}</td>
+            ${tiers.map(t => {
+              const now = current.get(`${j.id}:${t.id}`);
+              return `
+                <td>
+                  <input type="number" class="form-control form-control-sm text-end sim-rate" min="0" step="any"
+                         data-job="${j.id}" data-tier="${t.id}" placeholder="${now != null ? fmt(now) : "-"}">
+                </td>`;
+            }).join("")}
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadSimulationOptions() {
+  const rulesEl = document.getElementById("simulationRules");
+  const ratesEl = document.getElementById("simulationRates");
+  if (!rulesEl || !ratesEl) return;
+
+  rulesEl.innerHTML = `<div class="text-muted small">Loading...</div>`;
+  ratesEl.innerHTML = "";
+
+  const companyId = getCompanyIdSafe();
+  const asOf = document.getElementById("reportEndDate")?.value || "";
+  const res = await fetch(`/api/reports/wage-simulation/options?companyId=${companyId}&asOf=${asOf}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    rulesEl.innerHTML = `<div class="text-danger small">${escapeHtml(data?.error || "Failed to load rules.")}</div>`;
+    return;
+  }
+
+  rulesEl.innerHTML = renderSimulationRules(data.rules || []);
+  ratesEl.innerHTML = renderSimulationRates(data);
+}
+
+function getSimulationProposal() {
+  const rules = Array.from(document.querySelectorAll(".sim-rule:checked")).map(cb => cb.dataset.rule);
+
+  const params = {};
+  document.querySelectorAll(".sim-rule-param").forEach(el => {
+    const code = el.dataset.rule;
+    params[code] = params[code] || {};
+    params[code][el.dataset.key] = el.value.trim();
+  });
+
+  const rates = Array.from(document.querySelectorAll(".sim-rate"))
+    .filter(el => el.value.trim() !== "")
+    .map(el => ({ job_id: Number(el.dataset.job), tier_id: Number(el.dataset.tier), wage_rate: el.value.trim() }));
+
+  return { rules, params, rates };
+}
+
+function signed(n) {
+  const x = Number(n || 0);
+  return (x > 0 ? "+" : "") + fmt(x);
+}
+
+function renderWageSimulationHtml(data, meta) {
+  const rows = data?.rows || [];
+  if (!rows.length) return `<div class="text-muted">No data found for selected date range.</div>`;
+
+  const t = data.totals || {};
+  const diffClass = (n) => (Number(n) > 0 ? "text-danger" : Number(n) < 0 ? "text-success" : "");
+  const marginPct = (m) => (t.customer > 0 ? ` (${((m / t.customer) * 100).toFixed(1)}%)` : "");
+
+  let html = `
+    <div class="mb-3">
+      <div class="fw-bold">Payroll What-If 工资模拟</div>
+      <div class="text-muted small">${meta.startDate} to ${meta.endDate} • simulation only, nothing saved</div>
+      <div class="mt-2">
+        <span class="badge text-bg-light me-2">Wages: ${fmt(t.old_wage)} → ${fmt(t.new_wage)} (${signed(t.wage_diff)})</span>
+        <span class="badge text-bg-light me-2">
+          Shop margin: ${fmt(t.old_margin)}${marginPct(t.old_margin)} → ${fmt(t.new_margin)}${marginPct(t.new_margin)}
+          (${signed(t.margin_diff)})
+        </span>
+      </div>
+    </div>
+
+    <div class="table-responsive">
+      <table class="table table-sm table-hover align-middle">
+        <thead class="table-primary small text-uppercase">
+          <tr>
+            <th>#</th>
+            <th>Worker Code</th>
+            <th>Worker Name</th>
+            <th class="text-end">Hours</th>
+            <th class="text-end">Customer Total</th>
+            <th class="text-end">Wage (Recorded)</th>
+            <th class="text-end">Wage (What-If)</th>
+            <th class="text-end">Difference</th>
+            <th class="text-end">Margin (Recorded)</th>
+            <th class="text-end">Margin (What-If)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((r, i) => `
+            <tr>
+              <td>${i + 1}</td>
+              <td>${escapeHtml(r.worker_code || "-")}</td>
+              <td>${escapeHtml(r.worker_name || "-")}</td>
+              <td class="text-end">${fmt(r.total_hours)}</td>
+              <td class="text-end">${fmt(r.total_customer)}</td>
+              <td class="text-end">${fmt(r.old_wage)}</td>
+              <td class="text-end fw-semibold">${fmt(r.new_wage)}</td>
+              <td class="text-end ${diffClass(r.wage_diff)}">${signed(r.wage_diff)}</td>
+              <td class="text-end">${fmt(r.old_margin)}</td>
+              <td class="text-end">${fmt(r.new_margin)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+        <tfoot>
+          <tr class="fw-bold">
+            <td colspan="4" class="text-end">TOTAL</td>
+            <td class="text-end">${fmt(t.customer)}</td>
+            <td class="text-end">${fmt(t.old_wage)}</td>
+            <td class="text-end">${fmt(t.new_wage)}</td>
+            <td class="text-end ${diffClass(t.wage_diff)}">${signed(t.wage_diff)}</td>
+            <td class="text-end">${fmt(t.old_margin)}</td>
+            <td class="text-end">${fmt(t.new_margin)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  `;
+
+  if ((data.skipped || []).length) {
+    html += `
+      <div class="mt-3 small">
+        <div class="fw-semibold text-danger mb-1">Not simulated (kept at the recorded wage)</div>
+        ${data.skipped.map(s => `<div>${s.work_date} • ${escapeHtml(s.job_no1 || "#" + s.entry_id)} — ${escapeHtml(s.error)}</div>`).join("")}
+      </div>
+    `;
+  }
+
+  return html;
+}
+
+async function previewWageSimulation() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return alert("Please select start and end date.");
+
+  document.getElementById("reportContent").innerHTML =
+    `<div class="text-muted small">Simulating...</div>`;
+
+  const qs = getPayTypeQuery() + getJobNoQuery();
+  const res = await fetch(`/api/reports/wage-simulation?companyId=${companyId}&start=${startDate}&end=${endDate}${qs}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(getSimulationProposal()),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    document.getElementById("reportContent").innerHTML = "";
+    return alert(data?.error || "Failed to run simulation.");
+  }
+
+  document.getElementById("reportContent").innerHTML =
+    renderWageSimulationHtml(data, { startDate, endDate });
+}
+
 async function previewSalesListing() {
   const companyId = getCompanyIdSafe();
   const startDate = document.getElementById("reportStartDate")?.value || "";
@@ -375,6 +708,99 @@ function exportSalesListingPdf() {
   );
 }
 
+/* -----------------------------
+   Holiday Uplift
+   Sales / wages per holiday date with the part the holiday multipliers added.
+------------------------------ */
+function renderHolidayUpliftHtml(data, meta) {
+  const rows = data?.rows || [];
+  if (!rows.length) return `<div class="text-muted">No holiday uplift in the selected date range.</div>`;
+
+  const sum = (key) => rows.reduce((s, r) => s + Number(r[key] || 0), 0);
+
+  return `
+    <div class="mb-3">
+      <div class="fw-bold">Holiday Uplift 节日加价</div>
+      <div class="text-muted small">${meta.startDate} to ${meta.endDate} • bills with a holiday multiplier only</div>
+    </div>
+
+    <div class="table-responsive">
+      <table class="table table-sm table-hover align-middle">
+        <thead class="table-primary small text-uppercase">
+          <tr>
+            <th style="width:110px;">Date</th>
+            <th>Holiday</th>
+            <th class="text-end" style="width:80px;">Bills</th>
+            <th class="text-end" style="width:80px;">Hour</th>
+            <th class="text-end" style="width:110px;">Sales</th>
+            <th class="text-end" style="width:110px;">Sales Uplift</th>
+            <th class="text-end" style="width:110px;">Wage</th>
+            <th class="text-end" style="width:110px;">Wage Uplift</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((r) => `
+            <tr>
+              <td>${r.work_date}</td>
+              <td>${r.holiday_name ? escapeHtml(r.holiday_name) : `<span class="text-muted">(removed)</span>`}</td>
+              <td class="text-end">${r.bills}</td>
+              <td class="text-end">${fmt(r.hours)}</td>
+              <td class="text-end">${fmt(r.customer_total)}</td>
+              <td class="text-end fw-semibold">${fmt(r.customer_uplift)}</td>
+              <td class="text-end">${fmt(r.wage_total)}</td>
+              <td class="text-end fw-semibold">${fmt(r.wage_uplift)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+        <tfoot class="fw-bold">
+          <tr>
+            <td colspan="2">Total</td>
+            <td class="text-end">${sum("bills")}</td>
+            <td class="text-end">${fmt(sum("hours"))}</td>
+            <td class="text-end">${fmt(sum("customer_total"))}</td>
+            <td class="text-end">${fmt(sum("customer_uplift"))}</td>
+            <td class="text-end">${fmt(sum("wage_total"))}</td>
+            <td class="text-end">${fmt(sum("wage_uplift"))}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  `;
+}
+
+async function previewHolidayUplift() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return alert("Please select start and end date.");
+
+  document.getElementById("reportContent").innerHTML =
+    `<div class="text-muted small">Loading...</div>`;
+
+  const qs = getPayTypeQuery() + getJobNoQuery();
+  const url = `/api/reports/holiday-uplift?companyId=${companyId}&start=${startDate}&end=${endDate}${qs}`;
+
+  const res = await fetch(url);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(data?.error || "Failed to generate report.");
+
+  document.getElementById("reportContent").innerHTML =
+    renderHolidayUpliftHtml(data, { startDate, endDate });
+}
+
+function exportHolidayUpliftPdf() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return alert("Please select start and end date.");
+
+  const qs = getPayTypeQuery() + getJobNoQuery();
+  window.open(
+    `/api/reports/holiday-uplift/pdf?companyId=${companyId}&start=${startDate}&end=${endDate}${qs}`,
+    "_blank"
+  );
+}
+
 async function previewWorkerJobListing() {
   const companyId = getCompanyIdSafe();
   const startDate = document.getElementById("reportStartDate")?.value || "";
@@ -395,6 +821,244 @@ async function previewWorkerJobListing() {
     renderWorkerJobListingHtml(data, { startDate, endDate });
 }
 
+/* -----------------------------
+   Payslips
+   Preview lists each worker's payslip totals; the PDF is per worker
+   (row button) or every payslip in one file (Export PDF).
+------------------------------ */
+function getPayslipQuery() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return null;
+  return `companyId=${companyId}&start=${startDate}&end=${endDate}${getPayTypeQuery()}${getJobNoQuery()}`;
+}
+
+function renderPayslipsHtml(data, meta) {
+  const payslips = data?.payslips || [];
+  if (!payslips.length) return `<div class="text-muted">No data found for selected date range.</div>`;
+
+  const total = (key) => payslips.reduce((s, p) => s + Number(p[key] || 0), 0);
+
+  return `
+    <div class="mb-3">
+      <div class="fw-bold">Workers' Pay Slip 工资单</div>
+      <div class="text-muted small">
+        ${meta.startDate} to ${meta.endDate}
+        ${data.run ? ` · Payroll run: <span class="badge text-bg-secondary">${data.run.status}</span>` : ""}
+      </div>
+      ${data.run ? "" : `<div class="text-muted small">Adjustments and minimum wage top-ups are included for a whole calendar month.</div>`}
+      ${data.run?.status === "FINALIZED" ? `<div class="text-muted small">Services, wages, request bonuses and top-ups are what the finalized run paid; entries changed since are listed as corrections.</div>` : ""}
+    </div>
+
+    <div class="table-responsive">
+      <table class="table table-sm table-hover align-middle">
+        <thead class="table-light small text-uppercase">
+          <tr>
+            <th>Worker</th>
+            <th class="text-end">Services</th>
+            <th class="text-end">Hours</th>
+            <th class="text-end">Wages</th>
+            <th class="text-end">Allowances</th>
+            <th class="text-end">Deductions</th>
+            <th class="text-end">Net Pay</th>
+            <th class="text-end"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${payslips.map((p) => `
+            <tr>
+              <td>
+                ${escapeHtml(p.worker_code || "-")}${p.worker_name ? " - " + escapeHtml(p.worker_name) : ""}
+                ${p.correction ? `<span class="badge text-bg-warning ms-1" title="Paid ${fmt(p.correction.paid)}, now ${fmt(p.correction.owed)} (${p.correction.lines.length} service line(s) changed)">Changed after finalizing ${fmt(p.correction.difference)}</span>` : ""}
+              </td>
+              <td class="text-end">${p.lines.length}</td>
+              <td class="text-end">${fmt(p.total_hours)}</td>
+              <td class="text-end">${fmt(p.total_wage)}</td>
+              <td class="text-end">${fmt(p.total_allowances)}</td>
+              <td class="text-end">${p.total_deductions ? `-${fmt(p.total_deductions)}` : fmt(0)}</td>
+              <td class="text-end fw-semibold">${fmt(p.net_pay)}</td>
+              <td class="text-end">
+                <button class="btn btn-sm btn-outline-danger" onclick="exportPayslipPdf(${p.worker_id})">
+                  <i class="bi bi-file-earmark-pdf"></i> Payslip
+                </button>
+              </td>
+            </tr>
+          `).join("")}
+        </tbody>
+        <tfoot>
+          <tr class="fw-bold">
+            <td class="text-end">TOTAL</td>
+            <td></td>
+            <td class="text-end">${fmt(total("total_hours"))}</td>
+            <td class="text-end">${fmt(total("total_wage"))}</td>
+            <td class="text-end">${fmt(total("total_allowances"))}</td>
+            <td class="text-end">-${fmt(total("total_deductions"))}</td>
+            <td class="text-end">${fmt(total("net_pay"))}</td>
+            <td></td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+    <div class="text-muted small">Export PDF downloads every payslip in one file, one worker per page.</div>
+  `;
+}
+
+async function previewPayslips() {
+  const qs = getPayslipQuery();
+  if (!qs) return alert("Please select start and end date.");
+
+  document.getElementById("reportContent").innerHTML =
+    `<div class="text-muted small">Loading...</div>`;
+
+  const res = await fetch(`/api/reports/payslips?${qs}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(data?.error || "Failed to generate report.");
+
+  document.getElementById("reportContent").innerHTML = renderPayslipsHtml(data, {
+    startDate: document.getElementById("reportStartDate").value,
+    endDate: document.getElementById("reportEndDate").value,
+  });
+}
+
+// workerId: one worker's payslip; none = all payslips in one PDF
+window.exportPayslipPdf = function (workerId = null) {
+  const qs = getPayslipQuery();
+  if (!qs) return alert("Please select start and end date.");
+
+  window.open(`/api/reports/payslips/pdf?${qs}${workerId ? `&workerId=${workerId}` : ""}`, "_blank");
+};
+
+/* -----------------------------
+   Bill Number Audit
+   Job No1 / Job No2 checkboxes pick which numbers are audited.
+------------------------------ */
+const BILL_FIELD_LABELS = { job_no1: "Job No1", job_no2: "Job No2" };
+
+// audit cells include free text (void reasons, typed bill numbers)
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function renderBillAuditSection(title, headers, rows, emptyText) {
+  return `
+    <div class="fw-semibold mt-3 mb-1">${title} <span class="badge text-bg-secondary">${rows.length}</span></div>
+    ${rows.length
+      ? `<div class="table-responsive">
+          <table class="table table-sm table-hover align-middle">
+            <thead class="table-primary small text-uppercase">
+              <tr>${headers.map((h) => `<th>${h}</th>`).join("")}</tr>
+            </thead>
+            <tbody>
+              ${rows.map((cells) => `<tr>${cells.map((c) => `<td>${c == null ? "-" : escapeHtml(c)}</td>`).join("")}</tr>`).join("")}
+            </tbody>
+          </table>
+        </div>`
+      : `<div class="text-muted small">${emptyText}</div>`}
+  `;
+}
+
+function renderBillAuditHtml(data, meta) {
+  const s = data?.summary || {};
+  const field = (f) => BILL_FIELD_LABELS[f] || f;
+
+  const badge = (label, value, cls) =>
+    `<span class="badge ${value ? cls : "text-bg-light"} me-2">${label}: ${value || 0}</span>`;
+
+  let html = `
+    <div class="mb-3">
+      <div class="fw-bold">Bill Number Audit 单号检查</div>
+      <div class="text-muted small">${meta.startDate} to ${meta.endDate} • ${s.checked || 0} numbers checked</div>
+      <div class="mt-2">
+        ${badge("Gaps", s.gaps, "text-bg-danger")}
+        ${badge("Missing", s.missing, "text-bg-danger")}
+        ${badge("Out of order", s.out_of_order, "text-bg-warning")}
+        ${badge("Duplicates", s.duplicates, "text-bg-warning")}
+        ${badge("Voided", s.voided, "text-bg-secondary")}
+        ${badge("Deleted", s.deleted, "text-bg-dark")}
+      </div>
+    </div>
+  `;
+
+  html += renderBillAuditSection(
+    "Series",
+    ["Field", "Prefix", "First", "Last", "Used", "Missing"],
+    (data.series || []).map((x) => [field(x.field), x.prefix || "-", x.first, x.last, x.used, x.missing]),
+    "No numbered bills in this range."
+  );
+  html += renderBillAuditSection(
+    "Gaps 缺号",
+    ["Field", "Series", "From", "To", "Missing"],
+    (data.gaps || []).map((g) => [field(g.field), g.series || "-", g.from, g.to, g.missing]),
+    "No gaps."
+  );
+  html += renderBillAuditSection(
+    "Out of Order 顺序不对",
+    ["Field", "Bill No", "Date", "Entry", "Issued After", "On"],
+    (data.out_of_order || []).map((o) => [field(o.field), o.bill_no, o.work_date, `#${o.entry_id}`, o.after_bill_no, o.after_work_date]),
+    "Numbers follow the dates."
+  );
+  html += renderBillAuditSection(
+    "Duplicates 重复",
+    ["Bill No", "Used On"],
+    (data.duplicates || []).map((d) => [
+      d.bill_no,
+      d.uses.map((u) => `${field(u.field)} #${u.entry_id} (${u.work_date}, ${u.status})`).join("; "),
+    ]),
+    "No duplicates."
+  );
+  html += renderBillAuditSection(
+    "Voided 作废",
+    ["Field", "Bill No", "Date", "Entry", "Voided", "By", "Reason"],
+    (data.voided || []).map((v) => [field(v.field), v.bill_no, v.work_date, `#${v.entry_id}`, v.at, v.by, v.reason]),
+    "No voided bills."
+  );
+  html += renderBillAuditSection(
+    "Deleted 删除",
+    ["Field", "Bill No", "Date", "Entry", "Deleted", "By"],
+    (data.deleted || []).map((d) => [field(d.field), d.bill_no, d.work_date, `#${d.entry_id}`, d.at, d.by]),
+    "No deleted bills."
+  );
+
+  return html;
+}
+
+async function previewBillNumberAudit() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return alert("Please select start and end date.");
+
+  document.getElementById("reportContent").innerHTML =
+    `<div class="text-muted small">Loading...</div>`;
+
+  const url = `/api/reports/bill-number-audit?companyId=${companyId}&start=${startDate}&end=${endDate}${getJobNoQuery()}`;
+
+  const res = await fetch(url);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(data?.error || "Failed to generate report.");
+
+  document.getElementById("reportContent").innerHTML =
+    renderBillAuditHtml(data, { startDate, endDate });
+}
+
+function exportBillNumberAuditPdf() {
+  const companyId = getCompanyIdSafe();
+  const startDate = document.getElementById("reportStartDate")?.value || "";
+  const endDate = document.getElementById("reportEndDate")?.value || "";
+  if (!startDate || !endDate) return alert("Please select start and end date.");
+
+  window.open(
+    `/api/reports/bill-number-audit/pdf?companyId=${companyId}&start=${startDate}&end=${endDate}${getJobNoQuery()}`,
+    "_blank"
+  );
+}
+
 function exportWorkerJobListingPdf() {
   const companyId = getCompanyIdSafe();
   const startDate = document.getElementById("reportStartDate")?.value || "";
@@ -426,15 +1090,22 @@ document.addEventListener("DOMContentLoaded", () => {
 
   document.getElementById("btnPreview")?.addEventListener("click", () => {
     if (selectedReport === "worker-monthly-pays") return previewWorkerMonthlyPays();
+    if (selectedReport === "wage-simulation") return previewWageSimulation();
     if (selectedReport === "sales-listing") return previewSalesListing();
+    if (selectedReport === "holiday-uplift") return previewHolidayUplift();
     if (selectedReport === "account-worker-job-listing") return previewWorkerJobListing();
+    if (selectedReport === "bill-number-audit") return previewBillNumberAudit();
+    if (selectedReport === "payslips") return previewPayslips();
     alert("This report is not implemented yet.");
   });
 
   document.getElementById("btnPdf")?.addEventListener("click", () => {
     if (selectedReport === "worker-monthly-pays") return exportWorkerMonthlyPaysPdf();
     if (selectedReport === "sales-listing") return exportSalesListingPdf();
+    if (selectedReport === "holiday-uplift") return exportHolidayUpliftPdf();
     if (selectedReport === "account-worker-job-listing") return exportWorkerJobListingPdf();
+    if (selectedReport === "bill-number-audit") return exportBillNumberAuditPdf();
+    if (selectedReport === "payslips") return exportPayslipPdf();
     alert("This report is not implemented yet.");
   });
 
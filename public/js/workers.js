@@ -3,6 +3,9 @@
 let allWorkers = [];
 let filteredWorkers = [];
 let wageTiers = [];
+let nationalityTiers = []; // [{ nationality, wage_tier_id, tier_code, tier_name }]
+let editingWorker = null;  // worker open in the modal (null = creating)
+let jobs = [];             // active jobs, for the special job rate form
 let currentPage = 1;
 const pageSize = 10;
 let workerModal;
@@ -39,7 +42,11 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  document.getElementById("nationality")?.addEventListener("input", syncTierField);
+  document.getElementById("tierOverride")?.addEventListener("change", syncTierField);
+
   await loadWageTiers();   // ✅ NEW (load once)
+  loadJobs();
   loadWorkers();
 });
 
@@ -58,6 +65,52 @@ async function loadWageTiers() {
   } catch (err) {
     console.error("loadWageTiers error:", err);
   }
+
+  try {
+    const res = await fetch(`/api/wage-tiers/nationalities?companyId=${companyId}`);
+    nationalityTiers = res.ok ? await res.json() : [];
+  } catch (err) {
+    console.error("load nationality tiers error:", err);
+  }
+}
+
+const normalizeNationality = (v) => String(v || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+function mappedTierFor(nationality) {
+  const n = normalizeNationality(nationality);
+  return n ? nationalityTiers.find(m => m.nationality === n) || null : null;
+}
+
+// Tier select follows the nationality mapping unless "Set tier manually" is ticked
+// (same decision as the server: a saved worker keeps their tier until the nationality changes)
+function syncTierField() {
+  const sel = document.getElementById("wageTierId");
+  const hint = document.getElementById("tierHint");
+  const override = document.getElementById("tierOverride")?.checked;
+  const nationality = document.getElementById("nationality").value;
+  const mapped = mappedTierFor(nationality);
+  if (!sel || !hint) return;
+
+  if (override || !mapped) {
+    sel.disabled = false;
+    hint.textContent = override
+      ? "Kept as picked; the nationality mapping is ignored."
+      : (normalizeNationality(nationality) ? "No tier is mapped to this nationality." : "");
+    return;
+  }
+
+  sel.disabled = true;
+  const follows = !editingWorker
+    || editingWorker.wage_tier_id == null
+    || normalizeNationality(editingWorker.nationality) !== normalizeNationality(nationality);
+
+  if (follows) {
+    sel.value = String(mapped.wage_tier_id);
+    hint.textContent = `${mapped.tier_name} from nationality.`;
+  } else {
+    sel.value = editingWorker.wage_tier_id ?? "";
+    hint.textContent = `From nationality (${mapped.tier_code}); anniversary promotions are kept.`;
+  }
 }
 
 function loadWorkers() {
@@ -104,7 +157,7 @@ function renderWorkersTable() {
         <td>${w.passport_no || "-"}</td>
         <td>${w.nationality || "-"}</td>
         <td>${w.employment_start || "-"}</td>
-        <td>${w.wage_tier_name || "-"}</td>
+        <td>${w.wage_tier_name || "-"}${w.tier_override ? ` <span class="badge text-bg-light border">manual</span>` : ""}</td>
         <td>${w.is_active ? "Yes" : "No"}</td>
         <td>${w.field1 || "-"}</td>
         <td class="text-end">
@@ -142,14 +195,22 @@ window.openEditModal = function (id) {
   document.getElementById("nationality").value = w.nationality || "";
   document.getElementById("employmentStart").value = w.employment_start || "";
   document.getElementById("field1").value = w.field1 || "";
+  document.getElementById("minMonthlyWage").value = w.min_monthly_wage ?? "";
 
   // Active flag (NEW UI field)
   const isActiveSel = document.getElementById("isActive");
   if (isActiveSel) isActiveSel.value = w.is_active ? "1" : "0";
 
   // Wage tier
+  editingWorker = w;
   const sel = document.getElementById("wageTierId");
   if (sel) sel.value = w.wage_tier_id ?? "";
+  document.getElementById("tierOverride").checked = Number(w.tier_override) === 1;
+  syncTierField();
+
+  document.getElementById("jobRatesBox").classList.remove("d-none");
+  document.getElementById("jobRatesContainer").innerHTML = `<div class="text-muted">Loading...</div>`;
+  loadJobRates(w.id);
 
   workerModal.show();
 };
@@ -159,8 +220,12 @@ window.openCreateModal = function () {
   document.getElementById("workerForm").reset();
   document.getElementById("workerId").value = "";
 
+  editingWorker = null;
   const sel = document.getElementById("wageTierId");
   if (sel) sel.value = "";
+  syncTierField();
+
+  document.getElementById("jobRatesBox").classList.add("d-none");
 
   workerModal.show();
 };
@@ -181,6 +246,8 @@ window.saveWorker = function () {
     field1: document.getElementById("field1").value,
     is_active: document.getElementById("isActive").value === "1" ? 1 : 0,
     wage_tier_id: wageTierId ? Number(wageTierId) : null,
+    tier_override: document.getElementById("tierOverride").checked ? 1 : 0,
+    min_monthly_wage: document.getElementById("minMonthlyWage").value,
     };
 
 
@@ -188,6 +255,10 @@ window.saveWorker = function () {
     alert("Worker code is required.");
     return;
   }
+  if (payload.min_monthly_wage !== "" && !(Number(payload.min_monthly_wage) >= 0)) {
+    alert("Min. monthly wage must be 0 or more (or blank).");
+    return;
+  }
 
   const method = id ? "PUT" : "POST";
   const url = id ? `/api/workers/${id}?companyId=${companyId}` : `/api/workers`;
@@ -208,6 +279,124 @@ window.saveWorker = function () {
     });
 };
 
+// =======================
+// Special job rates (worker_job_rates)
+// =======================
+async function loadJobs() {
+  try {
+    const res = await fetch(`/api/jobs?companyId=${companyId}`);
+    jobs = ((await res.json()) || []).filter(j => Number(j.is_active) !== 0);
+  } catch (err) {
+    console.error("Failed to load jobs", err);
+    jobs = [];
+  }
+
+  const sel = document.getElementById("jobRateJob");
+  if (sel) {
+    sel.innerHTML = jobs.map(j =>
+      `<option value="${j.job_id}">${escapeHtml(j.job_code)} - ${escapeHtml(j.job_type || "")}</option>`
+    ).join("");
+  }
+}
+
+function renderJobRates(workerId, rates) {
+  const box = document.getElementById("jobRatesContainer");
+  if (!box) return;
+
+  if (!rates.length) {
+    box.innerHTML = `<div class="text-muted">No special rates: paid by tier on every job.</div>`;
+    return;
+  }
+
+  box.innerHTML = `
+    <table class="table table-sm align-middle mb-0">
+      <thead class="table-light">
+        <tr>
+          <th>Job</th>
+          <th class="text-end">Wage Rate</th>
+          <th>Valid</th>
+          <th>Note</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rates.map(r => `
+          <tr>
+            <td class="fw-semibold">${escapeHtml(r.job_code)}</td>
+            <td class="text-end">${Number(r.wage_rate).toFixed(2)}</td>
+            <td>${r.valid_from || "start"} → ${r.valid_to || "open"}</td>
+            <td>${escapeHtml(r.note || "")}</td>
+            <td class="text-end">
+              <button type="button" class="btn btn-link btn-sm text-danger p-0"
+                      onclick="removeJobRate(${workerId}, ${r.id})">remove</button>
+            </td>
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadJobRates(workerId) {
+  const res = await fetch(`/api/workers/${workerId}/job-rates?companyId=${companyId}`);
+  renderJobRates(workerId, res.ok ? await res.json() : []);
+}
+
+window.addJobRate = async function () {
+  if (!editingWorker) return;
+
+  const payload = {
+    companyId,
+    job_id: Number(document.getElementById("jobRateJob").value),
+    wage_rate: document.getElementById("jobRateWage").value,
+    valid_from: document.getElementById("jobRateFrom").value,
+    valid_to: document.getElementById("jobRateTo").value,
+    note: document.getElementById("jobRateNote").value,
+  };
+  if (!payload.job_id || !payload.wage_rate) {
+    alert("Pick a job and enter the wage rate.");
+    return;
+  }
+
+  const res = await fetch(`/api/workers/${editingWorker.id}/job-rates`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data?.error || "Failed to add rate");
+    return;
+  }
+
+  ["jobRateWage", "jobRateFrom", "jobRateTo", "jobRateNote"].forEach(id => {
+    document.getElementById(id).value = "";
+  });
+  await loadJobRates(editingWorker.id);
+};
+
+window.removeJobRate = async function (workerId, rateId) {
+  if (!confirm("Remove this rate? The worker is paid the tier rate in its date range again.")) return;
+
+  const res = await fetch(`/api/workers/${workerId}/job-rates/${rateId}?companyId=${companyId}`, { method: "DELETE" });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data?.error || "Remove failed");
+    return;
+  }
+
+  await loadJobRates(workerId);
+};
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
 function renderPagination(totalPages) {
   renderSinglePagination("workersPaginationTop", totalPages);
   renderSinglePagination("workersPagination", totalPages);
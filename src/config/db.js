@@ -1,13 +1,14 @@
 // src/config/db.js
 import sqlite3 from "sqlite3";
 import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// DB file (project-root/data.sqlite)
-const dbPath = path.join(__dirname, "../../data.sqlite");
+// DB file (project-root/data.sqlite; DB_PATH overrides it, e.g. for tests)
+const dbPath = process.env.DB_PATH || path.join(__dirname, "../../data.sqlite");
 
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
@@ -17,6 +18,95 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+/**
+ * Add a column to an existing table (older data.sqlite files were created
+ * before the column existed). "duplicate column name" means it is already there.
+ */
+function addColumnIfMissing(table, column, ddl) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      console.error(`❌ Failed to add ${table}.${column}:`, err.message);
+    }
+  });
+}
+
+const JOB_WAGES_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  company_id INTEGER NOT NULL,
+  job_id INTEGER NOT NULL,
+  tier_id INTEGER NOT NULL,
+  wage_rate REAL NOT NULL DEFAULT 0,
+  valid_from TEXT,
+  valid_to TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+  FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+  FOREIGN KEY (tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE
+`;
+
+/**
+ * job_wages used to allow one rate per job × tier (UNIQUE (job_id, tier_id)).
+ * SQLite can't drop that constraint, so older tables are rebuilt once; the
+ * existing rates become open-ended rows valid since the beginning.
+ */
+function migrateJobWagesToDated() {
+  db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'job_wages'`, (err, row) => {
+    if (err || !row || /valid_from/.test(row.sql)) return;
+
+    db.serialize(() => {
+      db.run("BEGIN TRANSACTION");
+      db.run(`CREATE TABLE job_wages_dated (${JOB_WAGES_COLUMNS})`);
+      db.run(
+        `INSERT INTO job_wages_dated (id, company_id, job_id, tier_id, wage_rate, created_at)
+         SELECT id, company_id, job_id, tier_id, wage_rate, created_at FROM job_wages`
+      );
+      db.run("DROP TABLE job_wages");
+      db.run("ALTER TABLE job_wages_dated RENAME TO job_wages");
+      db.run(`CREATE INDEX IF NOT EXISTS idx_job_wages_job ON job_wages(job_id, tier_id, valid_from)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_job_wages_tier ON job_wages(tier_id)`);
+      db.run("COMMIT", (commitErr) => {
+        if (commitErr) {
+          console.error("❌ Failed to migrate job_wages to dated rates:", commitErr.message);
+          db.run("ROLLBACK");
+        } else {
+          console.log("✅ job_wages migrated to effective-dated rates");
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Worker dates used to be stored as typed, month-first (6/1/2018 = 1 June
+ * 2018). They are read day-first now, so the old ones become YYYY-MM-DD once.
+ */
+function migrateWorkerDatesToISO() {
+  db.all(
+    `SELECT id, employment_start, terminated FROM workers
+      WHERE employment_start LIKE '%/%/%' OR terminated LIKE '%/%/%'`,
+    (err, rows) => {
+      if (err || !rows?.length) return;
+
+      const toISO = (v) => {
+        const m = String(v ?? "").trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!m) return v;
+        const d = new Date(Date.UTC(Number(m[3]), Number(m[1]) - 1, Number(m[2])));
+        return d.getUTCMonth() === Number(m[1]) - 1 ? d.toISOString().slice(0, 10) : v;
+      };
+      db.serialize(() => {
+        for (const w of rows) {
+          db.run(`UPDATE workers SET employment_start = ?, terminated = ? WHERE id = ?`, [
+            toISO(w.employment_start),
+            toISO(w.terminated),
+            w.id,
+          ]);
+        }
+      });
+      console.log(`✅ ${rows.length} worker date(s) migrated to YYYY-MM-DD`);
+    }
+  );
+}
+
 db.serialize(() => {
   db.run("PRAGMA foreign_keys = ON");
 
@@ -87,21 +177,57 @@ db.serialize(() => {
     )
   `);
 
+  // guaranteed minimum monthly wage of the tier (NULL = none), topped up
+  // at month end (see minimumWageService.js)
+  addColumnIfMissing("wage_tiers", "min_monthly_wage", "REAL");
+
+  /* =====================================================
+     5) Job Wages (job × tier rate, effective-dated)
+     Each job × tier has a timeline of rates: valid_from NULL = since
+     the beginning, valid_to NULL = open-ended (both inclusive). Rows
+     never overlap; valid_to is the day before the next row starts.
+  ===================================================== */
+  db.run(`CREATE TABLE IF NOT EXISTS job_wages (${JOB_WAGES_COLUMNS})`);
+  migrateJobWagesToDated();
+
   /* =====================================================
-     5) Job Wages (job × tier rate)
+     5a) Customer Price Lists (per company)
+     Named lists (Normal / VIP / Promo / custom). Staff pick a list on
+     each bill; is_default marks the list used when none is picked.
+     price_list_prices: a job's price on a list for a date window
+     (valid_from / valid_to NULL = open, both inclusive). Windows of
+     the same list × job never overlap. A job without a price on the
+     picked list on that date is charged jobs.normal_price.
   ===================================================== */
   db.run(`
-    CREATE TABLE IF NOT EXISTS job_wages (
+    CREATE TABLE IF NOT EXISTS price_lists (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       company_id INTEGER NOT NULL,
+      code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, code),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS price_list_prices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      price_list_id INTEGER NOT NULL,
       job_id INTEGER NOT NULL,
-      tier_id INTEGER NOT NULL,
-      wage_rate REAL NOT NULL DEFAULT 0,
+      price REAL NOT NULL CHECK(price > 0),
+      valid_from TEXT,
+      valid_to TEXT,
+      created_by INTEGER,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE (job_id, tier_id),
       FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
-      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
-      FOREIGN KEY (tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE
+      FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE CASCADE,
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
     )
   `);
 
@@ -123,6 +249,7 @@ db.serialize(() => {
       field1 TEXT,
       is_active INTEGER NOT NULL DEFAULT 1,
       wage_tier_id INTEGER,
+      tier_override INTEGER NOT NULL DEFAULT 0,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       UNIQUE (company_id, worker_code),
       FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
@@ -130,6 +257,102 @@ db.serialize(() => {
     )
   `);
 
+  // 1 = wage_tier_id set by hand, not from the nationality mapping
+  addColumnIfMissing("workers", "tier_override", "INTEGER NOT NULL DEFAULT 0");
+
+  // contracted minimum monthly wage of this worker; NULL = the tier's
+  addColumnIfMissing("workers", "min_monthly_wage", "REAL");
+
+  migrateWorkerDatesToISO();
+
+  /* =====================================================
+     6a) Wage tier progression (length of service)
+     after_months counts from workers.employment_start;
+     one rule per tier a worker can be promoted out of.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tier_progression_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      from_tier_id INTEGER NOT NULL,
+      to_tier_id INTEGER NOT NULL,
+      after_months INTEGER NOT NULL CHECK (after_months > 0),
+      -- day the rule was saved: earlier anniversaries are only caught up by an admin
+      applies_from TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, from_tier_id),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (from_tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE,
+      FOREIGN KEY (to_tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE
+    )
+  `);
+
+  addColumnIfMissing("tier_progression_rules", "applies_from", "TEXT");
+
+  // every change of workers.wage_tier_id (PROGRESSION = anniversary, MANUAL = worker edit)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS worker_tier_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      from_tier_id INTEGER,
+      to_tier_id INTEGER,
+      effective_date TEXT NOT NULL,
+      reason TEXT NOT NULL CHECK (reason IN ('PROGRESSION','MANUAL')),
+      rule_id INTEGER,
+      changed_by INTEGER,
+      changed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE CASCADE,
+      FOREIGN KEY (from_tier_id) REFERENCES wage_tiers(id) ON DELETE SET NULL,
+      FOREIGN KEY (to_tier_id) REFERENCES wage_tiers(id) ON DELETE SET NULL,
+      FOREIGN KEY (rule_id) REFERENCES tier_progression_rules(id) ON DELETE SET NULL,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  /* =====================================================
+     6b) Nationality -> wage tier (BASE_NATIONALITY)
+     nationality is stored trimmed + lowercase
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS nationality_tiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      nationality TEXT NOT NULL,
+      wage_tier_id INTEGER NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, nationality),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (wage_tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     6c) Worker job rates (negotiated per-worker wage on a job)
+     Replaces the tier rate from job_wages for that worker × job.
+     valid_from / valid_to NULL = open (both inclusive); windows of
+     the same worker × job never overlap.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS worker_job_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      job_id INTEGER NOT NULL,
+      wage_rate REAL NOT NULL CHECK(wage_rate > 0),
+      valid_from TEXT,
+      valid_to TEXT,
+      note TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE CASCADE,
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
   /* =====================================================
      7) Work Entries (core transactional table)
   ===================================================== */
@@ -168,15 +391,331 @@ db.serialize(() => {
       note TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
 
+      -- void (soft delete): row stays for audit, excluded from totals
+      voided_at TEXT,
+      voided_by INTEGER,
+      void_reason TEXT,
+
+      -- price list the customer rate came from (NULL = custom price)
+      price_list_id INTEGER,
+
       UNIQUE (company_id, job_no1),
 
       FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
       FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE RESTRICT,
       FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE RESTRICT,
+      FOREIGN KEY (wage_tier_id) REFERENCES wage_tiers(id) ON DELETE SET NULL,
+      FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE SET NULL
+    )
+  `);
+
+  // void (soft delete) columns for databases created before voiding existed
+  addColumnIfMissing("work_entries", "voided_at", "TEXT");
+  addColumnIfMissing("work_entries", "voided_by", "INTEGER");
+  addColumnIfMissing("work_entries", "void_reason", "TEXT");
+
+  addColumnIfMissing("work_entries", "price_list_id", "INTEGER REFERENCES price_lists(id) ON DELETE SET NULL");
+
+  // part of customer_total / wage_total that came from a holiday multiplier
+  // (HOLIDAY_MULTIPLIER rule), so reports can show the uplift on its own
+  addColumnIfMissing("work_entries", "holiday_customer_uplift", "REAL NOT NULL DEFAULT 0");
+  addColumnIfMissing("work_entries", "holiday_wage_uplift", "REAL NOT NULL DEFAULT 0");
+
+  // customer asked for this worker (REQUESTED_WORKER rule): flat fee paid by
+  // the customer and bonus paid to the (lead) worker, not in the rate totals
+  addColumnIfMissing("work_entries", "is_requested", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing("work_entries", "request_fee", "REAL NOT NULL DEFAULT 0");
+  addColumnIfMissing("work_entries", "request_bonus", "REAL NOT NULL DEFAULT 0");
+
+  /* =====================================================
+     7a) Work Entry Workers (split bills)
+     A bill done by several workers (four-hand massage, double
+     sessions) keeps ONE work_entries row for the customer side and
+     one line per worker here with that worker's hours, share of the
+     customer total and wage. Bills done by one worker have no lines.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS work_entry_workers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      work_entry_id INTEGER NOT NULL,
+      line_no INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      hours REAL NOT NULL DEFAULT 0,
+      customer_share REAL NOT NULL DEFAULT 0,
+      wage_tier_id INTEGER,
+      wage_rate REAL NOT NULL DEFAULT 0,
+      wage_total REAL NOT NULL DEFAULT 0,
+      UNIQUE (work_entry_id, worker_id),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (work_entry_id) REFERENCES work_entries(id) ON DELETE CASCADE,
+      FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE RESTRICT,
       FOREIGN KEY (wage_tier_id) REFERENCES wage_tiers(id) ON DELETE SET NULL
     )
   `);
 
+  // one row per worker per bill: split lines, or the bill itself when not split.
+  // Per-worker totals (reports, month-to-date rules) read this instead of work_entries.
+  db.run(`
+    CREATE VIEW IF NOT EXISTS work_entry_worker_lines AS
+      SELECT we.id AS work_entry_id, we.company_id, we.worker_id,
+             we.amount AS hours, we.customer_total AS customer_share,
+             we.wage_tier_id, we.wage_rate, we.wage_total
+        FROM work_entries we
+       WHERE NOT EXISTS (SELECT 1 FROM work_entry_workers l WHERE l.work_entry_id = we.id)
+      UNION ALL
+      SELECT l.work_entry_id, l.company_id, l.worker_id,
+             l.hours, l.customer_share,
+             l.wage_tier_id, l.wage_rate, l.wage_total
+        FROM work_entry_workers l
+  `);
+
+  /* =====================================================
+     7b) Work Entry Revisions (audit trail of every change)
+     work_entry_id has no FK: history must survive a hard delete.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS work_entry_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      work_entry_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK(action IN ('UPDATE','DELETE','VOID','RESTORE')),
+      before_json TEXT,
+      after_json TEXT,
+      changed_by INTEGER,
+      changed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     7c) Payroll periods (month close / lock)
+     A CLOSED month rejects work entry changes unless the user
+     holds PERIOD_UNLOCK; every close, reopen and override is logged.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_periods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      period_month TEXT NOT NULL, -- YYYY-MM
+      status TEXT NOT NULL DEFAULT 'CLOSED' CHECK(status IN ('OPEN','CLOSED')),
+      closed_by INTEGER,
+      closed_at TEXT,
+      reopened_by INTEGER,
+      reopened_at TEXT,
+      UNIQUE (company_id, period_month),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_period_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      period_month TEXT NOT NULL,
+      action TEXT NOT NULL CHECK(action IN ('CLOSE','REOPEN','OVERRIDE')),
+      work_entry_id INTEGER,
+      note TEXT,
+      user_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     7d) Bill number sequences (automatic Job No1)
+     One sequence per company: <prefix>[-<YYYYMMDD|YYYYMM>]-<zero padded n>.
+     prefix NULL = companies.short_code. Counters are kept per reset
+     period ('' when the sequence never resets).
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bill_number_sequences (
+      company_id INTEGER PRIMARY KEY,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      prefix TEXT,
+      reset_period TEXT NOT NULL DEFAULT 'NONE' CHECK(reset_period IN ('NONE','DAILY','MONTHLY')),
+      pad_width INTEGER NOT NULL DEFAULT 4,
+      updated_by INTEGER,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bill_number_counters (
+      company_id INTEGER NOT NULL,
+      period_key TEXT NOT NULL DEFAULT '',
+      last_value INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (company_id, period_key),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     7e) Month-end wage recalculation log
+     One run per applied recalculation (company + month); one change
+     row per worker line whose wage moved (old -> new).
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS wage_recalc_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      period_month TEXT NOT NULL,
+      entry_count INTEGER NOT NULL DEFAULT 0,
+      wage_total_before REAL NOT NULL DEFAULT 0,
+      wage_total_after REAL NOT NULL DEFAULT 0,
+      note TEXT,
+      run_by INTEGER,
+      run_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS wage_recalc_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      work_entry_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      old_wage_rate REAL NOT NULL,
+      new_wage_rate REAL NOT NULL,
+      old_wage_total REAL NOT NULL,
+      new_wage_total REAL NOT NULL,
+      FOREIGN KEY (run_id) REFERENCES wage_recalc_runs(id) ON DELETE CASCADE,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     7f) Bulk rate recalculation log (date range)
+     One run per applied recalculation with its filters; one change
+     row per entry (customer and wage side, old -> new).
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bulk_recalc_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      date_from TEXT NOT NULL,
+      date_to TEXT NOT NULL,
+      worker_id INTEGER,
+      job_id INTEGER,
+      keep_customer_rates INTEGER NOT NULL DEFAULT 0,
+      entry_count INTEGER NOT NULL DEFAULT 0,
+      customer_total_before REAL NOT NULL DEFAULT 0,
+      customer_total_after REAL NOT NULL DEFAULT 0,
+      wage_total_before REAL NOT NULL DEFAULT 0,
+      wage_total_after REAL NOT NULL DEFAULT 0,
+      note TEXT,
+      run_by INTEGER,
+      run_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE SET NULL,
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bulk_recalc_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      work_entry_id INTEGER NOT NULL,
+      old_customer_rate REAL NOT NULL,
+      new_customer_rate REAL NOT NULL,
+      old_customer_total REAL NOT NULL,
+      new_customer_total REAL NOT NULL,
+      old_wage_rate REAL NOT NULL,
+      new_wage_rate REAL NOT NULL,
+      old_wage_total REAL NOT NULL,
+      new_wage_total REAL NOT NULL,
+      FOREIGN KEY (run_id) REFERENCES bulk_recalc_runs(id) ON DELETE CASCADE,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     7g) Payroll runs (DRAFT -> REVIEWED -> FINALIZED)
+     One run per company and month. Lines are a per-worker snapshot
+     of the month's entries, re-pulled while DRAFT and frozen from
+     then on; adjustments are manual +/- amounts on a worker's pay.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      period_month TEXT NOT NULL, -- YYYY-MM
+      status TEXT NOT NULL DEFAULT 'DRAFT' CHECK(status IN ('DRAFT','REVIEWED','FINALIZED')),
+      note TEXT,
+      pulled_at TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      reviewed_by INTEGER,
+      reviewed_at TEXT,
+      finalized_by INTEGER,
+      finalized_at TEXT,
+      UNIQUE (company_id, period_month),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_run_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      worker_code TEXT,
+      worker_name TEXT,
+      entries INTEGER NOT NULL DEFAULT 0,
+      hours REAL NOT NULL DEFAULT 0,
+      customer_total REAL NOT NULL DEFAULT 0,
+      commission REAL NOT NULL DEFAULT 0,
+      requested_count INTEGER NOT NULL DEFAULT 0,
+      request_bonus REAL NOT NULL DEFAULT 0,
+      top_up REAL NOT NULL DEFAULT 0,
+      UNIQUE (run_id, worker_id),
+      FOREIGN KEY (run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_adjustments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      amount REAL NOT NULL, -- negative = deduction
+      reason TEXT NOT NULL,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE
+    )
+  `);
+
+  // a FINALIZED run's service lines as they were paid (payslips print
+  // these); is_bank / job_no2 keep the report filters working
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payroll_run_entry_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      work_entry_id INTEGER NOT NULL,
+      worker_id INTEGER NOT NULL,
+      work_date TEXT NOT NULL,
+      bill_no TEXT,
+      job_desc TEXT,
+      hours REAL NOT NULL DEFAULT 0,
+      wage REAL NOT NULL DEFAULT 0,
+      requested INTEGER NOT NULL DEFAULT 0,
+      bonus REAL NOT NULL DEFAULT 0,
+      is_bank INTEGER NOT NULL DEFAULT 0,
+      job_no2 TEXT,
+      FOREIGN KEY (run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE
+    )
+  `);
+
+  // a revision of an entry dated in a month with a FINALIZED run is a
+  // post-payroll correction: it points at that run
+  addColumnIfMissing("work_entry_revisions", "payroll_run_id", "INTEGER");
+
   /* =====================================================
      8) Rules / Feature Flags
   ===================================================== */
@@ -203,6 +742,52 @@ db.serialize(() => {
     )
   `);
 
+  // rules.params_schema: JSON array of typed parameters the rule takes
+  // company_rules.params_json: this company's values ({ key: value })
+  addColumnIfMissing("rules", "params_schema", "TEXT");
+  addColumnIfMissing("company_rules", "params_json", "TEXT");
+
+  /* =====================================================
+     8b) Commission brackets (COMMISSION_BRACKETS rule)
+     Sliding wage % of job price by the worker's monthly sales.
+     wage_tier_id NULL = company default; a tier with its own rows
+     uses those instead. up_to NULL = top bracket (no ceiling).
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS commission_brackets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      wage_tier_id INTEGER,
+      up_to REAL CHECK(up_to IS NULL OR up_to > 0),
+      percent REAL NOT NULL CHECK(percent >= 0 AND percent <= 100),
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+      FOREIGN KEY (wage_tier_id) REFERENCES wage_tiers(id) ON DELETE CASCADE
+    )
+  `);
+
+  /* =====================================================
+     8c) Holiday calendar (HOLIDAY_MULTIPLIER rule)
+     Public holidays / festive days per company. On these dates list
+     prices and wages are multiplied; NULL multipliers take the rule's
+     company defaults.
+  ===================================================== */
+  db.run(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      holiday_date TEXT NOT NULL,
+      name TEXT NOT NULL,
+      price_multiplier REAL CHECK(price_multiplier IS NULL OR price_multiplier >= 1),
+      wage_multiplier REAL CHECK(wage_multiplier IS NULL OR wage_multiplier >= 1),
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, holiday_date),
+      FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+    )
+  `);
+
   /* =====================================================
      9) RBAC
   ===================================================== */
@@ -276,12 +861,127 @@ db.serialize(() => {
   db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company_id)`);
 
   db.run(`CREATE INDEX IF NOT EXISTS idx_wage_tiers_company ON wage_tiers(company_id)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_job_wages_job ON job_wages(job_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_job_wages_job ON job_wages(job_id, tier_id, valid_from)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_job_wages_tier ON job_wages(tier_id)`);
 
+  db.run(`CREATE INDEX IF NOT EXISTS idx_worker_tier_changes_worker ON worker_tier_changes(worker_id, effective_date)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_worker_job_rates_worker_job ON worker_job_rates(worker_id, job_id, valid_from)`);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_price_lists_company ON price_lists(company_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_price_list_prices_list_job ON price_list_prices(price_list_id, job_id, valid_from)`);
+
   db.run(`CREATE INDEX IF NOT EXISTS idx_work_entries_company_date ON work_entries(company_id, work_date)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_work_entries_worker_date ON work_entries(worker_id, work_date)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_work_entries_job_date ON work_entries(job_id, work_date)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_work_entry_revisions_entry ON work_entry_revisions(work_entry_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_work_entry_workers_entry ON work_entry_workers(work_entry_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_work_entry_workers_worker ON work_entry_workers(worker_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_wage_recalc_changes_run ON wage_recalc_changes(run_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_bulk_recalc_changes_run ON bulk_recalc_changes(run_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_payroll_adjustments_run ON payroll_adjustments(run_id, worker_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_payroll_run_entry_lines_run ON payroll_run_entry_lines(run_id, worker_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_work_entry_revisions_payroll_run ON work_entry_revisions(payroll_run_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_commission_brackets_company ON commission_brackets(company_id, wage_tier_id)`);
 });
 
+/* =====================================================
+   Promise helpers (for async route handlers / services)
+===================================================== */
+export function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+export function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+export function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this); // { lastID, changes }
+    });
+  });
+}
+
+/* =====================================================
+   Statement queue
+   Every db.run / db.get / db.all (and so dbRun / dbGet / dbAll) goes
+   through one queue, and a transaction holds the queue from BEGIN to
+   COMMIT. On this single connection that keeps other requests' writes
+   out of an open transaction and their reads from seeing its
+   uncommitted rows. Statements issued inside withTransaction() skip the
+   queue. db.each / db.exec / db.prepare() are not queued.
+===================================================== */
+const inTransaction = new AsyncLocalStorage();
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  const next = queue.then(task);
+  queue = next.catch(() => {});
+  return next;
+}
+
+function queueMethod(method) {
+  const raw = db[method].bind(db);
+
+  db[method] = function (sql, ...args) {
+    const callback = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+    const task = () =>
+      new Promise((resolve) => {
+        raw(sql, ...args, function (err, result) {
+          resolve();
+          if (callback) return callback.call(this, err, result);
+          if (err) db.emit("error", err);
+        });
+      });
+
+    if (inTransaction.getStore()) task();
+    else enqueue(task);
+    return db;
+  };
+}
+
+queueMethod("run");
+queueMethod("get");
+queueMethod("all");
+
+/**
+ * Run fn() inside BEGIN/COMMIT (ROLLBACK on throw).
+ * fn must use dbRun / dbGet / dbAll (or db.run / db.get / db.all);
+ * statements from db.prepare() are not queued. Transactions do not
+ * nest: calling withTransaction() from inside fn rejects, since the
+ * inner one would wait for the queue the outer one holds.
+ */
+export function withTransaction(fn) {
+  if (inTransaction.getStore()) {
+    return Promise.reject(new Error("withTransaction() cannot be nested; call the inner work directly."));
+  }
+
+  return enqueue(() =>
+    inTransaction.run(true, async () => {
+      await dbRun("BEGIN TRANSACTION");
+      try {
+        const result = await fn();
+        await dbRun("COMMIT");
+        return result;
+      } catch (err) {
+        await dbRun("ROLLBACK").catch(() => {});
+        throw err;
+      }
+    })
+  );
+}
+
 export default db;
@@ -8,6 +8,8 @@ import bcrypt from "bcrypt";
  * Seeds:
  * - companies (default)
  * - wage_tiers (T1/T2/T3 per company)
+ * - nationality_tiers (china1/2/3 -> T1/T2/T3, edited in Management)
+ * - price_lists (Normal/VIP/Promo per company; prices are set in Management)
  * - rules + company_rules (enable defaults)
  * - permissions
  * - roles (global)
@@ -67,31 +69,126 @@ async function ensureWageTiers(companyId) {
   }
 }
 
+/* -----------------------------
+   Nationality -> tier (BASE_NATIONALITY)
+------------------------------ */
+async function ensureNationalityTiers(companyId) {
+  const mapping = [
+    ["china1", "T1"],
+    ["china2", "T2"],
+    ["china3", "T3"],
+  ];
+
+  for (const [nationality, tier_code] of mapping) {
+    await run(
+      `INSERT OR IGNORE INTO nationality_tiers (company_id, nationality, wage_tier_id)
+       SELECT ?, ?, id FROM wage_tiers WHERE company_id = ? AND tier_code = ?`,
+      [companyId, nationality, companyId, tier_code]
+    );
+  }
+}
+
+/* -----------------------------
+   Price lists
+------------------------------ */
+async function ensurePriceLists(companyId) {
+  const lists = [
+    ["NORMAL", "Normal", 1, 10],
+    ["VIP", "VIP", 0, 20],
+    ["PROMO", "Promo", 0, 30],
+  ];
+
+  const hasDefault = await get(`SELECT id FROM price_lists WHERE company_id = ? AND is_default = 1`, [companyId]);
+
+  for (const [code, name, is_default, sort_order] of lists) {
+    await run(
+      `INSERT OR IGNORE INTO price_lists (company_id, code, name, is_default, sort_order, is_active)
+       VALUES (?, ?, ?, ?, ?, 1)`,
+      [companyId, code, name, hasDefault ? 0 : is_default, sort_order]
+    );
+  }
+}
+
 /* -----------------------------
    Rules
 ------------------------------ */
 async function seedRules() {
+  const over20kParams = [
+    { key: "threshold", label: "Threshold amount", type: "number", default: 20000, min: 0 },
+    { key: "wage_percent", label: "Wage % of job price", type: "percent", default: 50 },
+    {
+      key: "measure",
+      label: "Measure",
+      type: "choice",
+      default: "MONTH_CUSTOMER_TOTAL",
+      options: [
+        { value: "MONTH_CUSTOMER_TOTAL", label: "Worker's month-to-date customer total" },
+        { value: "BILL_CUSTOMER_TOTAL", label: "This bill's customer total" },
+      ],
+    },
+  ];
+
+  const holidayParams = [
+    { key: "price_multiplier", label: "Customer price multiplier", type: "number", default: 1.5, min: 1, max: 10 },
+    { key: "wage_multiplier", label: "Wage multiplier", type: "number", default: 1.5, min: 1, max: 10 },
+  ];
+
+  const requestedParams = [
+    { key: "request_fee", label: "Request fee (customer, per bill)", type: "number", default: 0, min: 0 },
+    { key: "worker_bonus", label: "Worker bonus (per bill)", type: "number", default: 0, min: 0 },
+  ];
+
   const rules = [
     [
       "BASE_NATIONALITY",
       "Base rule: wage by nationality tier",
-      "Uses worker nationality (e.g. china1/2/3) to pick job wage tier",
+      "Uses worker nationality (e.g. china1/2/3) to pick job wage tier, via the company's nationality -> tier mapping (Management -> Wage Tiers)",
       1,
+      null,
     ],
     [
       "OVER_20K_5050",
-      "Over 20k/month => 50/50 job price",
-      "If monthly customer total reaches/exceeds 20k, wage_rate becomes 50% of customer_rate",
+      "Over threshold => share of job price",
+      "When the measured customer total reaches the threshold (default 20k/month), wage_rate becomes a percentage (default 50%) of customer_rate (of the whole bill's rate on a split bill), never less than the tier wage",
+      0,
+      over20kParams,
+    ],
+    [
+      "COMMISSION_BRACKETS",
+      "Commission brackets by monthly sales",
+      "wage_rate becomes the bracket % of customer_rate, picked by the worker's month-to-date customer total (brackets are set per company / wage tier in Management)",
       0,
+      null,
+    ],
+    [
+      "HOLIDAY_MULTIPLIER",
+      "Holiday pricing",
+      "On dates in the company's holiday calendar (Management -> Holidays), the job price is multiplied before the other rules and the wage after them; a holiday may set its own multipliers (1 = no change)",
+      0,
+      holidayParams,
+    ],
+    [
+      "REQUESTED_WORKER",
+      "Requested worker (point clock)",
+      "When a bill is marked as requested (the customer asked for this worker), the customer pays a flat request fee on top of the job price and the worker gets a flat bonus on top of the wage",
+      0,
+      requestedParams,
     ],
   ];
 
-  for (const [code, name, description, is_default] of rules) {
+  for (const [code, name, description, is_default, params] of rules) {
     await run(
       `INSERT OR IGNORE INTO rules (code, name, description, is_default)
        VALUES (?, ?, ?, ?)`,
       [code, name, description, is_default]
     );
+    // keep parameter definitions current on existing databases
+    await run(`UPDATE rules SET name = ?, description = ?, params_schema = ? WHERE code = ?`, [
+      name,
+      description,
+      params ? JSON.stringify(params) : null,
+      code,
+    ]);
   }
 }
 
@@ -120,6 +217,7 @@ async function seedPermissions() {
     ["PAGE_COMPANIES", "Can access Companies page (admin)"],
     ["PAGE_USERS", "Can access Users/Accounts page (admin)"],
     ["PAGE_ROLES", "Can access Roles/Permissions page (admin)"],
+    ["PAGE_PAYROLL", "Can access Payroll Runs page"],
 
     ["WORKER_CREATE", "Can create workers"],
     ["WORKER_EDIT", "Can edit workers"],
@@ -132,11 +230,24 @@ async function seedPermissions() {
     ["WORK_ENTRY_CREATE", "Can create work entries"],
     ["WORK_ENTRY_EDIT", "Can edit work entries"],
     ["WORK_ENTRY_DELETE", "Can delete work entries"],
+    ["WORK_ENTRY_VOID", "Can void work entries (with a reason)"],
+    ["WORK_ENTRY_RESTORE", "Can restore voided work entries"],
+    ["WORK_ENTRY_IMPORT", "Can import work entries from CSV/XLSX"],
+
+    ["PERIOD_CLOSE", "Can close payroll periods (lock a month)"],
+    ["PERIOD_UNLOCK", "Can reopen closed periods and change entries in them"],
+    ["WAGE_RECALC", "Can run month-end wage recalculation for threshold rules"],
+    ["WORK_ENTRY_BULK_RECALC", "Can re-price work entries in a date range from current rates"],
     ["WORK_ENTRY_VIEW_ALL_DATES", "Can view work entries without date limit"],
 
+    ["PAYROLL_RUN_MANAGE", "Can create payroll runs, add adjustments and mark them reviewed"],
+    ["PAYROLL_RUN_FINALIZE", "Can finalize reviewed payroll runs (freezes the pay)"],
+
     ["REPORT_EXPORT_PDF", "Can export reports as PDF"],
     ["REPORT_EXPORT_EXCEL", "Can export reports as Excel"],
     ["REPORT_FILTER_PAYTYPE", "Can filter reports by Cash/Bank"],
+    ["REPORT_BILL_AUDIT", "Can run the bill number gap / duplicate audit"],
+    ["REPORT_WAGE_SIMULATION", "Can run payroll what-if simulations with proposed rules / rates"],
 
     ["USER_CREATE", "Can create users"],
     ["USER_EDIT", "Can edit users"],
@@ -224,6 +335,7 @@ async function seedRolePermissions() {
     "PAGE_JOBS",
     "PAGE_RECORDS",
     "PAGE_REPORTS",
+    "PAGE_PAYROLL",
 
     "WORKER_CREATE",
     "WORKER_EDIT",
@@ -236,9 +348,15 @@ async function seedRolePermissions() {
     "WORK_ENTRY_CREATE",
     "WORK_ENTRY_EDIT",
     "WORK_ENTRY_DELETE",
+    "WORK_ENTRY_VOID",
+    "WORK_ENTRY_RESTORE",
+    "WORK_ENTRY_IMPORT",
 
     "REPORT_EXPORT_PDF",
     "REPORT_FILTER_PAYTYPE",
+    "REPORT_BILL_AUDIT",
+
+    "PAYROLL_RUN_MANAGE",
 
     "USER_CREATE",
     "USER_EDIT",
@@ -349,6 +467,8 @@ async function main() {
     const companyId = await ensureDefaultCompany();
 
     await ensureWageTiers(companyId);
+    await ensureNationalityTiers(companyId);
+    await ensurePriceLists(companyId);
 
     await seedRules();
     await ensureCompanyRules(companyId);
@@ -1,6 +1,9 @@
 // src/routes/jobRoutes.js
 import { Router } from "express";
-import db from "../config/db.js";
+import db, { dbRun, withTransaction } from "../config/db.js";
+import { isISODate, todayISO } from "../services/dateService.js";
+import { deleteJobWageRate, getJobWageTimeline, setJobWageRate } from "../services/jobWageService.js";
+import { ServiceError, statusOf, userMessage } from "../services/serviceError.js";
 
 const router = Router();
 
@@ -23,8 +26,11 @@ function normalizeWageRates(input) {
 }
 
 // ------------------ GET jobs + wages ------------------
+// wage_rates are the rates valid on ?date= (default today), each with the
+// next scheduled change after that date, if any.
 router.get("/", (req, res) => {
   const companyId = getCompanyId(req);
+  const asOf = isISODate(req.query.date) ? req.query.date : todayISO();
 
   db.all(
     `
@@ -38,7 +44,9 @@ router.get("/", (req, res) => {
 
       wt.id AS tier_id,
       wt.tier_name,
-      COALESCE(jw.wage_rate, 0) AS wage_rate
+      COALESCE(jw.wage_rate, 0) AS wage_rate,
+      nx.valid_from AS next_valid_from,
+      nx.wage_rate AS next_wage_rate
 
     FROM jobs j
     LEFT JOIN wage_tiers wt
@@ -46,11 +54,20 @@ router.get("/", (req, res) => {
     LEFT JOIN job_wages jw
       ON jw.job_id = j.id
      AND jw.tier_id = wt.id
+     AND (jw.valid_from IS NULL OR jw.valid_from <= ?)
+     AND (jw.valid_to IS NULL OR jw.valid_to >= ?)
+    LEFT JOIN job_wages nx
+      ON nx.id = (
+        SELECT n.id FROM job_wages n
+         WHERE n.job_id = j.id AND n.tier_id = wt.id AND n.valid_from > ?
+         ORDER BY n.valid_from
+         LIMIT 1
+      )
 
     WHERE j.company_id = ?
     ORDER BY j.job_code, wt.sort_order, wt.id
     `,
-    [companyId],
+    [asOf, asOf, asOf, companyId],
     (err, rows) => {
       if (err) {
         console.error(err);
@@ -77,6 +94,9 @@ router.get("/", (req, res) => {
             tier_id: r.tier_id,
             tier_name: r.tier_name,
             wage_rate: Number(r.wage_rate),
+            next_change: r.next_valid_from
+              ? { valid_from: r.next_valid_from, wage_rate: Number(r.next_wage_rate) }
+              : null,
           });
         }
       });
@@ -87,7 +107,8 @@ router.get("/", (req, res) => {
 });
 
 // ------------------ CREATE job ------------------
-router.post("/", (req, res) => {
+// the initial wage rates are valid since the beginning
+router.post("/", async (req, res) => {
   const companyId = getCompanyId(req);
   const { job_code, job_type, normal_price, is_active, wage_rates } = req.body;
 
@@ -97,79 +118,99 @@ router.post("/", (req, res) => {
 
   const rates = normalizeWageRates(wage_rates);
 
-  db.run(
-    `
-    INSERT INTO jobs (company_id, job_code, job_type, normal_price, is_active)
-    VALUES (?, ?, ?, ?, ?)
-    `,
-    [
-      companyId,
-      job_code,
-      job_type,
-      Number(normal_price || 0),
-      Number(is_active ?? 1),
-    ],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-
-      const jobId = this.lastID;
-
-      const stmt = db.prepare(`
-        INSERT INTO job_wages (company_id, job_id, tier_id, wage_rate)
-        VALUES (?, ?, ?, ?)
-      `);
-
-      rates.forEach(r =>
-        stmt.run(companyId, jobId, r.tier_id, r.wage_rate)
+  try {
+    const jobId = await withTransaction(async () => {
+      const r = await dbRun(
+        `
+        INSERT INTO jobs (company_id, job_code, job_type, normal_price, is_active)
+        VALUES (?, ?, ?, ?, ?)
+        `,
+        [companyId, job_code, job_type, Number(normal_price || 0), Number(is_active ?? 1)]
       );
 
-      stmt.finalize();
-      res.status(201).json({ id: jobId });
-    }
-  );
+      for (const rate of rates) {
+        await setJobWageRate({ companyId, jobId: r.lastID, tierId: rate.tier_id, wageRate: rate.wage_rate });
+      }
+      return r.lastID;
+    });
+
+    res.status(201).json({ id: jobId });
+  } catch (err) {
+    res.status(statusOf(err)).json({ error: err.message });
+  }
 });
 
 // ------------------ UPDATE job ------------------
-router.put("/:id", (req, res) => {
+// wage_rates apply from effective_from (YYYY-MM-DD, default today) until the
+// next scheduled change; rates equal to the one already valid are left alone.
+router.put("/:id", async (req, res) => {
   const companyId = getCompanyId(req);
   const jobId = Number(req.params.id);
   const { job_code, job_type, normal_price, is_active, wage_rates } = req.body;
+  const effectiveFrom = req.body.effective_from || todayISO();
+
+  if (!isISODate(effectiveFrom)) {
+    return res.status(400).json({ error: "effective_from must be YYYY-MM-DD" });
+  }
 
   const rates = normalizeWageRates(wage_rates);
 
-  db.run(
-    `
-    UPDATE jobs SET
-      job_code = ?, job_type = ?, normal_price = ?, is_active = ?
-    WHERE id = ? AND company_id = ?
-    `,
-    [
-      job_code,
-      job_type,
-      Number(normal_price || 0),
-      Number(is_active ?? 1),
-      jobId,
-      companyId,
-    ],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-      if (!this.changes) return res.status(404).json({ error: "Job not found" });
+  try {
+    const updated = await withTransaction(async () => {
+      const r = await dbRun(
+        `
+        UPDATE jobs SET
+          job_code = ?, job_type = ?, normal_price = ?, is_active = ?
+        WHERE id = ? AND company_id = ?
+        `,
+        [job_code, job_type, Number(normal_price || 0), Number(is_active ?? 1), jobId, companyId]
+      );
+      if (!r.changes) return false;
+
+      for (const rate of rates) {
+        await setJobWageRate({
+          companyId,
+          jobId,
+          tierId: rate.tier_id,
+          wageRate: rate.wage_rate,
+          validFrom: effectiveFrom,
+        });
+      }
+      return true;
+    });
 
-      const stmt = db.prepare(`
-        INSERT INTO job_wages (company_id, job_id, tier_id, wage_rate)
-        VALUES (?, ?, ?, ?)
-        ON CONFLICT(job_id, tier_id)
-        DO UPDATE SET wage_rate = excluded.wage_rate
-      `);
+    if (!updated) return res.status(404).json({ error: "Job not found" });
+    res.json({ message: "Job updated" });
+  } catch (err) {
+    res.status(statusOf(err)).json({ error: err.message });
+  }
+});
 
-      rates.forEach(r =>
-        stmt.run(companyId, jobId, r.tier_id, r.wage_rate)
-      );
+// ------------------ wage rate timeline ------------------
+router.get("/:id/wages", async (req, res) => {
+  const companyId = getCompanyId(req);
 
-      stmt.finalize();
-      res.json({ message: "Job updated" });
-    }
-  );
+  try {
+    res.json(await getJobWageTimeline(companyId, Number(req.params.id)));
+  } catch (err) {
+    console.error("GET job wages error:", err);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// remove one scheduled / dated rate step
+router.delete("/:id/wages/:wageId", async (req, res) => {
+  const companyId = getCompanyId(req);
+
+  try {
+    await withTransaction(() =>
+      deleteJobWageRate({ companyId, jobId: Number(req.params.id), wageId: Number(req.params.wageId) })
+    );
+    res.json({ message: "Rate removed" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("DELETE job wage error:", err);
+    res.status(statusOf(err)).json({ error: userMessage(err, "Database error") });
+  }
 });
 
 // ------------------ DELETE job ------------------
@@ -1,8 +1,42 @@
 import { Router } from "express";
 import bcrypt from "bcrypt";
-import db from "../config/db.js";
+import db, { dbAll, dbRun, withTransaction } from "../config/db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
-import { requirePermission } from "../middleware/permission.js";
+import { requirePermission, hasPermission } from "../middleware/permission.js";
+import { closePeriod, isValidMonth, listPeriodLog, listPeriods, reopenPeriod } from "../services/periodLockService.js";
+import { listBillNumberSequences, saveBillNumberSequence } from "../services/billNumberService.js";
+import {
+  listCommissionBrackets,
+  saveCommissionBrackets,
+  deleteCommissionBrackets,
+} from "../services/commissionService.js";
+import { applyMonthRecalc, listRecalcRuns, previewMonthRecalc } from "../services/monthRecalcService.js";
+import { applyBulkRecalc, listBulkRecalcRuns, previewBulkRecalc } from "../services/bulkRecalcService.js";
+import { addHolidays, deleteHoliday, listHolidays } from "../services/holidayService.js";
+import { parseMinimumWage, setTierMinimumWage } from "../services/minimumWageService.js";
+import {
+  addListPrice,
+  createPriceList,
+  deleteListPrice,
+  listAllPriceLists,
+  listPriceListPrices,
+  updatePriceList,
+} from "../services/priceListService.js";
+import {
+  deleteNationalityTier,
+  fillMissingTiers,
+  listNationalityTiers,
+  saveNationalityTier,
+} from "../services/nationalityTierService.js";
+import {
+  applyDueProgressions,
+  deleteProgressionRule,
+  listProgressionRules,
+  listTierChanges,
+  previewProgressions,
+  saveProgressionRule,
+} from "../services/tierProgressionService.js";
+import { ServiceError, userMessage } from "../services/serviceError.js";
 
 const router = Router();
 router.use("/management", requireAuth, requirePermission("PAGE_MANAGEMENT"));
@@ -20,6 +54,94 @@ function redirectMgmt(res, tab = "users", params = {}) {
   return res.redirect(`/management?${qs.toString()}`);
 }
 
+/**
+ * Admins may act on any company; everyone else only on their own, whatever
+ * company_id the form posts.
+ */
+function isOwnCompany(req, companyId) {
+  const user = req.session?.user;
+  return Number(user?.is_admin) === 1 || Number(companyId) === Number(user?.company_id);
+}
+
+function renderOtherCompanyForbidden(req, res) {
+  return res.status(403).render("403", {
+    title: "Access denied",
+    active: null,
+    missingPermission: null,
+    message: "You can only change your own company.",
+    path: req.originalUrl,
+    method: req.method,
+  });
+}
+
+/**
+ * Preview for the Month-End Recalc tab, or null when not requested.
+ * { companyId, month, preview?, error? }
+ */
+async function loadRecalcPreview(req) {
+  const companyId = Number(req.query.recalc_company);
+  const month = String(req.query.recalc_month || "").trim();
+  if (!companyId || !month) return null;
+
+  const user = req.session.user;
+  const allowed = Number(user?.is_admin) === 1 || (await hasPermission(user?.id, "WAGE_RECALC"));
+  if (!allowed) return { companyId, month, error: "You do not have permission to run the recalculation." };
+  if (!isOwnCompany(req, companyId)) return { companyId, month, error: "You can only recalculate your own company." };
+
+  try {
+    return { companyId, month, preview: await previewMonthRecalc({ companyId, month }) };
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("recalc preview error:", err);
+    return { companyId, month, error: userMessage(err, "Failed to calculate preview") };
+  }
+}
+
+/**
+ * Preview for the Bulk Recalc tab, or null when not requested.
+ * { filters, preview?, error? } — filters echo the query for the form.
+ */
+async function loadBulkRecalcPreview(req) {
+  const filters = {
+    companyId: Number(req.query.bulk_company),
+    from: String(req.query.bulk_from || "").trim(),
+    to: String(req.query.bulk_to || "").trim(),
+    workerCode: String(req.query.bulk_worker || "").trim(),
+    jobCode: String(req.query.bulk_job || "").trim(),
+    keepCustomerRates: req.query.bulk_keep === "1",
+  };
+  if (!filters.companyId || !filters.from || !filters.to) return null;
+
+  const user = req.session.user;
+  const allowed = Number(user?.is_admin) === 1 || (await hasPermission(user?.id, "WORK_ENTRY_BULK_RECALC"));
+  if (!allowed) return { filters, error: "You do not have permission to run the bulk recalculation." };
+  if (!isOwnCompany(req, filters.companyId)) return { filters, error: "You can only recalculate your own company." };
+
+  try {
+    return { filters, preview: await previewBulkRecalc(filters) };
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("bulk recalc preview error:", err);
+    return { filters, error: userMessage(err, "Failed to calculate preview") };
+  }
+}
+
+/**
+ * Prices of the list picked in the Price Lists tab (?pl=), or null.
+ * { list, prices, jobs } — jobs are the company's active jobs for the add form.
+ */
+async function loadPriceListEditor(req, priceLists) {
+  const list = priceLists.find((l) => Number(l.id) === Number(req.query.pl));
+  if (!list) return null;
+
+  const [prices, jobs] = await Promise.all([
+    listPriceListPrices(list.id),
+    dbAll(
+      `SELECT id, job_code, job_type, normal_price FROM jobs WHERE company_id = ? AND is_active = 1 ORDER BY job_code`,
+      [list.company_id]
+    ),
+  ]);
+  return { list, prices, jobs };
+}
+
 /* ---------------- GET /management ---------------- */
 
 router.get("/management", requireAuth, (req, res) => {
@@ -47,6 +169,21 @@ router.get("/management", requireAuth, (req, res) => {
           roles: [],
           permissions: [],
           rolePerms: [],
+          payrollPeriods: [],
+          periodLog: [],
+          billSequences: [],
+          commissionSets: [],
+          recalcRuns: [],
+          recalc: null,
+          bulkRecalcRuns: [],
+          bulkRecalc: null,
+          priceLists: [],
+          priceListEditor: null,
+          holidays: [],
+          progressionRules: [],
+          progression: null,
+          tierChanges: [],
+          nationalityTiers: [],
         });
       }
 
@@ -106,13 +243,65 @@ router.get("/management", requireAuth, (req, res) => {
 
                                 // ✅ add wage tiers fetch here
                                 db.all(
-                                  `SELECT id, company_id, tier_code, tier_name, is_active, sort_order, created_at
+                                  `SELECT id, company_id, tier_code, tier_name, is_active, sort_order, min_monthly_wage, created_at
                                     FROM wage_tiers
                                     ORDER BY company_id ASC, sort_order ASC, tier_code ASC`,
                                   [],
-                                  (err7, wageTiers = []) => {
+                                  async (err7, wageTiers = []) => {
                                     if (err7) console.error(err7);
 
+                                    let payrollPeriods = [];
+                                    let periodLog = [];
+                                    let billSequences = [];
+                                    let commissionSets = [];
+                                    let recalcRuns = [];
+                                    let bulkRecalcRuns = [];
+                                    let priceLists = [];
+                                    let priceListEditor = null;
+                                    let holidays = [];
+                                    let progressionRules = [];
+                                    let progression = null;
+                                    let tierChanges = [];
+                                    let nationalityTiers = [];
+                                    try {
+                                      [
+                                        payrollPeriods,
+                                        periodLog,
+                                        billSequences,
+                                        commissionSets,
+                                        recalcRuns,
+                                        bulkRecalcRuns,
+                                        priceLists,
+                                        holidays,
+                                        progressionRules,
+                                        progression,
+                                        tierChanges,
+                                        nationalityTiers,
+                                      ] = await Promise.all([
+                                        listPeriods(),
+                                        listPeriodLog(50),
+                                        listBillNumberSequences(),
+                                        listCommissionBrackets(),
+                                        listRecalcRuns(20),
+                                        listBulkRecalcRuns(20),
+                                        listAllPriceLists(),
+                                        // this year's calendar and beyond
+                                        listHolidays(`${new Date().getFullYear()}-01-01`),
+                                        listProgressionRules(),
+                                        previewProgressions(),
+                                        listTierChanges(50),
+                                        listNationalityTiers(),
+                                      ]);
+                                      priceListEditor = await loadPriceListEditor(req, priceLists);
+                                    } catch (err8) {
+                                      console.error(err8);
+                                    }
+
+                                    // month-end recalculation preview (?recalc_company=&recalc_month=)
+                                    const recalc = await loadRecalcPreview(req);
+                                    // bulk recalculation preview (?bulk_company=&bulk_from=&bulk_to=...)
+                                    const bulkRecalc = await loadBulkRecalcPreview(req);
+
                                     res.render("management", {
                                       title: "Management",
                                       error: req.query.error || null,
@@ -131,6 +320,22 @@ router.get("/management", requireAuth, (req, res) => {
                                       // ✅ NEW
                                       wageTiers,
 
+                                      payrollPeriods,
+                                      periodLog,
+                                      billSequences,
+                                      commissionSets,
+                                      recalcRuns,
+                                      recalc,
+                                      bulkRecalcRuns,
+                                      bulkRecalc,
+                                      priceLists,
+                                      priceListEditor,
+                                      holidays,
+                                      progressionRules,
+                                      progression,
+                                      tierChanges,
+                                      nationalityTiers,
+
                                       permPage: safePermPage,
                                       permPageSize,
                                       permTotal,
@@ -301,21 +506,14 @@ router.post("/management/roles/:id/permissions", requireAuth, requireAdmin, (req
   if (!Array.isArray(permIds)) permIds = [permIds];
   permIds = permIds.map(Number);
 
-  db.serialize(() => {
-    db.run("BEGIN");
-    db.run(`DELETE FROM role_permissions WHERE role_id = ?`, [roleId]);
-
-    const stmt = db.prepare(
-      `INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)`
-    );
-
-    permIds.forEach(pid => stmt.run(roleId, pid));
-
-    stmt.finalize(() => {
-      db.run("COMMIT");
-      redirectMgmt(res, "roles", { success: "Permissions updated" });
-    });
-  });
+  withTransaction(async () => {
+    await dbRun(`DELETE FROM role_permissions WHERE role_id = ?`, [roleId]);
+    for (const pid of permIds) {
+      await dbRun(`INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)`, [roleId, pid]);
+    }
+  })
+    .then(() => redirectMgmt(res, "roles", { success: "Permissions updated" }))
+    .catch(err => redirectMgmt(res, "roles", { error: err.message }));
 });
 
 // POST /management/roles/:id/delete
@@ -326,34 +524,16 @@ router.post("/management/roles/:id/delete", requireAuth, requireAdmin, (req, res
     return redirectMgmt(res, "roles", { error: "Invalid role id" });
   }
 
-  db.serialize(() => {
-    db.run("BEGIN");
-
+  withTransaction(async () => {
     // remove role permissions first (safe even if CASCADE exists)
-    db.run(`DELETE FROM role_permissions WHERE role_id = ?`, [roleId], (err1) => {
-      if (err1) {
-        db.run("ROLLBACK");
-        return redirectMgmt(res, "roles", { error: err1.message });
-      }
-
-      // now delete role
-      db.run(`DELETE FROM roles WHERE id = ?`, [roleId], function (err2) {
-        if (err2) {
-          db.run("ROLLBACK");
-          return redirectMgmt(res, "roles", { error: err2.message });
-        }
-
-        // if nothing deleted, role didn't exist
-        if (this.changes === 0) {
-          db.run("ROLLBACK");
-          return redirectMgmt(res, "roles", { error: "Role not found" });
-        }
-
-        db.run("COMMIT");
-        return redirectMgmt(res, "roles", { success: "Role deleted" });
-      });
-    });
-  });
+    await dbRun(`DELETE FROM role_permissions WHERE role_id = ?`, [roleId]);
+
+    // now delete role; if nothing deleted, role didn't exist
+    const { changes } = await dbRun(`DELETE FROM roles WHERE id = ?`, [roleId]);
+    if (changes === 0) throw new Error("Role not found");
+  })
+    .then(() => redirectMgmt(res, "roles", { success: "Role deleted" }))
+    .catch(err => redirectMgmt(res, "roles", { error: err.message }));
 });
 
 
@@ -435,10 +615,17 @@ router.post("/management/wage-tiers/create", requireAuth, requireAdmin, (req, re
     return redirectMgmt(res, "wage_tiers", { error: "Company, tier code, and tier name are required" });
   }
 
+  let minWage;
+  try {
+    minWage = parseMinimumWage(req.body.min_monthly_wage);
+  } catch (err) {
+    return redirectMgmt(res, "wage_tiers", { error: err.message });
+  }
+
   db.run(
-    `INSERT INTO wage_tiers (company_id, tier_code, tier_name, sort_order, is_active)
-     VALUES (?, ?, ?, ?, 1)`,
-    [company_id, tier_code, tier_name, Number.isFinite(sort_order) ? sort_order : 0],
+    `INSERT INTO wage_tiers (company_id, tier_code, tier_name, sort_order, min_monthly_wage, is_active)
+     VALUES (?, ?, ?, ?, ?, 1)`,
+    [company_id, tier_code, tier_name, Number.isFinite(sort_order) ? sort_order : 0, minWage],
     (err) => {
       if (err) {
         // UNIQUE(company_id, tier_code) will trigger this message if duplicate
@@ -466,6 +653,18 @@ router.post("/management/wage-tiers/:id/toggle", requireAuth, requireAdmin, (req
   );
 });
 
+// POST /management/wage-tiers/:id/minimum
+// body: min_monthly_wage (blank = no guaranteed minimum)
+router.post("/management/wage-tiers/:id/minimum", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await setTierMinimumWage({ tierId: req.params.id, amount: req.body.min_monthly_wage });
+    return redirectMgmt(res, "wage_tiers", { success: "Minimum monthly wage saved" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("tier minimum wage error:", err);
+    return redirectMgmt(res, "wage_tiers", { error: userMessage(err, "Failed to save minimum wage") });
+  }
+});
+
 // HARD DELETE (only allow if not referenced)
 router.post("/management/wage-tiers/:id/delete", requireAuth, requireAdmin, (req, res) => {
   const id = Number(req.params.id);
@@ -488,5 +687,387 @@ router.post("/management/wage-tiers/:id/delete", requireAuth, requireAdmin, (req
   );
 });
 
+// ---------------- NATIONALITY -> TIER ----------------
+
+// POST /management/nationality-tiers/save
+// body: company_id, nationality (comma separated values allowed), wage_tier_id
+router.post("/management/nationality-tiers/save", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const saved = await saveNationalityTier({
+      companyId: Number(req.body.company_id),
+      nationality: req.body.nationality,
+      wageTierId: Number(req.body.wage_tier_id),
+    });
+    return redirectMgmt(res, "wage_tiers", { success: `${saved} nationality mapping(s) saved` });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("nationality tier save error:", err);
+    return redirectMgmt(res, "wage_tiers", { error: userMessage(err, "Failed to save mapping") });
+  }
+});
+
+// POST /management/nationality-tiers/:id/delete
+router.post("/management/nationality-tiers/:id/delete", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await deleteNationalityTier(Number(req.params.id));
+    return redirectMgmt(res, "wage_tiers", { success: "Nationality mapping removed" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("nationality tier delete error:", err);
+    return redirectMgmt(res, "wage_tiers", { error: userMessage(err, "Failed to remove mapping") });
+  }
+});
+
+// POST /management/nationality-tiers/fill
+// body: company_id — give workers without a tier their nationality's tier
+router.post("/management/nationality-tiers/fill", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const updated = await fillMissingTiers(Number(req.body.company_id));
+    return redirectMgmt(res, "wage_tiers", { success: `${updated} worker(s) given a tier` });
+  } catch (err) {
+    console.error("nationality tier fill error:", err);
+    return redirectMgmt(res, "wage_tiers", { error: "Failed to assign tiers" });
+  }
+});
+
+// ---------------- TIER PROGRESSION ----------------
+
+// POST /management/tier-progression/save
+// body: company_id, from_tier_id, to_tier_id, after_months
+router.post("/management/tier-progression/save", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await saveProgressionRule({
+      companyId: Number(req.body.company_id),
+      fromTierId: Number(req.body.from_tier_id),
+      toTierId: Number(req.body.to_tier_id),
+      afterMonths: Number(req.body.after_months),
+    });
+    return redirectMgmt(res, "tier_progression", { success: "Progression rule saved" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("tier progression save error:", err);
+    return redirectMgmt(res, "tier_progression", { error: userMessage(err, "Failed to save rule") });
+  }
+});
+
+// POST /management/tier-progression/:id/delete
+router.post("/management/tier-progression/:id/delete", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await deleteProgressionRule(Number(req.params.id));
+    return redirectMgmt(res, "tier_progression", { success: "Progression rule removed" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("tier progression delete error:", err);
+    return redirectMgmt(res, "tier_progression", { error: userMessage(err, "Failed to remove rule") });
+  }
+});
+
+// POST /management/tier-progression/apply
+// Promotions also run by themselves every hour; this applies the due ones now.
+router.post("/management/tier-progression/apply", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const applied = await applyDueProgressions({ userId: req.session.user.id });
+    return redirectMgmt(res, "tier_progression", {
+      success: applied ? `${applied} tier change(s) applied` : "No promotions due",
+    });
+  } catch (err) {
+    console.error("tier progression apply error:", err);
+    return redirectMgmt(res, "tier_progression", { error: "Failed to apply promotions" });
+  }
+});
+
+// POST /management/tier-progression/catch-up
+// Anniversaries from before a rule was saved: applied only from here, dated today.
+router.post("/management/tier-progression/catch-up", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const applied = await applyDueProgressions({ userId: req.session.user.id, includeCatchUp: true });
+    return redirectMgmt(res, "tier_progression", {
+      success: applied ? `${applied} tier change(s) applied` : "No promotions due",
+    });
+  } catch (err) {
+    console.error("tier progression catch-up error:", err);
+    return redirectMgmt(res, "tier_progression", { error: "Failed to apply promotions" });
+  }
+});
+
+// ---------------- PAYROLL PERIODS ----------------
+
+// POST /management/periods/close
+router.post("/management/periods/close", requireAuth, requirePermission("PERIOD_CLOSE"), async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  const month = String(req.body.period_month || "").trim();
+  const note = String(req.body.note || "").trim() || null;
+
+  if (!companyId || !isValidMonth(month)) {
+    return redirectMgmt(res, "periods", { error: "Company and month (YYYY-MM) are required" });
+  }
+  if (!isOwnCompany(req, companyId)) return renderOtherCompanyForbidden(req, res);
+
+  try {
+    await closePeriod({ companyId, month, userId: req.session.user.id, note });
+    return redirectMgmt(res, "periods", { success: `Period ${month} closed` });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("period close error:", err);
+    return redirectMgmt(res, "periods", { error: userMessage(err, "Failed to close period") });
+  }
+});
+
+// POST /management/periods/reopen
+router.post("/management/periods/reopen", requireAuth, requirePermission("PERIOD_UNLOCK"), async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  const month = String(req.body.period_month || "").trim();
+  const note = String(req.body.note || "").trim();
+
+  if (!companyId || !isValidMonth(month)) {
+    return redirectMgmt(res, "periods", { error: "Company and month (YYYY-MM) are required" });
+  }
+  if (!isOwnCompany(req, companyId)) return renderOtherCompanyForbidden(req, res);
+  if (!note) {
+    return redirectMgmt(res, "periods", { error: "A reason is required to reopen a closed period" });
+  }
+
+  try {
+    await reopenPeriod({ companyId, month, userId: req.session.user.id, note });
+    return redirectMgmt(res, "periods", { success: `Period ${month} reopened` });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("period reopen error:", err);
+    return redirectMgmt(res, "periods", { error: userMessage(err, "Failed to reopen period") });
+  }
+});
+
+// ---------------- BILL NUMBERS ----------------
+
+// POST /management/bill-numbers/save
+router.post("/management/bill-numbers/save", requireAuth, requireAdmin, async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  if (!companyId) return redirectMgmt(res, "bill_numbers", { error: "Company is required" });
+
+  try {
+    await saveBillNumberSequence({
+      companyId,
+      enabled: req.body.enabled === "1",
+      prefix: req.body.prefix,
+      resetPeriod: String(req.body.reset_period || "NONE"),
+      padWidth: Number.parseInt(req.body.pad_width, 10),
+      userId: req.session.user.id,
+    });
+    return redirectMgmt(res, "bill_numbers", { success: "Bill numbering saved" });
+  } catch (err) {
+    return redirectMgmt(res, "bill_numbers", { error: err.message });
+  }
+});
+
+// ---------------- COMMISSION BRACKETS ----------------
+
+// POST /management/commission/save
+// body: company_id, wage_tier_id ('' = company default), up_to[], percent[]
+router.post("/management/commission/save", requireAuth, requireAdmin, async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  const tierId = req.body.wage_tier_id ? Number(req.body.wage_tier_id) : null;
+
+  const upTos = [].concat(req.body.up_to ?? []);
+  const percents = [].concat(req.body.percent ?? []);
+  const brackets = percents.map((percent, i) => ({ up_to: upTos[i], percent }));
+
+  try {
+    await saveCommissionBrackets({ companyId, tierId, brackets, userId: req.session.user.id });
+    return redirectMgmt(res, "commission", { success: "Commission brackets saved" });
+  } catch (err) {
+    return redirectMgmt(res, "commission", { error: err.message });
+  }
+});
+
+// POST /management/commission/delete
+router.post("/management/commission/delete", requireAuth, requireAdmin, async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  const tierId = req.body.wage_tier_id ? Number(req.body.wage_tier_id) : null;
+  if (!companyId) return redirectMgmt(res, "commission", { error: "Company is required" });
+
+  try {
+    await deleteCommissionBrackets({ companyId, tierId });
+    return redirectMgmt(res, "commission", { success: "Commission brackets removed" });
+  } catch (err) {
+    return redirectMgmt(res, "commission", { error: err.message });
+  }
+});
+
+// ---------------- PRICE LISTS ----------------
+
+// POST /management/price-lists/create
+// body: company_id, code, name, is_default ("1")
+router.post("/management/price-lists/create", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = await createPriceList({
+      companyId: Number(req.body.company_id),
+      code: req.body.code,
+      name: req.body.name,
+      isDefault: req.body.is_default === "1",
+    });
+    return redirectMgmt(res, "price_lists", { pl: String(id), success: "Price list created" });
+  } catch (err) {
+    return redirectMgmt(res, "price_lists", { error: err.message });
+  }
+});
+
+// POST /management/price-lists/:id/update
+// body: company_id, and one of: is_active ("0"/"1"), make_default ("1"), name
+router.post("/management/price-lists/:id/update", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await updatePriceList({
+      companyId: Number(req.body.company_id),
+      priceListId: Number(req.params.id),
+      name: req.body.name,
+      isActive: req.body.is_active == null ? null : req.body.is_active === "1",
+      makeDefault: req.body.make_default === "1",
+    });
+    return redirectMgmt(res, "price_lists", { success: "Price list updated" });
+  } catch (err) {
+    return redirectMgmt(res, "price_lists", { error: err.message });
+  }
+});
+
+// POST /management/price-lists/:id/prices/add
+// body: company_id, job_id, price, valid_from, valid_to ('' = open)
+router.post("/management/price-lists/:id/prices/add", requireAuth, requireAdmin, async (req, res) => {
+  const back = { pl: String(req.params.id) };
+  try {
+    await addListPrice({
+      companyId: Number(req.body.company_id),
+      priceListId: Number(req.params.id),
+      jobId: Number(req.body.job_id),
+      price: req.body.price,
+      validFrom: String(req.body.valid_from || "").trim() || null,
+      validTo: String(req.body.valid_to || "").trim() || null,
+      userId: req.session.user.id,
+    });
+    return redirectMgmt(res, "price_lists", { ...back, success: "Price saved" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("price list add error:", err);
+    return redirectMgmt(res, "price_lists", { ...back, error: userMessage(err, "Failed to save price") });
+  }
+});
+
+// POST /management/price-lists/:id/prices/:priceId/delete
+router.post("/management/price-lists/:id/prices/:priceId/delete", requireAuth, requireAdmin, async (req, res) => {
+  const back = { pl: String(req.params.id) };
+  try {
+    await deleteListPrice({ companyId: Number(req.body.company_id), priceId: Number(req.params.priceId) });
+    return redirectMgmt(res, "price_lists", { ...back, success: "Price removed" });
+  } catch (err) {
+    return redirectMgmt(res, "price_lists", { ...back, error: err.message });
+  }
+});
+
+// ---------------- HOLIDAYS ----------------
+
+// POST /management/holidays/add
+// body: company_id, date_from, date_to ('' = one day), name,
+//       price_multiplier, wage_multiplier ('' = the rule's default)
+router.post("/management/holidays/add", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const days = await addHolidays({
+      companyId: Number(req.body.company_id),
+      dateFrom: req.body.date_from,
+      dateTo: req.body.date_to,
+      name: req.body.name,
+      priceMultiplier: req.body.price_multiplier,
+      wageMultiplier: req.body.wage_multiplier,
+      userId: req.session.user.id,
+    });
+    return redirectMgmt(res, "holidays", { success: days === 1 ? "Holiday added" : `${days} holiday days added` });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("holiday add error:", err);
+    return redirectMgmt(res, "holidays", { error: userMessage(err, "Failed to add holiday") });
+  }
+});
+
+// POST /management/holidays/:id/delete
+router.post("/management/holidays/:id/delete", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await deleteHoliday({ companyId: Number(req.body.company_id), holidayId: Number(req.params.id) });
+    return redirectMgmt(res, "holidays", { success: "Holiday removed" });
+  } catch (err) {
+    return redirectMgmt(res, "holidays", { error: err.message });
+  }
+});
+
+// ---------------- MONTH-END RECALC ----------------
+
+// POST /management/recalc/apply
+// body: company_id, period_month, note, accept[] = "<entryId>:<previewed new wage_total>"
+router.post("/management/recalc/apply", requireAuth, requirePermission("WAGE_RECALC"), async (req, res) => {
+  const companyId = Number(req.body.company_id);
+  const month = String(req.body.period_month || "").trim();
+  const note = String(req.body.note || "").trim() || null;
+  const back = { recalc_company: String(companyId || ""), recalc_month: month };
+
+  const accept = new Map();
+  for (const v of [].concat(req.body.accept ?? [])) {
+    const [id, total] = String(v).split(":");
+    if (Number(id) > 0 && total !== undefined) accept.set(Number(id), Number(total));
+  }
+
+  if (!isOwnCompany(req, companyId)) return renderOtherCompanyForbidden(req, res);
+
+  try {
+    const r = await applyMonthRecalc({ companyId, month, accept, userId: req.session.user.id, note });
+    const staleText = r.stale ? ` (${r.stale} skipped: changed since preview)` : "";
+    return redirectMgmt(res, "recalc", {
+      ...back,
+      success: `Recalculated ${r.applied} entries for ${month}, wage change ${r.delta.toFixed(2)}${staleText}`,
+    });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("recalc apply error:", err);
+    return redirectMgmt(res, "recalc", { ...back, error: userMessage(err, "Recalculation failed") });
+  }
+});
+
+// ---------------- BULK RECALC ----------------
+
+// POST /management/bulk-recalc/apply
+// body: company_id, date_from, date_to, worker_code, job_code, keep_customer_rates, note,
+//       accept[] = "<entryId>:<previewed customer_total>/<previewed wage_total>"
+router.post(
+  "/management/bulk-recalc/apply",
+  requireAuth,
+  requirePermission("WORK_ENTRY_BULK_RECALC"),
+  async (req, res) => {
+    const input = {
+      companyId: Number(req.body.company_id),
+      from: String(req.body.date_from || "").trim(),
+      to: String(req.body.date_to || "").trim(),
+      workerCode: String(req.body.worker_code || "").trim(),
+      jobCode: String(req.body.job_code || "").trim(),
+      keepCustomerRates: req.body.keep_customer_rates === "1",
+    };
+    const note = String(req.body.note || "").trim() || null;
+    const back = {
+      bulk_company: String(input.companyId || ""),
+      bulk_from: input.from,
+      bulk_to: input.to,
+      bulk_worker: input.workerCode,
+      bulk_job: input.jobCode,
+      bulk_keep: input.keepCustomerRates ? "1" : "",
+    };
+
+    const accept = new Map();
+    for (const v of [].concat(req.body.accept ?? [])) {
+      const [id, token] = String(v).split(":");
+      if (Number(id) > 0 && token !== undefined) accept.set(Number(id), token);
+    }
+
+    if (!isOwnCompany(req, input.companyId)) return renderOtherCompanyForbidden(req, res);
+
+    try {
+      const r = await applyBulkRecalc({ ...input, accept, userId: req.session.user.id, note });
+      const staleText = r.stale ? ` (${r.stale} skipped: changed since preview)` : "";
+      return redirectMgmt(res, "bulk_recalc", {
+        ...back,
+        success:
+          `Recalculated ${r.applied} entries for ${input.from} to ${input.to}, ` +
+          `customer change ${r.customerDelta.toFixed(2)}, wage change ${r.wageDelta.toFixed(2)}${staleText}`,
+      });
+    } catch (err) {
+      if (!(err instanceof ServiceError)) console.error("bulk recalc apply error:", err);
+      return redirectMgmt(res, "bulk_recalc", { ...back, error: userMessage(err, "Recalculation failed") });
+    }
+  }
+);
 
 export default router;
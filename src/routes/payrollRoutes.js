@@ -0,0 +1,154 @@
+// src/routes/payrollRoutes.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permission.js";
+import {
+  addPayrollAdjustment,
+  createPayrollRun,
+  deletePayrollAdjustment,
+  deletePayrollRun,
+  finalizePayrollRun,
+  getPayrollRun,
+  listPayrollRuns,
+  refreshPayrollRun,
+  reopenPayrollRun,
+  reviewPayrollRun,
+} from "../services/payrollRunService.js";
+import { ServiceError } from "../services/serviceError.js";
+
+const router = Router();
+
+router.use(requireAuth, requirePermission("PAGE_PAYROLL"));
+
+/**
+ * Admins work on the company picked in the switcher (?companyId=);
+ * everyone else only on their own company.
+ */
+function getCompanyId(req) {
+  const user = req.session?.user;
+  if (Number(user?.is_admin) !== 1) return Number(user?.company_id) || null;
+  if (req.query?.companyId) return parseInt(req.query.companyId, 10);
+  return Number(req.session?.activeCompanyId) || null;
+}
+
+function sendError(res, err, label) {
+  if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+  console.error(`${label} error:`, err.message);
+  res.status(500).json({ error: "Database error" });
+}
+
+// GET /api/payroll-runs?companyId=1
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listPayrollRuns(getCompanyId(req)));
+  } catch (err) {
+    sendError(res, err, "GET /api/payroll-runs");
+  }
+});
+
+// POST /api/payroll-runs { month: "YYYY-MM", note }
+router.post("/", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    const id = await createPayrollRun({
+      companyId: getCompanyId(req),
+      month: String(req.body?.month || "").trim(),
+      note: req.body?.note,
+      userId: req.session.user.id,
+    });
+    res.status(201).json({ id });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs");
+  }
+});
+
+// GET /api/payroll-runs/:id
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(await getPayrollRun(getCompanyId(req), req.params.id));
+  } catch (err) {
+    sendError(res, err, "GET /api/payroll-runs/:id");
+  }
+});
+
+// DELETE /api/payroll-runs/:id (draft only)
+router.delete("/:id", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await deletePayrollRun({ companyId: getCompanyId(req), runId: req.params.id });
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    sendError(res, err, "DELETE /api/payroll-runs/:id");
+  }
+});
+
+// POST /api/payroll-runs/:id/refresh (draft only)
+router.post("/:id/refresh", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await refreshPayrollRun({ companyId: getCompanyId(req), runId: req.params.id });
+    res.json({ message: "Refreshed" });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs/:id/refresh");
+  }
+});
+
+// POST /api/payroll-runs/:id/adjustments { worker_id, amount, reason }
+router.post("/:id/adjustments", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await addPayrollAdjustment({
+      companyId: getCompanyId(req),
+      runId: req.params.id,
+      workerId: req.body?.worker_id,
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+      userId: req.session.user.id,
+    });
+    res.status(201).json({ message: "Added" });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs/:id/adjustments");
+  }
+});
+
+// DELETE /api/payroll-runs/:id/adjustments/:adjustmentId
+router.delete("/:id/adjustments/:adjustmentId", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await deletePayrollAdjustment({
+      companyId: getCompanyId(req),
+      runId: req.params.id,
+      adjustmentId: req.params.adjustmentId,
+    });
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    sendError(res, err, "DELETE /api/payroll-runs/:id/adjustments/:adjustmentId");
+  }
+});
+
+// POST /api/payroll-runs/:id/review   DRAFT -> REVIEWED
+router.post("/:id/review", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await reviewPayrollRun({ companyId: getCompanyId(req), runId: req.params.id, userId: req.session.user.id });
+    res.json({ message: "Reviewed" });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs/:id/review");
+  }
+});
+
+// POST /api/payroll-runs/:id/reopen   REVIEWED -> DRAFT
+router.post("/:id/reopen", requirePermission("PAYROLL_RUN_MANAGE"), async (req, res) => {
+  try {
+    await reopenPayrollRun({ companyId: getCompanyId(req), runId: req.params.id });
+    res.json({ message: "Back to draft" });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs/:id/reopen");
+  }
+});
+
+// POST /api/payroll-runs/:id/finalize   REVIEWED -> FINALIZED (frozen)
+router.post("/:id/finalize", requirePermission("PAYROLL_RUN_FINALIZE"), async (req, res) => {
+  try {
+    await finalizePayrollRun({ companyId: getCompanyId(req), runId: req.params.id, userId: req.session.user.id });
+    res.json({ message: "Finalized" });
+  } catch (err) {
+    sendError(res, err, "POST /api/payroll-runs/:id/finalize");
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+// src/routes/priceListRoutes.js
+import { Router } from "express";
+import { listPriceLists } from "../services/priceListService.js";
+
+const router = Router();
+
+function getCompanyId(req) {
+  if (req.query?.companyId) return parseInt(req.query.companyId, 10);
+  if (req.body?.companyId != null) return parseInt(req.body.companyId, 10);
+  if (req.body?.company_id != null) return parseInt(req.body.company_id, 10);
+  return 1;
+}
+
+// GET /api/price-lists?companyId=1
+// active lists for the entry form / batch grid (default list first);
+// prices are edited in Management > Price Lists
+router.get("/", async (req, res) => {
+  const companyId = getCompanyId(req);
+
+  try {
+    res.json(await listPriceLists(companyId, { activeOnly: true }));
+  } catch (err) {
+    console.error("GET /api/price-lists error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+export default router;
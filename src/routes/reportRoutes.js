@@ -1,11 +1,18 @@
 // src/routes/reportRoutes.js
 import express from "express";
 import PDFDocument from "pdfkit";
-import db from "../config/db.js";
+import db, { dbGet } from "../config/db.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import { requireAuth } from "../middleware/auth.js";
 import { requirePermission, hasPermission } from "../middleware/permission.js";
+import { isISODate, todayISO } from "../services/dateService.js";
+import { getEnabledRules, round2 } from "../services/wageEngine.js";
+import { getEndedBrackets } from "../services/commissionService.js";
+import { getMinimumWageTopUps, wholeMonthOf } from "../services/minimumWageService.js";
+import { getSimulationOptions, parseProposal, simulatePayroll } from "../services/wageSimulationService.js";
+import { getPayslipRun } from "../services/payrollRunService.js";
+import { ServiceError } from "../services/serviceError.js";
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -65,10 +72,6 @@ function jobNoWhereSql(jobNoFilter) {
   return ""; // ALL
 }
 
-function isValidISODate(s) {
-  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
-}
-
 function formatDMY(iso) {
   if (!iso) return "";
   const [y, m, d] = String(iso).split("-");
@@ -89,8 +92,26 @@ function payWhereSql(payFilter) {
   return ""; // BOTH
 }
 
+// payWhereSql + jobNoWhereSql for a saved line ({ is_bank, job_no2 })
+function matchesReportFilters(line, payFilter, jobNoFilter) {
+  if (payFilter === "NONE") return false;
+  if (payFilter === "BANK_ONLY" && num(line.is_bank) !== 1) return false;
+  if (payFilter === "CASH_ONLY" && num(line.is_bank) === 1) return false;
+  if (jobNoFilter === "HAS_JOBNO2" && !String(line.job_no2 || "").trim()) return false;
+  if (jobNoFilter === "NO_JOBNO2" && String(line.job_no2 || "").trim()) return false;
+  return true;
+}
+
+// voided entries stay in work_entries for audit but never count in reports
+const NOT_VOIDED_SQL = "AND we.voided_at IS NULL";
+
 /* -----------------------------
    Worker Monthly Pays
+   Per-worker reports read work_entry_worker_lines: a split bill gives each
+   worker their own hours, share of the customer total and wage.
+   Sales Listing reads work_entries, so each bill is counted once.
+   Requested bills (REQUESTED_WORKER) count, with their bonus, for the
+   bill's (lead) worker only.
 ------------------------------ */
 function queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter }) {
   return new Promise((resolve, reject) => {
@@ -99,19 +120,25 @@ function queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter
 
     const sql = `
       SELECT
+        w.id AS worker_id,
+        w.wage_tier_id AS wage_tier_id,
         w.worker_code AS worker_code,
         COALESCE(w.worker_name, w.worker_english_name, '') AS worker_name,
-        SUM(COALESCE(we.amount, 0)) AS total_hours,
-        SUM(COALESCE(we.customer_total, (COALESCE(we.customer_rate, 0) * COALESCE(we.amount, 0)), 0)) AS total_customer,
-        SUM(COALESCE(we.wage_total, we.pay, 0)) AS total_wage
-      FROM work_entries we
-      JOIN workers w ON w.id = we.worker_id
+        SUM(COALESCE(wl.hours, 0)) AS total_hours,
+        SUM(COALESCE(wl.customer_share, 0)) AS total_customer,
+        SUM(COALESCE(wl.wage_total, 0)) AS total_wage,
+        SUM(CASE WHEN we.is_requested = 1 AND we.worker_id = wl.worker_id THEN 1 ELSE 0 END) AS requested_count,
+        SUM(CASE WHEN we.worker_id = wl.worker_id THEN COALESCE(we.request_bonus, 0) ELSE 0 END) AS request_bonus
+      FROM work_entry_worker_lines wl
+      JOIN work_entries we ON we.id = wl.work_entry_id
+      JOIN workers w ON w.id = wl.worker_id
       WHERE we.company_id = ?
         AND we.work_date >= ?
         AND we.work_date <= ?
+        ${NOT_VOIDED_SQL}
         ${paySql}
         ${jobNoSql}
-      GROUP BY w.worker_code, w.worker_name, w.worker_english_name
+      GROUP BY w.id, w.wage_tier_id, w.worker_code, w.worker_name, w.worker_english_name
       ORDER BY CAST(w.worker_code AS INTEGER), w.worker_code
     `;
 
@@ -122,6 +149,47 @@ function queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter
   });
 }
 
+/**
+ * Commission bracket each worker ended in (month of the end date), or null
+ * when the company does not use COMMISSION_BRACKETS. Brackets follow the
+ * worker's full sales for the month, not the pay type / Job No filters.
+ */
+async function resolveEndedBrackets(companyId, end, rows) {
+  const enabled = await getEnabledRules(companyId);
+  if (!enabled.some((r) => r.code === "COMMISSION_BRACKETS")) return null;
+  return getEndedBrackets({ companyId, endDate: end, workers: rows });
+}
+
+/**
+ * Minimum wage top-ups by worker id when start..end is one whole calendar
+ * month, else null. Like brackets they follow the worker's full month, not
+ * the pay type / Job No filters.
+ */
+async function resolveTopUps(companyId, start, end, workerId = null) {
+  const month = wholeMonthOf(start, end);
+  if (!month) return null;
+  return getMinimumWageTopUps({ companyId, month, workerIds: workerId ? [workerId] : null });
+}
+
+const byWorkerCode = (a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true });
+
+/**
+ * Workers owed a top-up with no rows in the report (no entries that month,
+ * or none matching the filters) get a row from blankRow({ worker_id,
+ * worker_code, worker_name }) so the top-up still shows.
+ */
+function withTopUpOnlyRows(rows, topUps, blankRow) {
+  if (!topUps) return rows;
+  const seen = new Set(rows.map((r) => Number(r.worker_id)));
+  const extra = [...topUps]
+    .filter(([id, t]) => !seen.has(id) && t.top_up > 0)
+    .map(([id, t]) => blankRow({ worker_id: id, worker_code: t.worker_code, worker_name: t.worker_name }));
+  return extra.length ? [...rows, ...extra].sort(byWorkerCode) : rows;
+}
+
+// commission + request bonus + minimum wage top-up
+const finalPayable = (wage, bonus, topUp) => Math.round((num(wage) + num(bonus) + num(topUp)) * 100) / 100;
+
 router.get("/worker-monthly-pays", async (req, res) => {
   try {
     const companyId = Number(req.query.companyId || 1);
@@ -132,21 +200,35 @@ router.get("/worker-monthly-pays", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
-    if (!isValidISODate(start) || !isValidISODate(end))
+    if (!isISODate(start) || !isISODate(end))
       return res.status(400).json({ error: "Invalid start/end date (use YYYY-MM-DD)" });
     if (start > end) return res.status(400).json({ error: "Start date cannot be after end date" });
 
-    const rows = await queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter });
+    const entryRows = await queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter });
+    const brackets = await resolveEndedBrackets(companyId, end, entryRows);
+    const topUps = await resolveTopUps(companyId, start, end);
+    const rows = withTopUpOnlyRows(entryRows, topUps, (w) => w);
 
     res.json({
       canFilterPayType,
-      rows: rows.map((r) => ({
-        worker_code: r.worker_code,
-        worker_name: r.worker_name,
-        total_hours: num(r.total_hours),
-        total_customer: num(r.total_customer),
-        total_wage: num(r.total_wage),
-      })),
+      showBracket: !!brackets,
+      showTopUp: !!topUps,
+      rows: rows.map((r) => {
+        const topUp = topUps?.get(Number(r.worker_id));
+        return {
+          worker_code: r.worker_code,
+          worker_name: r.worker_name,
+          total_hours: num(r.total_hours),
+          total_customer: num(r.total_customer),
+          total_wage: num(r.total_wage),
+          requested_count: num(r.requested_count),
+          request_bonus: num(r.request_bonus),
+          commission_bracket: brackets?.get(Number(r.worker_id))?.label ?? null,
+          min_wage: topUp?.minimum ?? null,
+          top_up: topUp?.top_up ?? 0,
+          final_pay: finalPayable(r.total_wage, r.request_bonus, topUp?.top_up),
+        };
+      }),
     });
   } catch (err) {
     console.error("worker-monthly-pays error:", err);
@@ -164,11 +246,14 @@ router.get("/worker-monthly-pays/pdf", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).send("Invalid companyId");
-    if (!isValidISODate(start) || !isValidISODate(end))
+    if (!isISODate(start) || !isISODate(end))
       return res.status(400).send("Invalid start/end date (use YYYY-MM-DD)");
     if (start > end) return res.status(400).send("Start date cannot be after end date");
 
-    const rows = await queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter });
+    const entryRows = await queryWorkerMonthlyPays({ companyId, start, end, payFilter, jobNoFilter });
+    const brackets = await resolveEndedBrackets(companyId, end, entryRows);
+    const topUps = await resolveTopUps(companyId, start, end);
+    const rows = withTopUpOnlyRows(entryRows, topUps, (w) => w);
 
     const filename = `Worker_Monthly_Pays_${companyId}_${start}_to_${end}.pdf`;
     res.setHeader("Content-Type", "application/pdf");
@@ -190,7 +275,26 @@ router.get("/worker-monthly-pays/pdf", async (req, res) => {
     doc.moveDown(1);
 
     const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-    const col = { no: 30, code: 70, name: 180, hours: 70, cust: 90, wage: 90 };
+    // optional columns only when the report has them; widths scale to the page
+    const cols = [
+      { label: "#", width: 25 },
+      { label: "Worker", width: 50 },
+      { label: "Name", width: 100 },
+      { label: "Hours", width: 45, align: "right" },
+      { label: "Customer", width: 65, align: "right" },
+      { label: "Wage", width: 65, align: "right" },
+      { label: "Req.", width: 30, align: "right" },
+      { label: "Bonus", width: 50, align: "right" },
+      ...(topUps
+        ? [
+            { label: "Top-up", width: 55, align: "right" },
+            { label: "Payable", width: 65, align: "right" },
+          ]
+        : []),
+      ...(brackets ? [{ label: "Bracket", width: 75, pad: 5 }] : []),
+    ];
+    const scale = pageWidth / cols.reduce((sum, c) => sum + c.width, 0);
+    cols.forEach((c) => (c.width *= scale));
     const startX = doc.page.margins.left;
     let y = doc.y;
 
@@ -207,43 +311,59 @@ router.get("/worker-monthly-pays/pdf", async (req, res) => {
       doc.font("NotoSC").fontSize(fontSize).fillColor("#000");
 
       let x = startX;
-      doc.text(cells[0], x, y, { width: col.no, align: "left" }); x += col.no;
-      doc.text(cells[1], x, y, { width: col.code, align: "left" }); x += col.code;
-      doc.text(cells[2], x, y, { width: col.name, align: "left" }); x += col.name;
-      doc.text(cells[3], x, y, { width: col.hours, align: "right" }); x += col.hours;
-      doc.text(cells[4], x, y, { width: col.cust, align: "right" }); x += col.cust;
-      doc.text(cells[5], x, y, { width: col.wage, align: "right" });
+      cols.forEach((c, i) => {
+        const pad = c.pad || 0;
+        doc.text(cells[i], x + pad, y, { width: c.width - pad, align: c.align || "left" });
+        x += c.width;
+      });
 
       y += rowH;
     };
 
     const fmt2 = (v) => num(v).toFixed(2);
 
-    drawRow(["#", "Worker", "Name", "Hours", "Customer", "Wage"], true);
+    const header = cols.map((c) => c.label);
+    drawRow(header, true);
 
-    let totalHours = 0, totalCustomer = 0, totalWage = 0;
+    let totalHours = 0, totalCustomer = 0, totalWage = 0, totalBonus = 0, totalTopUp = 0;
 
     rows.forEach((r, idx) => {
       const h = num(r.total_hours);
       const c = num(r.total_customer);
       const w = num(r.total_wage);
+      const b = num(r.request_bonus);
+      const t = num(topUps?.get(Number(r.worker_id))?.top_up);
 
       totalHours += h;
       totalCustomer += c;
       totalWage += w;
+      totalBonus += b;
+      totalTopUp += t;
 
       if (y > doc.page.height - doc.page.margins.bottom - 40) {
         doc.addPage();
         y = doc.page.margins.top;
-        drawRow(["#", "Worker", "Name", "Hours", "Customer", "Wage"], true);
+        drawRow(header, true);
       }
 
-      drawRow([String(idx + 1), String(r.worker_code || "-"), String(r.worker_name || "-"), fmt2(h), fmt2(c), fmt2(w)]);
+      drawRow([
+        String(idx + 1),
+        String(r.worker_code || "-"),
+        String(r.worker_name || "-"),
+        fmt2(h),
+        fmt2(c),
+        fmt2(w),
+        String(num(r.requested_count)),
+        fmt2(b),
+        ...(topUps ? [t ? fmt2(t) : "-", fmt2(finalPayable(w, b, t))] : []),
+        ...(brackets ? [brackets.get(Number(r.worker_id))?.label ?? "-"] : []),
+      ]);
     });
 
     doc.moveDown(1);
     doc.font("NotoSC").fontSize(10).text(
-      `TOTAL Hours: ${fmt2(totalHours)}    TOTAL Customer: ${fmt2(totalCustomer)}    TOTAL Wage: ${fmt2(totalWage)}`,
+      `TOTAL Hours: ${fmt2(totalHours)}    TOTAL Customer: ${fmt2(totalCustomer)}    TOTAL Wage: ${fmt2(totalWage)}    TOTAL Bonus: ${fmt2(totalBonus)}` +
+        (topUps ? `    TOTAL Top-up: ${fmt2(totalTopUp)}    TOTAL Payable: ${fmt2(finalPayable(totalWage, totalBonus, totalTopUp))}` : ""),
       { align: "right" }
     );
 
@@ -254,6 +374,57 @@ router.get("/worker-monthly-pays/pdf", async (req, res) => {
   }
 });
 
+/* -----------------------------
+   Payroll What-If Simulation
+   Worker Monthly Pays re-calculated with a proposed rule set / wage rate
+   table (see wageSimulationService.js). Read only.
+------------------------------ */
+router.get("/wage-simulation/options", requirePermission("REPORT_WAGE_SIMULATION"), async (req, res) => {
+  try {
+    const companyId = Number(req.query.companyId || 1);
+    const asOf = isISODate(req.query.asOf) ? req.query.asOf : todayISO();
+    if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
+
+    res.json(await getSimulationOptions(companyId, asOf));
+  } catch (err) {
+    console.error("wage-simulation options error:", err);
+    res.status(500).json({ error: "Failed to load simulation options" });
+  }
+});
+
+// query: companyId, start, end + the Worker Monthly Pays filters
+// body: { rules: ["CODE", ...], params: { CODE: { key: value } }, rates: [{ job_id, tier_id, wage_rate }] }
+router.post("/wage-simulation", requirePermission("REPORT_WAGE_SIMULATION"), async (req, res) => {
+  try {
+    const companyId = Number(req.query.companyId || 1);
+    const start = req.query.start;
+    const end = req.query.end;
+
+    const { payFilter } = await resolvePayFilter(req);
+    const jobNoFilter = resolveJobNoFilter(req);
+
+    if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
+    if (!isISODate(start) || !isISODate(end))
+      return res.status(400).json({ error: "Invalid start/end date (use YYYY-MM-DD)" });
+    if (start > end) return res.status(400).json({ error: "Start date cannot be after end date" });
+
+    const proposal = await parseProposal(companyId, req.body || {});
+    const result = await simulatePayroll({
+      companyId,
+      start,
+      end,
+      proposal,
+      entryFilterSql: `${payWhereSql(payFilter)} ${jobNoWhereSql(jobNoFilter)}`,
+    });
+
+    res.json(result);
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("wage-simulation error:", err);
+    res.status(500).json({ error: "Failed to run simulation" });
+  }
+});
+
 /* -----------------------------
    Sales Listing
 ------------------------------ */
@@ -267,13 +438,16 @@ function querySalesListing({ companyId, start, end, payFilter, jobNoFilter }) {
         we.work_date AS work_date,
         we.job_no1 AS bill_no,
         (j.job_code || ' - ' || COALESCE(j.job_type, '')) AS job_desc,
+        pl.code AS price_list,
         COALESCE(we.amount, 0) AS hours,
         COALESCE(we.customer_total, (COALESCE(we.customer_rate, 0) * COALESCE(we.amount, 0)), 0) AS fee
       FROM work_entries we
       LEFT JOIN jobs j ON j.id = we.job_id AND j.company_id = we.company_id
+      LEFT JOIN price_lists pl ON pl.id = we.price_list_id
       WHERE we.company_id = ?
         AND date(we.work_date) >= date(?)
         AND date(we.work_date) <= date(?)
+        ${NOT_VOIDED_SQL}
         ${paySql}
         ${jobNoSql}
       ORDER BY date(we.work_date), CAST(we.job_no1 AS INTEGER), we.job_no1
@@ -287,17 +461,41 @@ function querySalesListing({ companyId, start, end, payFilter, jobNoFilter }) {
       WHERE we.company_id = ?
         AND date(we.work_date) >= date(?)
         AND date(we.work_date) <= date(?)
+        ${NOT_VOIDED_SQL}
         ${paySql}
         ${jobNoSql}
       GROUP BY we.work_date
       ORDER BY date(we.work_date)
     `;
 
+    // entries without a list were priced by hand (custom override) or saved before price lists
+    const priceListSql = `
+      SELECT
+        pl.code AS code,
+        COALESCE(pl.name, 'Custom / no list') AS name,
+        COUNT(*) AS bills,
+        SUM(COALESCE(we.amount, 0)) AS hours,
+        SUM(COALESCE(we.customer_total, (COALESCE(we.customer_rate, 0) * COALESCE(we.amount, 0)), 0)) AS sales
+      FROM work_entries we
+      LEFT JOIN price_lists pl ON pl.id = we.price_list_id
+      WHERE we.company_id = ?
+        AND date(we.work_date) >= date(?)
+        AND date(we.work_date) <= date(?)
+        ${NOT_VOIDED_SQL}
+        ${paySql}
+        ${jobNoSql}
+      GROUP BY we.price_list_id
+      ORDER BY pl.id IS NULL, pl.is_default DESC, pl.sort_order, pl.id
+    `;
+
     db.all(detailSql, [companyId, start, end], (e1, rows) => {
       if (e1) return reject(e1);
       db.all(daySql, [companyId, start, end], (e2, days) => {
         if (e2) return reject(e2);
-        resolve({ rows: rows || [], days: days || [] });
+        db.all(priceListSql, [companyId, start, end], (e3, priceLists) => {
+          if (e3) return reject(e3);
+          resolve({ rows: rows || [], days: days || [], priceLists: priceLists || [] });
+        });
       });
     });
   });
@@ -313,7 +511,7 @@ router.get("/sales-listing", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
-    if (!isValidISODate(start) || !isValidISODate(end)) return res.status(400).json({ error: "Invalid start/end date" });
+    if (!isISODate(start) || !isISODate(end)) return res.status(400).json({ error: "Invalid start/end date" });
     if (start > end) return res.status(400).json({ error: "Start date cannot be after end date" });
 
     const data = await querySalesListing({ companyId, start, end, payFilter, jobNoFilter });
@@ -324,6 +522,7 @@ router.get("/sales-listing", async (req, res) => {
         work_date: r.work_date,
         bill_no: r.bill_no,
         job_desc: r.job_desc,
+        price_list: r.price_list || null,
         hours: num(r.hours),
         fee: num(r.fee),
       })),
@@ -331,6 +530,13 @@ router.get("/sales-listing", async (req, res) => {
         work_date: d.work_date,
         daily_sales: num(d.daily_sales),
       })),
+      price_lists: (data.priceLists || []).map((p) => ({
+        code: p.code || null,
+        name: p.name,
+        bills: Number(p.bills || 0),
+        hours: num(p.hours),
+        sales: num(p.sales),
+      })),
     });
   } catch (err) {
     console.error("sales-listing error:", err);
@@ -348,10 +554,10 @@ router.get("/sales-listing/pdf", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).send("Invalid companyId");
-    if (!isValidISODate(start) || !isValidISODate(end)) return res.status(400).send("Invalid start/end date");
+    if (!isISODate(start) || !isISODate(end)) return res.status(400).send("Invalid start/end date");
     if (start > end) return res.status(400).send("Start date cannot be after end date");
 
-    const { rows, days } = await querySalesListing({ companyId, start, end, payFilter, jobNoFilter });
+    const { rows, days, priceLists } = await querySalesListing({ companyId, start, end, payFilter, jobNoFilter });
 
     const filename = `Daily_Sales_Report_${companyId}_${start}_to_${end}.pdf`;
     res.setHeader("Content-Type", "application/pdf");
@@ -383,7 +589,7 @@ router.get("/sales-listing/pdf", async (req, res) => {
     const startX = doc.page.margins.left;
     let y = doc.y;
 
-    const col = { date: 70, bill: 70, job: 220, hours: 60, fee: 70 };
+    const col = { date: 70, bill: 70, job: 170, list: 50, hours: 60, fee: 70 };
     const rowH = 16;
     const fmt2 = (v) => num(v).toFixed(2);
 
@@ -405,6 +611,7 @@ router.get("/sales-listing/pdf", async (req, res) => {
       doc.text("Date日期", x, y, { width: col.date }); x += col.date;
       doc.text("Bill No单号", x, y, { width: col.bill }); x += col.bill;
       doc.text("Job Descriptions项目", x, y, { width: col.job }); x += col.job;
+      doc.text("Price价目", x, y, { width: col.list }); x += col.list;
       doc.text("Hour钟点", x, y, { width: col.hours, align: "right" }); x += col.hours;
       doc.text("Fee收费", x, y, { width: col.fee, align: "right" });
       y += rowH;
@@ -418,6 +625,7 @@ router.get("/sales-listing/pdf", async (req, res) => {
       doc.text(showDate ? formatDMY(r.work_date) : "", x, y, { width: col.date }); x += col.date;
       doc.text(String(r.bill_no || "-"), x, y, { width: col.bill }); x += col.bill;
       doc.text(String(r.job_desc || "-"), x, y, { width: col.job }); x += col.job;
+      doc.text(String(r.price_list || "-"), x, y, { width: col.list }); x += col.list;
       doc.text(fmt2(r.hours), x, y, { width: col.hours, align: "right" }); x += col.hours;
       doc.text(fmt2(r.fee), x, y, { width: col.fee, align: "right" });
       y += rowH;
@@ -450,6 +658,35 @@ router.get("/sales-listing/pdf", async (req, res) => {
     doc.moveDown(0.5);
     doc.font("NotoSC").fontSize(10).text(`Grand Total: ${fmt2(grand)}`, { align: "right" });
 
+    // sales by price list
+    if ((priceLists || []).length) {
+      y = doc.y + 16;
+      ensureSpace(30 + priceLists.length * rowH);
+
+      const plCol = { name: 220, bills: 80, hours: 80, sales: 100 };
+      doc.save();
+      doc.rect(startX, y - 2, pageW, rowH + 4).fill("#E9F2FF");
+      doc.restore();
+
+      doc.font("NotoSC").fontSize(9).fillColor("#000");
+      let x = startX;
+      doc.text("Price List价目表", x, y, { width: plCol.name }); x += plCol.name;
+      doc.text("Bills单数", x, y, { width: plCol.bills, align: "right" }); x += plCol.bills;
+      doc.text("Hour钟点", x, y, { width: plCol.hours, align: "right" }); x += plCol.hours;
+      doc.text("Sales生意", x, y, { width: plCol.sales, align: "right" });
+      y += rowH;
+
+      priceLists.forEach((p) => {
+        ensureSpace(25);
+        let px = startX;
+        doc.text(p.code ? `${p.code} - ${p.name}` : p.name, px, y, { width: plCol.name }); px += plCol.name;
+        doc.text(String(p.bills), px, y, { width: plCol.bills, align: "right" }); px += plCol.bills;
+        doc.text(fmt2(p.hours), px, y, { width: plCol.hours, align: "right" }); px += plCol.hours;
+        doc.text(fmt2(p.sales), px, y, { width: plCol.sales, align: "right" });
+        y += rowH;
+      });
+    }
+
     doc.end();
   } catch (err) {
     console.error("sales-listing pdf error:", err);
@@ -457,13 +694,188 @@ router.get("/sales-listing/pdf", async (req, res) => {
   }
 });
 
+/* -----------------------------
+   Holiday Uplift
+   Part of sales / wages that came from holiday multipliers
+   (HOLIDAY_MULTIPLIER rule), per holiday date. Amounts are what was
+   saved on the bills, so a holiday removed later still shows.
+------------------------------ */
+function queryHolidayUplift({ companyId, start, end, payFilter, jobNoFilter }) {
+  return new Promise((resolve, reject) => {
+    const paySql = payWhereSql(payFilter);
+    const jobNoSql = jobNoWhereSql(jobNoFilter);
+
+    const sql = `
+      SELECT
+        we.work_date AS work_date,
+        h.name AS holiday_name,
+        COUNT(*) AS bills,
+        SUM(COALESCE(we.amount, 0)) AS hours,
+        SUM(COALESCE(we.customer_total, 0)) AS customer_total,
+        SUM(COALESCE(we.holiday_customer_uplift, 0)) AS customer_uplift,
+        SUM(COALESCE(we.wage_total, 0)) AS wage_total,
+        SUM(COALESCE(we.holiday_wage_uplift, 0)) AS wage_uplift
+      FROM work_entries we
+      LEFT JOIN holidays h ON h.company_id = we.company_id AND h.holiday_date = we.work_date
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date <= ?
+        AND (COALESCE(we.holiday_customer_uplift, 0) <> 0 OR COALESCE(we.holiday_wage_uplift, 0) <> 0)
+        ${NOT_VOIDED_SQL}
+        ${paySql}
+        ${jobNoSql}
+      GROUP BY we.work_date, h.name
+      ORDER BY we.work_date
+    `;
+
+    db.all(sql, [companyId, start, end], (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+router.get("/holiday-uplift", async (req, res) => {
+  try {
+    const companyId = Number(req.query.companyId || 1);
+    const start = req.query.start;
+    const end = req.query.end;
+
+    const { canFilterPayType, payFilter } = await resolvePayFilter(req);
+    const jobNoFilter = resolveJobNoFilter(req);
+
+    if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
+    if (!isISODate(start) || !isISODate(end)) return res.status(400).json({ error: "Invalid start/end date" });
+    if (start > end) return res.status(400).json({ error: "Start date cannot be after end date" });
+
+    const rows = await queryHolidayUplift({ companyId, start, end, payFilter, jobNoFilter });
+
+    res.json({
+      canFilterPayType,
+      rows: rows.map((r) => ({
+        work_date: r.work_date,
+        holiday_name: r.holiday_name || null,
+        bills: Number(r.bills || 0),
+        hours: num(r.hours),
+        customer_total: num(r.customer_total),
+        customer_uplift: num(r.customer_uplift),
+        wage_total: num(r.wage_total),
+        wage_uplift: num(r.wage_uplift),
+      })),
+    });
+  } catch (err) {
+    console.error("holiday-uplift error:", err);
+    res.status(500).json({ error: "Failed to generate report" });
+  }
+});
+
+router.get("/holiday-uplift/pdf", async (req, res) => {
+  try {
+    const companyId = Number(req.query.companyId || 1);
+    const start = req.query.start;
+    const end = req.query.end;
+
+    const { payFilter } = await resolvePayFilter(req);
+    const jobNoFilter = resolveJobNoFilter(req);
+
+    if (!companyId || companyId <= 0) return res.status(400).send("Invalid companyId");
+    if (!isISODate(start) || !isISODate(end)) return res.status(400).send("Invalid start/end date");
+    if (start > end) return res.status(400).send("Start date cannot be after end date");
+
+    const rows = await queryHolidayUplift({ companyId, start, end, payFilter, jobNoFilter });
+
+    const filename = `Holiday_Uplift_${companyId}_${start}_to_${end}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.pipe(res);
+
+    const fontPath = path.join(__dirname, "../../fonts/NotoSansSC-Regular.ttf");
+    doc.registerFont("NotoSC", fontPath);
+    doc.font("NotoSC");
+
+    doc.fontSize(16).text("Holiday Uplift 节日加价", { align: "left" });
+    doc.moveDown(0.3);
+    doc.fontSize(10).fillColor("#555").text(
+      `Company ID: ${companyId}    Date: ${formatDMY(start)} - ${formatDMY(end)}`
+    );
+    doc.fillColor("#000");
+    doc.moveDown(1);
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const col = { date: 65, name: 110, bills: 40, sales: 75, salesUp: 65, wage: 75, wageUp: 65 };
+    const startX = doc.page.margins.left;
+    let y = doc.y;
+
+    const drawRow = (cells, isHeader = false) => {
+      const rowH = 18;
+
+      if (y > doc.page.height - doc.page.margins.bottom - 40) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      if (isHeader) {
+        doc.save();
+        doc.rect(startX, y - 2, pageWidth, rowH + 4).fill("#E9F2FF");
+        doc.restore();
+      }
+
+      doc.font("NotoSC").fontSize(9).fillColor("#000");
+
+      let x = startX;
+      doc.text(cells[0], x, y, { width: col.date }); x += col.date;
+      doc.text(cells[1], x, y, { width: col.name }); x += col.name;
+      doc.text(cells[2], x, y, { width: col.bills, align: "right" }); x += col.bills;
+      doc.text(cells[3], x, y, { width: col.sales, align: "right" }); x += col.sales;
+      doc.text(cells[4], x, y, { width: col.salesUp, align: "right" }); x += col.salesUp;
+      doc.text(cells[5], x, y, { width: col.wage, align: "right" }); x += col.wage;
+      doc.text(cells[6], x, y, { width: col.wageUp, align: "right" });
+
+      y += rowH;
+    };
+
+    const fmt2 = (v) => num(v).toFixed(2);
+
+    drawRow(["Date日期", "Holiday节日", "Bills单数", "Sales生意", "Uplift加价", "Wage提成", "Uplift加成"], true);
+
+    const total = { bills: 0, sales: 0, salesUp: 0, wage: 0, wageUp: 0 };
+    rows.forEach((r) => {
+      total.bills += Number(r.bills || 0);
+      total.sales += num(r.customer_total);
+      total.salesUp += num(r.customer_uplift);
+      total.wage += num(r.wage_total);
+      total.wageUp += num(r.wage_uplift);
+
+      drawRow([
+        formatDMY(r.work_date),
+        String(r.holiday_name || "(removed)"),
+        String(r.bills),
+        fmt2(r.customer_total),
+        fmt2(r.customer_uplift),
+        fmt2(r.wage_total),
+        fmt2(r.wage_uplift),
+      ]);
+    });
+
+    drawRow(["", "TOTAL", String(total.bills), fmt2(total.sales), fmt2(total.salesUp), fmt2(total.wage), fmt2(total.wageUp)], true);
+
+    doc.end();
+  } catch (err) {
+    console.error("holiday-uplift pdf error:", err);
+    res.status(500).send("Failed to generate PDF");
+  }
+});
+
 /* -----------------------------
    Worker Job Listing
+   A requested bill's bonus is listed on its (lead) worker's line.
 ------------------------------ */
-function queryWorkerJobListing({ companyId, start, end, payFilter, jobNoFilter }) {
+function queryWorkerJobListing({ companyId, start, end, payFilter, jobNoFilter, workerId = null }) {
   return new Promise((resolve, reject) => {
     const paySql = payWhereSql(payFilter);
     const jobNoSql = jobNoWhereSql(jobNoFilter);
+    const workerSql = workerId ? "AND wl.worker_id = ?" : "";
 
     const sql = `
       SELECT
@@ -471,35 +883,52 @@ function queryWorkerJobListing({ companyId, start, end, payFilter, jobNoFilter }
         w.worker_code AS worker_code,
         COALESCE(w.worker_name, w.worker_english_name, '') AS worker_name,
 
+        we.id AS work_entry_id,
         we.work_date AS work_date,
         we.job_no1 AS bill_no,
         (j.job_code || ' - ' || COALESCE(j.job_type, '')) AS job_desc,
 
-        COALESCE(we.amount, 0) AS hours,
-        COALESCE(we.customer_total, (COALESCE(we.customer_rate, 0) * COALESCE(we.amount, 0)), 0) AS fee,
-        COALESCE(we.wage_total, we.pay, 0) AS wage
+        COALESCE(wl.hours, 0) AS hours,
+        COALESCE(wl.customer_share, 0) AS fee,
+        COALESCE(wl.wage_total, 0) AS wage,
+        CASE WHEN we.is_requested = 1 AND we.worker_id = wl.worker_id THEN 1 ELSE 0 END AS requested,
+        CASE WHEN we.worker_id = wl.worker_id THEN COALESCE(we.request_bonus, 0) ELSE 0 END AS bonus
 
-      FROM work_entries we
-      JOIN workers w ON w.id = we.worker_id
+      FROM work_entry_worker_lines wl
+      JOIN work_entries we ON we.id = wl.work_entry_id
+      JOIN workers w ON w.id = wl.worker_id
       LEFT JOIN jobs j ON j.id = we.job_id AND j.company_id = we.company_id
       WHERE we.company_id = ?
         AND date(we.work_date) >= date(?)
         AND date(we.work_date) <= date(?)
+        ${NOT_VOIDED_SQL}
         ${paySql}
         ${jobNoSql}
+        ${workerSql}
       ORDER BY
         CAST(w.worker_code AS INTEGER), w.worker_code,
         date(we.work_date),
         CAST(we.job_no1 AS INTEGER), we.job_no1
     `;
 
-    db.all(sql, [companyId, start, end], (err, rows) => {
+    db.all(sql, workerId ? [companyId, start, end, workerId] : [companyId, start, end], (err, rows) => {
       if (err) return reject(err);
       resolve(rows || []);
     });
   });
 }
 
+// listing group for a worker paid only a top-up
+const blankListingWorker = (w) => ({
+  ...w,
+  total_hours: 0,
+  total_fee: 0,
+  total_wage: 0,
+  requested_count: 0,
+  total_bonus: 0,
+  rows: [],
+});
+
 router.get("/account-worker-job-listing", async (req, res) => {
   try {
     const companyId = Number(req.query.companyId || 1);
@@ -510,7 +939,7 @@ router.get("/account-worker-job-listing", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).json({ error: "Invalid companyId" });
-    if (!isValidISODate(start) || !isValidISODate(end))
+    if (!isISODate(start) || !isISODate(end))
       return res.status(400).json({ error: "Invalid start/end date (use YYYY-MM-DD)" });
     if (start > end) return res.status(400).json({ error: "Start date cannot be after end date" });
 
@@ -527,6 +956,8 @@ router.get("/account-worker-job-listing", async (req, res) => {
           total_hours: 0,
           total_fee: 0,
           total_wage: 0,
+          requested_count: 0,
+          total_bonus: 0,
           rows: [],
         });
       }
@@ -535,10 +966,13 @@ router.get("/account-worker-job-listing", async (req, res) => {
       const hours = num(r.hours);
       const fee = num(r.fee);
       const wage = num(r.wage);
+      const bonus = num(r.bonus);
 
       w.total_hours += hours;
       w.total_fee += fee;
       w.total_wage += wage;
+      w.requested_count += num(r.requested);
+      w.total_bonus += bonus;
 
       w.rows.push({
         work_date: r.work_date,
@@ -547,10 +981,23 @@ router.get("/account-worker-job-listing", async (req, res) => {
         hours,
         fee,
         wage,
+        requested: num(r.requested) === 1,
+        bonus,
       });
     });
 
-    res.json({ canFilterPayType, workers: Array.from(map.values()) });
+    const topUps = await resolveTopUps(companyId, start, end);
+    const workers = withTopUpOnlyRows(Array.from(map.values()), topUps, blankListingWorker).map((w) => {
+      const topUp = topUps?.get(Number(w.worker_id));
+      return {
+        ...w,
+        min_wage: topUp?.minimum ?? null,
+        top_up: topUp?.top_up ?? 0,
+        final_pay: finalPayable(w.total_wage, w.total_bonus, topUp?.top_up),
+      };
+    });
+
+    res.json({ canFilterPayType, showTopUp: !!topUps, workers });
   } catch (err) {
     console.error("account-worker-job-listing error:", err);
     res.status(500).json({ error: "Failed to generate report" });
@@ -567,23 +1014,26 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
     const jobNoFilter = resolveJobNoFilter(req);
 
     if (!companyId || companyId <= 0) return res.status(400).send("Invalid companyId");
-    if (!isValidISODate(start) || !isValidISODate(end)) return res.status(400).send("Invalid start/end date");
+    if (!isISODate(start) || !isISODate(end)) return res.status(400).send("Invalid start/end date");
     if (start > end) return res.status(400).send("Start date cannot be after end date");
 
     const rows = await queryWorkerJobListing({ companyId, start, end, payFilter, jobNoFilter });
 
     // group by worker
-    const workers = [];
+    let workers = [];
     const map = new Map();
     rows.forEach((r) => {
       const key = r.worker_id;
       if (!map.has(key)) {
         const obj = {
+          worker_id: r.worker_id,
           worker_code: r.worker_code,
           worker_name: r.worker_name,
           total_hours: 0,
           total_fee: 0,
           total_wage: 0,
+          requested_count: 0,
+          total_bonus: 0,
           rows: [],
         };
         map.set(key, obj);
@@ -594,10 +1044,13 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
       const hours = num(r.hours);
       const fee = num(r.fee);
       const wage = num(r.wage);
+      const bonus = num(r.bonus);
 
       w.total_hours += hours;
       w.total_fee += fee;
       w.total_wage += wage;
+      w.requested_count += num(r.requested);
+      w.total_bonus += bonus;
 
       w.rows.push({
         work_date: r.work_date,
@@ -606,9 +1059,14 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
         hours,
         fee,
         wage,
+        requested: num(r.requested) === 1,
+        bonus,
       });
     });
 
+    const topUps = await resolveTopUps(companyId, start, end);
+    workers = withTopUpOnlyRows(workers, topUps, blankListingWorker);
+
     const filename = `Worker_Job_Listing_${companyId}_${start}_to_${end}.pdf`;
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
@@ -633,7 +1091,7 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
     const startX = doc.page.margins.left;
     let y = doc.y;
 
-    const col = { date: 70, bill: 70, job: 230, hours: 50, fee: 65, wage: 65 };
+    const col = { date: 65, bill: 60, job: 180, hours: 45, fee: 60, wage: 60, bonus: 50 };
     const rowH = 16;
     const fmt2 = (v) => num(v).toFixed(2);
 
@@ -657,7 +1115,8 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
       doc.text("工作项目", x, y, { width: col.job }); x += col.job;
       doc.text("钟点", x, y, { width: col.hours, align: "right" }); x += col.hours;
       doc.text("收费", x, y, { width: col.fee, align: "right" }); x += col.fee;
-      doc.text("工资", x, y, { width: col.wage, align: "right" });
+      doc.text("工资", x, y, { width: col.wage, align: "right" }); x += col.wage;
+      doc.text("点钟奖金", x, y, { width: col.bonus, align: "right" });
       y += rowH;
     };
 
@@ -667,26 +1126,46 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
       let x = startX;
       doc.text(formatDMY(r.work_date), x, y, { width: col.date }); x += col.date;
       doc.text(String(r.bill_no || "-"), x, y, { width: col.bill }); x += col.bill;
-      doc.text(String(r.job_desc || "-"), x, y, { width: col.job }); x += col.job;
+      doc.text(`${r.job_desc || "-"}${r.requested ? " (点钟)" : ""}`, x, y, { width: col.job }); x += col.job;
       doc.text(fmt2(r.hours), x, y, { width: col.hours, align: "right" }); x += col.hours;
       doc.text(fmt2(r.fee), x, y, { width: col.fee, align: "right" }); x += col.fee;
-      doc.text(fmt2(r.wage), x, y, { width: col.wage, align: "right" });
+      doc.text(fmt2(r.wage), x, y, { width: col.wage, align: "right" }); x += col.wage;
+      doc.text(r.bonus ? fmt2(r.bonus) : "-", x, y, { width: col.bonus, align: "right" });
       y += rowH;
     };
 
     const drawWorkerTotal = (w) => {
       ensureSpace(25);
       doc.font("NotoSC").fontSize(9).fillColor("#000");
+      const labelW = col.date + col.bill + col.job;
       doc.text(
-        `From ${formatDMY(start)} till ${formatDMY(end)}   ${w.worker_name || ""} 工资次数额`,
+        `From ${formatDMY(start)} till ${formatDMY(end)}   ${w.worker_name || ""} 工资次数额` +
+          (w.requested_count ? `   点钟 ${w.requested_count}` : ""),
         startX,
         y,
-        { width: pageW - 150, align: "left" }
+        { width: labelW, align: "left" }
       );
-      doc.text(fmt2(w.total_hours), startX + pageW - 150, y, { width: 50, align: "right" });
-      doc.text(fmt2(w.total_fee), startX + pageW - 100, y, { width: 65, align: "right" });
-      doc.text(fmt2(w.total_wage), startX + pageW - 35, y, { width: 35, align: "right" });
-      y += rowH + 6;
+      let x = startX + labelW;
+      doc.text(fmt2(w.total_hours), x, y, { width: col.hours, align: "right" }); x += col.hours;
+      doc.text(fmt2(w.total_fee), x, y, { width: col.fee, align: "right" }); x += col.fee;
+      doc.text(fmt2(w.total_wage), x, y, { width: col.wage, align: "right" }); x += col.wage;
+      doc.text(fmt2(w.total_bonus), x, y, { width: col.bonus, align: "right" });
+      y += rowH;
+
+      // whole month: guaranteed minimum wage top-up and what the worker is paid
+      if (topUps) {
+        const topUp = topUps.get(Number(w.worker_id));
+        ensureSpace(25);
+        doc.text(
+          (topUp ? `Minimum wage ${fmt2(topUp.minimum)}   Top-up 保底补贴 ${fmt2(topUp.top_up)}   ` : "") +
+            `Final payable 应付 ${fmt2(finalPayable(w.total_wage, w.total_bonus, topUp?.top_up))}`,
+          startX,
+          y,
+          { width: pageW, align: "right" }
+        );
+        y += rowH;
+      }
+      y += 6;
     };
 
     workers.forEach((w, idx) => {
@@ -710,4 +1189,743 @@ router.get("/account-worker-job-listing/pdf", async (req, res) => {
   }
 });
 
+const payslipLine = (r) => ({
+  work_date: r.work_date,
+  bill_no: r.bill_no,
+  job_desc: r.job_desc,
+  hours: num(r.hours),
+  wage: num(r.wage),
+  requested: num(r.requested) === 1,
+});
+
+/**
+ * Service lines changed since the run froze them, by worker id: added and
+ * changed lines as they are now, removed ones at 0, each with paid_wage
+ * (what the run paid for it) and change ADDED / CHANGED / REMOVED.
+ */
+function changedEntryLines(paidLines, liveRows) {
+  const keyOf = (l) => `${l.work_entry_id}:${l.worker_id}`;
+  const paidByKey = new Map(paidLines.map((l) => [keyOf(l), l]));
+  const same = (a, b) =>
+    a.work_date === b.work_date &&
+    String(a.bill_no ?? "") === String(b.bill_no ?? "") &&
+    a.job_desc === b.job_desc &&
+    round2(a.hours) === round2(b.hours) &&
+    round2(a.wage) === round2(b.wage) &&
+    round2(a.bonus) === round2(b.bonus);
+
+  const byWorker = new Map();
+  const add = (workerId, line) => {
+    if (!byWorker.has(workerId)) byWorker.set(workerId, []);
+    byWorker.get(workerId).push(line);
+  };
+
+  for (const r of liveRows) {
+    const was = paidByKey.get(keyOf(r));
+    paidByKey.delete(keyOf(r));
+    if (was && same(was, r)) continue;
+    add(r.worker_id, { ...payslipLine(r), paid_wage: round2(was?.wage ?? 0), change: was ? "CHANGED" : "ADDED" });
+  }
+  for (const was of paidByKey.values()) {
+    add(was.worker_id, { ...payslipLine(was), hours: 0, wage: 0, paid_wage: round2(was.wage), change: "REMOVED" });
+  }
+  for (const lines of byWorker.values()) lines.sort((a, b) => String(a.work_date).localeCompare(String(b.work_date)));
+  return byWorker;
+}
+
+/* -----------------------------
+   Payslips (one per worker, English + Chinese)
+   Service lines follow the Worker Job Listing (same pay type / Job No
+   filters). Allowances are request bonuses plus, for a whole calendar
+   month, the minimum wage top-up and positive adjustments of the month's
+   payroll run; negative adjustments are deductions. Once that run is
+   FINALIZED the service lines, wages, request bonus and top-up are what
+   the run froze, and entries changed since then are listed only in the
+   correction block.
+------------------------------ */
+async function buildPayslips(req) {
+  const companyId = Number(req.query.companyId || 1);
+  const start = req.query.start;
+  const end = req.query.end;
+  const workerId = req.query.workerId ? Number(req.query.workerId) : null;
+
+  if (!companyId || companyId <= 0) return { error: "Invalid companyId" };
+  if (!isISODate(start) || !isISODate(end)) return { error: "Invalid start/end date (use YYYY-MM-DD)" };
+  if (start > end) return { error: "Start date cannot be after end date" };
+  if (workerId != null && !(workerId > 0)) return { error: "Invalid workerId" };
+
+  const { payFilter } = await resolvePayFilter(req);
+  const jobNoFilter = resolveJobNoFilter(req);
+
+  const company = await dbGet(`SELECT id, name, address, phone FROM companies WHERE id = ?`, [companyId]);
+  if (!company) return { error: "Company not found" };
+
+  const rows = await queryWorkerJobListing({ companyId, start, end, payFilter, jobNoFilter, workerId });
+
+  const map = new Map();
+  const slipFor = (id, code, name) => {
+    if (!map.has(id)) {
+      map.set(id, { worker_id: id, worker_code: code, worker_name: name, lines: [], total_hours: 0, total_wage: 0, total_bonus: 0 });
+    }
+    return map.get(id);
+  };
+
+  const month = wholeMonthOf(start, end);
+  const run = month ? await getPayslipRun(companyId, month) : null;
+  const frozen = run?.lines; // FINALIZED: pay what the run froze
+
+  // FINALIZED: the service lines the run paid, through the same filters
+  // (a run finalized before lines were saved falls back to the live ones)
+  const frozenEntries = run?.entryLines
+    ? [...run.entryLines.values()]
+        .flat()
+        .filter((l) => (!workerId || l.worker_id === workerId) && matchesReportFilters(l, payFilter, jobNoFilter))
+    : null;
+
+  if (frozenEntries) {
+    frozenEntries.forEach((l) => {
+      const paid = frozen.get(l.worker_id);
+      const slip = slipFor(l.worker_id, paid?.worker_code, paid?.worker_name);
+      slip.total_hours += num(l.hours);
+      slip.total_wage += num(l.wage);
+      slip.total_bonus += num(l.bonus);
+      slip.lines.push(payslipLine(l));
+    });
+  } else {
+    rows.forEach((r) => {
+      const slip = slipFor(r.worker_id, r.worker_code, r.worker_name);
+      slip.total_hours += num(r.hours);
+      slip.total_wage += num(r.wage);
+      slip.total_bonus += num(r.bonus);
+      slip.lines.push(payslipLine(r));
+    });
+  }
+
+  // adjusted workers (and, once finalized, everyone the run paid) without entries still get a payslip
+  for (const id of new Set([...(run?.byWorker.keys() ?? []), ...(frozen?.keys() ?? [])])) {
+    if (map.has(id) || (workerId && id !== workerId)) continue;
+    const w = await dbGet(
+      `SELECT id, worker_code, COALESCE(worker_name, worker_english_name, '') AS worker_name FROM workers WHERE id = ?`,
+      [id]
+    );
+    if (w) slipFor(w.id, w.worker_code, w.worker_name);
+  }
+
+  const topUps = frozen ? null : await resolveTopUps(companyId, start, end, workerId);
+  const slips = withTopUpOnlyRows(Array.from(map.values()).sort(byWorkerCode), topUps, (w) =>
+    slipFor(w.worker_id, w.worker_code, w.worker_name)
+  );
+
+  const changes = frozenEntries ? changedEntryLines(frozenEntries, rows) : new Map();
+
+  const payslips = slips.map((s) => {
+    const paid = frozen ? frozen.get(s.worker_id) ?? { commission: 0, request_bonus: 0, top_up: 0 } : null;
+    const wage = paid ? paid.commission : s.total_wage;
+    const bonus = paid ? paid.request_bonus : s.total_bonus;
+    const topUp = paid ? paid.top_up : topUps?.get(Number(s.worker_id))?.top_up;
+    const drift = run?.drift?.get(s.worker_id);
+    const changed = changes.get(s.worker_id) ?? [];
+
+    const allowances = [];
+    const deductions = [];
+    if (bonus) allowances.push({ label: "Request bonus 点钟奖金", amount: round2(bonus) });
+    if (topUp) allowances.push({ label: "Minimum wage top-up 保底补贴", amount: round2(topUp) });
+
+    for (const a of run?.byWorker.get(s.worker_id) ?? []) {
+      if (a.amount > 0) allowances.push({ label: a.reason, amount: a.amount });
+      else deductions.push({ label: a.reason, amount: round2(-a.amount) });
+    }
+
+    const totalAllowances = round2(allowances.reduce((t, a) => t + a.amount, 0));
+    const totalDeductions = round2(deductions.reduce((t, d) => t + d.amount, 0));
+    return {
+      ...s,
+      total_hours: round2(s.total_hours),
+      total_wage: round2(wage),
+      total_bonus: round2(bonus),
+      allowances,
+      deductions,
+      total_allowances: totalAllowances,
+      total_deductions: totalDeductions,
+      net_pay: round2(wage + totalAllowances - totalDeductions),
+      // entries edited after finalizing: { paid, owed, difference, lines }
+      correction:
+        drift || changed.length
+          ? {
+              paid: drift?.paid ?? round2(paid.commission + paid.request_bonus + paid.top_up),
+              owed: drift?.owed ?? round2(paid.commission + paid.request_bonus + paid.top_up),
+              difference: drift?.difference ?? 0,
+              lines: changed,
+            }
+          : null,
+    };
+  });
+
+  return { company, start, end, run: run ? { id: run.id, status: run.status } : null, payslips };
+}
+
+router.get("/payslips", async (req, res) => {
+  try {
+    const result = await buildPayslips(req);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    const { run, payslips } = result;
+    res.json({ run, payslips });
+  } catch (err) {
+    console.error("payslips error:", err);
+    res.status(500).json({ error: "Failed to generate report" });
+  }
+});
+
+// ?workerId= gives that worker's payslip; without it every payslip, one per page
+router.get("/payslips/pdf", async (req, res) => {
+  try {
+    const result = await buildPayslips(req);
+    if (result.error) return res.status(400).send(result.error);
+
+    const { company, start, end, run, payslips } = result;
+    if (!payslips.length) return res.status(404).send("No payslips for the selected period");
+    const frozenRun = run?.status === "FINALIZED";
+
+    const who = payslips.length === 1 ? payslips[0].worker_code : company.id;
+    const filename = `Payslip_${who}_${start}_to_${end}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.pipe(res);
+
+    const fontPath = path.join(__dirname, "../../fonts/NotoSansSC-Regular.ttf");
+    doc.registerFont("NotoSC", fontPath);
+    doc.font("NotoSC");
+
+    const pageW = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const startX = doc.page.margins.left;
+    const col = { date: 70, bill: 70, job: 235, hours: 60, wage: pageW - 435 };
+    const rowH = 16;
+    const fmt2 = (v) => num(v).toFixed(2);
+    let y = doc.y;
+
+    const ensureSpace = (need = 30) => {
+      if (y > doc.page.height - doc.page.margins.bottom - need) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        return true;
+      }
+      return false;
+    };
+
+    const drawLinesHeader = () => {
+      doc.save();
+      doc.rect(startX, y - 2, pageW, rowH + 4).fill("#F2F2F2");
+      doc.restore();
+
+      doc.fontSize(9).fillColor("#000");
+      let x = startX;
+      doc.text("Date 日期", x, y, { width: col.date }); x += col.date;
+      doc.text("Bill No 单号", x, y, { width: col.bill }); x += col.bill;
+      doc.text("Job 工作项目", x, y, { width: col.job }); x += col.job;
+      doc.text("Hours 钟点", x, y, { width: col.hours, align: "right" }); x += col.hours;
+      doc.text("Wage 工资", x, y, { width: col.wage, align: "right" });
+      y += rowH + 2;
+    };
+
+    // label on the left, amount in the wage column
+    const drawAmountRow = (label, amount, { bold = false } = {}) => {
+      ensureSpace(25);
+      doc.fontSize(bold ? 10 : 9).fillColor("#000");
+      doc.text(label, startX, y, { width: pageW - col.wage - 10 });
+      doc.text(fmt2(amount), startX + pageW - col.wage, y, { width: col.wage, align: "right" });
+      y += rowH;
+    };
+
+    const drawSection = (title, items, totalLabel, total) => {
+      y += 6;
+      ensureSpace(40);
+      doc.fontSize(10).fillColor("#000").text(title, startX, y);
+      y += rowH;
+      if (!items.length) {
+        doc.fontSize(9).fillColor("#777").text("None 无", startX + 10, y);
+        doc.fillColor("#000");
+        y += rowH;
+        return;
+      }
+      items.forEach((i) => drawAmountRow(`    ${i.label}`, i.amount));
+      drawAmountRow(totalLabel, total, { bold: true });
+    };
+
+    const drawPayslip = (p) => {
+      y = doc.page.margins.top;
+
+      doc.fontSize(14).fillColor("#000").text(company.name, startX, y, { width: pageW, align: "center" });
+      y = doc.y;
+      const contact = [company.address, company.phone].filter(Boolean).join("    ");
+      if (contact) {
+        doc.fontSize(9).fillColor("#555").text(contact, startX, y, { width: pageW, align: "center" });
+        y = doc.y;
+      }
+      y += 8;
+      doc.fontSize(13).fillColor("#000").text("PAYSLIP 工资单", startX, y, { width: pageW, align: "center" });
+      y = doc.y + 10;
+
+      doc.fontSize(10);
+      doc.text(`Employee 技师: ${p.worker_code || ""}  ${p.worker_name || ""}`, startX, y, { width: pageW / 2 });
+      doc.text(`Period 期间: ${formatDMY(start)} - ${formatDMY(end)}`, startX + pageW / 2, y, {
+        width: pageW / 2,
+        align: "right",
+      });
+      y += rowH;
+      if (run) {
+        doc.fontSize(9).fillColor("#555").text(`Payroll run 工资结算: ${run.status}`, startX, y, { width: pageW, align: "right" });
+        doc.fillColor("#000");
+        y += rowH;
+      }
+
+      doc.moveTo(startX, y).lineTo(startX + pageW, y).strokeColor("#999").stroke();
+      y += 8;
+
+      drawLinesHeader();
+      p.lines.forEach((l) => {
+        if (ensureSpace(25)) drawLinesHeader();
+        doc.fontSize(9).fillColor("#000");
+        let x = startX;
+        doc.text(formatDMY(l.work_date), x, y, { width: col.date }); x += col.date;
+        doc.text(String(l.bill_no || "-"), x, y, { width: col.bill }); x += col.bill;
+        doc.text(`${l.job_desc || "-"}${l.requested ? " (点钟 Requested)" : ""}`, x, y, { width: col.job }); x += col.job;
+        doc.text(fmt2(l.hours), x, y, { width: col.hours, align: "right" }); x += col.hours;
+        doc.text(fmt2(l.wage), x, y, { width: col.wage, align: "right" });
+        y += rowH;
+      });
+      if (!p.lines.length) {
+        doc.fontSize(9).fillColor("#777").text("No services in this period 本期无工作记录", startX, y);
+        doc.fillColor("#000");
+        y += rowH;
+      }
+
+      ensureSpace(25);
+      doc.moveTo(startX, y).lineTo(startX + pageW, y).strokeColor("#ccc").stroke();
+      y += 4;
+      doc.fontSize(9).fillColor("#000");
+      doc.text(frozenRun ? "Wages paid (finalized) 已结算工资" : "Total wages 工资合计", startX, y, {
+        width: col.date + col.bill + col.job,
+      });
+      doc.text(fmt2(p.total_hours), startX + col.date + col.bill + col.job, y, { width: col.hours, align: "right" });
+      doc.text(fmt2(p.total_wage), startX + pageW - col.wage, y, { width: col.wage, align: "right" });
+      y += rowH;
+
+      drawSection("Allowances 津贴", p.allowances, "Total allowances 津贴合计", p.total_allowances);
+      drawSection("Deductions 扣除", p.deductions, "Total deductions 扣除合计", p.total_deductions);
+
+      y += 8;
+      ensureSpace(40);
+      doc.save();
+      doc.rect(startX, y - 4, pageW, rowH + 10).fill("#F2F2F2");
+      doc.restore();
+      doc.fontSize(11).fillColor("#000");
+      doc.text("NET PAY 实发工资", startX + 6, y, { width: pageW / 2 });
+      doc.text(fmt2(p.net_pay), startX + pageW / 2, y, { width: pageW / 2 - 6, align: "right" });
+      y += rowH + 10;
+
+      if (p.correction) {
+        ensureSpace(40);
+        const c = p.correction;
+        doc.fontSize(9).fillColor("#B02A37").text(
+          `Entries changed after this run was finalized: paid ${fmt2(c.paid)}, now ${fmt2(c.owed)} ` +
+            `(difference ${fmt2(c.difference)}). 结算后记录有改动, 差额 ${fmt2(c.difference)}`,
+          startX,
+          y,
+          { width: pageW }
+        );
+        y = doc.y + 4;
+
+        // the changed entries, as they are now (not part of the pay above)
+        const changeLabel = { ADDED: "added 新增", CHANGED: "changed 修改", REMOVED: "removed 删除" };
+        c.lines.forEach((l) => {
+          ensureSpace(25);
+          let x = startX;
+          doc.text(formatDMY(l.work_date), x, y, { width: col.date }); x += col.date;
+          doc.text(String(l.bill_no || "-"), x, y, { width: col.bill }); x += col.bill;
+          doc.text(`${l.job_desc || "-"} (${changeLabel[l.change]}, paid ${fmt2(l.paid_wage)})`, x, y, { width: col.job });
+          x += col.job;
+          doc.text(fmt2(l.hours), x, y, { width: col.hours, align: "right" }); x += col.hours;
+          doc.text(fmt2(l.wage), x, y, { width: col.wage, align: "right" });
+          y += rowH;
+        });
+        doc.fillColor("#000");
+        y += 6;
+      }
+    };
+
+    payslips.forEach((p, idx) => {
+      if (idx > 0) doc.addPage();
+      drawPayslip(p);
+    });
+
+    doc.end();
+  } catch (err) {
+    console.error("payslips pdf error:", err);
+    res.status(500).send("Failed to generate PDF");
+  }
+});
+
+/* -----------------------------
+   Bill Number Audit
+   Job No1 / Job No2 follow the paper receipt books, so every number in
+   a series should be used exactly once. Numbers are split into a series
+   prefix + trailing integer ("HQ-0042" -> "HQ-", 42). Voided entries and
+   hard-deleted entries (work_entry_revisions DELETE) still "use" their
+   number, so they are not gaps, but are listed separately.
+   All pay types are always audited (no pay/jobNo filters).
+------------------------------ */
+const BILL_FIELDS = { job_no1: "Job No1", job_no2: "Job No2" };
+
+function resolveAuditFields(req) {
+  const j1 = Number(req.query.jobno1 ?? 1) === 1;
+  const j2 = Number(req.query.jobno2 ?? 1) === 1;
+  const fields = [j1 && "job_no1", j2 && "job_no2"].filter(Boolean);
+  return fields.length ? fields : Object.keys(BILL_FIELDS);
+}
+
+function splitBillNo(billNo) {
+  const m = /^(.*?)(\d+)$/.exec(billNo);
+  if (!m) return null;
+  return { series: m[1], n: Number(m[2]), width: m[2].length };
+}
+
+function queryBillNumberUses({ companyId, start, end, fields }) {
+  const entriesSql = `
+    SELECT
+      we.id AS entry_id,
+      we.work_date,
+      we.job_no1,
+      we.job_no2,
+      we.voided_at,
+      we.void_reason,
+      vu.username AS voided_by
+    FROM work_entries we
+    LEFT JOIN users vu ON vu.id = we.voided_by
+    WHERE we.company_id = ?
+      AND date(we.work_date) >= date(?)
+      AND date(we.work_date) <= date(?)
+  `;
+
+  // hard-deleted entries only survive in their DELETE revision
+  const deletedSql = `
+    SELECT
+      r.work_entry_id AS entry_id,
+      json_extract(r.before_json, '$.work_date') AS work_date,
+      json_extract(r.before_json, '$.job_no1') AS job_no1,
+      json_extract(r.before_json, '$.job_no2') AS job_no2,
+      r.changed_at AS deleted_at,
+      u.username AS deleted_by
+    FROM work_entry_revisions r
+    LEFT JOIN users u ON u.id = r.changed_by
+    WHERE r.company_id = ?
+      AND r.action = 'DELETE'
+      AND date(json_extract(r.before_json, '$.work_date')) >= date(?)
+      AND date(json_extract(r.before_json, '$.work_date')) <= date(?)
+  `;
+
+  return new Promise((resolve, reject) => {
+    db.all(entriesSql, [companyId, start, end], (e1, entries) => {
+      if (e1) return reject(e1);
+      db.all(deletedSql, [companyId, start, end], (e2, deleted) => {
+        if (e2) return reject(e2);
+
+        const uses = [];
+        const push = (row, status, extra) => {
+          fields.forEach((field) => {
+            const billNo = String(row[field] ?? "").trim();
+            if (billNo) uses.push({ field, bill_no: billNo, entry_id: row.entry_id, work_date: row.work_date, status, ...extra });
+          });
+        };
+
+        (entries || []).forEach((r) =>
+          r.voided_at
+            ? push(r, "VOIDED", { at: r.voided_at, by: r.voided_by, reason: r.void_reason })
+            : push(r, "ACTIVE", {})
+        );
+        (deleted || []).forEach((r) => push(r, "DELETED", { at: r.deleted_at, by: r.deleted_by }));
+
+        resolve(uses);
+      });
+    });
+  });
+}
+
+function analyzeBillNumbers(uses) {
+  const seriesMap = new Map();
+  const unnumbered = [];
+
+  uses.forEach((u) => {
+    const parsed = splitBillNo(u.bill_no);
+    if (!parsed) return unnumbered.push(u);
+
+    const key = `${u.field}|${parsed.series}`;
+    if (!seriesMap.has(key)) seriesMap.set(key, { field: u.field, prefix: parsed.series, uses: [] });
+    seriesMap.get(key).uses.push({ ...u, ...parsed });
+  });
+
+  const series = [];
+  const gaps = [];
+  const outOfOrder = [];
+
+  for (const s of seriesMap.values()) {
+    const label = (n, width) => `${s.prefix}${String(n).padStart(width, "0")}`;
+
+    // gaps: numbers between the lowest and highest used that nobody used
+    const used = new Map();
+    s.uses.forEach((u) => {
+      if (!used.has(u.n)) used.set(u.n, u.width);
+    });
+    const numbers = [...used.keys()].sort((a, b) => a - b);
+
+    let missing = 0;
+    for (let i = 1; i < numbers.length; i++) {
+      const prev = numbers[i - 1];
+      const next = numbers[i];
+      if (next - prev > 1) {
+        const width = used.get(prev);
+        missing += next - prev - 1;
+        gaps.push({
+          field: s.field,
+          series: s.prefix,
+          from: label(prev + 1, width),
+          to: label(next - 1, width),
+          missing: next - prev - 1,
+        });
+      }
+    }
+
+    // out of order: a number lower than one already issued on an earlier day / entry
+    const ordered = [...s.uses].sort(
+      (a, b) => String(a.work_date).localeCompare(String(b.work_date)) || a.entry_id - b.entry_id
+    );
+    let highest = null;
+    ordered.forEach((u) => {
+      if (highest && u.n < highest.n) {
+        outOfOrder.push({
+          field: u.field,
+          bill_no: u.bill_no,
+          work_date: u.work_date,
+          entry_id: u.entry_id,
+          status: u.status,
+          after_bill_no: highest.bill_no,
+          after_work_date: highest.work_date,
+        });
+      }
+      if (!highest || u.n > highest.n) highest = u;
+    });
+
+    series.push({
+      field: s.field,
+      prefix: s.prefix,
+      first: label(numbers[0], used.get(numbers[0])),
+      last: label(numbers[numbers.length - 1], used.get(numbers[numbers.length - 1])),
+      used: numbers.length,
+      missing,
+    });
+  }
+
+  // duplicates: the same number on more than one entry / field (across Job No1 and Job No2)
+  const byNumber = new Map();
+  uses.forEach((u) => {
+    if (!byNumber.has(u.bill_no)) byNumber.set(u.bill_no, []);
+    byNumber.get(u.bill_no).push(u);
+  });
+  const duplicates = [...byNumber.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([billNo, list]) => ({
+      bill_no: billNo,
+      uses: list.map((u) => ({ field: u.field, entry_id: u.entry_id, work_date: u.work_date, status: u.status })),
+    }));
+
+  const pick = (status) =>
+    uses
+      .filter((u) => u.status === status)
+      .map((u) => ({
+        field: u.field,
+        bill_no: u.bill_no,
+        entry_id: u.entry_id,
+        work_date: u.work_date,
+        at: u.at,
+        by: u.by || null,
+        reason: u.reason || null,
+      }));
+
+  const byField = (a, b) => a.field.localeCompare(b.field);
+  series.sort((a, b) => byField(a, b) || a.prefix.localeCompare(b.prefix));
+  gaps.sort((a, b) => byField(a, b) || a.series.localeCompare(b.series) || a.from.localeCompare(b.from));
+  duplicates.sort((a, b) => a.bill_no.localeCompare(b.bill_no));
+
+  const voided = pick("VOIDED");
+  const deleted = pick("DELETED");
+
+  return {
+    summary: {
+      checked: uses.length,
+      series: series.length,
+      gaps: gaps.length,
+      missing: gaps.reduce((sum, g) => sum + g.missing, 0),
+      out_of_order: outOfOrder.length,
+      duplicates: duplicates.length,
+      voided: voided.length,
+      deleted: deleted.length,
+      unnumbered: unnumbered.length,
+    },
+    series,
+    gaps,
+    out_of_order: outOfOrder,
+    duplicates,
+    voided,
+    deleted,
+  };
+}
+
+async function buildBillNumberAudit(req) {
+  const companyId = Number(req.query.companyId || 1);
+  const start = req.query.start;
+  const end = req.query.end;
+
+  if (!companyId || companyId <= 0) return { error: "Invalid companyId" };
+  if (!isISODate(start) || !isISODate(end)) return { error: "Invalid start/end date" };
+  if (start > end) return { error: "Start date cannot be after end date" };
+
+  const fields = resolveAuditFields(req);
+  const uses = await queryBillNumberUses({ companyId, start, end, fields });
+  return { companyId, start, end, fields, audit: analyzeBillNumbers(uses) };
+}
+
+router.get("/bill-number-audit", requirePermission("REPORT_BILL_AUDIT"), async (req, res) => {
+  try {
+    const result = await buildBillNumberAudit(req);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json({ fields: result.fields, ...result.audit });
+  } catch (err) {
+    console.error("bill-number-audit error:", err);
+    res.status(500).json({ error: "Failed to generate report" });
+  }
+});
+
+router.get("/bill-number-audit/pdf", requirePermission("REPORT_BILL_AUDIT"), async (req, res) => {
+  try {
+    const result = await buildBillNumberAudit(req);
+    if (result.error) return res.status(400).send(result.error);
+
+    const { companyId, start, end, fields, audit } = result;
+
+    const filename = `Bill_Number_Audit_${companyId}_${start}_to_${end}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.pipe(res);
+
+    const fontPath = path.join(__dirname, "../../fonts/NotoSansSC-Regular.ttf");
+    doc.registerFont("NotoSC", fontPath);
+    doc.font("NotoSC");
+
+    doc.fontSize(14).text("Bill Number Audit 单号检查", { align: "center" });
+    doc.moveDown(0.3);
+    doc.fontSize(10).fillColor("#555").text(
+      `Company ID: ${companyId}    Date: ${formatDMY(start)} - ${formatDMY(end)}    ` +
+        `Checked: ${fields.map((f) => BILL_FIELDS[f]).join(", ")}`,
+      { align: "center" }
+    );
+    doc.fillColor("#000");
+    doc.moveDown(0.6);
+
+    const sm = audit.summary;
+    doc.fontSize(10).text(
+      `Numbers checked: ${sm.checked}    Gaps: ${sm.gaps} (${sm.missing} missing)    ` +
+        `Out of order: ${sm.out_of_order}    Duplicates: ${sm.duplicates}    ` +
+        `Voided: ${sm.voided}    Deleted: ${sm.deleted}`
+    );
+    doc.moveDown(0.8);
+
+    const pageW = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const startX = doc.page.margins.left;
+    const rowH = 16;
+    let y = doc.y;
+
+    const ensureSpace = (need = 30) => {
+      if (y > doc.page.height - doc.page.margins.bottom - need) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+    };
+
+    // one section = title + table; widths are fractions of the page width
+    const drawSection = (title, headers, widths, rows) => {
+      ensureSpace(60);
+      doc.font("NotoSC").fontSize(11).fillColor("#000").text(`${title} (${rows.length})`, startX, y);
+      y += rowH + 2;
+
+      const cols = widths.map((w) => w * pageW);
+      const drawCells = (cells, isHeader) => {
+        ensureSpace(25);
+        if (isHeader) {
+          doc.save();
+          doc.rect(startX, y - 2, pageW, rowH + 4).fill("#E9F2FF");
+          doc.restore();
+        }
+        doc.font("NotoSC").fontSize(9).fillColor("#000");
+        let x = startX;
+        cells.forEach((c, i) => {
+          doc.text(String(c ?? "-"), x, y, { width: cols[i] - 4, lineBreak: false, ellipsis: true });
+          x += cols[i];
+        });
+        y += rowH;
+      };
+
+      drawCells(headers, true);
+      if (!rows.length) drawCells(["None"], false);
+      rows.forEach((r) => drawCells(r, false));
+      y += 8;
+    };
+
+    drawSection(
+      "Gaps 缺号",
+      ["Field", "Series", "From", "To", "Missing"],
+      [0.15, 0.2, 0.25, 0.25, 0.15],
+      audit.gaps.map((g) => [BILL_FIELDS[g.field], g.series || "-", g.from, g.to, g.missing])
+    );
+    drawSection(
+      "Out of Order 顺序不对",
+      ["Field", "Bill No", "Date", "Entry", "After Bill No", "After Date"],
+      [0.13, 0.19, 0.15, 0.1, 0.23, 0.2],
+      audit.out_of_order.map((o) => [
+        BILL_FIELDS[o.field], o.bill_no, formatDMY(o.work_date), `#${o.entry_id}`, o.after_bill_no, formatDMY(o.after_work_date),
+      ])
+    );
+    drawSection(
+      "Duplicates 重复",
+      ["Bill No", "Used On"],
+      [0.2, 0.8],
+      audit.duplicates.map((d) => [
+        d.bill_no,
+        d.uses.map((u) => `${BILL_FIELDS[u.field]} #${u.entry_id} ${formatDMY(u.work_date)} ${u.status}`).join("; "),
+      ])
+    );
+    drawSection(
+      "Voided 作废",
+      ["Field", "Bill No", "Date", "Entry", "Voided", "By", "Reason"],
+      [0.1, 0.15, 0.12, 0.08, 0.2, 0.12, 0.23],
+      audit.voided.map((v) => [BILL_FIELDS[v.field], v.bill_no, formatDMY(v.work_date), `#${v.entry_id}`, v.at, v.by, v.reason])
+    );
+    drawSection(
+      "Deleted 删除",
+      ["Field", "Bill No", "Date", "Entry", "Deleted", "By"],
+      [0.12, 0.18, 0.15, 0.1, 0.28, 0.17],
+      audit.deleted.map((d) => [BILL_FIELDS[d.field], d.bill_no, formatDMY(d.work_date), `#${d.entry_id}`, d.at, d.by])
+    );
+
+    doc.end();
+  } catch (err) {
+    console.error("bill-number-audit pdf error:", err);
+    res.status(500).send("Failed to generate PDF");
+  }
+});
+
 export default router;
@@ -1,6 +1,12 @@
 // src/routes/rulesRoutes.js
 import { Router } from "express";
-import db from "../config/db.js";
+import db, { dbAll, dbRun, withTransaction } from "../config/db.js";
+import {
+  parseParamSchema,
+  resolveRuleParams,
+  validateRuleParams,
+} from "../services/ruleParamsService.js";
+import { ServiceError } from "../services/serviceError.js";
 
 const router = Router();
 
@@ -40,6 +46,8 @@ router.get("/companies/:id/rules", (req, res) => {
       r.name,
       r.description,
       r.is_default,
+      r.params_schema,
+      cr.params_json,
       CASE WHEN cr.enabled = 1 THEN 1 ELSE 0 END AS enabled
     FROM rules r
     LEFT JOIN company_rules cr
@@ -53,7 +61,12 @@ router.get("/companies/:id/rules", (req, res) => {
         console.error("GET company rules error:", err);
         return res.status(500).json({ error: "Database error" });
       }
-      res.json(rows);
+      res.json(
+        rows.map(({ params_schema, params_json, ...r }) => {
+          const schema = parseParamSchema(params_schema);
+          return { ...r, params_schema: schema, params: resolveRuleParams(schema, params_json) };
+        })
+      );
     }
   );
 });
@@ -61,49 +74,67 @@ router.get("/companies/:id/rules", (req, res) => {
 /**
  * UPDATE company rules
  * PUT /api/companies/:id/rules
+ * body: { rules: ["CODE", ...], params: { CODE: { key: value } } }
+ *
+ * Parameters are kept for disabled rules too, so switching a rule off and
+ * on again does not lose the company's negotiated values.
  */
-router.put("/companies/:id/rules", (req, res) => {
+router.put("/companies/:id/rules", async (req, res) => {
   const companyId = parseInt(req.params.id, 10);
   const enabledRules = Array.isArray(req.body.rules) ? req.body.rules : [];
+  const paramsByRule = req.body.params && typeof req.body.params === "object" ? req.body.params : {};
 
   // Base rule must ALWAYS be enabled
   if (!enabledRules.includes("BASE_NATIONALITY")) {
     enabledRules.push("BASE_NATIONALITY");
   }
 
-  db.serialize(() => {
-    db.run(
-      "DELETE FROM company_rules WHERE company_id = ?",
-      [companyId],
-      (delErr) => {
-        if (delErr) {
-          console.error("DELETE company_rules error:", delErr);
-          return res.status(500).json({ error: "Database error" });
-        }
-
-        const stmt = db.prepare(`
-          INSERT INTO company_rules (company_id, rule_code, enabled)
-          VALUES (?, ?, 1)
-        `);
+  try {
+    const defs = await dbAll(`SELECT code, params_schema FROM rules`);
 
-        enabledRules.forEach(code => {
-          stmt.run(companyId, code);
-        });
+    // clients that send codes only keep the company's stored values
+    const kept = await dbAll(
+      `SELECT rule_code, params_json FROM company_rules WHERE company_id = ? AND params_json IS NOT NULL`,
+      [companyId]
+    );
+    const keptByCode = new Map(kept.map((k) => [k.rule_code, k.params_json]));
 
-        stmt.finalize((finErr) => {
-          if (finErr) {
-            console.error("INSERT company_rules error:", finErr);
-            return res.status(500).json({ error: "Database error" });
-          }
+    const rows = [];
+    for (const def of defs) {
+      const schema = parseParamSchema(def.params_schema);
+      const enabled = enabledRules.includes(def.code);
+      const hasParams = schema.length > 0 && paramsByRule[def.code] != null;
+      let paramsJson = keptByCode.get(def.code) ?? null;
+      if (hasParams) {
+        try {
+          paramsJson = JSON.stringify(validateRuleParams(schema, paramsByRule[def.code]));
+        } catch (err) {
+          if (err instanceof ServiceError) return res.status(err.status).json({ error: `${def.code}: ${err.message}` });
+          throw err;
+        }
+      }
+      if (!enabled && !paramsJson) continue;
+      rows.push([def.code, enabled ? 1 : 0, paramsJson]);
+    }
 
-          res.json({
-            message: "Company rules updated",
-            rules: enabledRules
-          });
-        });
+    await withTransaction(async () => {
+      await dbRun(`DELETE FROM company_rules WHERE company_id = ?`, [companyId]);
+      for (const [code, enabled, paramsJson] of rows) {
+        await dbRun(
+          `INSERT INTO company_rules (company_id, rule_code, enabled, params_json) VALUES (?, ?, ?, ?)`,
+          [companyId, code, enabled, paramsJson]
+        );
       }
-    );
-  });
+    });
+
+    res.json({
+      message: "Company rules updated",
+      rules: enabledRules
+    });
+  } catch (err) {
+    console.error("PUT company rules error:", err);
+    res.status(500).json({ error: "Database error" });
+  }
 });
 
 export default router;
@@ -1,6 +1,7 @@
 // src/routes/wageTierRoutes.js
 import { Router } from "express";
 import db from "../config/db.js";
+import { listCompanyNationalityTiers } from "../services/nationalityTierService.js";
 
 const router = Router();
 
@@ -31,4 +32,15 @@ router.get("/", (req, res) => {
   );
 });
 
+// GET /api/wage-tiers/nationalities?companyId=1
+// nationality -> tier mapping, so the worker form can show the tier it will get
+router.get("/nationalities", async (req, res) => {
+  try {
+    res.json(await listCompanyNationalityTiers(getCompanyId(req)));
+  } catch (err) {
+    console.error("GET /api/wage-tiers/nationalities error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
 export default router;
@@ -1,6 +1,30 @@
 import { Router } from "express";
-import db from "../config/db.js";
-import { requirePermission } from "../middleware/permission.js"; 
+import db, { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { requirePermission } from "../middleware/permission.js";
+import {
+  calculateSplitBill,
+  calculateWorkEntry,
+  getEnabledRules,
+  monthRange,
+  resolveRequestAmounts,
+  round2
+} from "../services/wageEngine.js";
+import { isISODate, todayISO } from "../services/dateService.js";
+import {
+  getEntrySnapshot,
+  getEntryWorkers,
+  getRevisions,
+  insertWorkEntry,
+  insertWorkEntries,
+  isDuplicateJobNo1Error,
+  prepareWorkEntryRows,
+  recordRevision,
+  replaceEntryWorkers
+} from "../services/workEntryService.js";
+import { buildImportReport, MAX_IMPORT_ROWS } from "../services/workEntryImportService.js";
+import { checkPeriodsOpen, logPeriodOverrides } from "../services/periodLockService.js";
+import { getBillNumberSequence, peekNextBillNumber, reserveBillNumber } from "../services/billNumberService.js";
+import { ServiceError } from "../services/serviceError.js";
 
 const router = Router();
 
@@ -84,6 +108,37 @@ function hasPermission(req, code, cb) {
   );
 }
 
+function hasPermissionAsync(req, code) {
+  return new Promise((resolve, reject) => {
+    hasPermission(req, code, (err, ok) => {
+      if (err) return reject(err);
+      resolve(ok);
+    });
+  });
+}
+
+/**
+ * Helper: reject changes dated in a closed payroll period.
+ * Users with PERIOD_UNLOCK pass; returns the closed months they touched
+ * so the caller can log the override.
+ */
+async function ensurePeriodsOpen(req, companyId, dates) {
+  const canUnlock = await hasPermissionAsync(req, "PERIOD_UNLOCK");
+  return checkPeriodsOpen({ companyId, dates, canUnlock });
+}
+
+/**
+ * Helper: body.workers = [{ worker_id, hours }] -> engine lines.
+ * Returns null unless two or more lines were sent (a one-worker bill is not split).
+ * Lines without hours get the bill hours (e.g. both workers of a four-hand hour).
+ */
+function parseSplitWorkers(workers, billHours) {
+  if (!Array.isArray(workers) || workers.length < 2) return null;
+  return workers.map((w) => ({
+    workerId: Number(w?.worker_id),
+    hours: w?.hours === "" || w?.hours == null ? Number(billHours) : Number(w.hours)
+  }));
+}
 
 /**
  * Helper: check if a record is editable/deletable by daysLimit.
@@ -103,28 +158,189 @@ function ensureRowWithinLimit({ id, companyId, daysLimit }, cb) {
   );
 }
 
+function ensureRowWithinLimitAsync(args) {
+  return new Promise((resolve, reject) => {
+    ensureRowWithinLimit(args, (err, ok) => {
+      if (err) return reject(err);
+      resolve(ok);
+    });
+  });
+}
+
 /* ===========================
-   GET all work entries
+   GET work entries (filtered + paged on the server)
    GET /api/work-entries?companyId=1
+     &dateFrom=YYYY-MM-DD &dateTo=YYYY-MM-DD
+     &workerId=2 | &worker=text (prefix "=" for an exact match)
+     &jobId=3    | &job=text
+     &payType=cash|bank
+     &jobNo=text (matches Job No1 or Job No2)
+     &note=text
+     &status=active|voided|all (default active)
+     &sort=date|job_no1|worker|job|amount|fees|customer_total|wage_total &dir=asc|desc
+     &page=1 &pageSize=10
+   Returns { rows, total, page, pageSize, totals: { fees_collected, customer_total, wage_total } }
    =========================== */
-router.get("/", (req, res) => {
+const ENTRY_SORT_COLUMNS = {
+  date: "we.work_date",
+  job_no1: "we.job_no1",
+  worker: "wk.worker_code",
+  job: "j.job_code",
+  amount: "we.amount",
+  fees: "we.fees_collected",
+  customer_total: "we.customer_total",
+  wage_total: "we.wage_total"
+};
+
+const MAX_PAGE_SIZE = 500;
+
+function likeParam(text) {
+  return `%${String(text).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+function buildEntryFilters(query, daysLimit) {
+  const where = [];
+  const params = [];
+
+  if (daysLimit != null) {
+    where.push("we.work_date >= date('now', ?)");
+    params.push(`-${daysLimit} days`);
+  }
+
+  const dateFrom = String(query.dateFrom || "").trim();
+  const dateTo = String(query.dateTo || "").trim();
+  if (isISODate(dateFrom)) {
+    where.push("we.work_date >= ?");
+    params.push(dateFrom);
+  }
+  if (isISODate(dateTo)) {
+    where.push("we.work_date <= ?");
+    params.push(dateTo);
+  }
+
+  // worker filters match any worker on the bill (split bills have several)
+  const anyWorker = (cond) =>
+    `EXISTS (SELECT 1 FROM work_entry_worker_lines wl JOIN workers lw ON lw.id = wl.worker_id
+              WHERE wl.work_entry_id = we.id AND ${cond})`;
+
+  const workerId = parseInt(query.workerId, 10);
+  if (workerId) {
+    where.push(anyWorker("wl.worker_id = ?"));
+    params.push(workerId);
+  }
+
+  const workerText = String(query.worker || "").trim().toLowerCase();
+  if (workerText.startsWith("=")) {
+    // "=" prefix: exact match on "code name" or just the code
+    where.push(
+      anyWorker(
+        "(LOWER(lw.worker_code || CASE WHEN lw.worker_name IS NOT NULL THEN ' ' || lw.worker_name ELSE '' END) = ? OR LOWER(lw.worker_code) = ?)"
+      )
+    );
+    params.push(workerText.slice(1).trim(), workerText.slice(1).trim());
+  } else if (workerText) {
+    where.push(anyWorker("LOWER(COALESCE(lw.worker_code,'') || ' ' || COALESCE(lw.worker_name,'')) LIKE ? ESCAPE '\\'"));
+    params.push(likeParam(workerText));
+  }
+
+  const jobId = parseInt(query.jobId, 10);
+  if (jobId) {
+    where.push("we.job_id = ?");
+    params.push(jobId);
+  }
+
+  const jobText = String(query.job || "").trim().toLowerCase();
+  if (jobText) {
+    where.push("LOWER(COALESCE(j.job_code,'') || ' ' || COALESCE(j.job_type,'')) LIKE ? ESCAPE '\\'");
+    params.push(likeParam(jobText));
+  }
+
+  const payType = String(query.payType || "").trim().toLowerCase();
+  if (payType === "bank") where.push("COALESCE(we.is_bank,0) = 1");
+  if (payType === "cash") where.push("COALESCE(we.is_bank,0) = 0");
+
+  const jobNo = String(query.jobNo || "").trim().toLowerCase();
+  if (jobNo) {
+    where.push("(LOWER(COALESCE(we.job_no1,'')) LIKE ? ESCAPE '\\' OR LOWER(COALESCE(we.job_no2,'')) LIKE ? ESCAPE '\\')");
+    params.push(likeParam(jobNo), likeParam(jobNo));
+  }
+
+  const status = String(query.status || "active").trim().toLowerCase();
+  if (status === "active") where.push("we.voided_at IS NULL");
+  if (status === "voided") where.push("we.voided_at IS NOT NULL");
+
+  const note = String(query.note || "").trim().toLowerCase();
+  if (note) {
+    where.push("LOWER(COALESCE(we.note,'')) LIKE ? ESCAPE '\\'");
+    params.push(likeParam(note));
+  }
+
+  return {
+    sql: where.length ? `AND ${where.join(" AND ")}` : "",
+    params
+  };
+}
+
+function getDaysLimitForUserAsync(req) {
+  return new Promise((resolve, reject) => {
+    getDaysLimitForUser(req, (err, limit) => {
+      if (err) return reject(err);
+      resolve(limit);
+    });
+  });
+}
+
+router.get("/", async (req, res) => {
   const companyId = getCompanyId(req);
 
-  getDaysLimitForUser(req, (err, daysLimit) => {
-    if (err) {
-      console.error("getDaysLimitForUser error:", err.message);
-      return res.status(500).json({ error: "Database error" });
-    }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 10));
 
-    let dateFilterSql = "";
-    const params = [companyId];
+  // own keys only: ?sort=constructor must not reach the SQL
+  const sortCol = Object.hasOwn(ENTRY_SORT_COLUMNS, req.query.sort)
+    ? ENTRY_SORT_COLUMNS[req.query.sort]
+    : ENTRY_SORT_COLUMNS.date;
+  const dir = String(req.query.dir || "").toLowerCase() === "asc" ? "ASC" : "DESC";
 
-    if (daysLimit != null) {
-      dateFilterSql = ` AND we.work_date >= date('now', ?) `;
-      params.push(`-${daysLimit} days`);
-    }
+  try {
+    const daysLimit = await getDaysLimitForUserAsync(req);
+    const filters = buildEntryFilters(req.query, daysLimit);
 
-    db.all(
+    const fromSql = `
+      FROM work_entries we
+      LEFT JOIN workers wk
+        ON wk.id = we.worker_id AND wk.company_id = we.company_id
+      LEFT JOIN jobs j
+        ON j.id = we.job_id AND j.company_id = we.company_id
+      LEFT JOIN wage_tiers wt
+        ON wt.id = we.wage_tier_id AND wt.company_id = we.company_id
+      LEFT JOIN price_lists pl
+        ON pl.id = we.price_list_id
+      LEFT JOIN users vu
+        ON vu.id = we.voided_by
+      WHERE we.company_id = ?
+      ${filters.sql}
+    `;
+    const params = [companyId, ...filters.params];
+
+    const summary = await dbGet(
+      `
+      SELECT
+        COUNT(*) AS total,
+        -- voided rows may be listed (status=all) but never add to totals
+        COALESCE(SUM(CASE WHEN we.voided_at IS NULL THEN we.fees_collected END), 0) AS fees_collected,
+        COALESCE(SUM(CASE WHEN we.voided_at IS NULL THEN we.customer_total END), 0) AS customer_total,
+        COALESCE(SUM(CASE WHEN we.voided_at IS NULL THEN we.wage_total END), 0) AS wage_total
+      ${fromSql}
+      `,
+      params
+    );
+
+    const total = Number(summary?.total || 0);
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    const finalPage = Math.min(page, lastPage);
+
+    const rows = await dbAll(
       `
       SELECT
         we.id,
@@ -133,6 +349,16 @@ router.get("/", (req, res) => {
         we.worker_id,
         wk.worker_code,
         wk.worker_name,
+        (
+          SELECT GROUP_CONCAT(x.worker_code, ' + ')
+            FROM (
+              SELECT lw.worker_code
+                FROM work_entry_workers l
+                JOIN workers lw ON lw.id = l.worker_id
+               WHERE l.work_entry_id = we.id
+               ORDER BY l.line_no
+            ) x
+        ) AS split_workers,
 
         we.job_id,
         j.job_code,
@@ -140,9 +366,14 @@ router.get("/", (req, res) => {
 
         we.amount,
         we.is_bank,
+        we.is_requested,
+        we.request_fee,
+        we.request_bonus,
 
         we.customer_rate,
         we.customer_total,
+        we.price_list_id,
+        pl.name AS price_list_name,
 
         we.wage_tier_id,
         wt.tier_name AS wage_tier_name,
@@ -154,35 +385,102 @@ router.get("/", (req, res) => {
         we.work_date,
         we.note,
         we.fees_collected,
-        we.created_at
-      FROM work_entries we
-      LEFT JOIN workers wk
-        ON wk.id = we.worker_id AND wk.company_id = we.company_id
-      LEFT JOIN jobs j
-        ON j.id = we.job_id AND j.company_id = we.company_id
-      LEFT JOIN wage_tiers wt
-        ON wt.id = we.wage_tier_id AND wt.company_id = we.company_id
-      WHERE we.company_id = ?
-      ${dateFilterSql}
-      ORDER BY we.work_date DESC, we.id DESC
+        we.created_at,
+
+        we.voided_at,
+        we.voided_by,
+        vu.username AS voided_by_username,
+        we.void_reason
+      ${fromSql}
+      ORDER BY ${sortCol} ${dir}, we.id ${dir}
+      LIMIT ? OFFSET ?
       `,
-      params,
-      (qErr, rows) => {
-        if (qErr) {
-          console.error("GET /api/work-entries error:", qErr.message);
-          return res.status(500).json({ error: "Database error" });
-        }
-        res.json(rows || []);
-      }
+      [...params, pageSize, (finalPage - 1) * pageSize]
     );
-  });
+
+    res.json({
+      rows,
+      total,
+      page: finalPage,
+      pageSize,
+      totals: {
+        fees_collected: Number(summary?.fees_collected || 0),
+        customer_total: Number(summary?.customer_total || 0),
+        wage_total: Number(summary?.wage_total || 0)
+      }
+    });
+  } catch (err) {
+    console.error("GET /api/work-entries error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/* ===========================
+   CALCULATE (preview) work entry rates
+   POST /api/work-entries/calculate
+   Body: worker_id, job_code, amount, work_date, price_list_id?, is_requested?,
+         custom_customer_rate?, custom_wage_rate?, pending_customer_total?,
+         workers? ([{ worker_id, hours }], two or more to split the bill),
+         pending_customer_totals? ({ worker_id: total } for split bills)
+   =========================== */
+router.post("/calculate", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const { worker_id, job_code, amount, work_date } = req.body;
+  const splitWorkers = parseSplitWorkers(req.body.workers, amount);
+
+  if (!(worker_id || splitWorkers) || !job_code || !amount || !work_date) {
+    return res.status(400).json({ error: "Missing required fields." });
+  }
+
+  try {
+    const canEditRates = await hasPermissionAsync(req, "WORK_ENTRY_EDIT_RATES");
+
+    const calc = splitWorkers
+      ? await calculateSplitBill({
+          companyId,
+          workers: splitWorkers,
+          jobCode: job_code,
+          workDate: work_date,
+          hours: amount,
+          requested: Number(req.body.is_requested) === 1,
+          priceListId: req.body.price_list_id,
+          customCustomerRate: canEditRates ? req.body.custom_customer_rate : null,
+          pendingCustomerTotals: req.body.pending_customer_totals
+        })
+      : await calculateWorkEntry({
+          companyId,
+          workerId: worker_id,
+          jobCode: job_code,
+          workDate: work_date,
+          hours: amount,
+          requested: Number(req.body.is_requested) === 1,
+          priceListId: req.body.price_list_id,
+          customCustomerRate: canEditRates ? req.body.custom_customer_rate : null,
+          customWageRate: canEditRates ? req.body.custom_wage_rate : null,
+          pendingCustomerTotal: req.body.pending_customer_total
+        });
+
+    res.json(calc);
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /api/work-entries/calculate error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
 });
 
 /* ===========================
    CREATE work entry
    POST /api/work-entries
+   Rates + totals are always recalculated on the server.
+   price_list_id picks the customer price list (company default when empty).
+   Posted customer_rate / wage_rate / wage_tier_id are only
+   honoured for users with WORK_ENTRY_EDIT_RATES (custom override).
+   workers: [{ worker_id, hours }] (two or more) splits the bill;
+   worker_id may then be omitted (the first line is the lead worker).
+   is_requested = 1 marks a bill where the customer asked for the worker
+   (REQUESTED_WORKER request fee + worker bonus).
    =========================== */
-router.post("/", (req, res) => {
+router.post("/", async (req, res) => {
   const companyId = getCompanyId(req);
 
   const {
@@ -191,21 +489,16 @@ router.post("/", (req, res) => {
     job_code,
     amount,
     is_bank,
+    is_requested,
 
     customer_rate,
-    customer_total,
-
     wage_tier_id,
     wage_rate,
-    wage_total,
-
-    // legacy (optional)
-    rate,
-    pay,
 
     job_no1,
     job_no2,
     work_date,
+    price_list_id,
 
     // ✅ new
     fees_collected,
@@ -214,18 +507,13 @@ router.post("/", (req, res) => {
   } = req.body;
 
   const finalCompanyId = Number(company_id || companyId || 1);
+  const splitWorkers = parseSplitWorkers(req.body.workers, amount);
 
   // required checks
-  if (!finalCompanyId || !worker_id || !job_code || !amount || !job_no1 || !work_date) {
+  if (!finalCompanyId || !(worker_id || splitWorkers) || !job_code || !amount || !job_no1 || !work_date) {
     return res.status(400).json({ error: "Missing required fields." });
   }
 
-  if (customer_rate == null || customer_total == null || wage_rate == null || wage_total == null) {
-    return res.status(400).json({
-      error: "customer_rate/customer_total/wage_rate/wage_total are required."
-    });
-  }
-
   // ---- normalize numbers safely ----
   const n = (v) => {
     if (v === "" || v == null) return null;
@@ -234,92 +522,336 @@ router.post("/", (req, res) => {
   };
 
   const amountNum = n(amount);
-  const customerRateNum = n(customer_rate);
-  const customerTotalNum = n(customer_total);
-  const wageRateNum = n(wage_rate);
-  const wageTotalNum = n(wage_total);
+  if (amountNum == null || amountNum <= 0) {
+    return res.status(400).json({ error: "Invalid amount (hours)." });
+  }
+
+  const feesCollectedNum = n(fees_collected);
+  if (feesCollectedNum != null && feesCollectedNum < 0) {
+    return res.status(400).json({ error: "fees_collected cannot be negative." });
+  }
 
-  if (amountNum == null || customerRateNum == null || customerTotalNum == null || wageRateNum == null || wageTotalNum == null) {
-    return res.status(400).json({ error: "Invalid numeric value in amount/rates/totals." });
+  const requested = Number(is_requested) === 1;
+
+  let canEditRates = false;
+  let calc;
+  let overriddenMonths = [];
+
+  try {
+    overriddenMonths = await ensurePeriodsOpen(req, finalCompanyId, [work_date]);
+    canEditRates = await hasPermissionAsync(req, "WORK_ENTRY_EDIT_RATES");
+
+    calc = splitWorkers
+      ? await calculateSplitBill({
+          companyId: finalCompanyId,
+          workers: splitWorkers,
+          jobCode: job_code,
+          workDate: work_date,
+          hours: amountNum,
+          requested,
+          priceListId: price_list_id,
+          customCustomerRate: canEditRates ? customer_rate : null
+        })
+      : await calculateWorkEntry({
+          companyId: finalCompanyId,
+          workerId: worker_id,
+          jobCode: job_code,
+          workDate: work_date,
+          hours: amountNum,
+          requested,
+          tierId: canEditRates ? wage_tier_id : null,
+          priceListId: price_list_id,
+          customCustomerRate: canEditRates ? customer_rate : null,
+          customWageRate: canEditRates ? wage_rate : null
+        });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("POST /api/work-entries calculate error:", err.message);
+    return res.status(500).json({ error: "Database error" });
   }
 
   // ✅ Fees Collected:
   // - if user provides it: use it
-  // - else default to customer_total (recommended)
-  const feesCollectedNum = n(fees_collected);
-  const finalFeesCollected = feesCollectedNum == null ? customerTotalNum : feesCollectedNum;
+  // - else default to customer_total (recommended), plus any request fee
+  const finalFeesCollected =
+    feesCollectedNum == null ? round2(calc.customer_total + calc.request_fee) : feesCollectedNum;
+
+  let newId;
+  try {
+    newId = await withTransaction(async () => {
+      const insertedId = await insertWorkEntry({
+        company_id: finalCompanyId,
+        worker_id: calc.worker_id,
+        job_id: calc.job_id,
+        amount: amountNum,
+        is_bank: Number(is_bank) === 1 ? 1 : 0,
+        customer_rate: calc.customer_rate,
+        customer_total: calc.customer_total,
+        wage_tier_id: calc.wage_tier_id,
+        wage_rate: calc.wage_rate,
+        wage_total: calc.wage_total,
+        job_no1: String(job_no1).trim(),
+        job_no2: (job_no2 || "").trim() || null,
+        work_date,
+        note: (note || "").trim() || null,
+        fees_collected: finalFeesCollected,
+        price_list_id: calc.price_list_id,
+        holiday_customer_uplift: calc.holiday_customer_uplift,
+        holiday_wage_uplift: calc.holiday_wage_uplift,
+        is_requested: requested ? 1 : 0,
+        request_fee: calc.request_fee,
+        request_bonus: calc.request_bonus,
+        lines: calc.lines || null
+      });
+      await logPeriodOverrides({
+        companyId: finalCompanyId,
+        months: overriddenMonths,
+        userId: req.session?.user?.id,
+        entryId: insertedId,
+        note: "Created entry in closed period"
+      });
+      return insertedId;
+    });
+  } catch (insertErr) {
+    if (isDuplicateJobNo1Error(insertErr)) {
+      return res.status(400).json({ error: "Job No1 already exists for this company." });
+    }
+    console.error("INSERT work_entries error:", insertErr.message);
+    return res.status(500).json({ error: "Database error" });
+  }
 
-  // resolve job_id
-  db.get(
-    `SELECT id FROM jobs WHERE company_id = ? AND job_code = ?`,
-    [finalCompanyId, String(job_code).trim()],
-    (err, jobRow) => {
-      if (err) {
-        console.error("Resolve job_id error:", err.message);
-        return res.status(500).json({ error: "Database error" });
-      }
-      if (!jobRow) {
-        return res.status(400).json({ error: `Invalid job_code: ${job_code}` });
+  // return the inserted id + server-calculated values so UI can update immediately
+  res.status(201).json({
+    id: newId,
+    fees_collected: finalFeesCollected,
+    customer_rate: calc.customer_rate,
+    customer_total: calc.customer_total,
+    price_list_id: calc.price_list_id,
+    wage_tier_id: calc.wage_tier_id,
+    wage_rate: calc.wage_rate,
+    wage_total: calc.wage_total,
+    request_fee: calc.request_fee,
+    request_bonus: calc.request_bonus,
+    applied_rules: calc.applied_rules,
+    lines: calc.lines || [],
+    canEditRates
+  });
+});
+
+/* ===========================
+   CREATE many work entries (all or nothing)
+   POST /api/work-entries/batch
+   Body: { company_id, entries: [{ work_date, job_no1, job_no2, worker_id | worker_code,
+           job_code, amount, price_list_id? | price_list?, customer_rate?, wage_rate?,
+           is_bank, is_requested?, fees_collected, note, workers? }] }
+   Every row is validated + calculated first. If any row fails,
+   nothing is written and the per-row errors are returned.
+   =========================== */
+router.post("/batch", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const entries = req.body?.entries;
+
+  if (!companyId) return res.status(400).json({ error: "Invalid company." });
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: "entries must be a non-empty array." });
+  }
+
+  try {
+    const canEditRates = await hasPermissionAsync(req, "WORK_ENTRY_EDIT_RATES");
+    const canUnlockPeriods = await hasPermissionAsync(req, "PERIOD_UNLOCK");
+    const { prepared, errors, closedMonths } = await prepareWorkEntryRows({
+      companyId,
+      rows: entries,
+      canEditRates,
+      canUnlockPeriods
+    });
+
+    if (errors.length) {
+      return res.status(400).json({
+        error: `${errors.length} row(s) failed validation. Nothing was saved.`,
+        errors
+      });
+    }
+
+    let ids;
+    try {
+      ids = await insertWorkEntries(prepared, {
+        afterInsert: (newIds) =>
+          logPeriodOverrides({
+            companyId,
+            months: closedMonths,
+            userId: req.session?.user?.id,
+            note: `Batch created ${newIds.length} entries (ids ${newIds.join(", ")})`
+          })
+      });
+    } catch (insertErr) {
+      // someone else saved the same Job No1 between validation and insert
+      if (isDuplicateJobNo1Error(insertErr)) {
+        return res.status(400).json({ error: "Job No1 already exists for this company. Nothing was saved." });
       }
+      throw insertErr;
+    }
 
-      const jobId = jobRow.id;
-
-      db.run(
-        `INSERT INTO work_entries (
-           company_id, worker_id, job_id, amount,
-           is_bank,
-           customer_rate, customer_total,
-           wage_tier_id, wage_rate, wage_total,
-           rate, pay,
-           job_no1, job_no2, work_date,
-           note, fees_collected
-         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          finalCompanyId,
-          Number(worker_id),
-          jobId,
-          amountNum,
-
-          Number(is_bank) === 1 ? 1 : 0,
-
-          customerRateNum,
-          customerTotalNum,
-
-          wage_tier_id != null && wage_tier_id !== "" ? Number(wage_tier_id) : null,
-          wageRateNum,
-          wageTotalNum,
-
-          n(rate) ?? wageRateNum ?? 0,
-          n(pay) ?? wageTotalNum ?? 0,
-
-          String(job_no1).trim(),
-          (job_no2 || "").trim() || null,
-          work_date,
-
-          (note || "").trim() || null,
-          finalFeesCollected
-        ],
-        function (insertErr) {
-          if (insertErr) {
-            if (insertErr.message.includes("UNIQUE constraint failed: work_entries.company_id, work_entries.job_no1")) {
-              return res.status(400).json({ error: "Job No1 already exists for this company." });
-            }
-            console.error("INSERT work_entries error:", insertErr.message);
-            return res.status(500).json({ error: "Database error" });
-          }
+    res.status(201).json({
+      message: `Saved ${ids.length} entr${ids.length === 1 ? "y" : "ies"}.`,
+      count: ids.length,
+      entries: prepared.map((p, i) => ({
+        index: p.index,
+        id: ids[i],
+        job_no1: p.values.job_no1,
+        customer_rate: p.values.customer_rate,
+        customer_total: p.values.customer_total,
+        price_list_id: p.values.price_list_id,
+        wage_tier_id: p.values.wage_tier_id,
+        wage_rate: p.values.wage_rate,
+        wage_total: p.values.wage_total,
+        fees_collected: p.values.fees_collected,
+        request_fee: p.values.request_fee,
+        request_bonus: p.values.request_bonus,
+        lines: p.values.lines || [],
+        applied_rules: p.applied_rules
+      })),
+      canEditRates
+    });
+  } catch (err) {
+    console.error("POST /api/work-entries/batch error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
 
-          // return the inserted id + collected so UI can update immediately
-          res.status(201).json({ id: this.lastID, fees_collected: finalFeesCollected });
-        }
-      );
+/* ===========================
+   IMPORT work entries from a day sheet (CSV / XLSX parsed in the browser)
+   POST /api/work-entries/import?companyId=1
+   Body: { dry_run: true|false, rows: [{ "Date": ..., "Job No1": ..., ... }] }
+   dry_run: returns the row-by-row report, writes nothing.
+   Otherwise: all rows are inserted in one transaction, or none if any row fails.
+   =========================== */
+router.post("/import", requirePermission("WORK_ENTRY_IMPORT"), async (req, res) => {
+  const companyId = getCompanyId(req);
+  const rawRows = req.body?.rows;
+  const dryRun = req.body?.dry_run === true || req.body?.dry_run === 1 || req.body?.dry_run === "1";
+
+  if (!companyId) return res.status(400).json({ error: "Invalid company." });
+  if (!Array.isArray(rawRows) || rawRows.length === 0) {
+    return res.status(400).json({ error: "The file has no rows." });
+  }
+  if (rawRows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `Too many rows (max ${MAX_IMPORT_ROWS} per file).` });
+  }
+
+  try {
+    const canEditRates = await hasPermissionAsync(req, "WORK_ENTRY_EDIT_RATES");
+    const canUnlockPeriods = await hasPermissionAsync(req, "PERIOD_UNLOCK");
+
+    const { prepared, closedMonths, summary, report } = await buildImportReport({
+      companyId,
+      rawRows,
+      canEditRates,
+      canUnlockPeriods
+    });
+
+    if (!summary.total) return res.status(400).json({ error: "The file has no rows." });
+
+    if (dryRun) return res.json({ dry_run: true, summary, report });
+
+    if (summary.failed) {
+      return res.status(400).json({
+        error: `${summary.failed} row(s) failed validation. Nothing was imported.`,
+        dry_run: false,
+        summary,
+        report
+      });
     }
-  );
+
+    let ids;
+    try {
+      ids = await insertWorkEntries(prepared, {
+        afterInsert: (newIds) =>
+          logPeriodOverrides({
+            companyId,
+            months: closedMonths,
+            userId: req.session?.user?.id,
+            note: `Import created ${newIds.length} entries (ids ${newIds.join(", ")})`
+          })
+      });
+    } catch (insertErr) {
+      if (isDuplicateJobNo1Error(insertErr)) {
+        return res.status(400).json({ error: "Job No1 already exists for this company. Nothing was imported." });
+      }
+      throw insertErr;
+    }
+
+    res.status(201).json({
+      dry_run: false,
+      message: `Imported ${ids.length} entr${ids.length === 1 ? "y" : "ies"}.`,
+      count: ids.length,
+      summary,
+      report
+    });
+  } catch (err) {
+    console.error("POST /api/work-entries/import error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/* ===========================
+   Automatic bill numbers (Job No1)
+   GET  /api/work-entries/bill-numbering?companyId=1&work_date=YYYY-MM-DD
+        -> { enabled, reset_period, pad_width, prefix, next }  (next is a preview only)
+   POST /api/work-entries/bill-numbering/reserve?companyId=1   Body: { work_date }
+        -> { job_no1 }  (the number is taken even if the entry is never saved)
+   =========================== */
+router.get("/bill-numbering", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const workDate = String(req.query.work_date || todayISO());
+
+  if (!companyId) return res.status(400).json({ error: "Invalid company." });
+
+  try {
+    const seq = await getBillNumberSequence(companyId);
+    if (!seq || Number(seq.enabled) !== 1) return res.json({ enabled: false });
+
+    res.json({
+      enabled: true,
+      reset_period: seq.reset_period,
+      pad_width: seq.pad_width,
+      prefix: seq.prefix || seq.short_code,
+      next: await peekNextBillNumber(companyId, workDate)
+    });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("GET /api/work-entries/bill-numbering error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
 });
 
+router.post("/bill-numbering/reserve", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const workDate = String(req.body?.work_date || "").trim();
+
+  if (!companyId) return res.status(400).json({ error: "Invalid company." });
+
+  try {
+    const jobNo1 = await reserveBillNumber(companyId, workDate);
+    res.status(201).json({ job_no1: jobNo1 });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /api/work-entries/bill-numbering/reserve error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
 
 /* ===========================
    UPDATE work entry (protected by daysLimit)
    PUT /api/work-entries/:id?companyId=1
+   workers: [{ worker_id, hours }] sets the split lines ([] or one line = not split).
+   When workers is omitted, a split bill keeps its workers and their hours
+   are scaled to the new bill hours.
+   price_list_id changes the price list (omitted = keep the entry's list);
+   a customer rate typed in by a rate editor is a custom price (no list).
+   is_requested omitted = keep the entry's requested flag.
    =========================== */
 router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
   const companyId = getCompanyId(req);
@@ -333,6 +865,7 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
     job_code,
     amount,
     is_bank,
+    is_requested,
     customer_rate,
     wage_tier_id,
     wage_rate,
@@ -340,12 +873,15 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
     job_no2,
     work_date,
     note,
-    fees_collected
+    fees_collected,
+    price_list_id
   } = req.body;
 
   if (!id || !companyId) return res.status(400).json({ error: "Invalid id/company." });
 
-  if (!worker_id) {
+  const postedSplit = parseSplitWorkers(req.body.workers, amount);
+
+  if (!worker_id && !postedSplit) {
     return res.status(400).json({ error: "worker_id is required." });
   }
 
@@ -383,6 +919,9 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
             .status(403)
             .json({ error: "You cannot edit this record (out of allowed date range)." });
         }
+        if (existing.voided_at) {
+          return res.status(400).json({ error: "This entry is voided. Restore it before editing." });
+        }
 
         // resolve job_id from job_code
         db.get(
@@ -396,15 +935,28 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
 
             // permission: can edit rates?
             let canEditRates = false;
+            let existingSnapshot = null;
+            let overriddenMonths = [];
+            let splitWorkers = postedSplit;
 
             try {
-              canEditRates = await new Promise((resolve, reject) => {
-                hasPermission(req, "WORK_ENTRY_EDIT_RATES", (err, ok) => {
-                  if (err) return reject(err);
-                  resolve(ok);
-                });
-              });
+              // both the old and the new date must be in open periods
+              overriddenMonths = await ensurePeriodsOpen(req, companyId, [existing.work_date, work_date]);
+              canEditRates = await hasPermissionAsync(req, "WORK_ENTRY_EDIT_RATES");
+              existingSnapshot = await getEntrySnapshot(id, companyId);
+
+              if (req.body.workers === undefined) {
+                const lines = await getEntryWorkers(companyId, id);
+                if (lines.length > 1) {
+                  const scale = hrs / Number(existing.amount || hrs);
+                  splitWorkers = lines.map((l) => ({
+                    workerId: l.worker_id,
+                    hours: Math.round(Number(l.hours) * scale * 100) / 100
+                  }));
+                }
+              }
             } catch (pErr) {
+              if (pErr instanceof ServiceError) return res.status(pErr.status).json({ error: pErr.message });
               console.error("hasPermission error:", pErr);
               return res.status(500).json({ error: "Database error" });
             }
@@ -419,132 +971,213 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
               return res.status(403).json({ error: "No permission to edit rates." });
             }
 
+            const finalPriceListId =
+              price_list_id !== undefined ? toNumOrNull(price_list_id) : (existing.price_list_id ?? null);
+            const customerRateChanged =
+              customer_rate != null && Number(customer_rate) !== Number(existing.customer_rate);
+
             const finalTierId =
               wage_tier_id != null && wage_tier_id !== ""
                 ? Number(wage_tier_id)
                 : (existing.wage_tier_id ?? null);
 
+            // is_requested omitted = keep the entry's flag
+            const requested =
+              is_requested === undefined ? Number(existing.is_requested) === 1 : Number(is_requested) === 1;
+
             const requestedFees = toNumOrNull(fees_collected);
             // NOTE: final fees will be decided after we know finalCustomerTotal
             if (requestedFees != null && requestedFees < 0) {
               return res.status(400).json({ error: "fees_collected cannot be negative." });
             }
 
-            function doUpdate(finalCustomerRate, finalCustomerTotal, finalWageRate, finalWageTotal) {
+            // split: { workerId, tierId, lines } from calculateSplitBill
+            // uplift: { customer, wage } holiday part of the totals
+            // request: { fee, bonus } for a requested bill (REQUESTED_WORKER)
+            function doUpdate(
+              finalCustomerRate,
+              finalCustomerTotal,
+              finalWageRate,
+              finalWageTotal,
+              split = null,
+              priceListId = null,
+              uplift = { customer: 0, wage: 0 },
+              request = { fee: 0, bonus: 0 }
+            ) {
               // fees_collected:
               // - if user typed a number -> use it
-              // - else default to customer_total (finalCustomerTotal)
-              const finalFeesCollected = requestedFees == null ? finalCustomerTotal : requestedFees;
-
-              db.run(
-                `
-                UPDATE work_entries
-                  SET job_id = ?,
-                      amount = ?,
-                      is_bank = ?,
-                      worker_id = ?,
-
-                      customer_rate = ?,
-                      customer_total = ?,
-
-                      wage_tier_id = ?,
-                      wage_rate = ?,
-                      wage_total = ?,
-
-                      rate = ?,
-                      pay = ?,
-
-                      job_no1 = ?,
-                      job_no2 = ?,
-                      work_date = ?,
-                      note = ?,
-                      fees_collected = ?
-                WHERE id = ?
-                  AND company_id = ?
-                `,
-                [
-                  jobId,
-                  hrs,
-                  Number(is_bank) === 1 ? 1 : 0,
-                  Number(worker_id),
-
-                  finalCustomerRate,
-                  finalCustomerTotal,
-
-                  finalTierId,
-                  finalWageRate,
-                  finalWageTotal,
-
-                  finalWageRate,   // legacy rate
-                  finalWageTotal,  // legacy pay
-
-                  String(job_no1).trim(),
-                  (job_no2 || "").trim() || null,
-                  work_date,
-                  (note || "").trim() || null,
-                  finalFeesCollected,
-
-                  id,
-                  companyId
-                ],
-                function (updateErr) {
-                  if (updateErr) {
-                    if (updateErr.message.includes("UNIQUE constraint failed: work_entries.company_id, work_entries.job_no1")) {
-                      return res.status(400).json({ error: "Job No1 already exists for this company." });
-                    }
-                    console.error("UPDATE work_entries error:", updateErr.message);
-                    return res.status(500).json({ error: "Database error" });
-                  }
-
-                  if (this.changes === 0) return res.status(404).json({ error: "Work entry not found." });
+              // - else default to customer_total (finalCustomerTotal) plus any request fee
+              const finalFeesCollected =
+                requestedFees == null ? round2(finalCustomerTotal + request.fee) : requestedFees;
+
+              withTransaction(async () => {
+                const r = await dbRun(
+                  `
+                  UPDATE work_entries
+                    SET job_id = ?,
+                        amount = ?,
+                        is_bank = ?,
+                        worker_id = ?,
+
+                        customer_rate = ?,
+                        customer_total = ?,
+
+                        wage_tier_id = ?,
+                        wage_rate = ?,
+                        wage_total = ?,
+
+                        rate = ?,
+                        pay = ?,
+
+                        job_no1 = ?,
+                        job_no2 = ?,
+                        work_date = ?,
+                        note = ?,
+                        fees_collected = ?,
+                        price_list_id = ?,
+                        holiday_customer_uplift = ?,
+                        holiday_wage_uplift = ?,
+                        is_requested = ?,
+                        request_fee = ?,
+                        request_bonus = ?
+                  WHERE id = ?
+                    AND company_id = ?
+                  `,
+                  [
+                    jobId,
+                    hrs,
+                    Number(is_bank) === 1 ? 1 : 0,
+                    split ? split.workerId : Number(worker_id),
+
+                    finalCustomerRate,
+                    finalCustomerTotal,
+
+                    split ? split.tierId : finalTierId,
+                    finalWageRate,
+                    finalWageTotal,
+
+                    finalWageRate,   // legacy rate
+                    finalWageTotal,  // legacy pay
+
+                    String(job_no1).trim(),
+                    (job_no2 || "").trim() || null,
+                    work_date,
+                    (note || "").trim() || null,
+                    finalFeesCollected,
+                    priceListId,
+                    uplift.customer,
+                    uplift.wage,
+                    requested ? 1 : 0,
+                    request.fee,
+                    request.bonus,
+
+                    id,
+                    companyId
+                  ]
+                );
+
+                if (r.changes > 0) {
+                  await replaceEntryWorkers(companyId, id, split ? split.lines : []);
+                  await recordRevision({
+                    companyId,
+                    entryId: id,
+                    action: "UPDATE",
+                    before: existingSnapshot,
+                    after: await getEntrySnapshot(id, companyId),
+                    userId
+                  });
+                  await logPeriodOverrides({
+                    companyId,
+                    months: overriddenMonths,
+                    userId,
+                    entryId: id,
+                    note: "Edited entry in closed period"
+                  });
+                }
+                return r.changes;
+              })
+                .then((changes) => {
+                  if (changes === 0) return res.status(404).json({ error: "Work entry not found." });
 
                   res.json({
                     message: "Updated",
-                    changes: this.changes,
+                    changes,
                     canEditRates,
                     fees_collected: finalFeesCollected
                   });
-                }
-              );
+                })
+                .catch((updateErr) => {
+                  if (isDuplicateJobNo1Error(updateErr)) {
+                    return res.status(400).json({ error: "Job No1 already exists for this company." });
+                  }
+                  console.error("UPDATE work_entries error:", updateErr.message);
+                  return res.status(500).json({ error: "Database error" });
+                });
             }
 
-            // ✅ If user can't edit rates: recalc from DB for job+tier
-            if (!canEditRates) {
-              db.get(
-                `
-                SELECT
-                  j.normal_price AS customer_rate,
-                  COALESCE(jw.wage_rate, 0) AS wage_rate
-                FROM jobs j
-                LEFT JOIN job_wages jw
-                  ON jw.job_id = j.id
-                 AND jw.tier_id = ?
-                 AND jw.company_id = j.company_id
-                WHERE j.id = ?
-                  AND j.company_id = ?
-                LIMIT 1
-                `,
-                [finalTierId, jobId, companyId],
-                (rErr, rateRow) => {
-                  if (rErr) return res.status(500).json({ error: "Database error" });
-                  if (!rateRow) return res.status(400).json({ error: "Failed to resolve rates for selected job/tier." });
-
-                  const finalCustomerRate = Number(rateRow.customer_rate || 0);
-                  const finalWageRate = Number(rateRow.wage_rate || 0);
-
-                  if (!Number.isFinite(finalCustomerRate) || finalCustomerRate <= 0) {
-                    return res.status(400).json({ error: "Invalid customer rate for this job." });
-                  }
-                  if (!Number.isFinite(finalWageRate) || finalWageRate <= 0) {
-                    return res.status(400).json({ error: "Invalid wage rate for this wage tier." });
-                  }
+            // ✅ Split bill: wages always come from the engine, per worker line
+            if (splitWorkers) {
+              try {
+                const calc = await calculateSplitBill({
+                  companyId,
+                  workers: splitWorkers,
+                  jobId,
+                  workDate: work_date,
+                  hours: hrs,
+                  requested,
+                  priceListId: finalPriceListId,
+                  customCustomerRate: canEditRates ? customer_rate : null,
+                  excludeEntryId: id
+                });
 
-                  const finalCustomerTotal = finalCustomerRate * hrs;
-                  const finalWageTotal = finalWageRate * hrs;
+                doUpdate(
+                  calc.customer_rate,
+                  calc.customer_total,
+                  calc.wage_rate,
+                  calc.wage_total,
+                  { workerId: calc.worker_id, tierId: calc.wage_tier_id, lines: calc.lines },
+                  calc.price_list_id ?? (customerRateChanged ? null : finalPriceListId),
+                  { customer: calc.holiday_customer_uplift, wage: calc.holiday_wage_uplift },
+                  { fee: calc.request_fee, bonus: calc.request_bonus }
+                );
+              } catch (cErr) {
+                if (cErr instanceof ServiceError) return res.status(cErr.status).json({ error: cErr.message });
+                console.error("PUT /api/work-entries split calculate error:", cErr.message);
+                return res.status(500).json({ error: "Database error" });
+              }
+              return;
+            }
 
-                  doUpdate(finalCustomerRate, finalCustomerTotal, finalWageRate, finalWageTotal);
-                }
-              );
+            // ✅ If user can't edit rates: recalc on the server (job price + tier wage + company rules)
+            if (!canEditRates) {
+              try {
+                const calc = await calculateWorkEntry({
+                  companyId,
+                  workerId: worker_id,
+                  jobId,
+                  workDate: work_date,
+                  hours: hrs,
+                  requested,
+                  tierId: finalTierId,
+                  priceListId: finalPriceListId,
+                  excludeEntryId: id
+                });
+
+                doUpdate(
+                  calc.customer_rate,
+                  calc.customer_total,
+                  calc.wage_rate,
+                  calc.wage_total,
+                  null,
+                  calc.price_list_id,
+                  { customer: calc.holiday_customer_uplift, wage: calc.holiday_wage_uplift },
+                  { fee: calc.request_fee, bonus: calc.request_bonus }
+                );
+              } catch (cErr) {
+                if (cErr instanceof ServiceError) return res.status(cErr.status).json({ error: cErr.message });
+                console.error("PUT /api/work-entries calculate error:", cErr.message);
+                return res.status(500).json({ error: "Database error" });
+              }
               return;
             }
 
@@ -562,7 +1195,37 @@ router.put("/:id", requirePermission("WORK_ENTRY_EDIT"), (req, res) => {
             const finalCustomerTotal = finalCustomerRate * hrs;
             const finalWageTotal = finalWageRate * hrs;
 
-            doUpdate(finalCustomerRate, finalCustomerTotal, finalWageRate, finalWageTotal);
+            // rates typed in carry no holiday uplift; unchanged ones keep theirs (per hour)
+            const sameDay = work_date === existing.work_date;
+            const perHour = (v) => Math.round((Number(v || 0) * hrs * 100) / Number(existing.amount || hrs)) / 100;
+            const wageRateChanged = wage_rate != null && Number(wage_rate) !== Number(existing.wage_rate);
+
+            // request fee/bonus: unchanged flag keeps the saved amounts, a newly
+            // set one takes the company's current REQUESTED_WORKER values
+            let request = { fee: Number(existing.request_fee || 0), bonus: Number(existing.request_bonus || 0) };
+            if (requested !== (Number(existing.is_requested) === 1)) {
+              try {
+                const amounts = resolveRequestAmounts(requested, await getEnabledRules(companyId));
+                request = { fee: amounts.request_fee, bonus: amounts.request_bonus };
+              } catch (rErr) {
+                console.error("PUT /api/work-entries rules error:", rErr.message);
+                return res.status(500).json({ error: "Database error" });
+              }
+            }
+
+            doUpdate(
+              finalCustomerRate,
+              finalCustomerTotal,
+              finalWageRate,
+              finalWageTotal,
+              null,
+              customerRateChanged ? null : finalPriceListId,
+              {
+                customer: sameDay && !customerRateChanged ? perHour(existing.holiday_customer_uplift) : 0,
+                wage: sameDay && !wageRateChanged ? perHour(existing.holiday_wage_uplift) : 0
+              },
+              request
+            );
           }
         );
       }
@@ -590,19 +1253,201 @@ router.delete("/:id", requirePermission("WORK_ENTRY_DELETE"), (req, res) => {
         });
       }
 
-      db.run(
-        "DELETE FROM work_entries WHERE id = ? AND company_id = ?",
-        [id, companyId],
-        function (delErr) {
-          if (delErr) return res.status(500).json({ error: "Database error" });
-          if (this.changes === 0) return res.status(404).json({ error: "Not found" });
-          res.json({ message: "Deleted", changes: this.changes });
-        }
-      );
+      const userId = Number(req.session?.user?.id) || null;
+
+      getEntrySnapshot(id, companyId)
+        .then(async (before) => {
+          const overriddenMonths = await ensurePeriodsOpen(req, companyId, [before?.work_date]);
+
+          return withTransaction(async () => {
+            const r = await dbRun("DELETE FROM work_entries WHERE id = ? AND company_id = ?", [id, companyId]);
+            if (r.changes > 0) {
+              await recordRevision({ companyId, entryId: id, action: "DELETE", before, after: null, userId });
+              await logPeriodOverrides({
+                companyId,
+                months: overriddenMonths,
+                userId,
+                entryId: id,
+                note: `Deleted entry (Job No1 ${before?.job_no1 ?? "?"}) in closed period`
+              });
+            }
+            return r.changes;
+          });
+        })
+        .then((changes) => {
+          if (changes === 0) return res.status(404).json({ error: "Not found" });
+          res.json({ message: "Deleted", changes });
+        })
+        .catch((delErr) => {
+          if (delErr instanceof ServiceError) return res.status(delErr.status).json({ error: delErr.message });
+          res.status(500).json({ error: "Database error" });
+        });
     });
   });
 });
 
+/* ===========================
+   GET worker lines of a split bill ([] when not split)
+   GET /api/work-entries/:id/workers?companyId=1
+   =========================== */
+router.get("/:id/workers", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const id = parseInt(req.params.id, 10);
+
+  if (!id || !companyId) return res.status(400).json({ error: "Invalid id/company." });
+
+  try {
+    const daysLimit = await getDaysLimitForUserAsync(req);
+    const ok = await ensureRowWithinLimitAsync({ id, companyId, daysLimit });
+    if (!ok) {
+      return res.status(403).json({ error: "You cannot view this record (out of allowed date range)." });
+    }
+
+    res.json(await getEntryWorkers(companyId, id));
+  } catch (err) {
+    console.error("GET /api/work-entries/:id/workers error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/* ===========================
+   GET revision history of one entry
+   GET /api/work-entries/:id/revisions?companyId=1
+   =========================== */
+router.get("/:id/revisions", async (req, res) => {
+  const companyId = getCompanyId(req);
+  const id = parseInt(req.params.id, 10);
+
+  if (!id || !companyId) return res.status(400).json({ error: "Invalid id/company." });
+
+  try {
+    const daysLimit = await getDaysLimitForUserAsync(req);
+    const ok = await ensureRowWithinLimitAsync({ id, companyId, daysLimit });
+    if (!ok) {
+      return res.status(403).json({ error: "You cannot view this record (out of allowed date range)." });
+    }
+
+    res.json(await getRevisions(companyId, id));
+  } catch (err) {
+    console.error("GET /api/work-entries/:id/revisions error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/* ===========================
+   VOID work entry (protected by daysLimit)
+   POST /api/work-entries/:id/void?companyId=1
+   Body: { reason }
+   The row is kept (bill number stays used) but drops out of every total.
+   =========================== */
+router.post("/:id/void", requirePermission("WORK_ENTRY_VOID"), async (req, res) => {
+  const companyId = getCompanyId(req);
+  const id = parseInt(req.params.id, 10);
+  const reason = String(req.body?.reason ?? "").trim();
+  const userId = Number(req.session?.user?.id) || null;
+
+  if (!id || !companyId) return res.status(400).json({ error: "Invalid id/company." });
+  if (!reason) return res.status(400).json({ error: "A reason is required to void an entry." });
+
+  try {
+    const daysLimit = await getDaysLimitForUserAsync(req);
+    const ok = await ensureRowWithinLimitAsync({ id, companyId, daysLimit });
+    if (!ok) {
+      return res.status(403).json({ error: "You cannot void this record (out of allowed date range)." });
+    }
+
+    const before = await getEntrySnapshot(id, companyId);
+    const overriddenMonths = await ensurePeriodsOpen(req, companyId, [before?.work_date]);
+
+    const changes = await withTransaction(async () => {
+      const r = await dbRun(
+        `UPDATE work_entries
+            SET voided_at = CURRENT_TIMESTAMP,
+                voided_by = ?,
+                void_reason = ?
+          WHERE id = ?
+            AND company_id = ?
+            AND voided_at IS NULL`,
+        [userId, reason, id, companyId]
+      );
+      if (r.changes > 0) {
+        const after = await getEntrySnapshot(id, companyId);
+        await recordRevision({ companyId, entryId: id, action: "VOID", before, after, userId });
+        await logPeriodOverrides({
+          companyId,
+          months: overriddenMonths,
+          userId,
+          entryId: id,
+          note: "Voided entry in closed period"
+        });
+      }
+      return r.changes;
+    });
+    if (changes === 0) return res.status(400).json({ error: "Entry is already voided." });
+
+    res.json({ message: "Voided", changes });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /api/work-entries/:id/void error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/* ===========================
+   RESTORE voided work entry (protected by daysLimit)
+   POST /api/work-entries/:id/restore?companyId=1
+   =========================== */
+router.post("/:id/restore", requirePermission("WORK_ENTRY_RESTORE"), async (req, res) => {
+  const companyId = getCompanyId(req);
+  const id = parseInt(req.params.id, 10);
+
+  if (!id || !companyId) return res.status(400).json({ error: "Invalid id/company." });
+
+  try {
+    const daysLimit = await getDaysLimitForUserAsync(req);
+    const ok = await ensureRowWithinLimitAsync({ id, companyId, daysLimit });
+    if (!ok) {
+      return res.status(403).json({ error: "You cannot restore this record (out of allowed date range)." });
+    }
+
+    const userId = Number(req.session?.user?.id) || null;
+    const before = await getEntrySnapshot(id, companyId);
+    const overriddenMonths = await ensurePeriodsOpen(req, companyId, [before?.work_date]);
+
+    const changes = await withTransaction(async () => {
+      const r = await dbRun(
+        `UPDATE work_entries
+            SET voided_at = NULL,
+                voided_by = NULL,
+                void_reason = NULL
+          WHERE id = ?
+            AND company_id = ?
+            AND voided_at IS NOT NULL`,
+        [id, companyId]
+      );
+      if (r.changes > 0) {
+        const after = await getEntrySnapshot(id, companyId);
+        await recordRevision({ companyId, entryId: id, action: "RESTORE", before, after, userId });
+        await logPeriodOverrides({
+          companyId,
+          months: overriddenMonths,
+          userId,
+          entryId: id,
+          note: "Restored entry in closed period"
+        });
+      }
+      return r.changes;
+    });
+    if (changes === 0) return res.status(400).json({ error: "Entry is not voided." });
+
+    res.json({ message: "Restored", changes });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /api/work-entries/:id/restore error:", err.message);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
 /* ===========================
    GET worker month customer total
    GET /api/work-entries/worker-month-customer-total?companyId=1&workerId=2&month=YYYY-MM
@@ -616,19 +1461,19 @@ router.get("/worker-month-customer-total", (req, res) => {
     return res.status(400).json({ error: "companyId, workerId, and month(YYYY-MM) are required." });
   }
 
-  const start = `${month}-01`;
-  const end = new Date(`${month}-01T00:00:00`);
-  end.setMonth(end.getMonth() + 1);
-  const endStr = end.toISOString().slice(0, 10);
+  const { start, end } = monthRange(`${month}-01`);
 
+  // split bills count only this worker's share
   db.get(
-    `SELECT COALESCE(SUM(customer_total), 0) AS total
-       FROM work_entries
-      WHERE company_id = ?
-        AND worker_id = ?
-        AND work_date >= ?
-        AND work_date < ?`,
-    [companyId, workerId, start, endStr],
+    `SELECT COALESCE(SUM(wl.customer_share), 0) AS total
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE wl.company_id = ?
+        AND wl.worker_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL`,
+    [companyId, workerId, start, end],
     (err, row) => {
       if (err) return res.status(500).json({ error: "Database error" });
       res.json({ total: Number(row?.total || 0) });
@@ -1,6 +1,17 @@
 // src/routes/workerRoutes.js
 import { Router } from "express";
 import db from "../config/db.js";
+import { resolveWorkerTier } from "../services/nationalityTierService.js";
+import { recordManualTierChange } from "../services/tierProgressionService.js";
+import { parseDate } from "../services/dateService.js";
+import { parseMinimumWage } from "../services/minimumWageService.js";
+import { requirePermission } from "../middleware/permission.js";
+import {
+  addWorkerJobRate,
+  deleteWorkerJobRate,
+  listWorkerJobRates,
+} from "../services/workerJobRateService.js";
+import { ServiceError, statusOf, userMessage } from "../services/serviceError.js";
 
 const router = Router();
 
@@ -54,42 +65,68 @@ router.post("/", (req, res) => {
     nationality,
     field1,
     wage_tier_id,
-    is_active
+    tier_override,
+    is_active,
+    min_monthly_wage
   } = req.body;
 
   if (!worker_code) {
     return res.status(400).json({ error: "worker_code is required." });
   }
 
+  let minWageVal;
+  try {
+    minWageVal = parseMinimumWage(min_monthly_wage);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  // stored as YYYY-MM-DD; typed dates are day-first
+  const startVal = parseDate(employment_start);
+  if (String(employment_start ?? "").trim() && !startVal) {
+    return res.status(400).json({ error: "Employment start must be a date (DD/MM/YYYY or YYYY-MM-DD)." });
+  }
+
   const activeVal = (is_active === 0 || is_active === "0") ? 0 : 1;
+  const overrideVal = (tier_override === 1 || tier_override === "1" || tier_override === true) ? 1 : 0;
   const wageTierIdVal = wage_tier_id != null && wage_tier_id !== "" ? Number(wage_tier_id) : null;
 
-  db.run(
-    `INSERT INTO workers (
-       company_id, worker_code, worker_name, worker_english_name,
-       passport_no, employment_start, nationality, field1,
-       wage_tier_id, is_active
-     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      companyId,
-      worker_code,
-      worker_name || null,
-      worker_english_name || null,
-      passport_no || null,
-      employment_start || null,
-      nationality || null,
-      field1 || null,
-      wageTierIdVal,
-      activeVal
-    ],
-    function (err) {
-      if (err) {
-        console.error("POST /api/workers error:", err.message);
-        return res.status(500).json({ error: "Database error" });
-      }
-      res.status(201).json({ id: this.lastID });
-    }
-  );
+  // tier from the nationality mapping unless set by hand
+  resolveWorkerTier({ companyId, nationality, postedTierId: wageTierIdVal, override: overrideVal === 1 })
+    .then((tierId) => {
+      db.run(
+        `INSERT INTO workers (
+           company_id, worker_code, worker_name, worker_english_name,
+           passport_no, employment_start, nationality, field1,
+           wage_tier_id, tier_override, is_active, min_monthly_wage
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          companyId,
+          worker_code,
+          worker_name || null,
+          worker_english_name || null,
+          passport_no || null,
+          startVal,
+          nationality || null,
+          field1 || null,
+          tierId,
+          overrideVal,
+          activeVal,
+          minWageVal
+        ],
+        function (err) {
+          if (err) {
+            console.error("POST /api/workers error:", err.message);
+            return res.status(500).json({ error: "Database error" });
+          }
+          res.status(201).json({ id: this.lastID, wage_tier_id: tierId });
+        }
+      );
+    })
+    .catch((err) => {
+      console.error("POST /api/workers error:", err.message);
+      res.status(500).json({ error: "Database error" });
+    });
 });
 
 // =======================
@@ -108,55 +145,164 @@ router.put("/:id", (req, res) => {
     nationality,
     field1,
     wage_tier_id,
-    is_active
+    tier_override,
+    is_active,
+    min_monthly_wage
   } = req.body;
 
   if (!worker_code) {
     return res.status(400).json({ error: "worker_code is required." });
   }
 
+  let minWageVal;
+  try {
+    minWageVal = parseMinimumWage(min_monthly_wage);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  // stored as YYYY-MM-DD; typed dates are day-first
+  const startVal = parseDate(employment_start);
+  if (String(employment_start ?? "").trim() && !startVal) {
+    return res.status(400).json({ error: "Employment start must be a date (DD/MM/YYYY or YYYY-MM-DD)." });
+  }
+
   const activeVal = (is_active === 0 || is_active === "0") ? 0 : 1;
+  const overrideVal = (tier_override === 1 || tier_override === "1" || tier_override === true) ? 1 : 0;
   const wageTierIdVal = wage_tier_id != null && wage_tier_id !== "" ? Number(wage_tier_id) : null;
 
-  db.run(
-    `UPDATE workers SET
-       worker_code = ?,
-       worker_name = ?,
-       worker_english_name = ?,
-       passport_no = ?,
-       employment_start = ?,
-       nationality = ?,
-       field1 = ?,
-       wage_tier_id = ?,
-       is_active = ?
-     WHERE id = ?
-       AND company_id = ?`,
-    [
-      worker_code,
-      worker_name || null,
-      worker_english_name || null,
-      passport_no || null,
-      employment_start || null,
-      nationality || null,
-      field1 || null,
-      wageTierIdVal,
-      activeVal,
-      req.params.id,
-      companyId
-    ],
-    function (err) {
-      if (err) {
-        console.error("PUT /api/workers error:", err.message);
+  db.get(
+    "SELECT nationality, wage_tier_id FROM workers WHERE id = ? AND company_id = ?",
+    [req.params.id, companyId],
+    async (getErr, existing) => {
+      if (getErr) {
+        console.error("PUT /api/workers error:", getErr.message);
         return res.status(500).json({ error: "Database error" });
       }
-      if (this.changes === 0) {
+      if (!existing) {
         return res.status(404).json({ error: "Worker not found for this company." });
       }
-      res.json({ message: "Worker updated", changes: this.changes });
+
+      // nationality mapping decides unless set by hand (a promoted tier is kept)
+      let tierId;
+      try {
+        tierId = await resolveWorkerTier({
+          companyId,
+          nationality,
+          postedTierId: wageTierIdVal,
+          override: overrideVal === 1,
+          existing
+        });
+      } catch (tierErr) {
+        console.error("PUT /api/workers error:", tierErr.message);
+        return res.status(500).json({ error: "Database error" });
+      }
+
+      db.run(
+        `UPDATE workers SET
+           worker_code = ?,
+           worker_name = ?,
+           worker_english_name = ?,
+           passport_no = ?,
+           employment_start = ?,
+           nationality = ?,
+           field1 = ?,
+           wage_tier_id = ?,
+           tier_override = ?,
+           is_active = ?,
+           min_monthly_wage = ?
+         WHERE id = ?
+           AND company_id = ?`,
+        [
+          worker_code,
+          worker_name || null,
+          worker_english_name || null,
+          passport_no || null,
+          startVal,
+          nationality || null,
+          field1 || null,
+          tierId,
+          overrideVal,
+          activeVal,
+          minWageVal,
+          req.params.id,
+          companyId
+        ],
+        function (err) {
+          if (err) {
+            console.error("PUT /api/workers error:", err.message);
+            return res.status(500).json({ error: "Database error" });
+          }
+          if (this.changes === 0) {
+            return res.status(404).json({ error: "Worker not found for this company." });
+          }
+
+          // tier history (anniversary promotions before a manual change are not replayed)
+          recordManualTierChange({
+            companyId,
+            workerId: Number(req.params.id),
+            fromTierId: existing.wage_tier_id,
+            toTierId: tierId,
+            userId: req.session?.user?.id ?? null
+          }).catch((tierErr) => console.error("worker tier history error:", tierErr.message));
+
+          res.json({ message: "Worker updated", changes: this.changes, wage_tier_id: tierId });
+        }
+      );
     }
   );
 });
 
+// =======================
+// Worker job rates (negotiated rate on a job, replaces the tier rate)
+// GET    /api/workers/:id/job-rates?companyId=1
+// POST   /api/workers/:id/job-rates  body: job_id, wage_rate, valid_from?, valid_to?, note?
+// DELETE /api/workers/:id/job-rates/:rateId?companyId=1
+// =======================
+router.get("/:id/job-rates", async (req, res) => {
+  const companyId = getCompanyId(req);
+
+  try {
+    res.json(await listWorkerJobRates(companyId, Number(req.params.id)));
+  } catch (err) {
+    console.error("GET worker job rates error:", err);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+router.post("/:id/job-rates", requirePermission("WORKER_EDIT"), async (req, res) => {
+  const companyId = getCompanyId(req);
+
+  try {
+    const id = await addWorkerJobRate({
+      companyId,
+      workerId: Number(req.params.id),
+      jobId: Number(req.body.job_id),
+      wageRate: req.body.wage_rate,
+      validFrom: String(req.body.valid_from || "").trim() || null,
+      validTo: String(req.body.valid_to || "").trim() || null,
+      note: String(req.body.note || "").trim() || null,
+      userId: req.session?.user?.id ?? null
+    });
+    res.status(201).json({ message: "Rate added", id });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("POST worker job rate error:", err);
+    res.status(statusOf(err)).json({ error: userMessage(err, "Database error") });
+  }
+});
+
+router.delete("/:id/job-rates/:rateId", requirePermission("WORKER_EDIT"), async (req, res) => {
+  const companyId = getCompanyId(req);
+
+  try {
+    await deleteWorkerJobRate({ companyId, workerId: Number(req.params.id), rateId: Number(req.params.rateId) });
+    res.json({ message: "Rate removed" });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) console.error("DELETE worker job rate error:", err);
+    res.status(statusOf(err)).json({ error: userMessage(err, "Database error") });
+  }
+});
+
 // =======================
 // DELETE worker
 // =======================
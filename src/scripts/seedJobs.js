@@ -4,8 +4,10 @@
 // What it does (per company):
 // 1) Ensures wage tiers exist (T1/T2/T3/T4/MY)
 // 2) Inserts jobs into jobs table (job_code, job_type, normal_price, is_active)
-// 3) Upserts job_wages rows for every tier (default 0)
-// 4) Safe to re-run (uses UPSERT + UNIQUE constraints)
+// 3) Sets the base job_wages rate for every tier (default 0)
+// 4) Sets the VIP / PROMO price list prices from vip_price / promo_price (when > 0)
+// 5) Adds the 1yr -> 4yr tier progression rules (T1 -> T2 after 12 months, ...) if missing
+// 6) Safe to re-run (uses UPSERT + UNIQUE constraints; base rates are updated in place)
 
 import sqlite3 from "sqlite3";
 import path from "path";
@@ -586,14 +588,77 @@ async function upsertJobWages(companyId, jobId, tierCodeToId, wageRatesByTierCod
   for (const [tier_code, tier_id] of tierCodeToId.entries()) {
     const wage_rate = toNumber(rates[tier_code], 0);
 
+    // job_wages is effective-dated: seed the base rate (valid since the beginning)
+    const updated = await run(
+      `UPDATE job_wages SET wage_rate = ? WHERE job_id = ? AND tier_id = ? AND valid_from IS NULL`,
+      [wage_rate, jobId, tier_id]
+    );
+    if (!updated.changes) {
+      await run(
+        `INSERT INTO job_wages (company_id, job_id, tier_id, wage_rate) VALUES (?, ?, ?, ?)`,
+        [companyId, jobId, tier_id, wage_rate]
+      );
+    }
+  }
+}
+
+// vip_price / promo_price -> price list code
+const LIST_PRICE_FIELDS = { VIP: "vip_price", PROMO: "promo_price" };
+
+async function ensurePriceLists(companyId) {
+  const [hasDefault] = await all(`SELECT id FROM price_lists WHERE company_id = ? AND is_default = 1`, [companyId]);
+  await run(
+    `INSERT OR IGNORE INTO price_lists (company_id, code, name, is_default, sort_order) VALUES (?, 'NORMAL', 'Normal', ?, 10)`,
+    [companyId, hasDefault ? 0 : 1]
+  );
+  await run(
+    `INSERT OR IGNORE INTO price_lists (company_id, code, name, sort_order) VALUES (?, 'VIP', 'VIP', 20), (?, 'PROMO', 'Promo', 30)`,
+    [companyId, companyId]
+  );
+
+  const rows = await all(`SELECT id, code FROM price_lists WHERE company_id = ?`, [companyId]);
+  return new Map(rows.map(r => [r.code, r.id])); // code -> price_list_id
+}
+
+async function upsertListPrices(companyId, jobId, listCodeToId, job) {
+  for (const [code, field] of Object.entries(LIST_PRICE_FIELDS)) {
+    const price = toNumber(job[field], 0);
+    const listId = listCodeToId.get(code);
+    if (!listId || price <= 0) continue;
+
+    // seeded prices have no validity window; dated prices are added in Management
+    const updated = await run(
+      `UPDATE price_list_prices SET price = ?
+        WHERE price_list_id = ? AND job_id = ? AND valid_from IS NULL AND valid_to IS NULL`,
+      [price, listId, jobId]
+    );
+    if (!updated.changes) {
+      await run(
+        `INSERT INTO price_list_prices (company_id, price_list_id, job_id, price) VALUES (?, ?, ?, ?)`,
+        [companyId, listId, jobId, price]
+      );
+    }
+  }
+}
+
+// wage_rate_1yr … wage_rate_4yr: a worker moves up a tier every year of service
+const PROGRESSION = [
+  ["T1", "T2", 12],
+  ["T2", "T3", 24],
+  ["T3", "T4", 36],
+];
+
+async function ensureProgressionRules(companyId, tierCodeToId) {
+  for (const [fromCode, toCode, months] of PROGRESSION) {
+    const fromId = tierCodeToId.get(fromCode);
+    const toId = tierCodeToId.get(toCode);
+    if (!fromId || !toId) continue;
+
+    // keeps a rule already edited in Management
     await run(
-      `
-      INSERT INTO job_wages (company_id, job_id, tier_id, wage_rate)
-      VALUES (?, ?, ?, ?)
-      ON CONFLICT(job_id, tier_id) DO UPDATE SET
-        wage_rate = excluded.wage_rate
-      `,
-      [companyId, jobId, tier_id, wage_rate]
+      `INSERT OR IGNORE INTO tier_progression_rules (company_id, from_tier_id, to_tier_id, after_months)
+       VALUES (?, ?, ?, ?)`,
+      [companyId, fromId, toId, months]
     );
   }
 }
@@ -606,6 +671,9 @@ async function main() {
   const tierCodeToId = await ensureTiers(COMPANY_ID);
   console.log("Tier map:", Object.fromEntries(tierCodeToId));
 
+  const listCodeToId = await ensurePriceLists(COMPANY_ID);
+  await ensureProgressionRules(COMPANY_ID, tierCodeToId);
+
   if (!Array.isArray(JOBS) || JOBS.length === 0) {
     console.log("⚠️ JOBS array is empty. Paste your jobs into JOBS and rerun.");
     return;
@@ -620,12 +688,13 @@ async function main() {
       const wageRatesByTierCode = buildWageRatesByTierCode(job);
 
       await upsertJobWages(COMPANY_ID, jobId, tierCodeToId, wageRatesByTierCode);
+      await upsertListPrices(COMPANY_ID, jobId, listCodeToId, job);
 
       console.log(`✅ Seeded: ${job.job_code} (job_id=${jobId})`);
     }
 
     await run("COMMIT");
-    console.log("🎉 Done seeding jobs + job_wages.");
+    console.log("🎉 Done seeding jobs + job_wages + price lists.");
   } catch (err) {
     await run("ROLLBACK");
     console.error("❌ Seed failed:", err.message);
@@ -7,7 +7,7 @@ const workers = [
     worker_name: "保安服务",
     worker_english_name: "Security Services",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -18,7 +18,7 @@ const workers = [
     worker_name: "账目处理",
     worker_english_name: "Book Keeping-Taxser",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -29,7 +29,7 @@ const workers = [
     worker_name: "卫生费",
     worker_english_name: "Cleaners",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -40,7 +40,7 @@ const workers = [
     worker_name: "白班",
     worker_english_name: "Day Shift",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -51,7 +51,7 @@ const workers = [
     worker_name: "晚班",
     worker_english_name: "Night Shift",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -62,7 +62,7 @@ const workers = [
     worker_name: "经理工资2",
     worker_english_name: "Zou He Qing",
     passport_no: "E60650462",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -73,7 +73,7 @@ const workers = [
     worker_name: "前台",
     worker_english_name: "Counter Workers",
     passport_no: "",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "",
     terminated: "",
     field1: ""
@@ -117,7 +117,7 @@ const workers = [
     worker_name: "伍申平",
     worker_english_name: "Li YuXiang",
     passport_no: "ED2613081",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -128,7 +128,7 @@ const workers = [
     worker_name: "Enita",
     worker_english_name: "Enita Juin Joni Atuk",
     passport_no: "A7727187",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China3",
     terminated: "",
     field1: "resigned"
@@ -139,7 +139,7 @@ const workers = [
     worker_name: "于丽文",
     worker_english_name: "Yu LiWen",
     passport_no: "EC9501075",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -150,7 +150,7 @@ const workers = [
     worker_name: "邹和清",
     worker_english_name: "Zou He Qing",
     passport_no: "E60650462",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -161,7 +161,7 @@ const workers = [
     worker_name: "杨顺美",
     worker_english_name: "Yang Shu Mei",
     passport_no: "ED7670093",
-    employment_start: "8/3/2018",
+    employment_start: "2018-08-03",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -172,7 +172,7 @@ const workers = [
     worker_name: "项永菊",
     worker_english_name: "Xiang Yong Ju",
     passport_no: "ED1901151",
-    employment_start: "8/3/2018",
+    employment_start: "2018-08-03",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -183,7 +183,7 @@ const workers = [
     worker_name: "顾冬梅",
     worker_english_name: "Gu Dong Mei",
     passport_no: "E30678199",
-    employment_start: "8/11/2018",
+    employment_start: "2018-08-11",
     nationality: "China2",
     terminated: "",
     field1: "M"
@@ -194,7 +194,7 @@ const workers = [
     worker_name: "Warsiki",
     worker_english_name: "Warsiki",
     passport_no: "E3087921",
-    employment_start: "7/1/2023",
+    employment_start: "2023-07-01",
     nationality: "China3",
     terminated: "",
     field1: ""
@@ -227,7 +227,7 @@ const workers = [
     worker_name: "李群芳",
     worker_english_name: "Li, QunFang",
     passport_no: "EK1026406",
-    employment_start: "7/1/2023",
+    employment_start: "2023-07-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -238,7 +238,7 @@ const workers = [
     worker_name: "李淼",
     worker_english_name: "Li Miao",
     passport_no: "E85645534",
-    employment_start: "2/14/2019",
+    employment_start: "2019-02-14",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -249,7 +249,7 @@ const workers = [
     worker_name: "郭亚萍",
     worker_english_name: "Guo Ya Ping",
     passport_no: "EE3454690",
-    employment_start: "2/15/2019",
+    employment_start: "2019-02-15",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -260,7 +260,7 @@ const workers = [
     worker_name: "王凤娇",
     worker_english_name: "Wang FengJiao",
     passport_no: "E98084842",
-    employment_start: "8/3/2018",
+    employment_start: "2018-08-03",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -271,7 +271,7 @@ const workers = [
     worker_name: "彭俊",
     worker_english_name: "Peng Jun",
     passport_no: "ED4973329",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -282,7 +282,7 @@ const workers = [
     worker_name: "邹菊华",
     worker_english_name: "Zou JuHua",
     passport_no: "ED6292200",
-    employment_start: "8/3/2018",
+    employment_start: "2018-08-03",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -293,7 +293,7 @@ const workers = [
     worker_name: "刘春梅",
     worker_english_name: "Liu,ChunMei",
     passport_no: "EG8956062",
-    employment_start: "8/1/2019",
+    employment_start: "2019-08-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -304,7 +304,7 @@ const workers = [
     worker_name: "冯艳华",
     worker_english_name: "Feng, YanHua",
     passport_no: "E24183271",
-    employment_start: "5/15/2022",
+    employment_start: "2022-05-15",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -315,7 +315,7 @@ const workers = [
     worker_name: "李帅",
     worker_english_name: "Li, Shuai",
     passport_no: "E81592407",
-    employment_start: "5/15/2022",
+    employment_start: "2022-05-15",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -326,7 +326,7 @@ const workers = [
     worker_name: "艾志亭",
     worker_english_name: "Ai ZhiTing",
     passport_no: "E90053305",
-    employment_start: "8/17/2022",
+    employment_start: "2022-08-17",
     nationality: "China2",
     terminated: "",
     field1: "M"
@@ -337,7 +337,7 @@ const workers = [
     worker_name: "杜春艳",
     worker_english_name: "Du Chun Yan",
     passport_no: "EF1304999",
-    employment_start: "1/6/2023",
+    employment_start: "2023-01-06",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -359,7 +359,7 @@ const workers = [
     worker_name: "印尼员工",
     worker_english_name: "Wu, ShenPing",
     passport_no: "EC7678575",
-    employment_start: "7/1/2023",
+    employment_start: "2023-07-01",
     nationality: "China3",
     terminated: "",
     field1: ""
@@ -381,7 +381,7 @@ const workers = [
     worker_name: "王静",
     worker_english_name: "WANG, JING",
     passport_no: "EG5483683",
-    employment_start: "10/1/2023",
+    employment_start: "2023-10-01",
     nationality: "China3",
     terminated: "",
     field1: ""
@@ -392,7 +392,7 @@ const workers = [
     worker_name: "蹇艳凤",
     worker_english_name: "JIAN, YANFENG",
     passport_no: "E48099679",
-    employment_start: "10/1/2023",
+    employment_start: "2023-10-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -403,7 +403,7 @@ const workers = [
     worker_name: "金花",
     worker_english_name: "JIN HUA",
     passport_no: "EH2633434",
-    employment_start: "8/3/2018",
+    employment_start: "2018-08-03",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -414,7 +414,7 @@ const workers = [
     worker_name: "李玉香",
     worker_english_name: "Li YuXiang",
     passport_no: "ED2613081",
-    employment_start: "6/1/2018",
+    employment_start: "2018-06-01",
     nationality: "China2",
     terminated: "",
     field1: ""
@@ -425,7 +425,7 @@ const workers = [
     worker_name: "印尼9",
     worker_english_name: "",
     passport_no: "",
-    employment_start: "7/1/2023",
+    employment_start: "2023-07-01",
     nationality: "China3",
     terminated: "",
     field1: ""
@@ -524,7 +524,7 @@ const workers = [
     worker_name: "陈可",
     worker_english_name: "CHEN KE",
     passport_no: "EJ7744038",
-    employment_start: "7/1/2023",
+    employment_start: "2023-07-01",
     nationality: "China3",
     terminated: "",
     field1: ""
@@ -1,24 +1,22 @@
 import db from "../config/db.js";
+import { fillMissingTiers } from "../services/nationalityTierService.js";
 
 const COMPANY_ID = 1;
 
 /**
- * nationality -> tier_code
+ * Legacy nationality values -> tier_code. Added to nationality_tiers when
+ * missing (a mapping edited in Management is kept); the mapping itself now
+ * lives in the database and is used for every new / edited worker.
  */
-function tierCodeFromNationality(natRaw) {
-  const nat = (natRaw || "").trim().toLowerCase();
-
-  if (nat === "china1") return "T1";
-  if (nat === "china2") return "T2";
-  if (nat === "china3") return "T3";
-  if (nat === "china4") return "T4";
-
-  if (nat === "my" || nat === "malaysia" || nat === "malaysian") {
-    return "MY";
-  }
-
-  return null; // do NOT update if unknown
-}
+const LEGACY_MAPPING = [
+  ["china1", "T1"],
+  ["china2", "T2"],
+  ["china3", "T3"],
+  ["china4", "T4"],
+  ["my", "MY"],
+  ["malaysia", "MY"],
+  ["malaysian", "MY"],
+];
 
 function get(sql, params = []) {
   return new Promise((resolve, reject) => {
@@ -49,64 +47,40 @@ function run(sql, params = []) {
 
 async function main() {
   try {
-    await run("BEGIN TRANSACTION");
+    // 1️⃣ Make sure the legacy values are mapped
+    for (const [nationality, tierCode] of LEGACY_MAPPING) {
+      const r = await run(
+        `INSERT OR IGNORE INTO nationality_tiers (company_id, nationality, wage_tier_id)
+         SELECT ?, ?, id FROM wage_tiers WHERE company_id = ? AND tier_code = ?`,
+        [COMPANY_ID, nationality, COMPANY_ID, tierCode]
+      );
+      if (!r.changes) {
+        const tier = await get(`SELECT id FROM wage_tiers WHERE company_id = ? AND tier_code = ?`, [COMPANY_ID, tierCode]);
+        if (!tier) console.warn(`⚠️ Tier ${tierCode} not found, ${nationality} not mapped`);
+      }
+    }
 
-    // 1️⃣ Load tier_code -> tier_id map
-    const tiers = await all(
-      `SELECT id, tier_code FROM wage_tiers WHERE company_id = ?`,
+    const mapping = await all(
+      `SELECT nt.nationality, wt.tier_code
+         FROM nationality_tiers nt
+         JOIN wage_tiers wt ON wt.id = nt.wage_tier_id
+        WHERE nt.company_id = ?`,
       [COMPANY_ID]
     );
+    console.log("Nationality map:", Object.fromEntries(mapping.map(m => [m.nationality, m.tier_code])));
 
-    const tierIdByCode = {};
-    tiers.forEach(t => {
-      tierIdByCode[t.tier_code] = t.id;
-    });
-
-    console.log("Tier map:", tierIdByCode);
+    // 2️⃣ Give workers missing a wage tier their nationality's tier
+    const updated = await fillMissingTiers(COMPANY_ID);
 
-    // 2️⃣ Get workers missing wage tier
-    const workers = await all(
-      `SELECT id, worker_code, worker_name, nationality
-       FROM workers
-       WHERE company_id = ?
-         AND (wage_tier_id IS NULL OR wage_tier_id = '')`,
+    const missing = await get(
+      `SELECT COUNT(*) AS cnt FROM workers WHERE company_id = ? AND wage_tier_id IS NULL`,
       [COMPANY_ID]
     );
 
-    let updated = 0;
-    let skipped = 0;
-
-    for (const w of workers) {
-      const tierCode = tierCodeFromNationality(w.nationality);
-      if (!tierCode) {
-        skipped++;
-        continue;
-      }
-
-      const tierId = tierIdByCode[tierCode];
-      if (!tierId) {
-        console.warn(`⚠️ Tier ${tierCode} not found for worker ${w.worker_code}`);
-        skipped++;
-        continue;
-      }
-
-      await run(
-        `UPDATE workers
-         SET wage_tier_id = ?
-         WHERE id = ? AND company_id = ?`,
-        [tierId, w.id, COMPANY_ID]
-      );
-
-      updated++;
-    }
-
-    await run("COMMIT");
-
     console.log(`✅ Wage tier assignment complete`);
     console.log(`   Updated: ${updated}`);
-    console.log(`   Skipped: ${skipped}`);
+    console.log(`   Still without tier: ${missing.cnt}`);
   } catch (err) {
-    await run("ROLLBACK").catch(() => {});
     console.error("❌ Failed:", err.message);
   } finally {
     db.close?.();
@@ -0,0 +1,141 @@
+// src/services/billNumberService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { isISODate } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Automatic bill numbers (work_entries.job_no1) per company.
+ *
+ * Format: <prefix>[-<period>]-<n>, e.g. "HQ-0042", "HQ-202610-0007",
+ * "HQ-20261019-0003". The prefix defaults to companies.short_code.
+ *
+ * A number is reserved (counter incremented) when staff add a pending entry,
+ * so two dashboards never get the same number. Reserved numbers that are
+ * never saved leave a gap. Numbers already typed in by hand (back-filled
+ * paper bills) are skipped.
+ */
+
+export const RESET_PERIODS = ["NONE", "DAILY", "MONTHLY"];
+export const MAX_PAD_WIDTH = 10;
+
+
+/**
+ * Counter key for the reset period: "YYYYMMDD", "YYYYMM" or "" (never resets).
+ */
+export function periodKeyFor(resetPeriod, workDate) {
+  const compact = String(workDate || "").replaceAll("-", "");
+  if (resetPeriod === "DAILY") return compact.slice(0, 8);
+  if (resetPeriod === "MONTHLY") return compact.slice(0, 6);
+  return "";
+}
+
+export function formatBillNumber(seq, periodKey, n) {
+  const prefix = String(seq.prefix || seq.short_code || "").trim();
+  const number = String(n).padStart(Number(seq.pad_width) || 0, "0");
+  return [prefix, periodKey, number].filter(Boolean).join("-");
+}
+
+/**
+ * Sequence settings of one company (null when never configured).
+ */
+export function getBillNumberSequence(companyId) {
+  return dbGet(
+    `SELECT s.*, c.short_code
+       FROM bill_number_sequences s
+       JOIN companies c ON c.id = s.company_id
+      WHERE s.company_id = ?`,
+    [companyId]
+  );
+}
+
+export function listBillNumberSequences() {
+  return dbAll(
+    `SELECT s.*, c.short_code, u.username AS updated_by_username
+       FROM bill_number_sequences s
+       JOIN companies c ON c.id = s.company_id
+       LEFT JOIN users u ON u.id = s.updated_by
+      ORDER BY c.short_code`
+  );
+}
+
+export async function saveBillNumberSequence({ companyId, enabled, prefix, resetPeriod, padWidth, userId }) {
+  if (!RESET_PERIODS.includes(resetPeriod)) throw new ServiceError(400, "Invalid reset period.");
+  const pad = Number(padWidth);
+  if (!Number.isInteger(pad) || pad < 0 || pad > MAX_PAD_WIDTH) {
+    throw new ServiceError(400, `Zero padding must be between 0 and ${MAX_PAD_WIDTH}.`);
+  }
+  const cleanPrefix = String(prefix ?? "").trim() || null;
+  if (cleanPrefix && !/^[A-Za-z0-9_]+$/.test(cleanPrefix)) {
+    throw new ServiceError(400, "Prefix may only contain letters, digits and underscores.");
+  }
+
+  await dbRun(
+    `INSERT INTO bill_number_sequences (company_id, enabled, prefix, reset_period, pad_width, updated_by, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(company_id) DO UPDATE SET
+       enabled = excluded.enabled,
+       prefix = excluded.prefix,
+       reset_period = excluded.reset_period,
+       pad_width = excluded.pad_width,
+       updated_by = excluded.updated_by,
+       updated_at = CURRENT_TIMESTAMP`,
+    [companyId, enabled ? 1 : 0, cleanPrefix, resetPeriod, pad, userId || null]
+  );
+}
+
+async function loadEnabledSequence(companyId, workDate) {
+  if (!isISODate(workDate)) throw new ServiceError(400, "Invalid work_date (use YYYY-MM-DD).");
+  const seq = await getBillNumberSequence(companyId);
+  if (!seq || Number(seq.enabled) !== 1) {
+    throw new ServiceError(409, "Automatic bill numbering is not enabled for this company.");
+  }
+  return seq;
+}
+
+/**
+ * The number the next reservation would get (nothing is reserved).
+ */
+export async function peekNextBillNumber(companyId, workDate) {
+  const seq = await loadEnabledSequence(companyId, workDate);
+  const periodKey = periodKeyFor(seq.reset_period, workDate);
+  const row = await dbGet(
+    `SELECT last_value FROM bill_number_counters WHERE company_id = ? AND period_key = ?`,
+    [companyId, periodKey]
+  );
+  return formatBillNumber(seq, periodKey, Number(row?.last_value || 0) + 1);
+}
+
+/**
+ * Reserve the next bill number for a work date. Atomic: the counter is
+ * incremented inside a transaction, skipping numbers already in work_entries.
+ * @returns {Promise<string>} job_no1
+ */
+export function reserveBillNumber(companyId, workDate) {
+  return withTransaction(async () => {
+    const seq = await loadEnabledSequence(companyId, workDate);
+    const periodKey = periodKeyFor(seq.reset_period, workDate);
+
+    await dbRun(
+      `INSERT OR IGNORE INTO bill_number_counters (company_id, period_key, last_value) VALUES (?, ?, 0)`,
+      [companyId, periodKey]
+    );
+
+    for (;;) {
+      await dbRun(
+        `UPDATE bill_number_counters SET last_value = last_value + 1 WHERE company_id = ? AND period_key = ?`,
+        [companyId, periodKey]
+      );
+      const row = await dbGet(
+        `SELECT last_value FROM bill_number_counters WHERE company_id = ? AND period_key = ?`,
+        [companyId, periodKey]
+      );
+      const jobNo1 = formatBillNumber(seq, periodKey, row.last_value);
+
+      const used = await dbGet(`SELECT 1 FROM work_entries WHERE company_id = ? AND job_no1 = ?`, [
+        companyId,
+        jobNo1,
+      ]);
+      if (!used) return jobNo1;
+    }
+  });
+}
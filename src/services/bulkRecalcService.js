@@ -0,0 +1,486 @@
+// src/services/bulkRecalcService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import {
+  calculateWorkEntry,
+  getEnabledRules,
+  resolveHoliday,
+  resolveJob,
+  resolveListPrice,
+  round2,
+} from "./wageEngine.js";
+import { getClosedMonths, monthOf } from "./periodLockService.js";
+import { daysBetween, isISODate } from "./dateService.js";
+import { getEntrySnapshot, recordRevision } from "./workEntryService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Bulk rate recalculation for a date range (optionally one worker / job).
+ *
+ * For fixing a week keyed with a wrong job price or tier rate: every active
+ * entry in the range is re-priced from the rates valid on its work date —
+ * customer rate from its price list (or the company default list / normal
+ * price, times the holiday price multiplier on calendar holidays), wage rate
+ * from the tier stored on the entry (each worker line of a split bill) plus
+ * the company rules.
+ *
+ * Customer prices are worked out first for the whole range, so threshold
+ * rules measure each worker's month with the corrected totals. Entries in a
+ * closed payroll period are skipped.
+ *
+ * Customer or wage rates typed in by hand can't be told apart from
+ * calculated ones, so they show up as changes: untick them in the preview,
+ * or keep customer rates for the whole run.
+ */
+
+export const MAX_RANGE_DAYS = 92;
+
+const sameMoney = (a, b) => round2(a) === round2(b);
+
+function nextMonthStart(iso) {
+  const [y, m] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10);
+}
+
+async function resolveFilters({ companyId, from, to, workerCode, jobCode }) {
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!isISODate(from) || !isISODate(to)) throw new ServiceError(400, "Dates must be YYYY-MM-DD.");
+  if (from > to) throw new ServiceError(400, "From date can't be after to date.");
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    throw new ServiceError(400, `Pick a range of at most ${MAX_RANGE_DAYS} days.`);
+  }
+
+  let worker = null;
+  if (workerCode) {
+    worker = await dbGet(`SELECT id, worker_code FROM workers WHERE company_id = ? AND worker_code = ?`, [
+      companyId,
+      workerCode,
+    ]);
+    if (!worker) throw new ServiceError(400, `Worker ${workerCode} not found for this company.`);
+  }
+
+  let job = null;
+  if (jobCode) {
+    job = await resolveJob(companyId, { jobCode });
+    if (!job) throw new ServiceError(400, `Job ${jobCode} not found for this company.`);
+  }
+
+  return { worker, job };
+}
+
+async function loadRange(companyId, from, to, worker, job) {
+  const filterSql = [];
+  const filterParams = [];
+  if (worker) {
+    // split bills count when the worker is on any line
+    filterSql.push(
+      `AND (we.worker_id = ? OR EXISTS (SELECT 1 FROM work_entry_workers l WHERE l.work_entry_id = we.id AND l.worker_id = ?))`
+    );
+    filterParams.push(worker.id, worker.id);
+  }
+  if (job) {
+    filterSql.push("AND we.job_id = ?");
+    filterParams.push(job.id);
+  }
+
+  const entries = await dbAll(
+    `SELECT we.id, we.work_date, we.job_no1, we.job_id, we.worker_id, we.amount, we.price_list_id,
+            we.customer_rate, we.customer_total, we.fees_collected,
+            we.wage_tier_id, we.wage_rate, we.wage_total, we.holiday_customer_uplift, we.request_fee,
+            wk.worker_code, j.job_code
+       FROM work_entries we
+       LEFT JOIN workers wk ON wk.id = we.worker_id
+       LEFT JOIN jobs j ON j.id = we.job_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date <= ?
+        AND we.voided_at IS NULL
+        ${filterSql.join("\n        ")}
+      ORDER BY we.work_date, we.id`,
+    [companyId, from, to, ...filterParams]
+  );
+
+  const lines = await dbAll(
+    `SELECT l.work_entry_id, l.worker_id, l.hours, l.customer_share, l.wage_tier_id,
+            l.wage_rate, l.wage_total, wk.worker_code
+       FROM work_entry_workers l
+       JOIN work_entries we ON we.id = l.work_entry_id
+       LEFT JOIN workers wk ON wk.id = l.worker_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date <= ?
+        AND we.voided_at IS NULL
+      ORDER BY l.work_entry_id, l.line_no`,
+    [companyId, from, to]
+  );
+
+  // saved month totals of every worker in the months the range touches
+  const totals = await dbAll(
+    `SELECT substr(we.work_date, 1, 7) AS month, wl.worker_id, COALESCE(SUM(wl.customer_share), 0) AS total
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE wl.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+      GROUP BY month, wl.worker_id`,
+    [companyId, `${from.slice(0, 7)}-01`, nextMonthStart(to)]
+  );
+
+  const linesByEntry = new Map();
+  for (const l of lines) {
+    if (!linesByEntry.has(l.work_entry_id)) linesByEntry.set(l.work_entry_id, []);
+    linesByEntry.get(l.work_entry_id).push(l);
+  }
+
+  return {
+    entries,
+    linesByEntry,
+    monthTotals: new Map(totals.map((t) => [`${t.month}:${t.worker_id}`, Number(t.total)])),
+  };
+}
+
+/**
+ * Customer side of one entry: new rate, holiday uplift + each worker line's share.
+ */
+async function repriceCustomer(companyId, entry, entryLines, keepCustomerRates, rules) {
+  let rate = Number(entry.customer_rate);
+  let holidayUplift = Number(entry.holiday_customer_uplift);
+  if (!keepCustomerRates) {
+    const job = await resolveJob(companyId, { jobId: entry.job_id });
+    if (!job) throw new ServiceError(400, "Job not found for this company.");
+    const listPrice = await resolveListPrice(companyId, job, entry.price_list_id, entry.work_date);
+    if (!listPrice.price) throw new ServiceError(400, "No valid customer price (normal price missing).");
+    // same rounding as calculateWorkEntry
+    const holiday = await resolveHoliday(companyId, entry.work_date, rules);
+    rate = round2(listPrice.price * (holiday?.price_multiplier ?? 1));
+    holidayUplift = holiday
+      ? round2(round2(rate * Number(entry.amount)) - round2(round2(listPrice.price) * Number(entry.amount)))
+      : 0;
+  }
+
+  const total = round2(rate * Number(entry.amount));
+  const split = entryLines.length > 0;
+  const source = split
+    ? entryLines
+    : [
+        {
+          worker_id: entry.worker_id,
+          worker_code: entry.worker_code,
+          hours: entry.amount,
+          customer_share: entry.customer_total,
+          wage_tier_id: entry.wage_tier_id,
+          wage_rate: entry.wage_rate,
+          wage_total: entry.wage_total,
+        },
+      ];
+
+  // shares in proportion to hours; the last line takes the rounding remainder (as calculateSplitBill)
+  const totalHours = source.reduce((s, l) => s + Number(l.hours), 0);
+  let sharedSoFar = 0;
+  const lines = source.map((l, i) => {
+    const share =
+      i === source.length - 1 ? round2(total - sharedSoFar) : round2((total * Number(l.hours)) / totalHours);
+    sharedSoFar = round2(sharedSoFar + share);
+    return { ...l, new_customer_share: share };
+  });
+
+  return { rate, total, holidayUplift, split, lines };
+}
+
+async function buildPreview(input) {
+  const companyId = Number(input.companyId);
+  const from = String(input.from || "").trim();
+  const to = String(input.to || "").trim();
+  const workerCode = String(input.workerCode || "").trim();
+  const jobCode = String(input.jobCode || "").trim();
+  const keepCustomerRates = Boolean(input.keepCustomerRates);
+
+  const { worker, job } = await resolveFilters({ companyId, from, to, workerCode, jobCode });
+  const { entries, linesByEntry, monthTotals } = await loadRange(companyId, from, to, worker, job);
+  const closed = new Set(await getClosedMonths(companyId, entries.map((e) => e.work_date)));
+  const rules = await getEnabledRules(companyId);
+
+  const skipped = [];
+  const skip = (entry, error) =>
+    skipped.push({ entry_id: entry.id, job_no1: entry.job_no1, work_date: entry.work_date, error });
+
+  // 1) customer prices for the whole range, moving the month totals with them
+  const priced = [];
+  for (const entry of entries) {
+    const month = monthOf(entry.work_date);
+    if (closed.has(month)) {
+      skip(entry, `Payroll period ${month} is closed.`);
+      continue;
+    }
+    try {
+      const customer = await repriceCustomer(
+        companyId,
+        entry,
+        linesByEntry.get(entry.id) || [],
+        keepCustomerRates,
+        rules
+      );
+      for (const l of customer.lines) {
+        const key = `${month}:${l.worker_id}`;
+        monthTotals.set(key, (monthTotals.get(key) ?? 0) + l.new_customer_share - Number(l.customer_share));
+      }
+      priced.push({ entry, customer });
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      skip(entry, err.message);
+    }
+  }
+
+  // 2) wages on the corrected month totals
+  const changes = [];
+  for (const { entry, customer } of priced) {
+    try {
+      const month = monthOf(entry.work_date);
+      const lines = [];
+      for (const l of customer.lines) {
+        const calc = await calculateWorkEntry({
+          companyId,
+          workerId: l.worker_id,
+          jobId: entry.job_id,
+          workDate: entry.work_date,
+          hours: l.hours,
+          tierId: l.wage_tier_id,
+          customCustomerRate: l.new_customer_share / Number(l.hours),
+          monthTotal: monthTotals.get(`${month}:${l.worker_id}`) ?? 0,
+        });
+        lines.push({
+          worker_id: l.worker_id,
+          worker_code: l.worker_code,
+          old_customer_share: Number(l.customer_share),
+          new_customer_share: l.new_customer_share,
+          old_wage_rate: Number(l.wage_rate),
+          new_wage_rate: calc.wage_rate,
+          old_wage_total: Number(l.wage_total),
+          new_wage_total: calc.wage_total,
+          holiday_wage_uplift: calc.holiday_wage_uplift,
+        });
+      }
+
+      const newWageTotal = customer.split ? round2(lines.reduce((s, l) => s + l.new_wage_total, 0)) : lines[0].new_wage_total;
+      const change = {
+        entry_id: entry.id,
+        work_date: entry.work_date,
+        job_no1: entry.job_no1,
+        job_code: entry.job_code,
+        worker_label: lines.map((l) => l.worker_code).join(" + "),
+        split: customer.split,
+        old_customer_rate: Number(entry.customer_rate),
+        new_customer_rate: customer.rate,
+        old_customer_total: Number(entry.customer_total),
+        new_customer_total: customer.total,
+        old_wage_rate: Number(entry.wage_rate),
+        new_wage_rate: customer.split ? round2(newWageTotal / Number(entry.amount)) : lines[0].new_wage_rate,
+        old_wage_total: Number(entry.wage_total),
+        new_wage_total: newWageTotal,
+        holiday_customer_uplift: customer.holidayUplift,
+        holiday_wage_uplift: round2(lines.reduce((s, l) => s + l.holiday_wage_uplift, 0)),
+        // fees still at the old customer total (plus any request fee, which is
+        // kept) were never typed in, so they follow it
+        request_fee: Number(entry.request_fee || 0),
+        fees_follow: sameMoney(entry.fees_collected, Number(entry.customer_total) + Number(entry.request_fee || 0)),
+        lines,
+      };
+
+      const moved =
+        !sameMoney(change.old_customer_rate, change.new_customer_rate) ||
+        !sameMoney(change.old_customer_total, change.new_customer_total) ||
+        lines.some(
+          (l) =>
+            !sameMoney(l.old_customer_share, l.new_customer_share) ||
+            !sameMoney(l.old_wage_rate, l.new_wage_rate) ||
+            !sameMoney(l.old_wage_total, l.new_wage_total)
+        );
+      if (moved) changes.push(change);
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      skip(entry, err.message);
+    }
+  }
+
+  const sum = (key) => round2(changes.reduce((s, c) => s + c[key], 0));
+  return {
+    companyId,
+    from,
+    to,
+    worker,
+    job,
+    workerCode,
+    jobCode,
+    keepCustomerRates,
+    entries_checked: entries.length,
+    changes,
+    skipped,
+    totals: {
+      customer_before: sum("old_customer_total"),
+      customer_after: sum("new_customer_total"),
+      wage_before: sum("old_wage_total"),
+      wage_after: sum("new_wage_total"),
+    },
+  };
+}
+
+/**
+ * Changes a bulk recalculation would make (read only).
+ * @param {object} input { companyId, from, to, workerCode?, jobCode?, keepCustomerRates? }
+ * @throws {ServiceError}
+ */
+export function previewBulkRecalc(input) {
+  return buildPreview(input);
+}
+
+/**
+ * Key the preview hands back for each ticked entry, so an entry whose
+ * recalculated totals moved since (edited in between) is not applied blind.
+ */
+export const changeToken = (c) => `${round2(c.new_customer_total)}/${round2(c.new_wage_total)}`;
+
+/**
+ * Apply the confirmed changes in one transaction. accept maps entry id ->
+ * changeToken() from the preview.
+ *
+ * @returns {Promise<{ runId:number, applied:number, stale:number, customerDelta:number, wageDelta:number }>}
+ * @throws {ServiceError}
+ */
+export function applyBulkRecalc({ accept, userId = null, note = null, ...input }) {
+  return withTransaction(async () => {
+    const preview = await buildPreview(input);
+
+    const picked = preview.changes.filter((c) => accept.has(c.entry_id));
+    const toApply = picked.filter((c) => accept.get(c.entry_id) === changeToken(c));
+    const stale = picked.length - toApply.length;
+    if (!toApply.length) {
+      throw new ServiceError(
+        400,
+        stale ? "The selected entries changed since the preview. Preview again before applying." : "No changes selected."
+      );
+    }
+
+    const sum = (key) => round2(toApply.reduce((s, c) => s + c[key], 0));
+    const totals = {
+      customerBefore: sum("old_customer_total"),
+      customerAfter: sum("new_customer_total"),
+      wageBefore: sum("old_wage_total"),
+      wageAfter: sum("new_wage_total"),
+    };
+
+    const run = await dbRun(
+      `INSERT INTO bulk_recalc_runs
+         (company_id, date_from, date_to, worker_id, job_id, keep_customer_rates, entry_count,
+          customer_total_before, customer_total_after, wage_total_before, wage_total_after, note, run_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        preview.companyId,
+        preview.from,
+        preview.to,
+        preview.worker?.id ?? null,
+        preview.job?.id ?? null,
+        preview.keepCustomerRates ? 1 : 0,
+        toApply.length,
+        totals.customerBefore,
+        totals.customerAfter,
+        totals.wageBefore,
+        totals.wageAfter,
+        note,
+        userId,
+      ]
+    );
+
+    for (const c of toApply) {
+      const before = await getEntrySnapshot(c.entry_id, preview.companyId);
+
+      await dbRun(
+        `UPDATE work_entries
+            SET customer_rate = ?, customer_total = ?,
+                wage_rate = ?, wage_total = ?, rate = ?, pay = ?,
+                holiday_customer_uplift = ?, holiday_wage_uplift = ?,
+                fees_collected = CASE WHEN ? = 1 THEN ? ELSE fees_collected END
+          WHERE id = ? AND company_id = ?`,
+        [
+          c.new_customer_rate,
+          c.new_customer_total,
+          c.new_wage_rate,
+          c.new_wage_total,
+          c.new_wage_rate,
+          c.new_wage_total,
+          c.holiday_customer_uplift,
+          c.holiday_wage_uplift,
+          c.fees_follow ? 1 : 0,
+          round2(c.new_customer_total + (c.request_fee ?? 0)),
+          c.entry_id,
+          preview.companyId,
+        ]
+      );
+
+      if (c.split) {
+        for (const l of c.lines) {
+          await dbRun(
+            `UPDATE work_entry_workers
+                SET customer_share = ?, wage_rate = ?, wage_total = ?
+              WHERE work_entry_id = ? AND worker_id = ?`,
+            [l.new_customer_share, l.new_wage_rate, l.new_wage_total, c.entry_id, l.worker_id]
+          );
+        }
+      }
+
+      await dbRun(
+        `INSERT INTO bulk_recalc_changes
+           (run_id, company_id, work_entry_id,
+            old_customer_rate, new_customer_rate, old_customer_total, new_customer_total,
+            old_wage_rate, new_wage_rate, old_wage_total, new_wage_total)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          run.lastID,
+          preview.companyId,
+          c.entry_id,
+          c.old_customer_rate,
+          c.new_customer_rate,
+          c.old_customer_total,
+          c.new_customer_total,
+          c.old_wage_rate,
+          c.new_wage_rate,
+          c.old_wage_total,
+          c.new_wage_total,
+        ]
+      );
+
+      await recordRevision({
+        companyId: preview.companyId,
+        entryId: c.entry_id,
+        action: "UPDATE",
+        before,
+        after: await getEntrySnapshot(c.entry_id, preview.companyId),
+        userId,
+      });
+    }
+
+    return {
+      runId: run.lastID,
+      applied: toApply.length,
+      stale,
+      customerDelta: round2(totals.customerAfter - totals.customerBefore),
+      wageDelta: round2(totals.wageAfter - totals.wageBefore),
+    };
+  });
+}
+
+/**
+ * Latest applied runs, for the management page.
+ */
+export function listBulkRecalcRuns(limit = 20) {
+  return dbAll(
+    `SELECT r.*, c.short_code, u.username AS run_by_username, w.worker_code, j.job_code
+       FROM bulk_recalc_runs r
+       LEFT JOIN companies c ON c.id = r.company_id
+       LEFT JOIN users u ON u.id = r.run_by
+       LEFT JOIN workers w ON w.id = r.worker_id
+       LEFT JOIN jobs j ON j.id = r.job_id
+      ORDER BY r.id DESC
+      LIMIT ?`,
+    [limit]
+  );
+}
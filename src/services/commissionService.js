@@ -0,0 +1,202 @@
+// src/services/commissionService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Progressive commission brackets (COMMISSION_BRACKETS rule).
+ *
+ * A bracket set is a list of { up_to, percent } ordered by ceiling, e.g.
+ * 40% up to 10,000 / 45% up to 20,000 / 50% above. The wage for an entry is
+ * percent × customer rate, where the bracket is picked by the worker's
+ * month-to-date sales including that entry, so the entry that crosses a
+ * ceiling (and every later one) is paid at the higher bracket.
+ *
+ * Each company has a default set (wage_tier_id NULL). A wage tier with its
+ * own rows uses those instead of the default.
+ */
+
+const fmtAmount = (v) => Number(v).toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+/**
+ * Add display labels: "40% up to 10,000", "50% above 20,000".
+ */
+function labelBrackets(rows) {
+  let from = 0;
+  return rows.map((r) => {
+    const upTo = r.up_to == null ? null : Number(r.up_to);
+    const percent = Number(r.percent);
+    const label =
+      upTo != null ? `${percent}% up to ${fmtAmount(upTo)}` : from > 0 ? `${percent}% above ${fmtAmount(from)}` : `${percent}%`;
+    const bracket = { up_to: upTo, percent, from, label };
+    if (upTo != null) from = upTo;
+    return bracket;
+  });
+}
+
+/**
+ * Bracket set that applies to a tier (tier override, else company default).
+ * @returns {Promise<Array<{up_to:number|null, percent:number, from:number, label:string}>>}
+ */
+export async function getCommissionBrackets(companyId, tierId) {
+  const rows = await dbAll(
+    `SELECT wage_tier_id, up_to, percent
+       FROM commission_brackets
+      WHERE company_id = ?
+        AND (wage_tier_id IS NULL OR wage_tier_id = ?)
+      ORDER BY up_to IS NULL, up_to`,
+    [companyId, tierId ?? null]
+  );
+
+  const tierRows = rows.filter((r) => r.wage_tier_id != null);
+  return labelBrackets(tierRows.length ? tierRows : rows);
+}
+
+/**
+ * First bracket whose ceiling the total has not passed.
+ * A total exactly on a ceiling stays in that bracket.
+ */
+export function pickBracket(brackets, total) {
+  if (!brackets.length) return null;
+  return brackets.find((b) => b.up_to == null || total <= b.up_to) ?? brackets[brackets.length - 1];
+}
+
+/**
+ * All bracket sets, for the management page.
+ */
+export async function listCommissionBrackets() {
+  const rows = await dbAll(
+    `SELECT cb.company_id, cb.wage_tier_id, cb.up_to, cb.percent,
+            c.short_code, c.name AS company_name,
+            t.tier_code, t.tier_name
+       FROM commission_brackets cb
+       JOIN companies c ON c.id = cb.company_id
+       LEFT JOIN wage_tiers t ON t.id = cb.wage_tier_id
+      ORDER BY c.short_code, t.sort_order IS NOT NULL, t.sort_order, t.tier_code, cb.up_to IS NULL, cb.up_to`
+  );
+
+  const sets = new Map();
+  for (const r of rows) {
+    const key = `${r.company_id}:${r.wage_tier_id ?? ""}`;
+    if (!sets.has(key)) {
+      sets.set(key, {
+        company_id: r.company_id,
+        wage_tier_id: r.wage_tier_id,
+        company_label: `${r.short_code} - ${r.company_name}`,
+        tier_label: r.wage_tier_id ? `${r.tier_code} - ${r.tier_name}` : null,
+        rows: [],
+      });
+    }
+    sets.get(key).rows.push(r);
+  }
+
+  return [...sets.values()].map(({ rows: setRows, ...set }) => ({ ...set, brackets: labelBrackets(setRows) }));
+}
+
+/**
+ * Validate and replace one bracket set (company default when tierId is null).
+ * Blank rows are ignored; the top bracket must have no ceiling.
+ * @throws {ServiceError}
+ */
+export async function saveCommissionBrackets({ companyId, tierId = null, brackets, userId = null }) {
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+
+  if (tierId) {
+    const tier = await dbGet(`SELECT id FROM wage_tiers WHERE id = ? AND company_id = ?`, [tierId, companyId]);
+    if (!tier) throw new ServiceError(400, "Wage tier does not belong to this company.");
+  }
+
+  const rows = [];
+  for (const b of brackets || []) {
+    const upToRaw = String(b.up_to ?? "").trim();
+    const percentRaw = String(b.percent ?? "").trim();
+    if (!upToRaw && !percentRaw) continue;
+
+    const percent = Number(percentRaw);
+    if (!percentRaw || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new ServiceError(400, "Each bracket needs a percentage between 0 and 100.");
+    }
+
+    const upTo = upToRaw ? Number(upToRaw) : null;
+    if (upTo != null && (!Number.isFinite(upTo) || upTo <= 0)) {
+      throw new ServiceError(400, "Bracket ceilings must be positive amounts.");
+    }
+    rows.push({ up_to: upTo, percent });
+  }
+
+  if (!rows.length) throw new ServiceError(400, "Enter at least one bracket.");
+
+  const open = rows.filter((r) => r.up_to == null);
+  if (open.length !== 1) {
+    throw new ServiceError(400, "Leave \"Up to\" blank on exactly one bracket (the top one).");
+  }
+
+  const ceilings = rows.filter((r) => r.up_to != null).map((r) => r.up_to);
+  if (new Set(ceilings).size !== ceilings.length) {
+    throw new ServiceError(400, "Two brackets cannot share the same ceiling.");
+  }
+
+  await withTransaction(async () => {
+    await dbRun(`DELETE FROM commission_brackets WHERE company_id = ? AND wage_tier_id IS ?`, [
+      companyId,
+      tierId,
+    ]);
+    for (const r of rows) {
+      await dbRun(
+        `INSERT INTO commission_brackets (company_id, wage_tier_id, up_to, percent, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [companyId, tierId, r.up_to, r.percent, userId]
+      );
+    }
+  });
+}
+
+/**
+ * Remove one bracket set. Removing a tier override falls back to the
+ * company default.
+ */
+export async function deleteCommissionBrackets({ companyId, tierId = null }) {
+  await dbRun(`DELETE FROM commission_brackets WHERE company_id = ? AND wage_tier_id IS ?`, [
+    companyId,
+    tierId,
+  ]);
+}
+
+/**
+ * Bracket each worker ended in: month-to-date sales from the first of
+ * endDate's month up to endDate, against the worker's tier set.
+ *
+ * @param {object} input
+ * @param {number} input.companyId
+ * @param {string} input.endDate YYYY-MM-DD
+ * @param {Array<{worker_id:number, wage_tier_id:number|null}>} input.workers
+ * @returns {Promise<Map<number, {label:string, percent:number, month_total:number}>>}
+ */
+export async function getEndedBrackets({ companyId, endDate, workers }) {
+  const monthStart = `${String(endDate).slice(0, 7)}-01`;
+  const totals = await dbAll(
+    `SELECT wl.worker_id, COALESCE(SUM(wl.customer_share), 0) AS total
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE wl.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date <= ?
+        AND we.voided_at IS NULL
+      GROUP BY wl.worker_id`,
+    [companyId, monthStart, endDate]
+  );
+  const totalByWorker = new Map(totals.map((t) => [Number(t.worker_id), Number(t.total)]));
+
+  const setsByTier = new Map();
+  const result = new Map();
+  for (const w of workers) {
+    const tierKey = w.wage_tier_id ?? null;
+    if (!setsByTier.has(tierKey)) setsByTier.set(tierKey, await getCommissionBrackets(companyId, tierKey));
+
+    const monthTotal = totalByWorker.get(Number(w.worker_id)) ?? 0;
+    const bracket = pickBracket(setsByTier.get(tierKey), monthTotal);
+    if (bracket) {
+      result.set(Number(w.worker_id), { label: bracket.label, percent: bracket.percent, month_total: monthTotal });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,61 @@
+// src/services/dateService.js
+
+/**
+ * Date helpers shared by the services and routes. Dates are YYYY-MM-DD
+ * strings and date arithmetic is done in UTC so it never shifts a day.
+ *
+ * Dates typed or imported by people are read by parseDate(): day-first is
+ * the one convention (01/06/2018 = 1 June 2018), for forms and imports alike.
+ */
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function calendarDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+// YYYY-MM-DD and a real calendar day (2026-02-30 is not)
+export const isISODate = (s) =>
+  typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && calendarDate(...s.split("-").map(Number)) === s;
+
+// today on the server's local calendar (toISOString() would give the UTC date)
+export function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+export function addDays(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export const dayBefore = (iso) => addDays(iso, -1);
+
+// whole days from `from` to `to` (0 for the same day)
+export const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY or an Excel
+ * date serial number -> YYYY-MM-DD; null when blank or not a real date.
+ * A longer ISO value (a timestamp) gives its date.
+ */
+export function parseDate(v) {
+  if (typeof v === "number" && Number.isFinite(v)) {
+    // Excel serial: days since 1899-12-30
+    const d = new Date(Date.UTC(1899, 11, 30) + Math.round(v) * 86400000);
+    return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  }
+
+  const s = String(v ?? "").trim();
+  let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/);
+  if (m) return calendarDate(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return calendarDate(Number(m[3]), Number(m[2]), Number(m[1]));
+
+  return null;
+}
@@ -0,0 +1,120 @@
+// src/services/holidayService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { addDays, isISODate } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Per-company holiday calendar (holidays) for the HOLIDAY_MULTIPLIER rule.
+ *
+ * On a listed date the wage engine multiplies the list price and the wage
+ * (see wageEngine.js). A holiday may carry its own multipliers; blank ones
+ * take the rule's company defaults (Companies -> Rules). Saved entries keep
+ * the uplift they were calculated with until they are recalculated.
+ */
+
+// a festive season is a handful of days; a typo in the year should not add hundreds
+export const MAX_HOLIDAY_DAYS = 31;
+
+function multiplierOrNull(v, label) {
+  if (v === "" || v == null) return null;
+  const x = Number(v);
+  if (!Number.isFinite(x)) throw new ServiceError(400, `${label} must be a number.`);
+  if (x < 1) throw new ServiceError(400, `${label} cannot be below 1.`);
+  if (x > 10) throw new ServiceError(400, `${label} cannot be above 10.`);
+  return x;
+}
+
+/**
+ * The company's holiday on a date (null when it is a normal day).
+ */
+export function getHolidayOn(companyId, date) {
+  return dbGet(
+    `SELECT id, holiday_date, name, price_multiplier, wage_multiplier
+       FROM holidays
+      WHERE company_id = ? AND holiday_date = ?`,
+    [companyId, date]
+  );
+}
+
+/**
+ * Holidays of every company from `since` on (date order), for Management.
+ */
+export function listHolidays(since) {
+  return dbAll(
+    `SELECT h.id, h.company_id, c.short_code, h.holiday_date, h.name,
+            h.price_multiplier, h.wage_multiplier, u.username AS created_by_username
+       FROM holidays h
+       JOIN companies c ON c.id = h.company_id
+       LEFT JOIN users u ON u.id = h.created_by
+      WHERE h.holiday_date >= ?
+      ORDER BY h.holiday_date, c.short_code`,
+    [since]
+  );
+}
+
+/**
+ * Add one holiday, or a festive season (dateTo = last day, inclusive), one
+ * calendar row per day. Days already on the calendar are refused.
+ *
+ * @returns {Promise<number>} days added
+ * @throws {ServiceError}
+ */
+export async function addHolidays({
+  companyId,
+  dateFrom,
+  dateTo = null,
+  name,
+  priceMultiplier = null,
+  wageMultiplier = null,
+  userId = null,
+}) {
+  const from = String(dateFrom || "").trim();
+  const to = String(dateTo || "").trim() || from;
+  const label = String(name || "").trim();
+
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!isISODate(from) || !isISODate(to)) throw new ServiceError(400, "Dates must be YYYY-MM-DD.");
+  if (from > to) throw new ServiceError(400, "First day can't be after the last day.");
+  if (!label) throw new ServiceError(400, "Holiday name is required.");
+
+  const price = multiplierOrNull(priceMultiplier, "Price multiplier");
+  const wage = multiplierOrNull(wageMultiplier, "Wage multiplier");
+
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    days.push(d);
+    if (days.length > MAX_HOLIDAY_DAYS) throw new ServiceError(400, `Add at most ${MAX_HOLIDAY_DAYS} days at a time.`);
+  }
+
+  const company = await dbGet(`SELECT id FROM companies WHERE id = ?`, [Number(companyId)]);
+  if (!company) throw new ServiceError(404, "Company not found.");
+
+  return withTransaction(async () => {
+    const placeholders = days.map(() => "?").join(", ");
+    const taken = await dbAll(
+      `SELECT holiday_date, name FROM holidays WHERE company_id = ? AND holiday_date IN (${placeholders})`,
+      [company.id, ...days]
+    );
+    if (taken.length) {
+      throw new ServiceError(400, `${taken[0].holiday_date} is already on the calendar (${taken[0].name}).`);
+    }
+
+    for (const day of days) {
+      await dbRun(
+        `INSERT INTO holidays (company_id, holiday_date, name, price_multiplier, wage_multiplier, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [company.id, day, label, price, wage, userId]
+      );
+    }
+    return days.length;
+  });
+}
+
+/**
+ * Take a day off the calendar. Saved entries keep their uplift until recalculated.
+ * @throws {ServiceError}
+ */
+export async function deleteHoliday({ companyId, holidayId }) {
+  const r = await dbRun(`DELETE FROM holidays WHERE id = ? AND company_id = ?`, [Number(holidayId), Number(companyId)]);
+  if (!r.changes) throw new ServiceError(404, "Holiday not found.");
+}
@@ -0,0 +1,134 @@
+// src/services/jobWageService.js
+import { dbAll, dbGet, dbRun } from "../config/db.js";
+import { dayBefore, isISODate } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Effective-dated job wages (job_wages).
+ *
+ * Each job × tier has a timeline of rates. A rate change is a new row from
+ * a date onwards; valid_to of every row is kept as the day before the next
+ * row starts, so lookups by work_date never see two rates. Editing an old
+ * entry therefore recalculates with the rate that was valid on its date.
+ */
+
+function timelineRows(jobId, tierId) {
+  return dbAll(
+    `SELECT id, wage_rate, valid_from, valid_to
+       FROM job_wages
+      WHERE job_id = ? AND tier_id = ?
+      ORDER BY valid_from IS NOT NULL, valid_from`,
+    [jobId, tierId]
+  );
+}
+
+/**
+ * Rate valid on a date (null when the job × tier has no rate then).
+ */
+export async function getWageRateOn(companyId, jobId, tierId, date) {
+  const row = await dbGet(
+    `SELECT wage_rate
+       FROM job_wages
+      WHERE company_id = ? AND job_id = ? AND tier_id = ?
+        AND (valid_from IS NULL OR valid_from <= ?)
+        AND (valid_to IS NULL OR valid_to >= ?)
+      ORDER BY valid_from IS NOT NULL DESC, valid_from DESC
+      LIMIT 1`,
+    [companyId, jobId, tierId, date, date]
+  );
+  return row ? Number(row.wage_rate) : null;
+}
+
+/**
+ * Re-derive valid_to for one job × tier after rows were added or removed.
+ */
+async function chainValidTo(jobId, tierId) {
+  const rows = await timelineRows(jobId, tierId);
+  for (let i = 0; i < rows.length; i++) {
+    const next = rows[i + 1];
+    const validTo = next ? dayBefore(next.valid_from) : null;
+    if (rows[i].valid_to !== validTo) {
+      await dbRun(`UPDATE job_wages SET valid_to = ? WHERE id = ?`, [validTo, rows[i].id]);
+    }
+  }
+}
+
+/**
+ * Set a job × tier rate from a date onwards (until the next scheduled change).
+ *
+ * validFrom null, or a job × tier without any rate yet, sets the rate valid
+ * since the beginning. Saving the rate already valid on that date is a no-op,
+ * so re-saving the Jobs modal does not add empty timeline steps.
+ * Call inside a transaction when setting several tiers.
+ *
+ * @returns {Promise<boolean>} true when the timeline changed
+ * @throws {ServiceError}
+ */
+export async function setJobWageRate({ companyId, jobId, tierId, wageRate, validFrom = null }) {
+  const rate = Number(wageRate);
+  if (!Number.isFinite(rate) || rate < 0) throw new ServiceError(400, "Wage rate must be zero or more.");
+  if (validFrom != null && !isISODate(validFrom)) throw new ServiceError(400, "Effective date must be YYYY-MM-DD.");
+
+  const rows = await timelineRows(jobId, tierId);
+  const from = rows.length ? validFrom : null;
+
+  const current = from == null ? rows[0] : rows.filter((r) => r.valid_from == null || r.valid_from <= from).pop();
+  if (current && Number(current.wage_rate) === rate) return false;
+
+  const sameStart = rows.find((r) => r.valid_from === from);
+  if (sameStart) {
+    await dbRun(`UPDATE job_wages SET wage_rate = ? WHERE id = ?`, [rate, sameStart.id]);
+  } else {
+    await dbRun(
+      `INSERT INTO job_wages (company_id, job_id, tier_id, wage_rate, valid_from) VALUES (?, ?, ?, ?, ?)`,
+      [companyId, jobId, tierId, rate, from]
+    );
+  }
+
+  await chainValidTo(jobId, tierId);
+  return true;
+}
+
+/**
+ * Remove one dated step; the previous rate then runs on until the next step.
+ * The base rate (valid since the beginning) can't be removed.
+ * @throws {ServiceError}
+ */
+export async function deleteJobWageRate({ companyId, jobId, wageId }) {
+  const row = await dbGet(`SELECT * FROM job_wages WHERE id = ? AND job_id = ? AND company_id = ?`, [
+    wageId,
+    jobId,
+    companyId,
+  ]);
+  if (!row) throw new ServiceError(404, "Rate not found.");
+  if (row.valid_from == null) throw new ServiceError(400, "The base rate can't be removed, only changed.");
+
+  await dbRun(`DELETE FROM job_wages WHERE id = ?`, [wageId]);
+  await chainValidTo(row.job_id, row.tier_id);
+}
+
+/**
+ * Full rate timeline of a job, grouped by tier (tier sort order).
+ */
+export async function getJobWageTimeline(companyId, jobId) {
+  const rows = await dbAll(
+    `SELECT jw.id, jw.tier_id, wt.tier_name, jw.wage_rate, jw.valid_from, jw.valid_to
+       FROM job_wages jw
+       JOIN wage_tiers wt ON wt.id = jw.tier_id
+      WHERE jw.company_id = ? AND jw.job_id = ?
+      ORDER BY wt.sort_order, wt.id, jw.valid_from IS NOT NULL, jw.valid_from`,
+    [companyId, jobId]
+  );
+
+  const tiers = new Map();
+  for (const r of rows) {
+    if (!tiers.has(r.tier_id)) tiers.set(r.tier_id, { tier_id: r.tier_id, tier_name: r.tier_name, rates: [] });
+    tiers.get(r.tier_id).rates.push({
+      id: r.id,
+      wage_rate: Number(r.wage_rate),
+      valid_from: r.valid_from,
+      valid_to: r.valid_to,
+    });
+  }
+  return [...tiers.values()];
+}
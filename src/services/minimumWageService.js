@@ -0,0 +1,146 @@
+// src/services/minimumWageService.js
+import { dbAll, dbRun } from "../config/db.js";
+import { dayBefore, daysBetween, isISODate } from "./dateService.js";
+import { getWorkerTierOn, parseEmploymentStart } from "./tierProgressionService.js";
+import { monthRange, round2 } from "./wageEngine.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Guaranteed minimum monthly wage with top-up.
+ *
+ * A worker's contracted minimum (workers.min_monthly_wage) or else their
+ * tier's (wage_tiers.min_monthly_wage, the tier they had at month end) is
+ * compared with what they earned in the calendar month: wages plus request
+ * bonuses of every entry, whatever its pay type. The shortfall is paid as a
+ * top-up, also to active workers with no entries that month. Only the days
+ * a worker was employed count: nothing before workers.employment_start or
+ * after workers.terminated (their last day), and a part month gets that
+ * share of the minimum by calendar days. Nothing is stored; reports work
+ * it out for a whole month.
+ */
+
+/**
+ * Form value -> minimum wage (null when blank).
+ * @throws {ServiceError}
+ */
+export function parseMinimumWage(v) {
+  if (v === "" || v == null) return null;
+  const x = Number(v);
+  if (!Number.isFinite(x) || x < 0) throw new ServiceError(400, "Minimum monthly wage must be a number of 0 or more.");
+  return round2(x);
+}
+
+/**
+ * The calendar month start..end covers exactly (YYYY-MM), or null.
+ */
+export function wholeMonthOf(start, end) {
+  if (!isISODate(start) || !isISODate(end) || !start.endsWith("-01")) return null;
+  return dayBefore(monthRange(start).end) === end ? start.slice(0, 7) : null;
+}
+
+/**
+ * Set a tier's minimum monthly wage (blank clears it).
+ * @throws {ServiceError}
+ */
+export async function setTierMinimumWage({ tierId, amount }) {
+  const r = await dbRun(`UPDATE wage_tiers SET min_monthly_wage = ? WHERE id = ?`, [parseMinimumWage(amount), Number(tierId)]);
+  if (!r.changes) throw new ServiceError(404, "Wage tier not found.");
+}
+
+/**
+ * Days of first..last (inclusive) the worker was employed; an unreadable or
+ * blank start / termination date leaves that side open.
+ */
+function employedDays(worker, first, last) {
+  const from = [first, parseEmploymentStart(worker.employment_start)].filter(Boolean).sort().at(-1);
+  const to = [last, parseEmploymentStart(worker.terminated)].filter(Boolean).sort()[0];
+  return from > to ? 0 : daysBetween(from, to) + 1;
+}
+
+/**
+ * Top-ups for one month.
+ *
+ * Without workerIds every worker is checked who has entries in the month
+ * or is still active, so a worker with a minimum but no work that month
+ * is topped up by the full minimum. Workers not employed that month are
+ * left out; a part month is pro-rated (minimum is the pro-rated amount).
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {string} p.month          YYYY-MM
+ * @param {number[]} [p.workerIds]  only check these workers
+ * @returns {Promise<Map<number, {worker_code:string, worker_name:string, minimum:number, source:"worker"|"tier", earned:number, top_up:number}>>}
+ *          keyed by worker id; workers without a minimum are left out
+ */
+export async function getMinimumWageTopUps({ companyId, month, workerIds = null }) {
+  const out = new Map();
+  if (workerIds && !workerIds.length) return out;
+
+  const { start, end } = monthRange(`${month}-01`);
+  const monthEnd = dayBefore(end);
+  const placeholders = workerIds ? workerIds.map(() => "?").join(", ") : "";
+
+  const monthLines = `
+    SELECT wl.worker_id
+      FROM work_entry_worker_lines wl
+      JOIN work_entries we ON we.id = wl.work_entry_id
+     WHERE we.company_id = ? AND we.work_date >= ? AND we.work_date < ? AND we.voided_at IS NULL`;
+
+  const workers = await dbAll(
+    `SELECT id, worker_code, COALESCE(worker_name, worker_english_name, '') AS worker_name,
+            wage_tier_id, min_monthly_wage, employment_start, terminated
+       FROM workers
+      WHERE company_id = ?
+        AND ${workerIds ? `id IN (${placeholders})` : `(is_active = 1 OR id IN (${monthLines}))`}`,
+    workerIds ? [companyId, ...workerIds] : [companyId, companyId, start, end]
+  );
+  const tierMinimums = new Map(
+    (await dbAll(`SELECT id, min_monthly_wage FROM wage_tiers WHERE company_id = ?`, [companyId])).map((t) => [
+      t.id,
+      t.min_monthly_wage,
+    ])
+  );
+
+  // a requested bill's bonus belongs to its (lead) worker
+  const earnedRows = await dbAll(
+    `SELECT wl.worker_id,
+            SUM(COALESCE(wl.wage_total, 0))
+              + SUM(CASE WHEN we.worker_id = wl.worker_id THEN COALESCE(we.request_bonus, 0) ELSE 0 END) AS earned
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+        ${workerIds ? `AND wl.worker_id IN (${placeholders})` : ""}
+      GROUP BY wl.worker_id`,
+    [companyId, start, end, ...(workerIds ?? [])]
+  );
+  const earnedBy = new Map(earnedRows.map((r) => [r.worker_id, round2(r.earned)]));
+  const monthDays = daysBetween(start, monthEnd) + 1;
+
+  for (const w of workers) {
+    const days = employedDays(w, start, monthEnd);
+    if (!days) continue;
+
+    let minimum = w.min_monthly_wage;
+    let source = "worker";
+    if (minimum == null && w.wage_tier_id) {
+      minimum = tierMinimums.get(await getWorkerTierOn(w.id, w.wage_tier_id, monthEnd));
+      source = "tier";
+    }
+    if (minimum == null) continue;
+
+    minimum = round2((Number(minimum) * days) / monthDays);
+    const earned = earnedBy.get(w.id) ?? 0;
+    out.set(w.id, {
+      worker_code: w.worker_code,
+      worker_name: w.worker_name,
+      minimum,
+      source,
+      earned,
+      top_up: round2(Math.max(0, minimum - earned)),
+    });
+  }
+  return out;
+}
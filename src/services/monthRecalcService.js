@@ -0,0 +1,331 @@
+// src/services/monthRecalcService.js
+import { dbAll, dbRun, withTransaction } from "../config/db.js";
+import { calculateWorkEntry, monthRange, round2 } from "./wageEngine.js";
+import { getClosedMonths, isValidMonth } from "./periodLockService.js";
+import { getEntrySnapshot, recordRevision } from "./workEntryService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Month-end recalculation for threshold rules (OVER_20K_5050 measured on the
+ * month, COMMISSION_BRACKETS).
+ *
+ * While the month is open each entry is priced against the worker's running
+ * month-to-date total, so the order bills are keyed in decides which ones get
+ * the higher rate. This re-prices every active entry of the month against
+ * the worker's FULL month total instead: once a threshold is reached, the
+ * whole month is paid at that rate.
+ *
+ * previewMonthRecalc() only reads. applyMonthRecalc() writes the entries the
+ * user ticked, records an UPDATE revision for each and logs every changed
+ * worker line in wage_recalc_changes.
+ *
+ * Entries are re-priced from their stored customer rate and wage tier. A wage
+ * rate typed in by hand can't be told apart from a calculated one, so it
+ * shows up as a change too: untick it in the preview to keep it.
+ */
+
+const sameMoney = (a, b) => round2(a) === round2(b);
+
+async function loadMonth(companyId, month) {
+  const { start, end } = monthRange(`${month}-01`);
+
+  const entries = await dbAll(
+    `SELECT we.id, we.work_date, we.job_no1, we.job_id, we.worker_id, we.amount,
+            we.customer_rate, we.customer_total, we.wage_tier_id, we.wage_rate, we.wage_total,
+            wk.worker_code, j.job_code
+       FROM work_entries we
+       LEFT JOIN workers wk ON wk.id = we.worker_id
+       LEFT JOIN jobs j ON j.id = we.job_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+      ORDER BY we.work_date, we.id`,
+    [companyId, start, end]
+  );
+
+  const lines = await dbAll(
+    `SELECT l.work_entry_id, l.worker_id, l.hours, l.customer_share, l.wage_tier_id,
+            l.wage_rate, l.wage_total, wk.worker_code
+       FROM work_entry_workers l
+       JOIN work_entries we ON we.id = l.work_entry_id
+       LEFT JOIN workers wk ON wk.id = l.worker_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+      ORDER BY l.work_entry_id, l.line_no`,
+    [companyId, start, end]
+  );
+
+  const totals = await dbAll(
+    `SELECT wl.worker_id, COALESCE(SUM(wl.customer_share), 0) AS total
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE wl.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+      GROUP BY wl.worker_id`,
+    [companyId, start, end]
+  );
+
+  const linesByEntry = new Map();
+  for (const l of lines) {
+    if (!linesByEntry.has(l.work_entry_id)) linesByEntry.set(l.work_entry_id, []);
+    linesByEntry.get(l.work_entry_id).push(l);
+  }
+
+  return {
+    entries,
+    linesByEntry,
+    monthTotals: new Map(totals.map((t) => [Number(t.worker_id), Number(t.total)])),
+  };
+}
+
+/**
+ * Re-price one entry (each worker line of a split bill) on full-month totals.
+ */
+async function recalcEntry(companyId, entry, entryLines, monthTotals) {
+  const split = entryLines.length > 0;
+  const lines = split
+    ? entryLines
+    : [
+        {
+          worker_id: entry.worker_id,
+          worker_code: entry.worker_code,
+          hours: entry.amount,
+          customer_share: entry.customer_total,
+          wage_tier_id: entry.wage_tier_id,
+          wage_rate: entry.wage_rate,
+          wage_total: entry.wage_total,
+        },
+      ];
+
+  const newLines = [];
+  const appliedRules = new Set();
+  let holidayWageUplift = 0;
+  for (const l of lines) {
+    const calc = await calculateWorkEntry({
+      companyId,
+      workerId: l.worker_id,
+      jobId: entry.job_id,
+      workDate: entry.work_date,
+      hours: l.hours,
+      tierId: l.wage_tier_id,
+      customCustomerRate: split ? Number(l.customer_share) / Number(l.hours) : entry.customer_rate,
+      monthTotal: monthTotals.get(Number(l.worker_id)) ?? 0,
+    });
+    calc.applied_rules.forEach((r) => appliedRules.add(r));
+    holidayWageUplift = round2(holidayWageUplift + calc.holiday_wage_uplift);
+
+    newLines.push({
+      worker_id: l.worker_id,
+      worker_code: l.worker_code,
+      month_total: monthTotals.get(Number(l.worker_id)) ?? 0,
+      old_wage_rate: Number(l.wage_rate),
+      new_wage_rate: calc.wage_rate,
+      old_wage_total: Number(l.wage_total),
+      new_wage_total: calc.wage_total,
+    });
+  }
+
+  const newTotal = split ? round2(newLines.reduce((s, l) => s + l.new_wage_total, 0)) : newLines[0].new_wage_total;
+  const newRate = split ? round2(newTotal / Number(entry.amount)) : newLines[0].new_wage_rate;
+
+  return {
+    entry_id: entry.id,
+    work_date: entry.work_date,
+    job_no1: entry.job_no1,
+    job_code: entry.job_code,
+    worker_label: lines.map((l) => l.worker_code).join(" + "),
+    split,
+    old_wage_rate: Number(entry.wage_rate),
+    new_wage_rate: newRate,
+    old_wage_total: Number(entry.wage_total),
+    new_wage_total: newTotal,
+    holiday_wage_uplift: holidayWageUplift,
+    delta: round2(newTotal - Number(entry.wage_total)),
+    applied_rules: [...appliedRules],
+    lines: newLines,
+    changed: newLines.some(
+      (l) => !sameMoney(l.old_wage_rate, l.new_wage_rate) || !sameMoney(l.old_wage_total, l.new_wage_total)
+    ),
+  };
+}
+
+async function buildPreview(companyId, month) {
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!isValidMonth(month)) throw new ServiceError(400, "Month must be YYYY-MM.");
+
+  const { entries, linesByEntry, monthTotals } = await loadMonth(companyId, month);
+
+  const changes = [];
+  const skipped = [];
+  for (const entry of entries) {
+    try {
+      const r = await recalcEntry(companyId, entry, linesByEntry.get(entry.id) || [], monthTotals);
+      if (r.changed) changes.push(r);
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      skipped.push({ entry_id: entry.id, job_no1: entry.job_no1, work_date: entry.work_date, error: err.message });
+    }
+  }
+
+  // per-worker summary of the changed lines
+  const workers = new Map();
+  for (const c of changes) {
+    for (const l of c.lines) {
+      if (!workers.has(l.worker_id)) {
+        workers.set(l.worker_id, {
+          worker_id: l.worker_id,
+          worker_code: l.worker_code,
+          month_total: l.month_total,
+          entries: 0,
+          wage_before: 0,
+          wage_after: 0,
+        });
+      }
+      const w = workers.get(l.worker_id);
+      w.entries += 1;
+      w.wage_before = round2(w.wage_before + l.old_wage_total);
+      w.wage_after = round2(w.wage_after + l.new_wage_total);
+    }
+  }
+
+  const before = round2(changes.reduce((s, c) => s + c.old_wage_total, 0));
+  const after = round2(changes.reduce((s, c) => s + c.new_wage_total, 0));
+
+  return {
+    companyId,
+    month,
+    closed: (await getClosedMonths(companyId, [`${month}-01`])).length > 0,
+    entries_checked: entries.length,
+    changes,
+    skipped,
+    workers: [...workers.values()].sort((a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true })),
+    totals: { before, after, delta: round2(after - before) },
+  };
+}
+
+/**
+ * Changes a month-end recalculation would make (read only).
+ * @throws {ServiceError}
+ */
+export function previewMonthRecalc({ companyId, month }) {
+  return buildPreview(Number(companyId), String(month || "").trim());
+}
+
+/**
+ * Apply the confirmed changes. accept maps entry id -> the new wage_total the
+ * user saw in the preview; an entry whose recalculated total has moved since
+ * (edited in between) is left alone and counted as stale.
+ *
+ * @returns {Promise<{ runId:number, applied:number, stale:number, delta:number }>}
+ * @throws {ServiceError}
+ */
+export function applyMonthRecalc({ companyId, month, accept, userId = null, note = null }) {
+  return withTransaction(async () => {
+    const preview = await buildPreview(Number(companyId), String(month || "").trim());
+    if (preview.closed) {
+      throw new ServiceError(409, `Payroll period ${preview.month} is closed. Reopen it before recalculating.`);
+    }
+
+    const picked = preview.changes.filter((c) => accept.has(c.entry_id));
+    const toApply = picked.filter((c) => sameMoney(accept.get(c.entry_id), c.new_wage_total));
+    const stale = picked.length - toApply.length;
+    if (!toApply.length) {
+      throw new ServiceError(
+        400,
+        stale
+          ? "The selected entries changed since the preview. Preview again before applying."
+          : "No changes selected."
+      );
+    }
+
+    const before = round2(toApply.reduce((s, c) => s + c.old_wage_total, 0));
+    const after = round2(toApply.reduce((s, c) => s + c.new_wage_total, 0));
+
+    const run = await dbRun(
+      `INSERT INTO wage_recalc_runs
+         (company_id, period_month, entry_count, wage_total_before, wage_total_after, note, run_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [preview.companyId, preview.month, toApply.length, before, after, note, userId]
+    );
+
+    for (const c of toApply) {
+      const beforeSnap = await getEntrySnapshot(c.entry_id, preview.companyId);
+
+      await dbRun(
+        `UPDATE work_entries
+            SET wage_rate = ?, wage_total = ?, rate = ?, pay = ?, holiday_wage_uplift = ?
+          WHERE id = ? AND company_id = ?`,
+        [
+          c.new_wage_rate,
+          c.new_wage_total,
+          c.new_wage_rate,
+          c.new_wage_total,
+          c.holiday_wage_uplift,
+          c.entry_id,
+          preview.companyId,
+        ]
+      );
+
+      for (const l of c.lines) {
+        if (c.split) {
+          await dbRun(
+            `UPDATE work_entry_workers
+                SET wage_rate = ?, wage_total = ?
+              WHERE work_entry_id = ? AND worker_id = ?`,
+            [l.new_wage_rate, l.new_wage_total, c.entry_id, l.worker_id]
+          );
+        }
+        if (sameMoney(l.old_wage_rate, l.new_wage_rate) && sameMoney(l.old_wage_total, l.new_wage_total)) continue;
+
+        await dbRun(
+          `INSERT INTO wage_recalc_changes
+             (run_id, company_id, work_entry_id, worker_id,
+              old_wage_rate, new_wage_rate, old_wage_total, new_wage_total)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            run.lastID,
+            preview.companyId,
+            c.entry_id,
+            l.worker_id,
+            l.old_wage_rate,
+            l.new_wage_rate,
+            l.old_wage_total,
+            l.new_wage_total,
+          ]
+        );
+      }
+
+      await recordRevision({
+        companyId: preview.companyId,
+        entryId: c.entry_id,
+        action: "UPDATE",
+        before: beforeSnap,
+        after: await getEntrySnapshot(c.entry_id, preview.companyId),
+        userId,
+      });
+    }
+
+    return { runId: run.lastID, applied: toApply.length, stale, delta: round2(after - before) };
+  });
+}
+
+/**
+ * Latest applied runs, for the management page.
+ */
+export function listRecalcRuns(limit = 20) {
+  return dbAll(
+    `SELECT r.*, c.short_code, u.username AS run_by_username,
+            (SELECT COUNT(*) FROM wage_recalc_changes ch WHERE ch.run_id = r.id) AS line_count
+       FROM wage_recalc_runs r
+       LEFT JOIN companies c ON c.id = r.company_id
+       LEFT JOIN users u ON u.id = r.run_by
+      ORDER BY r.id DESC
+      LIMIT ?`,
+    [limit]
+  );
+}
@@ -0,0 +1,145 @@
+// src/services/nationalityTierService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Nationality -> wage tier mapping (nationality_tiers), the BASE_NATIONALITY
+ * rule's "which tier does this worker start on".
+ *
+ * A worker's tier follows the mapping unless workers.tier_override is set.
+ * It is taken when the worker is created, when their nationality changes, or
+ * when they have no tier yet; editing anything else keeps the tier they
+ * have, so an anniversary promotion (tierProgressionService.js) is not undone.
+ * A nationality without a mapping leaves the tier to whoever edits the worker.
+ */
+
+export const normalizeNationality = (raw) => String(raw || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Every company's mapping with tier codes (management page).
+ */
+export function listNationalityTiers() {
+  return dbAll(
+    `SELECT nt.id, nt.company_id, nt.nationality, nt.wage_tier_id,
+            c.short_code, wt.tier_code, wt.tier_name,
+            (SELECT COUNT(*) FROM workers w
+              WHERE w.company_id = nt.company_id
+                AND lower(trim(w.nationality)) = nt.nationality) AS worker_count
+       FROM nationality_tiers nt
+       JOIN companies c ON c.id = nt.company_id
+       JOIN wage_tiers wt ON wt.id = nt.wage_tier_id
+      ORDER BY c.short_code, wt.sort_order, nt.nationality`
+  );
+}
+
+/**
+ * One company's mapping, for the worker form.
+ */
+export function listCompanyNationalityTiers(companyId) {
+  return dbAll(
+    `SELECT nt.nationality, nt.wage_tier_id, wt.tier_code, wt.tier_name
+       FROM nationality_tiers nt
+       JOIN wage_tiers wt ON wt.id = nt.wage_tier_id
+      WHERE nt.company_id = ?
+      ORDER BY nt.nationality`,
+    [companyId]
+  );
+}
+
+/**
+ * Map one or more nationality values (comma separated, e.g. "my, malaysian")
+ * to a tier. A value already mapped moves to the new tier.
+ * @returns {Promise<number>} values saved
+ * @throws {ServiceError}
+ */
+export async function saveNationalityTier({ companyId, nationality, wageTierId }) {
+  const values = [...new Set(String(nationality || "").split(",").map(normalizeNationality).filter(Boolean))];
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!values.length) throw new ServiceError(400, "Nationality is required.");
+
+  const tier = await dbGet(`SELECT id FROM wage_tiers WHERE id = ? AND company_id = ?`, [Number(wageTierId), companyId]);
+  if (!tier) throw new ServiceError(400, "Wage tier not found for this company.");
+
+  await withTransaction(async () => {
+    for (const value of values) {
+      await dbRun(
+        `INSERT INTO nationality_tiers (company_id, nationality, wage_tier_id)
+         VALUES (?, ?, ?)
+         ON CONFLICT (company_id, nationality) DO UPDATE SET wage_tier_id = excluded.wage_tier_id`,
+        [companyId, value, tier.id]
+      );
+    }
+  });
+  return values.length;
+}
+
+/**
+ * @throws {ServiceError}
+ */
+export async function deleteNationalityTier(mappingId) {
+  const r = await dbRun(`DELETE FROM nationality_tiers WHERE id = ?`, [Number(mappingId)]);
+  if (!r.changes) throw new ServiceError(404, "Mapping not found.");
+}
+
+/**
+ * Tier mapped to a nationality (null when unmapped).
+ */
+export async function getTierForNationality(companyId, nationality) {
+  const value = normalizeNationality(nationality);
+  if (!value) return null;
+  const row = await dbGet(`SELECT wage_tier_id FROM nationality_tiers WHERE company_id = ? AND nationality = ?`, [
+    companyId,
+    value,
+  ]);
+  return row ? row.wage_tier_id : null;
+}
+
+/**
+ * Tier to save for a created / edited worker.
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {string} p.nationality        nationality being saved
+ * @param {number|null} p.postedTierId  tier picked on the form
+ * @param {boolean} p.override          tier_override being saved
+ * @param {object} [p.existing]         current row ({ nationality, wage_tier_id }) when editing
+ * @returns {Promise<number|null>}
+ */
+export async function resolveWorkerTier({ companyId, nationality, postedTierId, override, existing = null }) {
+  if (override) return postedTierId;
+
+  const mapped = await getTierForNationality(companyId, nationality);
+  if (mapped == null) return postedTierId;
+
+  const follows =
+    !existing ||
+    existing.wage_tier_id == null ||
+    normalizeNationality(existing.nationality) !== normalizeNationality(nationality);
+  return follows ? mapped : existing.wage_tier_id;
+}
+
+/**
+ * Give every mapped worker without a tier (and not overridden) their
+ * nationality's tier. Replaces the old one-off updateTiers.js pass.
+ * @returns {Promise<number>} workers updated
+ */
+export async function fillMissingTiers(companyId) {
+  const r = await dbRun(
+    `UPDATE workers
+        SET wage_tier_id = (
+          SELECT nt.wage_tier_id FROM nationality_tiers nt
+           WHERE nt.company_id = workers.company_id
+             AND nt.nationality = lower(trim(workers.nationality))
+        )
+      WHERE company_id = ?
+        AND wage_tier_id IS NULL
+        AND tier_override = 0
+        AND EXISTS (
+          SELECT 1 FROM nationality_tiers nt
+           WHERE nt.company_id = workers.company_id
+             AND nt.nationality = lower(trim(workers.nationality))
+        )`,
+    [companyId]
+  );
+  return r.changes;
+}
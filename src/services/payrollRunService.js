@@ -0,0 +1,535 @@
+// src/services/payrollRunService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { getMinimumWageTopUps } from "./minimumWageService.js";
+import { isValidMonth, monthOf } from "./periodLockService.js";
+import { monthRange, round2 } from "./wageEngine.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Payroll runs: one per company and month, DRAFT -> REVIEWED -> FINALIZED.
+ *
+ * A run's lines are a per-worker snapshot of the month's entries (every pay
+ * type, voided ones left out): commission (wage totals), request bonuses of
+ * the bills the worker leads, and the minimum wage top-up (workers employed
+ * that month with a minimum get a line even without entries). They are pulled again
+ * on every refresh while DRAFT and when the run is reviewed. Managers
+ * add adjustments (bonuses, deductions) to a DRAFT run; net pay is
+ * commission + bonus + top-up + adjustments.
+ *
+ * Once FINALIZED nothing in the run changes, and the month's service lines
+ * are saved with it so payslips list what was paid. Entries of the month can
+ * still be edited (close the period to stop that); each such revision is
+ * tagged with the run (a post-payroll correction) and the run shows how far
+ * the live figures have drifted from what was paid.
+ */
+
+const netOf = (l) => round2(l.commission + l.request_bonus + l.top_up + (l.adjustments ?? 0));
+
+/**
+ * Live per-worker figures for a month, sorted by worker code.
+ */
+async function computeRunLines(companyId, month) {
+  const { start, end } = monthRange(`${month}-01`);
+
+  // a requested bill's fee and bonus sit on the bill, which belongs to its lead worker
+  const rows = await dbAll(
+    `SELECT wl.worker_id,
+            w.worker_code,
+            COALESCE(w.worker_name, w.worker_english_name, '') AS worker_name,
+            COUNT(*) AS entries,
+            SUM(wl.hours) AS hours,
+            SUM(wl.customer_share) AS customer_total,
+            SUM(COALESCE(wl.wage_total, 0)) AS commission,
+            SUM(CASE WHEN we.worker_id = wl.worker_id AND we.is_requested = 1 THEN 1 ELSE 0 END) AS requested_count,
+            SUM(CASE WHEN we.worker_id = wl.worker_id THEN COALESCE(we.request_bonus, 0) ELSE 0 END) AS request_bonus
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+       LEFT JOIN workers w ON w.id = wl.worker_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+      GROUP BY wl.worker_id`,
+    [companyId, start, end]
+  );
+
+  const topUps = await getMinimumWageTopUps({ companyId, month });
+
+  // workers with a minimum but no entries are paid the top-up alone
+  const seen = new Set(rows.map((r) => r.worker_id));
+  for (const [workerId, t] of topUps) {
+    if (seen.has(workerId) || !t.top_up) continue;
+    rows.push({
+      worker_id: workerId,
+      worker_code: t.worker_code,
+      worker_name: t.worker_name,
+      entries: 0,
+      hours: 0,
+      customer_total: 0,
+      commission: 0,
+      requested_count: 0,
+      request_bonus: 0,
+    });
+  }
+
+  return rows
+    .map((r) => ({
+      worker_id: r.worker_id,
+      worker_code: r.worker_code ?? `#${r.worker_id}`,
+      worker_name: r.worker_name ?? "",
+      entries: r.entries,
+      hours: round2(r.hours),
+      customer_total: round2(r.customer_total),
+      commission: round2(r.commission),
+      requested_count: r.requested_count,
+      request_bonus: round2(r.request_bonus),
+      top_up: topUps.get(r.worker_id)?.top_up ?? 0,
+    }))
+    .sort((a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true }));
+}
+
+async function getRunRow(companyId, runId) {
+  const run = await dbGet(`SELECT * FROM payroll_runs WHERE id = ? AND company_id = ?`, [Number(runId), companyId]);
+  if (!run) throw new ServiceError(404, "Payroll run not found.");
+  return run;
+}
+
+function assertStatus(run, status, action) {
+  if (run.status !== status) {
+    throw new ServiceError(
+      409,
+      `Only a ${status.toLowerCase()} run can be ${action} (this one is ${run.status.toLowerCase()}).`
+    );
+  }
+}
+
+/**
+ * Replace a DRAFT run's lines with the live figures. Workers who only have
+ * adjustments keep an empty line. Call inside a transaction.
+ */
+async function pullLines(run) {
+  const lines = await computeRunLines(run.company_id, run.period_month);
+  await dbRun(`DELETE FROM payroll_run_lines WHERE run_id = ?`, [run.id]);
+
+  for (const l of lines) {
+    await dbRun(
+      `INSERT INTO payroll_run_lines
+         (run_id, worker_id, worker_code, worker_name, entries, hours, customer_total,
+          commission, requested_count, request_bonus, top_up)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        run.id,
+        l.worker_id,
+        l.worker_code,
+        l.worker_name,
+        l.entries,
+        l.hours,
+        l.customer_total,
+        l.commission,
+        l.requested_count,
+        l.request_bonus,
+        l.top_up,
+      ]
+    );
+  }
+
+  await dbRun(
+    `INSERT OR IGNORE INTO payroll_run_lines (run_id, worker_id, worker_code, worker_name)
+     SELECT DISTINCT a.run_id, a.worker_id, w.worker_code, COALESCE(w.worker_name, w.worker_english_name, '')
+       FROM payroll_adjustments a
+       LEFT JOIN workers w ON w.id = a.worker_id
+      WHERE a.run_id = ?`,
+    [run.id]
+  );
+  await dbRun(`UPDATE payroll_runs SET pulled_at = CURRENT_TIMESTAMP WHERE id = ?`, [run.id]);
+}
+
+/**
+ * Workers whose live figures differ from the run's lines.
+ */
+async function computeDrift(run, lines) {
+  const live = new Map((await computeRunLines(run.company_id, run.period_month)).map((l) => [l.worker_id, l]));
+  const frozen = new Map(lines.map((l) => [l.worker_id, l]));
+  const empty = { commission: 0, request_bonus: 0, top_up: 0 };
+
+  const drift = [];
+  for (const workerId of new Set([...frozen.keys(), ...live.keys()])) {
+    const was = frozen.get(workerId) ?? empty;
+    const now = live.get(workerId) ?? empty;
+    const paid = round2(was.commission + was.request_bonus + was.top_up);
+    const owed = round2(now.commission + now.request_bonus + now.top_up);
+    if (paid === owed) continue;
+
+    drift.push({
+      worker_id: workerId,
+      worker_code: (frozen.get(workerId) ?? live.get(workerId)).worker_code,
+      worker_name: (frozen.get(workerId) ?? live.get(workerId)).worker_name,
+      paid,
+      owed,
+      difference: round2(owed - paid),
+    });
+  }
+  return drift.sort((a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true }));
+}
+
+/**
+ * Save the month's service lines (one per entry and worker, voided entries
+ * left out) with the run as it is finalized. Call inside a transaction.
+ */
+async function freezeEntryLines(run) {
+  const { start, end } = monthRange(`${run.period_month}-01`);
+  await dbRun(`DELETE FROM payroll_run_entry_lines WHERE run_id = ?`, [run.id]);
+  await dbRun(
+    `INSERT INTO payroll_run_entry_lines
+       (run_id, work_entry_id, worker_id, work_date, bill_no, job_desc, hours, wage, requested, bonus, is_bank, job_no2)
+     SELECT ?, we.id, wl.worker_id, we.work_date, we.job_no1,
+            (j.job_code || ' - ' || COALESCE(j.job_type, '')),
+            COALESCE(wl.hours, 0),
+            COALESCE(wl.wage_total, 0),
+            CASE WHEN we.is_requested = 1 AND we.worker_id = wl.worker_id THEN 1 ELSE 0 END,
+            CASE WHEN we.worker_id = wl.worker_id THEN COALESCE(we.request_bonus, 0) ELSE 0 END,
+            COALESCE(we.is_bank, 0),
+            TRIM(COALESCE(we.job_no2, ''))
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+       LEFT JOIN jobs j ON j.id = we.job_id AND j.company_id = we.company_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL`,
+    [run.id, run.company_id, start, end]
+  );
+}
+
+/**
+ * FINALIZED run covering any of the dates' months (null when none).
+ * recordRevision() tags revisions with it as post-payroll corrections.
+ */
+export async function getFinalizedRunId(companyId, dates) {
+  const months = [...new Set(dates.map(monthOf).filter(Boolean))];
+  if (!months.length) return null;
+
+  const row = await dbGet(
+    `SELECT id
+       FROM payroll_runs
+      WHERE company_id = ?
+        AND status = 'FINALIZED'
+        AND period_month IN (${months.map(() => "?").join(", ")})
+      ORDER BY period_month
+      LIMIT 1`,
+    [companyId, ...months]
+  );
+  return row?.id ?? null;
+}
+
+/**
+ * The company's runs, newest month first, with their totals.
+ */
+export function listPayrollRuns(companyId) {
+  return dbAll(
+    `SELECT r.id, r.period_month, r.status, r.note, r.created_at, r.reviewed_at, r.finalized_at,
+            cu.username AS created_by_username,
+            fu.username AS finalized_by_username,
+            (SELECT COUNT(*) FROM payroll_run_lines l WHERE l.run_id = r.id) AS workers,
+            (SELECT ROUND(COALESCE(SUM(l.commission + l.request_bonus + l.top_up), 0), 2)
+               FROM payroll_run_lines l WHERE l.run_id = r.id) AS gross,
+            (SELECT ROUND(COALESCE(SUM(a.amount), 0), 2)
+               FROM payroll_adjustments a WHERE a.run_id = r.id) AS adjustments,
+            (SELECT COUNT(*) FROM work_entry_revisions v WHERE v.payroll_run_id = r.id) AS corrections
+       FROM payroll_runs r
+       LEFT JOIN users cu ON cu.id = r.created_by
+       LEFT JOIN users fu ON fu.id = r.finalized_by
+      WHERE r.company_id = ?
+      ORDER BY r.period_month DESC`,
+    [companyId]
+  );
+}
+
+/**
+ * One run with its lines (adjustments and net pay added), adjustments,
+ * totals, post-payroll corrections and, unless DRAFT, drift from live figures.
+ */
+export async function getPayrollRun(companyId, runId) {
+  const run = await dbGet(
+    `SELECT r.*,
+            cu.username AS created_by_username,
+            ru.username AS reviewed_by_username,
+            fu.username AS finalized_by_username
+       FROM payroll_runs r
+       LEFT JOIN users cu ON cu.id = r.created_by
+       LEFT JOIN users ru ON ru.id = r.reviewed_by
+       LEFT JOIN users fu ON fu.id = r.finalized_by
+      WHERE r.id = ? AND r.company_id = ?`,
+    [Number(runId), companyId]
+  );
+  if (!run) throw new ServiceError(404, "Payroll run not found.");
+
+  const [lineRows, adjustments, corrections] = await Promise.all([
+    dbAll(`SELECT * FROM payroll_run_lines WHERE run_id = ?`, [run.id]),
+    dbAll(
+      `SELECT a.id, a.worker_id, a.amount, a.reason, a.created_at,
+              w.worker_code, u.username AS created_by_username
+         FROM payroll_adjustments a
+         LEFT JOIN workers w ON w.id = a.worker_id
+         LEFT JOIN users u ON u.id = a.created_by
+        WHERE a.run_id = ?
+        ORDER BY a.id`,
+      [run.id]
+    ),
+    dbAll(
+      `SELECT v.id, v.work_entry_id, v.action, v.before_json, v.after_json, v.changed_at,
+              u.username AS changed_by_username
+         FROM work_entry_revisions v
+         LEFT JOIN users u ON u.id = v.changed_by
+        WHERE v.payroll_run_id = ?
+        ORDER BY v.id DESC`,
+      [run.id]
+    ),
+  ]);
+
+  const adjustedBy = new Map();
+  for (const a of adjustments) adjustedBy.set(a.worker_id, round2((adjustedBy.get(a.worker_id) ?? 0) + a.amount));
+
+  const lines = lineRows
+    .map((l) => {
+      const line = { ...l, adjustments: adjustedBy.get(l.worker_id) ?? 0 };
+      return { ...line, net_pay: netOf(line) };
+    })
+    .sort((a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true }));
+
+  const sum = (key) => round2(lines.reduce((s, l) => s + l[key], 0));
+
+  return {
+    run,
+    lines,
+    adjustments,
+    totals: {
+      workers: lines.length,
+      hours: sum("hours"),
+      customer_total: sum("customer_total"),
+      commission: sum("commission"),
+      request_bonus: sum("request_bonus"),
+      top_up: sum("top_up"),
+      adjustments: sum("adjustments"),
+      net_pay: sum("net_pay"),
+    },
+    corrections: corrections.map(({ before_json, after_json, ...c }) => {
+      const before = before_json ? JSON.parse(before_json) : null;
+      const after = after_json ? JSON.parse(after_json) : null;
+      return {
+        ...c,
+        job_no1: (after ?? before)?.job_no1 ?? null,
+        work_date: (after ?? before)?.work_date ?? null,
+        wage_before: before?.voided_at ? 0 : before?.wage_total ?? 0,
+        wage_after: !after || after.voided_at ? 0 : after.wage_total ?? 0,
+      };
+    }),
+    drift: run.status === "DRAFT" ? [] : await computeDrift(run, lineRows),
+  };
+}
+
+/**
+ * Start a DRAFT run for a month and pull its lines.
+ * @returns {Promise<number>} run id
+ * @throws {ServiceError}
+ */
+export async function createPayrollRun({ companyId, month, note = null, userId = null }) {
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!isValidMonth(month)) throw new ServiceError(400, "Pay period must be a month (YYYY-MM).");
+
+  return withTransaction(async () => {
+    const existing = await dbGet(`SELECT status FROM payroll_runs WHERE company_id = ? AND period_month = ?`, [
+      companyId,
+      month,
+    ]);
+    if (existing) throw new ServiceError(409, `${month} already has a payroll run (${existing.status.toLowerCase()}).`);
+
+    const r = await dbRun(
+      `INSERT INTO payroll_runs (company_id, period_month, note, created_by) VALUES (?, ?, ?, ?)`,
+      [companyId, month, String(note || "").trim() || null, userId]
+    );
+    await pullLines({ id: r.lastID, company_id: companyId, period_month: month });
+    return r.lastID;
+  });
+}
+
+/**
+ * Re-pull a DRAFT run's lines from the month's entries.
+ * @throws {ServiceError}
+ */
+export function refreshPayrollRun({ companyId, runId }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "DRAFT", "refreshed");
+    await pullLines(run);
+  });
+}
+
+/**
+ * Delete a DRAFT run (and its adjustments).
+ * @throws {ServiceError}
+ */
+export function deletePayrollRun({ companyId, runId }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "DRAFT", "deleted");
+    await dbRun(`DELETE FROM payroll_runs WHERE id = ?`, [run.id]);
+  });
+}
+
+/**
+ * Add a bonus (amount > 0) or deduction (amount < 0) to a worker's pay in a DRAFT run.
+ * @throws {ServiceError}
+ */
+export function addPayrollAdjustment({ companyId, runId, workerId, amount, reason, userId = null }) {
+  const value = Number(amount);
+  const why = String(reason || "").trim();
+  if (amount === "" || amount == null || !Number.isFinite(value) || value === 0) {
+    throw new ServiceError(400, "Adjustment must be a non-zero amount (negative for a deduction).");
+  }
+  if (!why) throw new ServiceError(400, "A reason is required for an adjustment.");
+
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "DRAFT", "adjusted");
+
+    const worker = await dbGet(
+      `SELECT id, worker_code, COALESCE(worker_name, worker_english_name, '') AS worker_name
+         FROM workers WHERE id = ? AND company_id = ?`,
+      [Number(workerId), companyId]
+    );
+    if (!worker) throw new ServiceError(404, "Worker not found.");
+
+    await dbRun(
+      `INSERT INTO payroll_adjustments (run_id, worker_id, amount, reason, created_by) VALUES (?, ?, ?, ?, ?)`,
+      [run.id, worker.id, round2(value), why, userId]
+    );
+    await dbRun(
+      `INSERT OR IGNORE INTO payroll_run_lines (run_id, worker_id, worker_code, worker_name) VALUES (?, ?, ?, ?)`,
+      [run.id, worker.id, worker.worker_code, worker.worker_name]
+    );
+  });
+}
+
+/**
+ * Remove an adjustment from a DRAFT run.
+ * @throws {ServiceError}
+ */
+export function deletePayrollAdjustment({ companyId, runId, adjustmentId }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "DRAFT", "adjusted");
+
+    const r = await dbRun(`DELETE FROM payroll_adjustments WHERE id = ? AND run_id = ?`, [Number(adjustmentId), run.id]);
+    if (!r.changes) throw new ServiceError(404, "Adjustment not found.");
+  });
+}
+
+/**
+ * DRAFT -> REVIEWED. Lines are pulled one last time; from here on they only
+ * change if the run is sent back to DRAFT.
+ * @throws {ServiceError}
+ */
+export function reviewPayrollRun({ companyId, runId, userId = null }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "DRAFT", "marked reviewed");
+
+    await pullLines(run);
+    await dbRun(
+      `UPDATE payroll_runs SET status = 'REVIEWED', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [userId, run.id]
+    );
+  });
+}
+
+/**
+ * REVIEWED -> DRAFT, e.g. to add an adjustment the reviewer asked for.
+ * @throws {ServiceError}
+ */
+export function reopenPayrollRun({ companyId, runId }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "REVIEWED", "sent back to draft");
+
+    await dbRun(`UPDATE payroll_runs SET status = 'DRAFT', reviewed_by = NULL, reviewed_at = NULL WHERE id = ?`, [run.id]);
+  });
+}
+
+/**
+ * REVIEWED -> FINALIZED. Refused when entries changed since the review, so
+ * what is frozen is what was reviewed.
+ * @throws {ServiceError}
+ */
+export function finalizePayrollRun({ companyId, runId, userId = null }) {
+  return withTransaction(async () => {
+    const run = await getRunRow(companyId, runId);
+    assertStatus(run, "REVIEWED", "finalized");
+
+    const lines = await dbAll(`SELECT * FROM payroll_run_lines WHERE run_id = ?`, [run.id]);
+    const drift = await computeDrift(run, lines);
+    if (drift.length) {
+      throw new ServiceError(
+        409,
+        `Entries changed since the review (${drift.map((d) => d.worker_code).join(", ")}). Send the run back to draft and review it again.`
+      );
+    }
+
+    await freezeEntryLines(run);
+    await dbRun(
+      `UPDATE payroll_runs SET status = 'FINALIZED', finalized_by = ?, finalized_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [userId, run.id]
+    );
+  });
+}
+
+/**
+ * The month's run (any status) for payslips, null when the month has none:
+ * its adjustments by worker id and, once FINALIZED, the frozen lines (what
+ * was paid), the frozen service lines and the drift of the live figures from
+ * them, by worker id. entryLines is null for a run finalized before service
+ * lines were saved.
+ * @returns {Promise<{id:number, status:string, byWorker:Map<number, Array<{amount:number, reason:string}>>,
+ *   lines:Map<number, object>|null, entryLines:Map<number, object[]>|null,
+ *   drift:Map<number, {paid:number, owed:number, difference:number}>|null}|null>}
+ */
+export async function getPayslipRun(companyId, month) {
+  const run = await dbGet(`SELECT * FROM payroll_runs WHERE company_id = ? AND period_month = ?`, [companyId, month]);
+  if (!run) return null;
+
+  const byWorker = new Map();
+  const rows = await dbAll(`SELECT worker_id, amount, reason FROM payroll_adjustments WHERE run_id = ? ORDER BY id`, [run.id]);
+  for (const a of rows) {
+    if (!byWorker.has(a.worker_id)) byWorker.set(a.worker_id, []);
+    byWorker.get(a.worker_id).push({ amount: a.amount, reason: a.reason });
+  }
+
+  if (run.status !== "FINALIZED") {
+    return { id: run.id, status: run.status, byWorker, lines: null, entryLines: null, drift: null };
+  }
+
+  const lineRows = await dbAll(`SELECT * FROM payroll_run_lines WHERE run_id = ?`, [run.id]);
+  const entryRows = await dbAll(
+    `SELECT * FROM payroll_run_entry_lines
+      WHERE run_id = ?
+      ORDER BY date(work_date), CAST(bill_no AS INTEGER), bill_no, id`,
+    [run.id]
+  );
+  let entryLines = null;
+  if (entryRows.length || !lineRows.some((l) => l.entries > 0)) {
+    entryLines = new Map();
+    for (const e of entryRows) {
+      if (!entryLines.has(e.worker_id)) entryLines.set(e.worker_id, []);
+      entryLines.get(e.worker_id).push(e);
+    }
+  }
+
+  return {
+    id: run.id,
+    status: run.status,
+    byWorker,
+    lines: new Map(lineRows.map((l) => [l.worker_id, l])),
+    entryLines,
+    drift: new Map((await computeDrift(run, lineRows)).map((d) => [d.worker_id, d])),
+  };
+}
@@ -0,0 +1,140 @@
+// src/services/periodLockService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Payroll period close / lock.
+ *
+ * A period is one calendar month (YYYY-MM) per company. While it is CLOSED,
+ * work entries dated in it cannot be created, edited, voided or deleted,
+ * except by users with PERIOD_UNLOCK — and each such override is logged.
+ */
+
+// a ServiceError that also names the closed months
+export class PeriodLockedError extends ServiceError {
+  constructor(message, months = []) {
+    super(403, message);
+    this.name = "PeriodLockedError";
+    this.months = months;
+  }
+}
+
+export const isValidMonth = (m) => /^\d{4}-(0[1-9]|1[0-2])$/.test(String(m || ""));
+
+export function monthOf(workDate) {
+  const m = String(workDate || "").slice(0, 7);
+  return isValidMonth(m) ? m : null;
+}
+
+/**
+ * Closed months (sorted) among the months of the given dates.
+ */
+export async function getClosedMonths(companyId, dates) {
+  const months = [...new Set(dates.map(monthOf).filter(Boolean))];
+  if (!months.length) return [];
+
+  const rows = await dbAll(
+    `SELECT period_month
+       FROM payroll_periods
+      WHERE company_id = ?
+        AND status = 'CLOSED'
+        AND period_month IN (${months.map(() => "?").join(", ")})
+      ORDER BY period_month`,
+    [companyId, ...months]
+  );
+  return rows.map((r) => r.period_month);
+}
+
+/**
+ * Throws PeriodLockedError if any date falls in a closed month and the user
+ * can't unlock. Returns the closed months touched (to log overrides).
+ */
+export async function checkPeriodsOpen({ companyId, dates, canUnlock }) {
+  const closed = await getClosedMonths(companyId, dates);
+  if (closed.length && !canUnlock) {
+    throw new PeriodLockedError(
+      `Payroll period ${closed.join(", ")} is closed. Ask a user with unlock permission to make this change.`,
+      closed
+    );
+  }
+  return closed;
+}
+
+export function logPeriodAction({ companyId, month, action, userId, entryId = null, note = null }) {
+  return dbRun(
+    `INSERT INTO payroll_period_log (company_id, period_month, action, work_entry_id, note, user_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [companyId, month, action, entryId, note, userId || null]
+  );
+}
+
+/**
+ * Log one OVERRIDE row per closed month a change touched.
+ */
+export async function logPeriodOverrides({ companyId, months, userId, entryId = null, note = null }) {
+  for (const month of months) {
+    await logPeriodAction({ companyId, month, action: "OVERRIDE", userId, entryId, note });
+  }
+}
+
+export function closePeriod({ companyId, month, userId, note = null }) {
+  return withTransaction(async () => {
+    const existing = await dbGet(
+      `SELECT id, status FROM payroll_periods WHERE company_id = ? AND period_month = ?`,
+      [companyId, month]
+    );
+    if (existing?.status === "CLOSED") throw new ServiceError(409, `Period ${month} is already closed.`);
+
+    if (existing) {
+      await dbRun(
+        `UPDATE payroll_periods
+            SET status = 'CLOSED', closed_by = ?, closed_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+        [userId, existing.id]
+      );
+    } else {
+      await dbRun(
+        `INSERT INTO payroll_periods (company_id, period_month, status, closed_by, closed_at)
+         VALUES (?, ?, 'CLOSED', ?, CURRENT_TIMESTAMP)`,
+        [companyId, month, userId]
+      );
+    }
+
+    await logPeriodAction({ companyId, month, action: "CLOSE", userId, note });
+  });
+}
+
+export function reopenPeriod({ companyId, month, userId, note = null }) {
+  return withTransaction(async () => {
+    const r = await dbRun(
+      `UPDATE payroll_periods
+          SET status = 'OPEN', reopened_by = ?, reopened_at = CURRENT_TIMESTAMP
+        WHERE company_id = ? AND period_month = ? AND status = 'CLOSED'`,
+      [userId, companyId, month]
+    );
+    if (r.changes === 0) throw new ServiceError(409, `Period ${month} is not closed.`);
+
+    await logPeriodAction({ companyId, month, action: "REOPEN", userId, note });
+  });
+}
+
+export function listPeriods() {
+  return dbAll(
+    `SELECT p.*, cu.username AS closed_by_username, ru.username AS reopened_by_username
+       FROM payroll_periods p
+       LEFT JOIN users cu ON cu.id = p.closed_by
+       LEFT JOIN users ru ON ru.id = p.reopened_by
+      ORDER BY p.company_id ASC, p.period_month DESC`
+  );
+}
+
+export function listPeriodLog(limit = 100) {
+  return dbAll(
+    `SELECT l.*, u.username
+       FROM payroll_period_log l
+       LEFT JOIN users u ON u.id = l.user_id
+      ORDER BY l.id DESC
+      LIMIT ?`,
+    [limit]
+  );
+}
@@ -0,0 +1,221 @@
+// src/services/priceListService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { dayBefore, isISODate } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Customer price lists (price_lists / price_list_prices).
+ *
+ * A company has named lists (Normal, VIP, Promo, or its own). Staff pick a
+ * list on each bill and the customer rate is that list's price for the job
+ * on the work date. A job the list has no price for on that date is charged
+ * jobs.normal_price, so a Normal list can stay empty and a Promo list only
+ * needs the jobs on promotion.
+ *
+ * Each price has a validity window (valid_from / valid_to, NULL = open,
+ * both inclusive); windows of the same list × job never overlap.
+ */
+
+const CODE_RE = /^[A-Z0-9_-]{1,20}$/;
+
+const DUP_CODE = "UNIQUE constraint failed: price_lists.company_id, price_lists.code";
+
+const windowText = (from, to) => `${from || "the beginning"} to ${to || "open end"}`;
+
+/**
+ * Price lists of one company (default list first).
+ */
+export function listPriceLists(companyId, { activeOnly = false } = {}) {
+  return dbAll(
+    `SELECT pl.id, pl.company_id, pl.code, pl.name, pl.is_default, pl.is_active, pl.sort_order,
+            (SELECT COUNT(*) FROM price_list_prices p WHERE p.price_list_id = pl.id) AS price_count
+       FROM price_lists pl
+      WHERE pl.company_id = ?
+        ${activeOnly ? "AND pl.is_active = 1" : ""}
+      ORDER BY pl.is_default DESC, pl.sort_order, pl.id`,
+    [companyId]
+  );
+}
+
+/**
+ * Every company's lists, for the management page.
+ */
+export function listAllPriceLists() {
+  return dbAll(
+    `SELECT pl.id, pl.company_id, pl.code, pl.name, pl.is_default, pl.is_active, pl.sort_order,
+            c.short_code,
+            (SELECT COUNT(*) FROM price_list_prices p WHERE p.price_list_id = pl.id) AS price_count
+       FROM price_lists pl
+       JOIN companies c ON c.id = pl.company_id
+      ORDER BY c.short_code, pl.is_default DESC, pl.sort_order, pl.id`
+  );
+}
+
+export function getPriceList(companyId, priceListId) {
+  return dbGet(`SELECT * FROM price_lists WHERE id = ? AND company_id = ?`, [Number(priceListId), companyId]);
+}
+
+export function getDefaultPriceList(companyId) {
+  return dbGet(`SELECT * FROM price_lists WHERE company_id = ? AND is_default = 1 ORDER BY id LIMIT 1`, [
+    companyId,
+  ]);
+}
+
+/**
+ * Price of a job on a list on a date (null when the list has none then).
+ */
+export async function getListPriceOn(priceListId, jobId, date) {
+  const row = await dbGet(
+    `SELECT price
+       FROM price_list_prices
+      WHERE price_list_id = ? AND job_id = ?
+        AND (valid_from IS NULL OR valid_from <= ?)
+        AND (valid_to IS NULL OR valid_to >= ?)
+      ORDER BY valid_from IS NOT NULL DESC, valid_from DESC
+      LIMIT 1`,
+    [priceListId, jobId, date, date]
+  );
+  return row ? Number(row.price) : null;
+}
+
+/**
+ * Create a list. The first list of a company becomes its default.
+ * @throws {ServiceError}
+ */
+export async function createPriceList({ companyId, code, name, isDefault = false, sortOrder = 0 }) {
+  const cleanCode = String(code || "").trim().toUpperCase();
+  const cleanName = String(name || "").trim();
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!CODE_RE.test(cleanCode)) {
+    throw new ServiceError(400, "Code must be 1-20 letters, digits, '-' or '_' (e.g. VIP).");
+  }
+  if (!cleanName) throw new ServiceError(400, "Name is required.");
+
+  try {
+    return await withTransaction(async () => {
+      const hasDefault = await getDefaultPriceList(companyId);
+      const makeDefault = isDefault || !hasDefault;
+      if (makeDefault) await dbRun(`UPDATE price_lists SET is_default = 0 WHERE company_id = ?`, [companyId]);
+
+      const r = await dbRun(
+        `INSERT INTO price_lists (company_id, code, name, is_default, sort_order) VALUES (?, ?, ?, ?, ?)`,
+        [companyId, cleanCode, cleanName, makeDefault ? 1 : 0, Number(sortOrder) || 0]
+      );
+      return r.lastID;
+    });
+  } catch (err) {
+    if (String(err?.message || "").includes(DUP_CODE)) {
+      throw new ServiceError(400, `Price list ${cleanCode} already exists for this company.`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Rename / (de)activate a list, or make it the company default (the
+ * previous default stops being one). The default list can't be deactivated.
+ * @throws {ServiceError}
+ */
+export async function updatePriceList({ companyId, priceListId, name, isActive, makeDefault = false }) {
+  const list = await getPriceList(companyId, priceListId);
+  if (!list) throw new ServiceError(404, "Price list not found.");
+
+  const cleanName = name == null ? list.name : String(name).trim();
+  if (!cleanName) throw new ServiceError(400, "Name is required.");
+
+  const isDefault = makeDefault || Number(list.is_default) === 1;
+  const active = isActive == null ? Number(list.is_active) === 1 : Boolean(isActive);
+  if (isDefault && !active) throw new ServiceError(400, "The default price list can't be deactivated.");
+
+  await withTransaction(async () => {
+    if (makeDefault) await dbRun(`UPDATE price_lists SET is_default = 0 WHERE company_id = ?`, [companyId]);
+    await dbRun(`UPDATE price_lists SET name = ?, is_active = ?, is_default = ? WHERE id = ?`, [
+      cleanName,
+      active ? 1 : 0,
+      isDefault ? 1 : 0,
+      list.id,
+    ]);
+  });
+}
+
+/**
+ * All prices on a list with their jobs (job code, then date order).
+ */
+export function listPriceListPrices(priceListId) {
+  return dbAll(
+    `SELECT p.id, p.job_id, j.job_code, j.job_type, j.normal_price,
+            p.price, p.valid_from, p.valid_to
+       FROM price_list_prices p
+       JOIN jobs j ON j.id = p.job_id
+      WHERE p.price_list_id = ?
+      ORDER BY j.job_code, p.valid_from IS NOT NULL, p.valid_from`,
+    [priceListId]
+  );
+}
+
+/**
+ * Add a job price to a list for a date window (null dates = open).
+ *
+ * Overlapping windows are refused, except that a new open-ended price
+ * starting after an open-ended one ends that one the day before, so a
+ * price change only needs the new price and its start date.
+ *
+ * @throws {ServiceError}
+ */
+export async function addListPrice({ companyId, priceListId, jobId, price, validFrom = null, validTo = null, userId = null }) {
+  const amount = Number(price);
+  const from = validFrom || null;
+  const to = validTo || null;
+
+  if (!Number.isFinite(amount) || amount <= 0) throw new ServiceError(400, "Price must be more than zero.");
+  if ((from && !isISODate(from)) || (to && !isISODate(to))) {
+    throw new ServiceError(400, "Valid dates must be YYYY-MM-DD.");
+  }
+  if (from && to && from > to) throw new ServiceError(400, "Valid from can't be after valid to.");
+
+  const list = await getPriceList(companyId, priceListId);
+  if (!list) throw new ServiceError(404, "Price list not found.");
+
+  const job = await dbGet(`SELECT id, job_code FROM jobs WHERE id = ? AND company_id = ?`, [Number(jobId), companyId]);
+  if (!job) throw new ServiceError(400, "Job not found for this company.");
+
+  return withTransaction(async () => {
+    const rows = await dbAll(
+      `SELECT id, valid_from, valid_to FROM price_list_prices WHERE price_list_id = ? AND job_id = ?`,
+      [list.id, job.id]
+    );
+
+    const overlapping = rows.filter(
+      (r) => (!from || !r.valid_to || from <= r.valid_to) && (!r.valid_from || !to || r.valid_from <= to)
+    );
+
+    for (const r of overlapping) {
+      const endsBefore = from && !to && r.valid_to == null && (r.valid_from == null || r.valid_from < from);
+      if (!endsBefore) {
+        throw new ServiceError(
+          400,
+          `${job.job_code} already has a ${list.code} price from ${windowText(r.valid_from, r.valid_to)}.`
+        );
+      }
+    }
+    for (const r of overlapping) {
+      await dbRun(`UPDATE price_list_prices SET valid_to = ? WHERE id = ?`, [dayBefore(from), r.id]);
+    }
+
+    const r = await dbRun(
+      `INSERT INTO price_list_prices (company_id, price_list_id, job_id, price, valid_from, valid_to, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, list.id, job.id, amount, from, to, userId]
+    );
+    return r.lastID;
+  });
+}
+
+/**
+ * Remove one price; the job then falls back to its normal price in that window.
+ * @throws {ServiceError}
+ */
+export async function deleteListPrice({ companyId, priceId }) {
+  const r = await dbRun(`DELETE FROM price_list_prices WHERE id = ? AND company_id = ?`, [priceId, companyId]);
+  if (!r.changes) throw new ServiceError(404, "Price not found.");
+}
@@ -0,0 +1,86 @@
+// src/services/ruleParamsService.js
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Typed parameters for company rules.
+ *
+ * rules.params_schema declares what a rule takes (JSON array):
+ *   { key, label, type: "number" | "percent" | "choice", default, min?, max?, options? }
+ * choice parameters list their options as [{ value, label }].
+ *
+ * company_rules.params_json holds one company's values ({ key: value }).
+ * Missing or no-longer-valid stored values fall back to the schema default,
+ * so a rule handler always receives a complete parameter set.
+ */
+
+export const PARAM_TYPES = ["number", "percent", "choice"];
+
+function parseJson(text, fallback) {
+  if (text == null || text === "") return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+export function parseParamSchema(text) {
+  const schema = parseJson(text, []);
+  if (!Array.isArray(schema)) return [];
+  return schema.filter((p) => p && typeof p.key === "string" && PARAM_TYPES.includes(p.type));
+}
+
+/**
+ * Check one raw value against its definition.
+ * @throws {ServiceError}
+ */
+function coerceParam(def, raw) {
+  const label = def.label || def.key;
+
+  if (def.type === "choice") {
+    const value = String(raw);
+    const allowed = (def.options || []).map((o) => String(o.value));
+    if (!allowed.includes(value)) throw new ServiceError(400, `${label}: choose one of ${allowed.join(", ")}.`);
+    return value;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value)) throw new ServiceError(400, `${label} must be a number.`);
+
+  const min = def.min ?? 0;
+  const max = def.max ?? (def.type === "percent" ? 100 : null);
+  if (value < min) throw new ServiceError(400, `${label} cannot be below ${min}.`);
+  if (max != null && value > max) throw new ServiceError(400, `${label} cannot be above ${max}.`);
+  return value;
+}
+
+/**
+ * Validate submitted values for a rule. Blank values take the default.
+ * @returns {object} complete { key: value } map
+ * @throws {ServiceError}
+ */
+export function validateRuleParams(schema, input) {
+  const params = {};
+  for (const def of schema) {
+    const raw = input?.[def.key];
+    params[def.key] = raw === undefined || raw === null || raw === "" ? def.default : coerceParam(def, raw);
+  }
+  return params;
+}
+
+/**
+ * Stored values merged over defaults. Never throws: a value that no longer
+ * fits the schema (e.g. a removed choice) quietly reverts to the default.
+ */
+export function resolveRuleParams(schema, storedText) {
+  const stored = parseJson(storedText, {}) || {};
+  const params = {};
+  for (const def of schema) {
+    try {
+      params[def.key] = stored[def.key] == null ? def.default : coerceParam(def, stored[def.key]);
+    } catch {
+      params[def.key] = def.default;
+    }
+  }
+  return params;
+}
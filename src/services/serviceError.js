@@ -0,0 +1,18 @@
+// src/services/serviceError.js
+
+/**
+ * The one error services throw for the caller to report: status is the HTTP
+ * status a route answers with and message is shown to the user as is.
+ * Anything else thrown is a bug or a database failure (logged, 500).
+ */
+export class ServiceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+  }
+}
+
+// what a route answers for err: a ServiceError's own status / message, else 500 / fallback
+export const statusOf = (err) => (err instanceof ServiceError ? err.status : 500);
+export const userMessage = (err, fallback) => (err instanceof ServiceError ? err.message : fallback);
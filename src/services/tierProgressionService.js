@@ -0,0 +1,302 @@
+// src/services/tierProgressionService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { addDays, parseDate, todayISO } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Wage tier progression by length of service (tier_progression_rules).
+ *
+ * A rule "T1 -> T2 after 12 months" moves a T1 worker to T2 on the 12-month
+ * anniversary of workers.employment_start. Months always count from the
+ * employment start, so T1 -> T2 after 12 and T2 -> T3 after 24 walk a worker
+ * up one tier a year.
+ *
+ * Only anniversaries on or after the day a rule was saved (applies_from)
+ * are applied by themselves. Earlier ones (long-serving workers when the
+ * rule is new) are catch-up promotions: an admin applies them from the
+ * preview and they take effect that day, so old entries keep their tier.
+ *
+ * Every tier change is logged in worker_tier_changes. The wage engine uses
+ * the PROGRESSION rows to price an entry dated before a promotion with the
+ * tier the worker had on that date. A MANUAL tier change is a decision, so
+ * anniversaries on or before it are not replayed.
+ */
+
+export const UPCOMING_DAYS = 60;
+
+const MAX_MONTHS = 600;
+
+const CHECK_EVERY_MS = 60 * 60 * 1000;
+
+/**
+ * iso + n months; a day the target month doesn't have becomes its last day
+ * (2024-01-31 + 1 month = 2024-02-29).
+ */
+export function addMonths(iso, months) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * workers.employment_start (or terminated) as YYYY-MM-DD, null when
+ * unreadable; see parseDate() for the accepted forms.
+ */
+export const parseEmploymentStart = (raw) => parseDate(raw);
+
+/**
+ * All rules with their tier codes (management page).
+ */
+export function listProgressionRules() {
+  return dbAll(
+    `SELECT r.id, r.company_id, r.from_tier_id, r.to_tier_id, r.after_months,
+            c.short_code,
+            ft.tier_code AS from_tier_code, ft.tier_name AS from_tier_name,
+            tt.tier_code AS to_tier_code, tt.tier_name AS to_tier_name
+       FROM tier_progression_rules r
+       JOIN companies c ON c.id = r.company_id
+       JOIN wage_tiers ft ON ft.id = r.from_tier_id
+       JOIN wage_tiers tt ON tt.id = r.to_tier_id
+      ORDER BY c.short_code, r.after_months, ft.sort_order`
+  );
+}
+
+/**
+ * Create or replace the rule for a tier (one rule per from-tier).
+ * @throws {ServiceError}
+ */
+export async function saveProgressionRule({ companyId, fromTierId, toTierId, afterMonths }) {
+  const months = Number(afterMonths);
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+    throw new ServiceError(400, `Months of service must be a whole number from 1 to ${MAX_MONTHS}.`);
+  }
+  if (Number(fromTierId) === Number(toTierId)) {
+    throw new ServiceError(400, "The worker must move to a different tier.");
+  }
+
+  const tiers = await dbAll(`SELECT id, tier_code FROM wage_tiers WHERE company_id = ? AND id IN (?, ?)`, [
+    companyId,
+    Number(fromTierId),
+    Number(toTierId),
+  ]);
+  const from = tiers.find((t) => t.id === Number(fromTierId));
+  const to = tiers.find((t) => t.id === Number(toTierId));
+  if (!from || !to) throw new ServiceError(400, "Both tiers must belong to the company.");
+
+  // following the chain from the new tier must not lead back (T1 -> T2 -> T1)
+  const rules = await dbAll(`SELECT from_tier_id, to_tier_id FROM tier_progression_rules WHERE company_id = ?`, [
+    companyId,
+  ]);
+  const next = new Map(rules.map((r) => [r.from_tier_id, r.to_tier_id]));
+  next.set(from.id, to.id);
+  const seen = new Set([from.id]);
+  for (let t = to.id; next.has(t); t = next.get(t)) {
+    if (seen.has(t)) throw new ServiceError(400, `${from.tier_code} -> ${to.tier_code} would make a loop of tiers.`);
+    seen.add(t);
+  }
+
+  // a changed rule counts anniversaries from today, like a new one
+  await dbRun(
+    `INSERT INTO tier_progression_rules (company_id, from_tier_id, to_tier_id, after_months, applies_from)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (company_id, from_tier_id)
+     DO UPDATE SET to_tier_id = excluded.to_tier_id, after_months = excluded.after_months,
+                   applies_from = excluded.applies_from`,
+    [companyId, from.id, to.id, months, todayISO()]
+  );
+}
+
+/**
+ * @throws {ServiceError}
+ */
+export async function deleteProgressionRule(ruleId) {
+  const r = await dbRun(`DELETE FROM tier_progression_rules WHERE id = ?`, [Number(ruleId)]);
+  if (!r.changes) throw new ServiceError(404, "Rule not found.");
+}
+
+/**
+ * Every promotion due up to `until` for active workers with an employment
+ * start date, in date order. A worker can have several steps. A step dated
+ * before its rule's applies_from, and every later step of that worker, is
+ * flagged catch_up.
+ */
+async function planPromotions(until, companyId = null) {
+  const params = companyId ? [companyId] : [];
+  const [rules, workers, manual] = await Promise.all([
+    dbAll(
+      `SELECT r.id, r.company_id, r.from_tier_id, r.to_tier_id, r.after_months,
+              COALESCE(r.applies_from, date(r.created_at)) AS applies_from,
+              ft.tier_code AS from_tier_code, tt.tier_code AS to_tier_code
+         FROM tier_progression_rules r
+         JOIN wage_tiers ft ON ft.id = r.from_tier_id
+         JOIN wage_tiers tt ON tt.id = r.to_tier_id AND tt.is_active = 1
+        ${companyId ? "WHERE r.company_id = ?" : ""}`,
+      params
+    ),
+    dbAll(
+      `SELECT w.id, w.company_id, w.worker_code, w.worker_name, w.employment_start, w.wage_tier_id
+         FROM workers w
+        WHERE w.is_active = 1
+          AND w.wage_tier_id IS NOT NULL
+          AND w.employment_start IS NOT NULL AND w.employment_start <> ''
+          ${companyId ? "AND w.company_id = ?" : ""}`,
+      params
+    ),
+    dbAll(
+      `SELECT worker_id, MAX(effective_date) AS last_manual
+         FROM worker_tier_changes
+        WHERE reason = 'MANUAL'
+        GROUP BY worker_id`
+    ),
+  ]);
+
+  const ruleByTier = new Map(rules.map((r) => [`${r.company_id}:${r.from_tier_id}`, r]));
+  const lastManual = new Map(manual.map((m) => [m.worker_id, m.last_manual]));
+
+  const steps = [];
+  for (const w of workers) {
+    const start = parseEmploymentStart(w.employment_start);
+    if (!start) continue;
+
+    const seen = new Set();
+    let catchUp = false;
+    let tierId = w.wage_tier_id;
+    for (let rule = ruleByTier.get(`${w.company_id}:${tierId}`); rule && !seen.has(rule.id); ) {
+      seen.add(rule.id);
+      const date = addMonths(start, rule.after_months);
+      if (date > until) break;
+      if (lastManual.has(w.id) && date <= lastManual.get(w.id)) break;
+      catchUp ||= date < rule.applies_from;
+
+      steps.push({
+        worker_id: w.id,
+        company_id: w.company_id,
+        worker_code: w.worker_code,
+        worker_name: w.worker_name,
+        employment_start: start,
+        rule_id: rule.id,
+        after_months: rule.after_months,
+        from_tier_id: rule.from_tier_id,
+        from_tier_code: rule.from_tier_code,
+        to_tier_id: rule.to_tier_id,
+        to_tier_code: rule.to_tier_code,
+        effective_date: date,
+        catch_up: catchUp,
+      });
+      tierId = rule.to_tier_id;
+      rule = ruleByTier.get(`${w.company_id}:${tierId}`);
+    }
+  }
+
+  return steps.sort(
+    (a, b) =>
+      a.effective_date.localeCompare(b.effective_date) ||
+      String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true })
+  );
+}
+
+/**
+ * Promotions due today (not applied yet), coming in the next `days` days,
+ * and catch-up promotions waiting for an admin.
+ * @returns {Promise<{ asOf:string, until:string, due:object[], upcoming:object[], catchUp:object[] }>}
+ */
+export async function previewProgressions({ companyId = null, days = UPCOMING_DAYS, asOf = todayISO() } = {}) {
+  const until = addDays(asOf, days);
+  const steps = await planPromotions(until, companyId);
+  return {
+    asOf,
+    until,
+    due: steps.filter((s) => !s.catch_up && s.effective_date <= asOf),
+    upcoming: steps.filter((s) => !s.catch_up && s.effective_date > asOf),
+    catchUp: steps.filter((s) => s.catch_up && s.effective_date <= asOf),
+  };
+}
+
+/**
+ * Move every worker whose anniversary has been reached to the next tier,
+ * logging each step. Catch-up steps are skipped unless includeCatchUp,
+ * and then take effect on asOf instead of the missed anniversary.
+ * @returns {Promise<number>} steps applied
+ */
+export function applyDueProgressions({ asOf = todayISO(), userId = null, includeCatchUp = false } = {}) {
+  return withTransaction(async () => {
+    const steps = (await planPromotions(asOf)).filter((s) => includeCatchUp || !s.catch_up);
+    for (const s of steps) {
+      await dbRun(`UPDATE workers SET wage_tier_id = ? WHERE id = ?`, [s.to_tier_id, s.worker_id]);
+      await dbRun(
+        `INSERT INTO worker_tier_changes
+           (company_id, worker_id, from_tier_id, to_tier_id, effective_date, reason, rule_id, changed_by)
+         VALUES (?, ?, ?, ?, ?, 'PROGRESSION', ?, ?)`,
+        [s.company_id, s.worker_id, s.from_tier_id, s.to_tier_id, s.catch_up ? asOf : s.effective_date, s.rule_id, userId]
+      );
+    }
+    return steps.length;
+  });
+}
+
+/**
+ * Log a tier set by hand on the worker form (no-op when unchanged).
+ */
+export async function recordManualTierChange({ companyId, workerId, fromTierId, toTierId, userId = null }) {
+  if ((fromTierId ?? null) === (toTierId ?? null)) return;
+  await dbRun(
+    `INSERT INTO worker_tier_changes
+       (company_id, worker_id, from_tier_id, to_tier_id, effective_date, reason, changed_by)
+     VALUES (?, ?, ?, ?, ?, 'MANUAL', ?)`,
+    [companyId, workerId, fromTierId ?? null, toTierId ?? null, todayISO(), userId]
+  );
+}
+
+/**
+ * Tier a worker had on a date: the tier they were promoted out of when a
+ * later anniversary promotion exists, otherwise their current tier.
+ */
+export async function getWorkerTierOn(workerId, currentTierId, date) {
+  const row = await dbGet(
+    `SELECT from_tier_id
+       FROM worker_tier_changes
+      WHERE worker_id = ? AND reason = 'PROGRESSION' AND effective_date > ?
+      ORDER BY effective_date, id
+      LIMIT 1`,
+    [workerId, date]
+  );
+  return row ? row.from_tier_id : currentTierId;
+}
+
+/**
+ * Latest tier changes, for the management page.
+ */
+export function listTierChanges(limit = 50) {
+  return dbAll(
+    `SELECT ch.id, ch.company_id, ch.effective_date, ch.reason, ch.changed_at,
+            c.short_code, w.worker_code, w.worker_name,
+            ft.tier_code AS from_tier_code, tt.tier_code AS to_tier_code,
+            u.username AS changed_by_username
+       FROM worker_tier_changes ch
+       LEFT JOIN companies c ON c.id = ch.company_id
+       LEFT JOIN workers w ON w.id = ch.worker_id
+       LEFT JOIN wage_tiers ft ON ft.id = ch.from_tier_id
+       LEFT JOIN wage_tiers tt ON tt.id = ch.to_tier_id
+       LEFT JOIN users u ON u.id = ch.changed_by
+      ORDER BY ch.id DESC
+      LIMIT ?`,
+    [limit]
+  );
+}
+
+/**
+ * Apply due promotions now and then every hour while the server runs, so a
+ * worker moves up on the anniversary without anyone pressing a button.
+ */
+export function scheduleTierProgression() {
+  const run = () =>
+    applyDueProgressions()
+      .then((n) => n && console.log(`✅ Tier progression: ${n} worker tier change(s) applied`))
+      .catch((err) => console.error("tier progression error:", err));
+
+  run();
+  setInterval(run, CHECK_EVERY_MS).unref();
+}
@@ -0,0 +1,474 @@
+// src/services/wageEngine.js
+import { dbGet, dbAll } from "../config/db.js";
+import { parseParamSchema, resolveRuleParams } from "./ruleParamsService.js";
+import { getCommissionBrackets, pickBracket } from "./commissionService.js";
+import { getWageRateOn } from "./jobWageService.js";
+import { getDefaultPriceList, getListPriceOn, getPriceList } from "./priceListService.js";
+import { getWorkerTierOn } from "./tierProgressionService.js";
+import { getWorkerJobRateOn } from "./workerJobRateService.js";
+import { getHolidayOn } from "./holidayService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Server-side price + wage calculation for work entries.
+ *
+ * Resolution order (same as the old dashboard logic):
+ * 1) customer_rate = custom customer rate (if allowed) OR the price list's price
+ *    valid on work_date (picked list, else company default) OR jobs.normal_price
+ * 2) wage_rate     = the worker's own rate for the job valid on work_date (worker_job_rates,
+ *    see workerJobRateService.js) OR the job_wages rate for the worker's tier valid
+ *    on work_date (BASE_NATIONALITY); the tier is the one the worker had on work_date
+ *    when a later anniversary promotion moved them up (see tierProgressionService.js)
+ * 3) enabled company rules adjust wage_rate (e.g. OVER_20K_5050), using
+ *    the company's rule parameters (see ruleParamsService.js)
+ * 4) on a holiday (HOLIDAY_MULTIPLIER, see holidayService.js) the list price is
+ *    multiplied before step 3 and the wage after it; custom rates are not
+ * 5) custom wage rate (if allowed) wins over everything
+ *
+ * A bill where the customer asked for the worker (REQUESTED_WORKER) also
+ * carries the company's flat request fee and worker bonus, kept apart from
+ * the rate x hours totals (request_fee / request_bonus).
+ */
+
+export const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+function toPositiveOrNull(v) {
+  if (v === "" || v == null) return null;
+  const x = Number(v);
+  return Number.isFinite(x) && x > 0 ? x : null;
+}
+
+/**
+ * "YYYY-MM-DD" -> { start: "YYYY-MM-01", end: first day of next month }
+ */
+export function monthRange(workDate) {
+  const month = String(workDate || "").slice(0, 7);
+  if (!/^\d{4}-\d{2}$/.test(month)) throw new ServiceError(400, "Invalid work_date (use YYYY-MM-DD).");
+
+  const [y, m] = month.split("-").map(Number);
+  const next = m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+  return { start: `${month}-01`, end: `${next}-01` };
+}
+
+/* -----------------------------
+   Lookups
+------------------------------ */
+// the base rule can't be switched off; every other rule follows company_rules.enabled
+export const BASE_RULE = "BASE_NATIONALITY";
+
+/**
+ * Enabled rules for a company with their resolved parameters.
+ * @returns {Promise<Array<{code:string, params:object}>>}
+ */
+export async function getEnabledRules(companyId) {
+  const rows = await dbAll(
+    `
+    SELECT r.code, r.params_schema, cr.params_json
+      FROM rules r
+      LEFT JOIN company_rules cr
+        ON cr.rule_code = r.code
+       AND cr.company_id = ?
+     WHERE COALESCE(cr.enabled, 0) = 1
+        OR r.code = ?
+     ORDER BY r.id
+    `,
+    [companyId, BASE_RULE]
+  );
+  return rows.map((r) => ({
+    code: r.code,
+    params: resolveRuleParams(parseParamSchema(r.params_schema), r.params_json),
+  }));
+}
+
+export async function resolveJob(companyId, { jobId, jobCode }) {
+  if (jobId) {
+    return dbGet(`SELECT * FROM jobs WHERE id = ? AND company_id = ?`, [Number(jobId), companyId]);
+  }
+  return dbGet(`SELECT * FROM jobs WHERE company_id = ? AND job_code = ?`, [
+    companyId,
+    String(jobCode ?? "").trim(),
+  ]);
+}
+
+export async function resolveWorker(companyId, workerId) {
+  return dbGet(`SELECT * FROM workers WHERE id = ? AND company_id = ?`, [Number(workerId), companyId]);
+}
+
+export async function resolveTierWage(companyId, jobId, tierId, workDate) {
+  if (!tierId) return null;
+  return toPositiveOrNull(await getWageRateOn(companyId, jobId, tierId, workDate));
+}
+
+/**
+ * Customer price from a price list on workDate: the picked list, else the
+ * company default list. Falls back to jobs.normal_price when the list has no
+ * price for the job then (fallback is true when a picked list had none).
+ * @returns {Promise<{ list: object|null, price: number|null, fallback: boolean }>}
+ */
+export async function resolveListPrice(companyId, job, priceListId, workDate) {
+  const picked = priceListId ? await getPriceList(companyId, priceListId) : null;
+  if (priceListId && !picked) throw new ServiceError(400, "Price list not found for this company.");
+
+  const list = picked || (await getDefaultPriceList(companyId)) || null;
+  const listPrice = list ? toPositiveOrNull(await getListPriceOn(list.id, job.id, workDate)) : null;
+
+  return { list, price: listPrice ?? toPositiveOrNull(job.normal_price), fallback: Boolean(picked) && listPrice == null };
+}
+
+/**
+ * The company's holiday on workDate with its multipliers (blank ones take the
+ * HOLIDAY_MULTIPLIER rule's values), or null when that rule is not in `rules`.
+ * @returns {Promise<{ id:number, name:string, price_multiplier:number, wage_multiplier:number }|null>}
+ */
+export async function resolveHoliday(companyId, workDate, rules) {
+  const rule = rules.find((r) => r.code === "HOLIDAY_MULTIPLIER");
+  if (!rule) return null;
+
+  const holiday = await getHolidayOn(companyId, workDate);
+  if (!holiday) return null;
+
+  return {
+    id: holiday.id,
+    name: holiday.name,
+    price_multiplier: Number(holiday.price_multiplier ?? rule.params.price_multiplier),
+    wage_multiplier: Number(holiday.wage_multiplier ?? rule.params.wage_multiplier),
+  };
+}
+
+/**
+ * Flat request fee (customer) and bonus (worker) for a requested bill, from
+ * the REQUESTED_WORKER rule's params; zero when not requested or the rule is
+ * not in `rules`.
+ */
+export function resolveRequestAmounts(requested, rules) {
+  const rule = requested ? rules.find((r) => r.code === "REQUESTED_WORKER") : null;
+  return {
+    request_fee: round2(rule?.params.request_fee ?? 0),
+    request_bonus: round2(rule?.params.worker_bonus ?? 0),
+  };
+}
+
+export async function getMonthToDateCustomerTotal({ companyId, workerId, workDate, excludeEntryId = null }) {
+  const { start, end } = monthRange(workDate);
+  const params = [companyId, workerId, start, end];
+  let excludeSql = "";
+  if (excludeEntryId) {
+    excludeSql = "AND we.id <> ?";
+    params.push(excludeEntryId);
+  }
+
+  // split bills count only this worker's share of the customer total
+  const row = await dbGet(
+    `SELECT COALESCE(SUM(wl.customer_share), 0) AS total
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE wl.company_id = ?
+        AND wl.worker_id = ?
+        AND we.work_date >= ?
+        AND we.work_date < ?
+        AND we.voided_at IS NULL
+        ${excludeSql}`,
+    params
+  );
+  return Number(row?.total || 0);
+}
+
+/* -----------------------------
+   Company rules
+   Each handler may adjust calc.wage_rate / calc.customer_rate
+   and should push its code into calc.applied_rules when it fires.
+   params holds the company's values for the rule's params_schema.
+   HOLIDAY_MULTIPLIER has no handler: it wraps the other rules
+   (see calculateWorkEntry). REQUESTED_WORKER has none either: its
+   fee and bonus sit beside the rates (resolveRequestAmounts).
+------------------------------ */
+const RULE_HANDLERS = {
+  // a split-bill line measures and pays from the whole bill's price, and
+  // the rule only ever raises the wage (never below the tier rate)
+  async OVER_20K_5050(calc, ctx, params) {
+    const measured =
+      params.measure === "BILL_CUSTOMER_TOTAL"
+        ? ctx.splitBill?.customerTotal ?? calc.customer_total
+        : await ctx.monthTotalWith(calc);
+    if (measured < Number(params.threshold)) return;
+
+    const rate = (ctx.splitBill?.customerRate ?? calc.customer_rate) * (Number(params.wage_percent) / 100);
+    if (rate > (calc.wage_rate || 0)) {
+      calc.wage_rate = rate;
+      calc.applied_rules.push("OVER_20K_5050");
+    }
+  },
+
+  // runs after OVER_20K_5050 (rules apply in rules.id order), so a company
+  // with brackets set up is paid by bracket
+  async COMMISSION_BRACKETS(calc, ctx) {
+    const brackets = await getCommissionBrackets(ctx.companyId, calc.wage_tier_id);
+    if (!brackets.length) return;
+
+    const bracket = pickBracket(brackets, await ctx.monthTotalWith(calc));
+    calc.wage_rate = calc.customer_rate * (bracket.percent / 100);
+    calc.commission_bracket = bracket.label;
+    calc.applied_rules.push("COMMISSION_BRACKETS");
+  },
+};
+
+/**
+ * Calculate customer + wage snapshot for one work entry.
+ *
+ * @param {object} input
+ * @param {number} input.companyId
+ * @param {number} input.workerId
+ * @param {number} [input.jobId]            either jobId or jobCode
+ * @param {string} [input.jobCode]
+ * @param {string} input.workDate           YYYY-MM-DD
+ * @param {number} input.hours
+ * @param {boolean} [input.requested]      customer asked for this worker (REQUESTED_WORKER)
+ * @param {number} [input.tierId]           override worker tier (rate editors only)
+ * @param {number} [input.priceListId]      customer price list (company default when empty)
+ * @param {number} [input.customCustomerRate]
+ * @param {number} [input.customWageRate]
+ * @param {number} [input.excludeEntryId]   entry being edited (left out of month totals)
+ * @param {number} [input.pendingCustomerTotal] unsaved customer total for same worker/month
+ * @param {number} [input.monthTotal]       worker's full-month customer total (month-end
+ *                                          recalculation); replaces the running month-to-date
+ * @param {Array<{code:string, params:object}>} [input.rules]  rule set used instead of the
+ *                                          company's enabled rules (what-if simulation)
+ * @param {Map<string, number>} [input.wageRates]  "jobId:tierId" -> wage rate used instead of
+ *                                          job_wages (what-if simulation); a worker's own
+ *                                          job rate still comes first
+ * @param {{customerRate:number, customerTotal:number}} [input.splitBill]  the bill a split-bill
+ *                                          line belongs to (see calculateSplitBill)
+ * @returns calc, with holiday (or null) and the holiday_customer_uplift /
+ *          holiday_wage_uplift part of the totals, and request_fee / request_bonus
+ * @throws {ServiceError}
+ */
+export async function calculateWorkEntry(input) {
+  const companyId = Number(input.companyId);
+  const hours = Number(input.hours);
+
+  if (!companyId) throw new ServiceError(400, "Invalid company.");
+  if (!Number.isFinite(hours) || hours <= 0) throw new ServiceError(400, "Invalid amount (hours).");
+  monthRange(input.workDate); // validates date
+
+  const job = await resolveJob(companyId, { jobId: input.jobId, jobCode: input.jobCode });
+  if (!job) throw new ServiceError(400, `Invalid job_code: ${input.jobCode ?? input.jobId}`);
+
+  const worker = await resolveWorker(companyId, input.workerId);
+  if (!worker) throw new ServiceError(400, "Worker not found for this company.");
+
+  const tierId =
+    input.tierId != null && input.tierId !== ""
+      ? Number(input.tierId)
+      : worker.wage_tier_id
+        ? await getWorkerTierOn(worker.id, worker.wage_tier_id, input.workDate)
+        : null;
+
+  const customCustomerRate = toPositiveOrNull(input.customCustomerRate);
+  const customWageRate = toPositiveOrNull(input.customWageRate);
+
+  const listPrice = customCustomerRate ? null : await resolveListPrice(companyId, job, input.priceListId, input.workDate);
+  const baseCustomerRate = customCustomerRate ?? listPrice.price;
+  if (!baseCustomerRate) {
+    throw new ServiceError(400, "No valid customer price (normal price missing and no custom entered).");
+  }
+
+  const enabled = input.rules ?? (await getEnabledRules(companyId));
+  const holiday = await resolveHoliday(companyId, input.workDate, enabled);
+  // custom prices (and split-bill shares) already include any holiday surcharge
+  const customerRate = holiday && !customCustomerRate ? baseCustomerRate * holiday.price_multiplier : baseCustomerRate;
+
+  // a negotiated rate for this worker on this job replaces the tier rate
+  const workerRate = await getWorkerJobRateOn(worker.id, job.id, input.workDate);
+
+  if (!tierId && !customWageRate && !workerRate) {
+    throw new ServiceError(
+      400,
+      "This worker has no wage tier assigned yet. Please edit the worker and set a wage tier."
+    );
+  }
+
+  const calc = {
+    job_id: job.id,
+    job_code: job.job_code,
+    worker_id: worker.id,
+    wage_tier_id: tierId,
+    work_date: input.workDate,
+    amount: hours,
+    customer_rate: customerRate,
+    customer_total: customerRate * hours,
+    // custom prices are not on a list
+    price_list_id: listPrice?.list?.id ?? null,
+    price_list_name: listPrice?.list?.name ?? null,
+    price_list_fallback: listPrice?.fallback ?? false,
+    wage_rate:
+      workerRate ??
+      input.wageRates?.get(`${job.id}:${tierId}`) ??
+      (await resolveTierWage(companyId, job.id, tierId, input.workDate)),
+    wage_total: 0,
+    applied_rules: [],
+    holiday: holiday
+      ? { name: holiday.name, price_multiplier: holiday.price_multiplier, wage_multiplier: holiday.wage_multiplier }
+      : null,
+    holiday_customer_uplift: 0,
+    holiday_wage_uplift: 0,
+    ...resolveRequestAmounts(Boolean(input.requested), enabled),
+  };
+
+  let mtdCache = null;
+  const ctx = {
+    companyId,
+    job,
+    worker,
+    pendingCustomerTotal: Number(input.pendingCustomerTotal) || 0,
+    splitBill: input.splitBill ?? null,
+    monthToDate: async () => {
+      if (mtdCache == null) {
+        mtdCache = await getMonthToDateCustomerTotal({
+          companyId,
+          workerId: worker.id,
+          workDate: input.workDate,
+          excludeEntryId: input.excludeEntryId,
+        });
+      }
+      return mtdCache;
+    },
+    // customer total that month threshold rules measure: month-to-date plus
+    // this entry, or the whole month when recalculating at month end
+    monthTotalWith: async (c) =>
+      input.monthTotal != null
+        ? Number(input.monthTotal)
+        : (await ctx.monthToDate()) + ctx.pendingCustomerTotal + c.customer_total,
+  };
+
+  for (const { code, params } of enabled) {
+    const handler = RULE_HANDLERS[code];
+    if (handler) await handler(calc, ctx, params);
+  }
+
+  const baseWageRate = calc.wage_rate;
+  if (holiday && calc.wage_rate) calc.wage_rate *= holiday.wage_multiplier;
+
+  if (customWageRate) calc.wage_rate = customWageRate;
+
+  if (!calc.wage_rate || calc.wage_rate <= 0) {
+    throw new ServiceError(400, "No valid wage rate (base wage missing and no custom entered).");
+  }
+
+  calc.customer_rate = round2(calc.customer_rate);
+  calc.wage_rate = round2(calc.wage_rate);
+  calc.customer_total = round2(calc.customer_rate * hours);
+  calc.wage_total = round2(calc.wage_rate * hours);
+
+  if (holiday) {
+    if (!customCustomerRate) {
+      calc.holiday_customer_uplift = round2(calc.customer_total - round2(round2(baseCustomerRate) * hours));
+    }
+    if (!customWageRate && baseWageRate) {
+      calc.holiday_wage_uplift = round2(calc.wage_total - round2(round2(baseWageRate) * hours));
+    }
+    if (calc.holiday_customer_uplift || calc.holiday_wage_uplift) calc.applied_rules.push("HOLIDAY_MULTIPLIER");
+  }
+
+  if (calc.request_fee || calc.request_bonus) calc.applied_rules.push("REQUESTED_WORKER");
+
+  return calc;
+}
+
+/**
+ * Calculate a bill shared by several workers (four-hand massage, double sessions).
+ *
+ * The customer side is priced once for the bill hours. Each worker line gets a
+ * share of the customer total in proportion to its hours (what month totals
+ * count), and its own wage from the worker's tier and the company rules.
+ * OVER_20K_5050 pays its wage percentage of the bill's customer rate per hour,
+ * not of the line's share.
+ * Custom wage rates and tier overrides do not apply to split bills. A holiday
+ * surcharges the bill price once; each line gets the holiday wage multiplier.
+ * A requested bill's fee and bonus go to the lead worker's bill, not the lines.
+ *
+ * @param {object} input same as calculateWorkEntry, plus:
+ * @param {Array<{workerId:number, hours:number}>} input.workers  two or more lines; the first is the lead worker
+ * @param {object} [input.pendingCustomerTotals]  unsaved customer totals keyed by worker id (same month)
+ * @returns calculateWorkEntry result for the bill (wage_total = sum of lines) plus lines[]
+ * @throws {ServiceError}
+ */
+export async function calculateSplitBill(input) {
+  const workers = Array.isArray(input.workers) ? input.workers : [];
+  if (workers.length < 2) throw new ServiceError(400, "A split bill needs at least two workers.");
+
+  const ids = workers.map((w) => Number(w.workerId));
+  if (new Set(ids).size !== ids.length) {
+    throw new ServiceError(400, "A worker can only appear once on a bill.");
+  }
+  workers.forEach((w, i) => {
+    const h = Number(w.hours);
+    if (!Number.isFinite(h) || h <= 0) throw new ServiceError(400, `Invalid hours for worker line ${i + 1}.`);
+  });
+
+  const bill = await calculateWorkEntry({
+    ...input,
+    workerId: ids[0],
+    tierId: null,
+    customWageRate: null,
+    pendingCustomerTotal: 0,
+  });
+
+  const totalHours = workers.reduce((sum, w) => sum + Number(w.hours), 0);
+  const pending = input.pendingCustomerTotals || {};
+
+  const lines = [];
+  let sharedSoFar = 0;
+  for (let i = 0; i < workers.length; i++) {
+    const hours = Number(workers[i].hours);
+    // last line takes the rounding remainder so shares add up to the bill
+    const share =
+      i === workers.length - 1
+        ? round2(bill.customer_total - sharedSoFar)
+        : round2((bill.customer_total * hours) / totalHours);
+    sharedSoFar = round2(sharedSoFar + share);
+
+    const calc = await calculateWorkEntry({
+      companyId: input.companyId,
+      workerId: ids[i],
+      jobId: bill.job_id,
+      workDate: input.workDate,
+      hours,
+      customCustomerRate: share / hours,
+      excludeEntryId: input.excludeEntryId,
+      pendingCustomerTotal: pending[ids[i]] || 0,
+      rules: input.rules,
+      wageRates: input.wageRates,
+      splitBill: { customerRate: bill.customer_rate, customerTotal: bill.customer_total },
+    });
+
+    lines.push({
+      line_no: i + 1,
+      worker_id: calc.worker_id,
+      hours,
+      customer_share: share,
+      wage_tier_id: calc.wage_tier_id,
+      wage_rate: calc.wage_rate,
+      wage_total: calc.wage_total,
+      holiday_wage_uplift: calc.holiday_wage_uplift,
+      applied_rules: calc.applied_rules,
+    });
+  }
+
+  const wageTotal = round2(lines.reduce((sum, l) => sum + l.wage_total, 0));
+
+  return {
+    ...bill,
+    wage_tier_id: lines[0].wage_tier_id,
+    wage_rate: round2(wageTotal / bill.amount),
+    wage_total: wageTotal,
+    holiday_wage_uplift: round2(lines.reduce((sum, l) => sum + l.holiday_wage_uplift, 0)),
+    applied_rules: [
+      ...new Set([
+        ...(bill.holiday_customer_uplift ? ["HOLIDAY_MULTIPLIER"] : []),
+        ...(bill.request_fee || bill.request_bonus ? ["REQUESTED_WORKER"] : []),
+        ...lines.flatMap((l) => l.applied_rules),
+      ]),
+    ],
+    lines,
+  };
+}
@@ -0,0 +1,254 @@
+// src/services/wageSimulationService.js
+import { dbAll } from "../config/db.js";
+import { BASE_RULE, calculateWorkEntry, monthRange, round2 } from "./wageEngine.js";
+import { daysBetween, isISODate } from "./dateService.js";
+import { getWageRateOn } from "./jobWageService.js";
+import { parseParamSchema, resolveRuleParams, validateRuleParams } from "./ruleParamsService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Payroll what-if simulation: re-run the wage calculation for a past period
+ * with a proposed rule set and/or wage rate table. Nothing is written.
+ *
+ * Each worker line is re-priced from its saved customer share and wage tier,
+ * the same inputs month-end recalculation uses. Month threshold rules
+ * measure the worker's running month total in date order (counting the
+ * month's entries before the period too), as if the bills had been keyed
+ * day by day.
+ *
+ * Recorded wages are what the Worker Monthly Pays report shows, so the
+ * difference also contains wage rates typed in by hand and threshold
+ * payouts that depended on keying order.
+ */
+
+export const MAX_SIMULATION_DAYS = 92;
+
+/**
+ * What the proposal form starts from: the company's current rules (same shape
+ * as GET /api/companies/:id/rules) and each active job × tier rate valid on asOf.
+ */
+export async function getSimulationOptions(companyId, asOf) {
+  const [ruleRows, jobs, tiers] = await Promise.all([
+    dbAll(
+      `SELECT r.code, r.name, r.description, r.is_default, r.params_schema, cr.params_json,
+              CASE WHEN cr.enabled = 1 THEN 1 ELSE 0 END AS enabled
+         FROM rules r
+         LEFT JOIN company_rules cr
+           ON cr.rule_code = r.code
+          AND cr.company_id = ?
+        ORDER BY r.is_default DESC, r.name ASC`,
+      [companyId]
+    ),
+    dbAll(`SELECT id, job_code, job_type FROM jobs WHERE company_id = ? AND is_active = 1 ORDER BY job_code`, [
+      companyId,
+    ]),
+    dbAll(
+      `SELECT id, tier_code, tier_name FROM wage_tiers WHERE company_id = ? AND is_active = 1 ORDER BY sort_order, tier_code`,
+      [companyId]
+    ),
+  ]);
+
+  const rates = [];
+  for (const job of jobs) {
+    for (const tier of tiers) {
+      rates.push({ job_id: job.id, tier_id: tier.id, wage_rate: await getWageRateOn(companyId, job.id, tier.id, asOf) });
+    }
+  }
+
+  return {
+    rules: ruleRows.map(({ params_schema, params_json, ...r }) => {
+      const schema = parseParamSchema(params_schema);
+      return { ...r, params_schema: schema, params: resolveRuleParams(schema, params_json) };
+    }),
+    jobs,
+    tiers,
+    rates,
+  };
+}
+
+/**
+ * Turn a submitted proposal into calculateWorkEntry's rules / wageRates.
+ *
+ * @param {object} proposal
+ * @param {string[]} proposal.rules      codes to enable (BASE_RULE is always on)
+ * @param {object} [proposal.params]     { CODE: { key: value } }, blanks take the default
+ * @param {Array<{job_id:number, tier_id:number, wage_rate:number}>} [proposal.rates]
+ *        proposed rates for the whole period; job × tiers not listed keep their dated rates,
+ *        and workers with their own rate on a job (worker_job_rates) keep it
+ * @throws {ServiceError}
+ */
+export async function parseProposal(companyId, proposal = {}) {
+  const codes = new Set(Array.isArray(proposal.rules) ? proposal.rules.map(String) : []);
+  codes.add(BASE_RULE);
+  const paramsByRule = proposal.params && typeof proposal.params === "object" ? proposal.params : {};
+
+  // rules.id order, like getEnabledRules
+  const defs = await dbAll(`SELECT code, params_schema FROM rules ORDER BY id`);
+  const rules = [];
+  for (const def of defs) {
+    if (!codes.has(def.code)) continue;
+    try {
+      rules.push({ code: def.code, params: validateRuleParams(parseParamSchema(def.params_schema), paramsByRule[def.code]) });
+    } catch (err) {
+      if (err instanceof ServiceError) throw new ServiceError(400, `${def.code}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  const known = await dbAll(
+    `SELECT j.id AS job_id, t.id AS tier_id, j.job_code, t.tier_code
+       FROM jobs j
+       JOIN wage_tiers t ON t.company_id = j.company_id
+      WHERE j.company_id = ?`,
+    [companyId]
+  );
+  const labels = new Map(known.map((k) => [`${k.job_id}:${k.tier_id}`, `${k.job_code} ${k.tier_code}`]));
+
+  const wageRates = new Map();
+  for (const r of Array.isArray(proposal.rates) ? proposal.rates : []) {
+    if (r?.wage_rate === "" || r?.wage_rate == null) continue;
+    const key = `${Number(r.job_id)}:${Number(r.tier_id)}`;
+    if (!labels.has(key)) throw new ServiceError(400, "Proposed rate for a job or tier not in this company.");
+    const rate = Number(r.wage_rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new ServiceError(400, `${labels.get(key)}: wage rate must be a positive number.`);
+    }
+    wageRates.set(key, round2(rate));
+  }
+
+  return { rules, wageRates };
+}
+
+/**
+ * Simulate the period's payroll with a proposal (see parseProposal).
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {string} p.start                YYYY-MM-DD
+ * @param {string} p.end                  YYYY-MM-DD
+ * @param {object} p.proposal             parseProposal() result
+ * @param {string} [p.entryFilterSql]     extra conditions on work_entries `we` (report
+ *                                        pay type / Job No filters); month totals still
+ *                                        count every entry
+ * @returns per-worker { worker_code, old_wage, new_wage, ... } rows, totals and skipped lines
+ * @throws {ServiceError}
+ */
+export async function simulatePayroll({ companyId, start, end, proposal, entryFilterSql = "" }) {
+  if (!companyId) throw new ServiceError(400, "Company is required.");
+  if (!isISODate(start) || !isISODate(end)) throw new ServiceError(400, "Dates must be YYYY-MM-DD.");
+  if (start > end) throw new ServiceError(400, "Start date cannot be after end date.");
+  if (daysBetween(start, end) >= MAX_SIMULATION_DAYS) {
+    throw new ServiceError(400, `Pick a range of at most ${MAX_SIMULATION_DAYS} days.`);
+  }
+
+  // every line from the first month's start, for the running month totals
+  const lines = await dbAll(
+    `SELECT wl.work_entry_id, wl.worker_id, wl.hours, wl.customer_share, wl.wage_tier_id, wl.wage_total,
+            we.work_date, we.job_id, we.job_no1
+       FROM work_entry_worker_lines wl
+       JOIN work_entries we ON we.id = wl.work_entry_id
+      WHERE we.company_id = ?
+        AND we.work_date >= ?
+        AND we.work_date <= ?
+        AND we.voided_at IS NULL
+      ORDER BY we.work_date, we.id`,
+    [companyId, monthRange(start).start, end]
+  );
+
+  const inReport = new Set(
+    (
+      await dbAll(
+        `SELECT we.id
+           FROM work_entries we
+          WHERE we.company_id = ?
+            AND we.work_date >= ?
+            AND we.work_date <= ?
+            AND we.voided_at IS NULL
+            ${entryFilterSql}`,
+        [companyId, start, end]
+      )
+    ).map((r) => r.id)
+  );
+
+  const workers = new Map();
+  const monthTotals = new Map();
+  const skipped = [];
+
+  for (const l of lines) {
+    const key = `${l.work_date.slice(0, 7)}:${l.worker_id}`;
+    const monthTotal = (monthTotals.get(key) ?? 0) + Number(l.customer_share);
+    monthTotals.set(key, monthTotal);
+    if (!inReport.has(l.work_entry_id)) continue;
+
+    let newWage = Number(l.wage_total);
+    try {
+      const calc = await calculateWorkEntry({
+        companyId,
+        workerId: l.worker_id,
+        jobId: l.job_id,
+        workDate: l.work_date,
+        hours: l.hours,
+        tierId: l.wage_tier_id,
+        customCustomerRate: Number(l.customer_share) / Number(l.hours),
+        monthTotal,
+        rules: proposal.rules,
+        wageRates: proposal.wageRates,
+      });
+      newWage = calc.wage_total;
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      // counted at the recorded wage so the worker's totals stay comparable
+      skipped.push({ entry_id: l.work_entry_id, job_no1: l.job_no1, work_date: l.work_date, error: err.message });
+    }
+
+    if (!workers.has(l.worker_id)) {
+      workers.set(l.worker_id, { worker_id: l.worker_id, entries: 0, total_hours: 0, total_customer: 0, old_wage: 0, new_wage: 0 });
+    }
+    const w = workers.get(l.worker_id);
+    w.entries += 1;
+    w.total_hours += Number(l.hours);
+    w.total_customer = round2(w.total_customer + Number(l.customer_share));
+    w.old_wage = round2(w.old_wage + Number(l.wage_total));
+    w.new_wage = round2(w.new_wage + newWage);
+  }
+
+  const info = new Map(
+    (
+      await dbAll(
+        `SELECT id, worker_code, COALESCE(worker_name, worker_english_name, '') AS worker_name
+           FROM workers WHERE company_id = ?`,
+        [companyId]
+      )
+    ).map((w) => [w.id, w])
+  );
+
+  const rows = [...workers.values()]
+    .map((w) => ({
+      ...w,
+      worker_code: info.get(w.worker_id)?.worker_code ?? `#${w.worker_id}`,
+      worker_name: info.get(w.worker_id)?.worker_name ?? "",
+      wage_diff: round2(w.new_wage - w.old_wage),
+      old_margin: round2(w.total_customer - w.old_wage),
+      new_margin: round2(w.total_customer - w.new_wage),
+    }))
+    .sort((a, b) => String(a.worker_code).localeCompare(String(b.worker_code), undefined, { numeric: true }));
+
+  const sum = (key) => round2(rows.reduce((s, r) => s + r[key], 0));
+  const customer = sum("total_customer");
+  const oldWage = sum("old_wage");
+  const newWage = sum("new_wage");
+
+  return {
+    rows,
+    skipped,
+    totals: {
+      customer,
+      old_wage: oldWage,
+      new_wage: newWage,
+      wage_diff: round2(newWage - oldWage),
+      old_margin: round2(customer - oldWage),
+      new_margin: round2(customer - newWage),
+      margin_diff: round2(oldWage - newWage),
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// src/services/workEntryImportService.js
+import { parseDate } from "./dateService.js";
+import { prepareWorkEntryRows } from "./workEntryService.js";
+
+/**
+ * Import of day sheets (CSV / XLSX) into work_entries.
+ *
+ * The browser reads the file and posts the rows as JSON objects keyed by
+ * the header text. Columns are the same as the dashboard batch grid:
+ *   Date, Job No1, Job No2, Worker Code, Job Type, Price List, Hours,
+ *   CustomCustomerRate, CustomWage, IsBank(y/n), Requested(y/n), Fees Collected, Note
+ */
+
+// normalized header -> work entry field
+const HEADER_FIELDS = {
+  date: "work_date",
+  workdate: "work_date",
+  jobno1: "job_no1",
+  billno: "job_no1",
+  jobno2: "job_no2",
+  workercode: "worker_code",
+  worker: "worker_code",
+  jobtype: "job_code",
+  jobcode: "job_code",
+  job: "job_code",
+  hours: "amount",
+  amount: "amount",
+  pricelist: "price_list",
+  customcustomerrate: "customer_rate",
+  customerrate: "customer_rate",
+  customwage: "wage_rate",
+  customwagerate: "wage_rate",
+  wagerate: "wage_rate",
+  isbank: "is_bank",
+  isbankyn: "is_bank",
+  paytype: "is_bank",
+  requested: "is_requested",
+  requestedyn: "is_requested",
+  isrequested: "is_requested",
+  feescollected: "fees_collected",
+  fees: "fees_collected",
+  note: "note",
+  notes: "note",
+};
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const normHeader = (h) => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * parseDate() (day-first), but returns the raw text when it is not a date
+ * so validation reports it as an invalid date.
+ */
+export function parseImportDate(v) {
+  if (v == null || v === "") return "";
+  return parseDate(v) ?? String(v).trim();
+}
+
+function parseIsBank(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return ["y", "yes", "1", "true", "bank"].includes(s) ? 1 : 0;
+}
+
+function parseIsRequested(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return ["y", "yes", "1", "true"].includes(s) ? 1 : 0;
+}
+
+/**
+ * One spreadsheet row (keyed by header text) -> batch row fields.
+ */
+export function normalizeImportRow(raw) {
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const field = HEADER_FIELDS[normHeader(key)];
+    if (field && row[field] === undefined) row[field] = value;
+  }
+
+  const text = (v) => (v == null ? "" : String(v).trim());
+
+  return {
+    work_date: parseImportDate(row.work_date),
+    job_no1: text(row.job_no1),
+    job_no2: text(row.job_no2),
+    worker_code: text(row.worker_code),
+    job_code: text(row.job_code),
+    amount: text(row.amount),
+    price_list: text(row.price_list),
+    customer_rate: text(row.customer_rate),
+    wage_rate: text(row.wage_rate),
+    is_bank: parseIsBank(row.is_bank),
+    is_requested: parseIsRequested(row.is_requested),
+    fees_collected: text(row.fees_collected),
+    note: text(row.note),
+  };
+}
+
+const isBlankRow = (r) =>
+  !r.work_date && !r.job_no1 && !r.job_no2 && !r.worker_code && !r.job_code && !r.amount;
+
+/**
+ * Validate + calculate an import without writing anything.
+ * Returns the normalized rows to insert and a row-by-row report.
+ *
+ * row_no is the spreadsheet row (header = row 1).
+ */
+export async function buildImportReport({ companyId, rawRows, canEditRates, canUnlockPeriods }) {
+  const indexed = rawRows
+    .map((raw, i) => ({ row_no: i + 2, row: normalizeImportRow(raw) }))
+    .filter((x) => !isBlankRow(x.row));
+
+  const { prepared, errors, closedMonths } = await prepareWorkEntryRows({
+    companyId,
+    rows: indexed.map((x) => x.row),
+    canEditRates,
+    canUnlockPeriods,
+    rowLabel: (index) => `row ${indexed[index].row_no}`,
+  });
+
+  const preparedByIndex = new Map(prepared.map((p) => [p.index, p]));
+  const errorsByIndex = new Map(errors.map((e) => [e.index, e.errors]));
+
+  const report = indexed.map((x, index) => {
+    const p = preparedByIndex.get(index);
+    return {
+      row_no: x.row_no,
+      status: p ? "ok" : "error",
+      work_date: x.row.work_date,
+      job_no1: x.row.job_no1,
+      worker_code: x.row.worker_code,
+      job_code: x.row.job_code,
+      amount: x.row.amount,
+      customer_total: p?.values.customer_total ?? null,
+      wage_total: p?.values.wage_total ?? null,
+      fees_collected: p?.values.fees_collected ?? null,
+      applied_rules: p?.applied_rules ?? [],
+      errors: errorsByIndex.get(index) || [],
+    };
+  });
+
+  return {
+    prepared,
+    closedMonths,
+    summary: {
+      total: report.length,
+      ok: prepared.length,
+      failed: errors.length,
+    },
+    report,
+  };
+}
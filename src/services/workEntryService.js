@@ -0,0 +1,478 @@
+// src/services/workEntryService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { isISODate } from "./dateService.js";
+import { calculateWorkEntry, calculateSplitBill, round2 } from "./wageEngine.js";
+import { getClosedMonths, monthOf } from "./periodLockService.js";
+import { getFinalizedRunId } from "./payrollRunService.js";
+import { ServiceError } from "./serviceError.js";
+
+const DUP_JOB_NO1 = "UNIQUE constraint failed: work_entries.company_id, work_entries.job_no1";
+
+export const isDuplicateJobNo1Error = (err) => String(err?.message || "").includes(DUP_JOB_NO1);
+
+
+function numOrNull(v) {
+  if (v === "" || v == null) return null;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+/**
+ * Insert one already-calculated row (and its worker lines, if split). Returns the new id.
+ */
+export async function insertWorkEntry(v) {
+  const r = await dbRun(
+    `INSERT INTO work_entries (
+       company_id, worker_id, job_id, amount,
+       is_bank,
+       customer_rate, customer_total,
+       wage_tier_id, wage_rate, wage_total,
+       rate, pay,
+       job_no1, job_no2, work_date,
+       note, fees_collected,
+       price_list_id,
+       holiday_customer_uplift, holiday_wage_uplift,
+       is_requested, request_fee, request_bonus
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      v.company_id,
+      v.worker_id,
+      v.job_id,
+      v.amount,
+
+      v.is_bank,
+
+      v.customer_rate,
+      v.customer_total,
+
+      v.wage_tier_id,
+      v.wage_rate,
+      v.wage_total,
+
+      v.wage_rate,   // legacy rate
+      v.wage_total,  // legacy pay
+
+      v.job_no1,
+      v.job_no2,
+      v.work_date,
+
+      v.note,
+      v.fees_collected,
+
+      v.price_list_id ?? null,
+
+      v.holiday_customer_uplift ?? 0,
+      v.holiday_wage_uplift ?? 0,
+
+      v.is_requested ? 1 : 0,
+      v.request_fee ?? 0,
+      v.request_bonus ?? 0,
+    ]
+  );
+  if (v.lines?.length) await replaceEntryWorkers(v.company_id, r.lastID, v.lines);
+  return r.lastID;
+}
+
+/* -----------------------------
+   Split bills (work_entry_workers)
+------------------------------ */
+
+/**
+ * Replace the worker lines of a bill. Pass [] to make it a one-worker bill again.
+ * Lines come from calculateSplitBill(). Call inside a transaction.
+ */
+export async function replaceEntryWorkers(companyId, entryId, lines) {
+  await dbRun(`DELETE FROM work_entry_workers WHERE work_entry_id = ? AND company_id = ?`, [entryId, companyId]);
+  for (const l of lines) {
+    await dbRun(
+      `INSERT INTO work_entry_workers
+         (company_id, work_entry_id, line_no, worker_id, hours, customer_share,
+          wage_tier_id, wage_rate, wage_total)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, entryId, l.line_no, l.worker_id, l.hours, l.customer_share, l.wage_tier_id, l.wage_rate, l.wage_total]
+    );
+  }
+}
+
+/**
+ * Worker lines of a bill (empty when the bill is not split).
+ */
+export function getEntryWorkers(companyId, entryId) {
+  return dbAll(
+    `
+    SELECT l.line_no, l.worker_id, wk.worker_code, wk.worker_name,
+           l.hours, l.customer_share, l.wage_tier_id, wt.tier_name AS wage_tier_name,
+           l.wage_rate, l.wage_total
+      FROM work_entry_workers l
+      LEFT JOIN workers wk ON wk.id = l.worker_id
+      LEFT JOIN wage_tiers wt ON wt.id = l.wage_tier_id
+     WHERE l.company_id = ? AND l.work_entry_id = ?
+     ORDER BY l.line_no
+    `,
+    [companyId, entryId]
+  );
+}
+
+/**
+ * Validate + calculate many rows without writing anything.
+ *
+ * Each input row accepts the same fields as POST /api/work-entries, plus
+ * worker_code instead of worker_id, and job_code may also be a job type
+ * (the batch grid lets staff type either).
+ *
+ * Rows are calculated in order, so month-to-date rules (OVER_20K_5050) see
+ * the customer totals of earlier rows in the same batch.
+ *
+ * A row may carry workers: [{ worker_id | worker_code, hours }] (two or more)
+ * to split the bill; the first line is the lead worker (see calculateSplitBill).
+ * price_list_id (or price_list: a list code or name) picks the customer price
+ * list; the company default list is used when both are empty.
+ *
+ * rowLabel(index) names a row in messages (spreadsheet imports use sheet rows).
+ * Rows dated in a closed payroll period fail unless canUnlockPeriods;
+ * closedMonths lists the closed months the valid rows touch (for override logs).
+ *
+ * @returns {Promise<{ prepared: Array<{index:number, values:object, applied_rules:string[]}>,
+ *                     errors: Array<{index:number, job_no1:string, errors:string[]}>,
+ *                     closedMonths: string[] }>}
+ */
+export async function prepareWorkEntryRows({
+  companyId,
+  rows,
+  canEditRates = false,
+  canUnlockPeriods = false,
+  rowLabel = (index) => `row ${index + 1}`,
+}) {
+  const workers = await dbAll(`SELECT id, worker_code, is_active FROM workers WHERE company_id = ?`, [companyId]);
+  const jobs = await dbAll(`SELECT id, job_code, job_type, is_active FROM jobs WHERE company_id = ?`, [companyId]);
+  const priceLists = await dbAll(`SELECT id, code, name, is_active FROM price_lists WHERE company_id = ?`, [companyId]);
+
+  const jobNos = rows.map((r) => String(r?.job_no1 ?? "").trim()).filter(Boolean);
+  const existing = new Set();
+  if (jobNos.length) {
+    const placeholders = jobNos.map(() => "?").join(", ");
+    const found = await dbAll(
+      `SELECT job_no1 FROM work_entries WHERE company_id = ? AND job_no1 IN (${placeholders})`,
+      [companyId, ...jobNos]
+    );
+    found.forEach((r) => existing.add(String(r.job_no1)));
+  }
+
+  const closed = new Set(await getClosedMonths(companyId, rows.map((r) => String(r?.work_date ?? "").trim())));
+  const closedTouched = new Set();
+
+  const lower = (v) => String(v ?? "").trim().toLowerCase();
+  const seenJobNos = new Map(); // job_no1 -> first row index
+  const pendingByWorkerMonth = new Map();
+
+  const prepared = [];
+  const errors = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index] || {};
+    const rowErrors = [];
+
+    const job_no1 = String(row.job_no1 ?? "").trim();
+    const job_no2 = String(row.job_no2 ?? "").trim() || null;
+    const work_date = String(row.work_date ?? "").trim();
+    const hours = numOrNull(row.amount);
+    const fees = numOrNull(row.fees_collected);
+    const requested = Number(row.is_requested) === 1;
+
+    if (!job_no1) rowErrors.push("Missing Job No1");
+    else if (existing.has(job_no1)) rowErrors.push(`Job No1 ${job_no1} already exists for this company`);
+    else if (seenJobNos.has(job_no1)) {
+      rowErrors.push(`Duplicate Job No1 ${job_no1} (same as ${rowLabel(seenJobNos.get(job_no1))})`);
+    }
+    if (job_no1 && !seenJobNos.has(job_no1)) seenJobNos.set(job_no1, index);
+
+    if (!isISODate(work_date)) rowErrors.push("Invalid Date (must be YYYY-MM-DD)");
+    else if (closed.has(monthOf(work_date)) && !canUnlockPeriods) {
+      rowErrors.push(`Payroll period ${monthOf(work_date)} is closed`);
+    }
+    if (hours == null || hours <= 0) rowErrors.push("Invalid Hours (must be > 0)");
+    if (fees != null && fees < 0) rowErrors.push("Fees Collected cannot be negative");
+
+    const splitLines = [];
+    if (Array.isArray(row.workers) && row.workers.length > 1) {
+      row.workers.forEach((line, i) => {
+        let lineWorkerId = numOrNull(line?.worker_id);
+        if (!lineWorkerId) {
+          const code = lower(line?.worker_code);
+          lineWorkerId = workers.find((w) => lower(w.worker_code) === code)?.id ?? null;
+          if (!lineWorkerId) rowErrors.push(`Unknown worker on split line ${i + 1}: ${line?.worker_code ?? ""}`);
+        }
+        const lineWorker = lineWorkerId ? workers.find((w) => Number(w.id) === Number(lineWorkerId)) : null;
+        if (lineWorkerId && !lineWorker) rowErrors.push(`Unknown worker on split line ${i + 1}`);
+        else if (lineWorker && Number(lineWorker.is_active) === 0) {
+          rowErrors.push(`Worker ${lineWorker.worker_code} is inactive`);
+        }
+        splitLines.push({ workerId: lineWorkerId, hours: numOrNull(line?.hours) ?? hours });
+      });
+    }
+
+    // split bills: the lead line is the bill's worker
+    let workerId = splitLines.length ? splitLines[0].workerId : numOrNull(row.worker_id);
+
+    if (!workerId && !splitLines.length) {
+      const code = lower(row.worker_code);
+      if (!code) rowErrors.push("Missing Worker");
+      else {
+        workerId = workers.find((w) => lower(w.worker_code) === code)?.id ?? null;
+        if (!workerId) rowErrors.push(`Unknown worker code: ${row.worker_code}`);
+      }
+    }
+    const worker = workerId ? workers.find((w) => Number(w.id) === Number(workerId)) : null;
+    if (worker && !splitLines.length && Number(worker.is_active) === 0) {
+      rowErrors.push(`Worker ${worker.worker_code} is inactive`);
+    }
+
+    const jobInput = lower(row.job_code);
+    let job = null;
+    if (!jobInput) rowErrors.push("Missing Job");
+    else {
+      job =
+        jobs.find((j) => lower(j.job_code) === jobInput) ||
+        jobs.find((j) => lower(j.job_type) === jobInput) ||
+        null;
+      if (!job) rowErrors.push(`Unknown job_code: ${row.job_code}`);
+      else if (Number(job.is_active) === 0) rowErrors.push(`Job ${job.job_code} is inactive`);
+    }
+
+    let priceListId = numOrNull(row.price_list_id);
+    const priceListInput = lower(row.price_list);
+    if (!priceListId && priceListInput) {
+      const list =
+        priceLists.find((l) => lower(l.code) === priceListInput) ||
+        priceLists.find((l) => lower(l.name) === priceListInput);
+      if (!list) rowErrors.push(`Unknown price list: ${row.price_list}`);
+      else if (Number(list.is_active) === 0) rowErrors.push(`Price list ${list.code} is inactive`);
+      else priceListId = list.id;
+    }
+
+    if (rowErrors.length) {
+      errors.push({ index, job_no1, errors: rowErrors });
+      continue;
+    }
+
+    const month = work_date.slice(0, 7);
+    const pendingFor = (id) => pendingByWorkerMonth.get(`${id}|${month}`) || 0;
+    const addPending = (id, total) => pendingByWorkerMonth.set(`${id}|${month}`, round2(pendingFor(id) + total));
+
+    try {
+      let calc;
+      if (splitLines.length) {
+        calc = await calculateSplitBill({
+          companyId,
+          workers: splitLines,
+          jobId: job.id,
+          workDate: work_date,
+          hours,
+          priceListId,
+          requested,
+          customCustomerRate: canEditRates ? row.customer_rate : null,
+          pendingCustomerTotals: Object.fromEntries(splitLines.map((l) => [l.workerId, pendingFor(l.workerId)])),
+        });
+        calc.lines.forEach((l) => addPending(l.worker_id, l.customer_share));
+      } else {
+        calc = await calculateWorkEntry({
+          companyId,
+          workerId,
+          jobId: job.id,
+          workDate: work_date,
+          hours,
+          requested,
+          tierId: canEditRates ? row.wage_tier_id : null,
+          priceListId,
+          customCustomerRate: canEditRates ? row.customer_rate : null,
+          customWageRate: canEditRates ? row.wage_rate : null,
+          pendingCustomerTotal: pendingFor(workerId),
+        });
+        addPending(workerId, calc.customer_total);
+      }
+
+      if (closed.has(monthOf(work_date))) closedTouched.add(monthOf(work_date));
+
+      prepared.push({
+        index,
+        applied_rules: calc.applied_rules,
+        values: {
+          company_id: companyId,
+          worker_id: calc.worker_id,
+          job_id: calc.job_id,
+          amount: hours,
+          is_bank: Number(row.is_bank) === 1 ? 1 : 0,
+          customer_rate: calc.customer_rate,
+          customer_total: calc.customer_total,
+          wage_tier_id: calc.wage_tier_id,
+          wage_rate: calc.wage_rate,
+          wage_total: calc.wage_total,
+          job_no1,
+          job_no2,
+          work_date,
+          note: String(row.note ?? "").trim() || null,
+          // the request fee is collected on top of the job price
+          fees_collected: fees == null ? round2(calc.customer_total + calc.request_fee) : fees,
+          price_list_id: calc.price_list_id,
+          holiday_customer_uplift: calc.holiday_customer_uplift,
+          holiday_wage_uplift: calc.holiday_wage_uplift,
+          is_requested: requested ? 1 : 0,
+          request_fee: calc.request_fee,
+          request_bonus: calc.request_bonus,
+          lines: calc.lines || null,
+        },
+      });
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      errors.push({ index, job_no1, errors: [err.message] });
+    }
+  }
+
+  return { prepared, errors, closedMonths: [...closedTouched].sort() };
+}
+
+/**
+ * Insert prepared rows in ONE transaction. Any failure rolls back all rows.
+ * afterInsert(ids) runs inside the same transaction (e.g. audit logs).
+ * @returns {Promise<number[]>} new ids (same order as prepared)
+ */
+export function insertWorkEntries(prepared, { afterInsert } = {}) {
+  return withTransaction(async () => {
+    const ids = [];
+    for (const p of prepared) ids.push(await insertWorkEntry(p.values));
+    if (afterInsert) await afterInsert(ids);
+    return ids;
+  });
+}
+
+/* -----------------------------
+   Revision history
+------------------------------ */
+
+// fields shown in the History tab (order = display order)
+export const REVISION_FIELDS = [
+  ["work_date", "Date"],
+  ["job_no1", "Job No1"],
+  ["job_no2", "Job No2"],
+  ["worker_code", "Worker"],
+  ["split_workers", "Split Workers"],
+  ["job_code", "Job"],
+  ["amount", "Hours"],
+  ["is_bank", "Pay Type"],
+  ["is_requested", "Requested"],
+  ["price_list_name", "Price List"],
+  ["fees_collected", "Fees Collected"],
+  ["customer_rate", "Customer Rate"],
+  ["customer_total", "Customer Total"],
+  ["wage_tier_name", "Wage Tier"],
+  ["wage_rate", "Wage Rate"],
+  ["wage_total", "Wage Total"],
+  ["note", "Note"],
+  ["voided_at", "Voided At"],
+  ["void_reason", "Void Reason"],
+];
+
+/**
+ * Current state of one entry, with worker/job/tier codes resolved
+ * so history still reads well after those rows are renamed or deleted.
+ */
+export function getEntrySnapshot(id, companyId) {
+  return dbGet(
+    `
+    SELECT
+      we.*,
+      wk.worker_code,
+      j.job_code,
+      wt.tier_name AS wage_tier_name,
+      pl.name AS price_list_name,
+      (
+        SELECT GROUP_CONCAT(x.label, ', ')
+          FROM (
+            SELECT lw.worker_code || ' (' || l.hours || 'h)' AS label
+              FROM work_entry_workers l
+              LEFT JOIN workers lw ON lw.id = l.worker_id
+             WHERE l.work_entry_id = we.id
+             ORDER BY l.line_no
+          ) x
+      ) AS split_workers
+    FROM work_entries we
+    LEFT JOIN workers wk ON wk.id = we.worker_id
+    LEFT JOIN jobs j ON j.id = we.job_id
+    LEFT JOIN wage_tiers wt ON wt.id = we.wage_tier_id
+    LEFT JOIN price_lists pl ON pl.id = we.price_list_id
+    WHERE we.id = ? AND we.company_id = ?
+    `,
+    [id, companyId]
+  );
+}
+
+function pickRevisionFields(row) {
+  if (!row) return null;
+  const out = {};
+  for (const [key] of REVISION_FIELDS) out[key] = row[key] ?? null;
+  return out;
+}
+
+/**
+ * Save one revision row. before/after are entry snapshots (or null).
+ * Call inside the same transaction as the change it describes.
+ * A change to an entry dated in a month with a finalized payroll run is
+ * tagged with that run (post-payroll correction).
+ */
+export async function recordRevision({ companyId, entryId, action, before, after, userId }) {
+  const payrollRunId = await getFinalizedRunId(companyId, [before?.work_date, after?.work_date]);
+
+  return dbRun(
+    `INSERT INTO work_entry_revisions
+       (company_id, work_entry_id, action, before_json, after_json, changed_by, payroll_run_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      companyId,
+      entryId,
+      action,
+      before ? JSON.stringify(pickRevisionFields(before)) : null,
+      after ? JSON.stringify(pickRevisionFields(after)) : null,
+      userId || null,
+      payrollRunId,
+    ]
+  );
+}
+
+/**
+ * Revisions for one entry, newest first, each with a field-level diff.
+ */
+export async function getRevisions(companyId, entryId) {
+  const rows = await dbAll(
+    `
+    SELECT r.id, r.action, r.before_json, r.after_json, r.changed_by, r.changed_at,
+           u.username AS changed_by_username,
+           r.payroll_run_id, pr.period_month AS payroll_month
+      FROM work_entry_revisions r
+      LEFT JOIN users u ON u.id = r.changed_by
+      LEFT JOIN payroll_runs pr ON pr.id = r.payroll_run_id
+     WHERE r.company_id = ? AND r.work_entry_id = ?
+     ORDER BY r.id DESC
+    `,
+    [companyId, entryId]
+  );
+
+  return rows.map((r) => {
+    const before = r.before_json ? JSON.parse(r.before_json) : {};
+    const after = r.after_json ? JSON.parse(r.after_json) : {};
+
+    const changes = REVISION_FIELDS.filter(
+      ([key]) => String(before[key] ?? "") !== String(after[key] ?? "")
+    ).map(([key, label]) => ({ field: key, label, before: before[key] ?? null, after: after[key] ?? null }));
+
+    return {
+      id: r.id,
+      action: r.action,
+      changed_by: r.changed_by,
+      changed_by_username: r.changed_by_username,
+      changed_at: r.changed_at,
+      payroll_run_id: r.payroll_run_id,
+      payroll_month: r.payroll_month,
+      changes,
+    };
+  });
+}
@@ -0,0 +1,134 @@
+// src/services/workerJobRateService.js
+import { dbAll, dbGet, dbRun, withTransaction } from "../config/db.js";
+import { dayBefore, isISODate } from "./dateService.js";
+import { ServiceError } from "./serviceError.js";
+
+/**
+ * Negotiated per-worker wage rates on particular jobs (worker_job_rates).
+ *
+ * A senior worker's special rate on a job replaces the tier rate from
+ * job_wages in the wage calculation (wageEngine.js), so staff no longer key
+ * a custom wage on every bill. Company rules still apply on top, and a
+ * custom wage typed on the bill still wins.
+ *
+ * Each rate has a validity window (valid_from / valid_to, NULL = open, both
+ * inclusive); windows of the same worker × job never overlap.
+ */
+
+const windowText = (from, to) => `${from || "the beginning"} to ${to || "open end"}`;
+
+/**
+ * The worker's own rate for a job on a date (null when they have none then).
+ */
+export async function getWorkerJobRateOn(workerId, jobId, date) {
+  const row = await dbGet(
+    `SELECT wage_rate
+       FROM worker_job_rates
+      WHERE worker_id = ? AND job_id = ?
+        AND (valid_from IS NULL OR valid_from <= ?)
+        AND (valid_to IS NULL OR valid_to >= ?)
+      ORDER BY valid_from IS NOT NULL DESC, valid_from DESC
+      LIMIT 1`,
+    [workerId, jobId, date, date]
+  );
+  return row ? Number(row.wage_rate) : null;
+}
+
+/**
+ * All of a worker's job rates (job code, then date order).
+ */
+export function listWorkerJobRates(companyId, workerId) {
+  return dbAll(
+    `SELECT r.id, r.job_id, j.job_code, j.job_type, r.wage_rate, r.valid_from, r.valid_to, r.note,
+            r.created_at, u.username AS created_by_username
+       FROM worker_job_rates r
+       JOIN jobs j ON j.id = r.job_id
+       LEFT JOIN users u ON u.id = r.created_by
+      WHERE r.company_id = ? AND r.worker_id = ?
+      ORDER BY j.job_code, r.valid_from IS NOT NULL, r.valid_from`,
+    [companyId, workerId]
+  );
+}
+
+/**
+ * Give a worker their own rate on a job for a date window (null dates = open).
+ *
+ * Overlapping windows are refused, except that a new open-ended rate
+ * starting after an open-ended one ends that one the day before, so a
+ * renegotiated rate only needs the new rate and its start date.
+ *
+ * @throws {ServiceError}
+ */
+export async function addWorkerJobRate({
+  companyId,
+  workerId,
+  jobId,
+  wageRate,
+  validFrom = null,
+  validTo = null,
+  note = null,
+  userId = null,
+}) {
+  const rate = Number(wageRate);
+  const from = validFrom || null;
+  const to = validTo || null;
+
+  if (!Number.isFinite(rate) || rate <= 0) throw new ServiceError(400, "Wage rate must be more than zero.");
+  if ((from && !isISODate(from)) || (to && !isISODate(to))) {
+    throw new ServiceError(400, "Valid dates must be YYYY-MM-DD.");
+  }
+  if (from && to && from > to) throw new ServiceError(400, "Valid from can't be after valid to.");
+
+  const worker = await dbGet(`SELECT id, worker_code FROM workers WHERE id = ? AND company_id = ?`, [
+    Number(workerId),
+    companyId,
+  ]);
+  if (!worker) throw new ServiceError(404, "Worker not found for this company.");
+
+  const job = await dbGet(`SELECT id, job_code FROM jobs WHERE id = ? AND company_id = ?`, [Number(jobId), companyId]);
+  if (!job) throw new ServiceError(400, "Job not found for this company.");
+
+  return withTransaction(async () => {
+    const rows = await dbAll(`SELECT id, valid_from, valid_to FROM worker_job_rates WHERE worker_id = ? AND job_id = ?`, [
+      worker.id,
+      job.id,
+    ]);
+
+    const overlapping = rows.filter(
+      (r) => (!from || !r.valid_to || from <= r.valid_to) && (!r.valid_from || !to || r.valid_from <= to)
+    );
+
+    for (const r of overlapping) {
+      const endsBefore = from && !to && r.valid_to == null && (r.valid_from == null || r.valid_from < from);
+      if (!endsBefore) {
+        throw new ServiceError(
+          400,
+          `${worker.worker_code} already has a ${job.job_code} rate from ${windowText(r.valid_from, r.valid_to)}.`
+        );
+      }
+    }
+    for (const r of overlapping) {
+      await dbRun(`UPDATE worker_job_rates SET valid_to = ? WHERE id = ?`, [dayBefore(from), r.id]);
+    }
+
+    const r = await dbRun(
+      `INSERT INTO worker_job_rates (company_id, worker_id, job_id, wage_rate, valid_from, valid_to, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, worker.id, job.id, rate, from, to, note, userId]
+    );
+    return r.lastID;
+  });
+}
+
+/**
+ * Remove one rate; the worker is paid the tier rate in that window again.
+ * @throws {ServiceError}
+ */
+export async function deleteWorkerJobRate({ companyId, workerId, rateId }) {
+  const r = await dbRun(`DELETE FROM worker_job_rates WHERE id = ? AND company_id = ? AND worker_id = ?`, [
+    Number(rateId),
+    companyId,
+    Number(workerId),
+  ]);
+  if (!r.changes) throw new ServiceError(404, "Rate not found.");
+}
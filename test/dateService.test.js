@@ -0,0 +1,48 @@
+// test/dateService.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { addDays, isISODate, parseDate } from "../src/services/dateService.js";
+import { openTestDb } from "./testDb.js";
+
+let testDb;
+let parseImportDate;
+let parseEmploymentStart;
+
+before(async () => {
+  testDb = await openTestDb();
+  ({ parseImportDate } = await import("../src/services/workEntryImportService.js"));
+  ({ parseEmploymentStart } = await import("../src/services/tierProgressionService.js"));
+});
+
+after(async () => {
+  await testDb?.close();
+});
+
+test("ambiguous slash dates are day-first everywhere", () => {
+  assert.equal(parseDate("6/1/2018"), "2018-01-06");
+  assert.equal(parseEmploymentStart("6/1/2018"), "2018-01-06");
+  assert.equal(parseImportDate("6/1/2018"), "2018-01-06");
+});
+
+test("ISO dates, timestamps and Excel serials are read", () => {
+  assert.equal(parseDate("2018-06-01"), "2018-06-01");
+  assert.equal(parseDate("2018/6/1"), "2018-06-01");
+  assert.equal(parseDate("2018-06-01 10:30:00"), "2018-06-01");
+  assert.equal(parseDate(43252), "2018-06-01");
+});
+
+test("blank or impossible dates are null (the import keeps the text)", () => {
+  assert.equal(parseDate(""), null);
+  assert.equal(parseDate("2/14/2019"), null);
+  assert.equal(parseDate("2026-02-30"), null);
+  assert.equal(parseImportDate("2/14/2019"), "2/14/2019");
+  assert.equal(parseImportDate(""), "");
+});
+
+test("isISODate only takes real calendar days", () => {
+  assert.equal(isISODate("2028-02-29"), true);
+  assert.equal(isISODate("2026-02-29"), false);
+  assert.equal(isISODate("2026-13-01"), false);
+  assert.equal(isISODate("2026-1-01"), false);
+  assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+});
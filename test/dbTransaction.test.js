@@ -0,0 +1,46 @@
+// test/dbTransaction.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb } from "./testDb.js";
+
+let testDb;
+
+before(async () => {
+  testDb = await openTestDb();
+});
+
+after(async () => {
+  await testDb?.close();
+});
+
+test("a nested withTransaction is rejected instead of waiting on itself", async () => {
+  const { withTransaction } = testDb;
+  await withTransaction(async () => {
+    await assert.rejects(
+      withTransaction(async () => {}),
+      /cannot be nested/
+    );
+  });
+});
+
+test("a read outside a transaction never sees its uncommitted rows", async () => {
+  const { dbGet, dbRun, withTransaction } = testDb;
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  let inserted;
+  const wrote = new Promise((resolve) => (inserted = resolve));
+
+  const tx = withTransaction(async () => {
+    await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Tx', 'TX')`);
+    inserted();
+    await gate;
+    throw new Error("roll back");
+  });
+
+  await wrote;
+  const read = dbGet(`SELECT COUNT(*) AS n FROM companies WHERE short_code = 'TX'`);
+  release();
+
+  await assert.rejects(tx, /roll back/);
+  assert.equal((await read).n, 0);
+});
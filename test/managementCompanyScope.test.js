@@ -0,0 +1,58 @@
+// test/managementCompanyScope.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { addCompanyWithUser, openTestDb, startApp } from "./testDb.js";
+
+let testDb;
+let app;
+let companyA;
+let companyB;
+
+const post = (pathname, body) =>
+  fetch(`${app.url}${pathname}`, { method: "POST", body: new URLSearchParams(body), redirect: "manual" });
+
+before(async () => {
+  testDb = await openTestDb();
+  companyA = await addCompanyWithUser(testDb.dbRun, {
+    code: "A",
+    permissions: ["PAGE_MANAGEMENT", "PERIOD_CLOSE", "PERIOD_UNLOCK"],
+  });
+  companyB = await addCompanyWithUser(testDb.dbRun, { code: "B" });
+
+  const { default: managementRoutes } = await import("../src/routes/managementRoutes.js");
+  app = await startApp(managementRoutes, companyA.user);
+});
+
+after(async () => {
+  await app?.close();
+  await testDb?.close();
+});
+
+const periodStatus = async (companyId, month) =>
+  (await testDb.dbGet(`SELECT status FROM payroll_periods WHERE company_id = ? AND period_month = ?`, [companyId, month]))
+    ?.status ?? null;
+
+test("a manager closes a period of their own company", async () => {
+  const res = await post("/management/periods/close", { company_id: companyA.companyId, period_month: "2026-01" });
+  assert.equal(res.status, 302);
+  assert.equal(await periodStatus(companyA.companyId, "2026-01"), "CLOSED");
+});
+
+test("a manager from company A cannot close company B's period", async () => {
+  const res = await post("/management/periods/close", { company_id: companyB.companyId, period_month: "2026-01" });
+  assert.equal(res.status, 403);
+  assert.equal(await periodStatus(companyB.companyId, "2026-01"), null);
+});
+
+test("a manager from company A cannot reopen company B's period", async () => {
+  await testDb.dbRun(`INSERT INTO payroll_periods (company_id, period_month, status) VALUES (?, '2026-02', 'CLOSED')`, [
+    companyB.companyId,
+  ]);
+  const res = await post("/management/periods/reopen", {
+    company_id: companyB.companyId,
+    period_month: "2026-02",
+    note: "fix",
+  });
+  assert.equal(res.status, 403);
+  assert.equal(await periodStatus(companyB.companyId, "2026-02"), "CLOSED");
+});
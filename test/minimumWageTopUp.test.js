@@ -0,0 +1,47 @@
+// test/minimumWageTopUp.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb } from "./testDb.js";
+
+let testDb;
+let getMinimumWageTopUps;
+let companyId;
+const ids = {};
+
+before(async () => {
+  testDb = await openTestDb();
+  ({ getMinimumWageTopUps } = await import("../src/services/minimumWageService.js"));
+
+  const { dbRun } = testDb;
+  companyId = (await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Co', 'CO')`)).lastID;
+  for (const [code, start, terminated] of [
+    ["FULL", "2020-01-01", null],
+    ["HIRED_LATER", "2026-10-05", null],
+    ["LEFT_BEFORE", "2020-01-01", "2026-08-31"],
+    ["HALF", "2026-09-16", null],
+  ]) {
+    ids[code] = (
+      await dbRun(
+        `INSERT INTO workers (company_id, worker_code, employment_start, terminated, min_monthly_wage) VALUES (?, ?, ?, ?, 3000)`,
+        [companyId, code, start, terminated]
+      )
+    ).lastID;
+  }
+});
+
+after(async () => {
+  await testDb?.close();
+});
+
+test("only workers employed during the month get a top-up", async () => {
+  const topUps = await getMinimumWageTopUps({ companyId, month: "2026-09" });
+  assert.equal(topUps.get(ids.FULL).top_up, 3000);
+  assert.equal(topUps.has(ids.HIRED_LATER), false);
+  assert.equal(topUps.has(ids.LEFT_BEFORE), false);
+});
+
+test("a part month is topped up to that share of the minimum", async () => {
+  const topUps = await getMinimumWageTopUps({ companyId, month: "2026-09" });
+  assert.equal(topUps.get(ids.HALF).minimum, 1500);
+  assert.equal(topUps.get(ids.HALF).top_up, 1500);
+});
@@ -0,0 +1,78 @@
+// test/payslipFinalized.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb, startApp } from "./testDb.js";
+
+let testDb;
+let app;
+let companyId;
+let entryIds;
+
+before(async () => {
+  testDb = await openTestDb();
+  const { dbRun } = testDb;
+
+  companyId = (await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Co', 'CO')`)).lastID;
+  const jobId = (await dbRun(`INSERT INTO jobs (company_id, job_code, job_type, normal_price) VALUES (?, 'A1', 'Foot', 68)`, [companyId]))
+    .lastID;
+  const workerId = (await dbRun(`INSERT INTO workers (company_id, worker_code, worker_name) VALUES (?, '101', 'Amy')`, [companyId]))
+    .lastID;
+
+  entryIds = [];
+  for (const [date, billNo] of [
+    ["2026-09-03", "1001"],
+    ["2026-09-10", "1002"],
+  ]) {
+    const entry = await dbRun(
+      `INSERT INTO work_entries
+         (company_id, worker_id, job_id, work_date, job_no1, amount, customer_rate, customer_total, wage_rate, wage_total, is_bank)
+       VALUES (?, ?, ?, ?, ?, 1, 68, 68, 27.2, 27.2, 1)`,
+      [companyId, workerId, jobId, date, billNo]
+    );
+    entryIds.push(entry.lastID);
+  }
+
+  const { createPayrollRun, reviewPayrollRun, finalizePayrollRun } = await import("../src/services/payrollRunService.js");
+  const runId = await createPayrollRun({ companyId, month: "2026-09" });
+  await reviewPayrollRun({ companyId, runId });
+  await finalizePayrollRun({ companyId, runId });
+
+  // edited after finalizing
+  await dbRun(`UPDATE work_entries SET amount = 2, customer_total = 136, wage_total = 54.4 WHERE id = ?`, [entryIds[1]]);
+
+  const { default: reportRoutes } = await import("../src/routes/reportRoutes.js");
+  app = await startApp(reportRoutes, { id: 1, company_id: companyId, is_admin: 1 });
+});
+
+after(async () => {
+  await app?.close();
+  await testDb?.close();
+});
+
+test("a finalized run's payslip lists the service lines it paid", async () => {
+  const res = await fetch(`${app.url}/payslips?companyId=${companyId}&start=2026-09-01&end=2026-09-30`);
+  const { payslips } = await res.json();
+  const [slip] = payslips;
+
+  assert.deepEqual(
+    slip.lines.map((l) => [l.bill_no, l.hours, l.wage]),
+    [
+      ["1001", 1, 27.2],
+      ["1002", 1, 27.2],
+    ]
+  );
+  assert.equal(slip.total_wage, 54.4);
+  assert.equal(slip.total_hours, 2);
+});
+
+test("entries edited after finalizing are listed only in the correction", async () => {
+  const res = await fetch(`${app.url}/payslips?companyId=${companyId}&start=2026-09-01&end=2026-09-30`);
+  const { correction } = (await res.json()).payslips[0];
+
+  assert.equal(correction.paid, 54.4);
+  assert.equal(correction.owed, 81.6);
+  assert.deepEqual(
+    correction.lines.map((l) => [l.bill_no, l.change, l.paid_wage, l.wage]),
+    [["1002", "CHANGED", 27.2, 54.4]]
+  );
+});
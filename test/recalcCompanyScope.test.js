@@ -0,0 +1,55 @@
+// test/recalcCompanyScope.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { addCompanyWithUser, openTestDb, startApp } from "./testDb.js";
+
+let testDb;
+let app;
+let companyA;
+let companyB;
+
+const post = (pathname, body) =>
+  fetch(`${app.url}${pathname}`, { method: "POST", body: new URLSearchParams(body), redirect: "manual" });
+
+before(async () => {
+  testDb = await openTestDb();
+  companyA = await addCompanyWithUser(testDb.dbRun, {
+    code: "A",
+    permissions: ["PAGE_MANAGEMENT", "WAGE_RECALC", "WORK_ENTRY_BULK_RECALC"],
+  });
+  companyB = await addCompanyWithUser(testDb.dbRun, { code: "B" });
+
+  const { default: managementRoutes } = await import("../src/routes/managementRoutes.js");
+  app = await startApp(managementRoutes, companyA.user);
+});
+
+after(async () => {
+  await app?.close();
+  await testDb?.close();
+});
+
+test("a manager from company A cannot apply a month-end recalc to company B", async () => {
+  const res = await post("/management/recalc/apply", { company_id: companyB.companyId, period_month: "2026-01" });
+  assert.equal(res.status, 403);
+});
+
+test("a manager from company A cannot preview company B's month-end recalc", async () => {
+  const res = await fetch(`${app.url}/management?tab=recalc&recalc_company=${companyB.companyId}&recalc_month=2026-01`);
+  assert.match(await res.text(), /only recalculate your own company/);
+});
+
+test("a manager from company A cannot apply a bulk recalc to company B", async () => {
+  const res = await post("/management/bulk-recalc/apply", {
+    company_id: companyB.companyId,
+    date_from: "2026-01-01",
+    date_to: "2026-01-31",
+  });
+  assert.equal(res.status, 403);
+});
+
+test("a manager from company A cannot preview company B's bulk recalc", async () => {
+  const res = await fetch(
+    `${app.url}/management?tab=bulk_recalc&bulk_company=${companyB.companyId}&bulk_from=2026-01-01&bulk_to=2026-01-31`
+  );
+  assert.match(await res.text(), /only recalculate your own company/);
+});
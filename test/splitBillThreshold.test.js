@@ -0,0 +1,75 @@
+// test/splitBillThreshold.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb } from "./testDb.js";
+
+let testDb;
+let calculateSplitBill;
+let companyId;
+let jobId;
+let workerIds;
+let wageRates;
+
+const TIER_WAGE = 27.2;
+const JOB_PRICE = 68;
+
+before(async () => {
+  testDb = await openTestDb();
+  ({ calculateSplitBill } = await import("../src/services/wageEngine.js"));
+
+  const { dbRun } = testDb;
+  companyId = (await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Co', 'CO')`)).lastID;
+  const tierId = (await dbRun(`INSERT INTO wage_tiers (company_id, tier_code, tier_name) VALUES (?, 'T1', 'Tier 1')`, [companyId]))
+    .lastID;
+  jobId = (
+    await dbRun(`INSERT INTO jobs (company_id, job_code, job_type, normal_price) VALUES (?, 'A1', 'Foot', ?)`, [
+      companyId,
+      JOB_PRICE,
+    ])
+  ).lastID;
+  workerIds = [];
+  for (const code of ["101", "102"]) {
+    workerIds.push(
+      (await dbRun(`INSERT INTO workers (company_id, worker_code, wage_tier_id) VALUES (?, ?, ?)`, [companyId, code, tierId]))
+        .lastID
+    );
+  }
+  wageRates = new Map([[`${jobId}:${tierId}`, TIER_WAGE]]);
+});
+
+after(async () => {
+  await testDb?.close();
+});
+
+// four-hand bill: both workers work the full hour; both are past 20k this month
+const splitBill = (wagePercent) =>
+  calculateSplitBill({
+    companyId,
+    jobId,
+    workDate: "2026-10-01",
+    hours: 1,
+    workers: workerIds.map((workerId) => ({ workerId, hours: 1 })),
+    pendingCustomerTotals: Object.fromEntries(workerIds.map((id) => [id, 20000])),
+    rules: [{ code: "OVER_20K_5050", params: { threshold: 20000, wage_percent: wagePercent, measure: "MONTH_CUSTOMER_TOTAL" } }],
+    wageRates,
+  });
+
+test("a split bill over 20k pays the percentage of the bill's rate per hour", async () => {
+  const calc = await splitBill(50);
+  assert.deepEqual(
+    calc.lines.map((l) => l.customer_share),
+    [34, 34]
+  );
+  for (const line of calc.lines) {
+    assert.equal(line.wage_rate, 34);
+    assert.ok(line.applied_rules.includes("OVER_20K_5050"));
+  }
+});
+
+test("the threshold rule never pays a split line less than the tier wage", async () => {
+  const calc = await splitBill(30);
+  for (const line of calc.lines) {
+    assert.equal(line.wage_rate, TIER_WAGE);
+    assert.ok(!line.applied_rules.includes("OVER_20K_5050"));
+  }
+});
@@ -0,0 +1,90 @@
+// test/testDb.js
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Point src/config/db.js at a fresh database in the temp dir and wait for
+ * its schema. Import anything that uses the database after this resolves.
+ */
+export async function openTestDb() {
+  const file = path.join(os.tmpdir(), `payroll-test-${process.pid}.sqlite`);
+  fs.rmSync(file, { force: true });
+  process.env.DB_PATH = file;
+
+  const mod = await import("../src/config/db.js");
+  const db = mod.default;
+  // serialized: runs after every schema statement queued on import
+  await new Promise((resolve) => db.serialize(() => db.get("SELECT 1", resolve)));
+
+  return {
+    ...mod,
+    close: () =>
+      new Promise((resolve) =>
+        db.close(() => {
+          fs.rmSync(file, { force: true });
+          resolve();
+        })
+      ),
+  };
+}
+
+/**
+ * A company with one non-admin user whose role has the given permission codes.
+ * @returns {Promise<{companyId:number, user:object}>}
+ */
+export async function addCompanyWithUser(dbRun, { code, permissions = [] }) {
+  const company = await dbRun(`INSERT INTO companies (name, short_code) VALUES (?, ?)`, [`Company ${code}`, code]);
+  const role = await dbRun(`INSERT INTO roles (company_id, code, name) VALUES (?, 'MANAGER', 'Manager')`, [
+    company.lastID,
+  ]);
+  for (const perm of permissions) {
+    await dbRun(`INSERT OR IGNORE INTO permissions (code) VALUES (?)`, [perm]);
+    await dbRun(
+      `INSERT INTO role_permissions (role_id, permission_id) SELECT ?, id FROM permissions WHERE code = ?`,
+      [role.lastID, perm]
+    );
+  }
+  const user = await dbRun(
+    `INSERT INTO users (company_id, username, password_hash, role_id) VALUES (?, ?, 'x', ?)`,
+    [company.lastID, `manager_${code}`, role.lastID]
+  );
+
+  return {
+    companyId: company.lastID,
+    user: { id: user.lastID, company_id: company.lastID, is_admin: 0, permissions },
+  };
+}
+
+/**
+ * Serve a router on a free port as if `user` were signed in.
+ * @returns {Promise<{url:string, close:() => Promise<void>}>}
+ */
+export async function startApp(router, user) {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = { user, activeCompanyId: user.company_id };
+    res.locals.user = user;
+    res.locals.isAdmin = Number(user.is_admin) === 1;
+    res.locals.permissions = user.permissions || [];
+    res.locals.can = (perm) => res.locals.isAdmin || res.locals.permissions.includes(perm);
+    next();
+  });
+  app.set("view engine", "ejs");
+  app.set("views", path.join(__dirname, "../views"));
+  app.use(router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
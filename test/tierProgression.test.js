@@ -0,0 +1,79 @@
+// test/tierProgression.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb } from "./testDb.js";
+
+let testDb;
+let svc;
+let todayISO;
+let companyId;
+let t1;
+let t2;
+
+const AS_OF = "2026-10-19";
+
+before(async () => {
+  testDb = await openTestDb();
+  svc = await import("../src/services/tierProgressionService.js");
+  ({ todayISO } = await import("../src/services/dateService.js"));
+
+  const { dbRun } = testDb;
+  companyId = (await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Co', 'CO')`)).lastID;
+  t1 = (await dbRun(`INSERT INTO wage_tiers (company_id, tier_code, tier_name) VALUES (?, 'T1', 'Tier 1')`, [companyId])).lastID;
+  t2 = (await dbRun(`INSERT INTO wage_tiers (company_id, tier_code, tier_name) VALUES (?, 'T2', 'Tier 2')`, [companyId])).lastID;
+
+  // 12-month anniversaries: 2016-01-10 (long before the rule) and 2026-08-15
+  for (const [code, start] of [
+    ["OLD", "2015-01-10"],
+    ["NEW", "2025-08-15"],
+  ]) {
+    await dbRun(`INSERT INTO workers (company_id, worker_code, employment_start, wage_tier_id) VALUES (?, ?, ?, ?)`, [
+      companyId,
+      code,
+      start,
+      t1,
+    ]);
+  }
+});
+
+after(async () => {
+  await testDb?.close();
+});
+
+const tierOf = async (code) => (await testDb.dbGet(`SELECT wage_tier_id FROM workers WHERE worker_code = ?`, [code])).wage_tier_id;
+
+test("a saved rule counts anniversaries from the local date it was saved", async () => {
+  await svc.saveProgressionRule({ companyId, fromTierId: t1, toTierId: t2, afterMonths: 12 });
+  const rule = await testDb.dbGet(`SELECT applies_from FROM tier_progression_rules WHERE from_tier_id = ?`, [t1]);
+  assert.equal(rule.applies_from, todayISO());
+
+  const d = new Date();
+  assert.equal(todayISO(), `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`);
+
+  await testDb.dbRun(`UPDATE tier_progression_rules SET applies_from = '2026-06-01'`);
+});
+
+test("anniversaries before the rule are catch-up, not due", async () => {
+  const p = await svc.previewProgressions({ companyId, asOf: AS_OF });
+  assert.deepEqual(p.due.map((s) => s.worker_code), ["NEW"]);
+  assert.deepEqual(p.catchUp.map((s) => s.worker_code), ["OLD"]);
+});
+
+test("the automatic run leaves catch-up promotions alone", async () => {
+  assert.equal(await svc.applyDueProgressions({ asOf: AS_OF }), 1);
+  assert.equal(await tierOf("NEW"), t2);
+  assert.equal(await tierOf("OLD"), t1);
+
+  const change = await testDb.dbGet(`SELECT effective_date FROM worker_tier_changes WHERE to_tier_id = ?`, [t2]);
+  assert.equal(change.effective_date, "2026-08-15");
+});
+
+test("an admin catch-up takes effect on the day it is applied", async () => {
+  assert.equal(await svc.applyDueProgressions({ asOf: AS_OF, includeCatchUp: true }), 1);
+  assert.equal(await tierOf("OLD"), t2);
+
+  const oldId = (await testDb.dbGet(`SELECT id FROM workers WHERE worker_code = 'OLD'`)).id;
+  const change = await testDb.dbGet(`SELECT effective_date FROM worker_tier_changes WHERE worker_id = ?`, [oldId]);
+  assert.equal(change.effective_date, AS_OF);
+  assert.equal(await svc.getWorkerTierOn(oldId, t2, "2020-01-01"), t1);
+});
@@ -0,0 +1,40 @@
+// test/workEntrySort.test.js
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { openTestDb, startApp } from "./testDb.js";
+
+let testDb;
+let app;
+let companyId;
+
+before(async () => {
+  testDb = await openTestDb();
+  const { dbRun } = testDb;
+
+  companyId = (await dbRun(`INSERT INTO companies (name, short_code) VALUES ('Co', 'CO')`)).lastID;
+  const jobId = (await dbRun(`INSERT INTO jobs (company_id, job_code, job_type) VALUES (?, 'A1', 'Foot')`, [companyId])).lastID;
+  const workerId = (await dbRun(`INSERT INTO workers (company_id, worker_code) VALUES (?, '101')`, [companyId])).lastID;
+  const today = new Date().toISOString().slice(0, 10);
+  await dbRun(`INSERT INTO work_entries (company_id, worker_id, job_id, work_date, job_no1) VALUES (?, ?, ?, ?, '1001')`, [
+    companyId,
+    workerId,
+    jobId,
+    today,
+  ]);
+
+  const { default: workEntryRoutes } = await import("../src/routes/workEntryRoutes.js");
+  app = await startApp(workEntryRoutes, { id: 1, company_id: companyId, is_admin: 1 });
+});
+
+after(async () => {
+  await app?.close();
+  await testDb?.close();
+});
+
+test("an inherited property name is not taken as a sort column", async () => {
+  for (const sort of ["constructor", "toString", "__proto__"]) {
+    const res = await fetch(`${app.url}/?companyId=${companyId}&sort=${sort}`);
+    assert.equal(res.status, 200, sort);
+    assert.equal((await res.json()).rows.length, 1, sort);
+  }
+});